@@ -0,0 +1,165 @@
+/**
+ * Change Limits
+ *
+ * Caps on how much a single iteration may change (`limits` in .wiggumizer.yml):
+ * files touched, lines added and removed, files deleted, and how much of an
+ * existing file may be rewritten. An iteration over a cap is rejected before
+ * anything is written (or reverted afterwards for the claude-cli provider)
+ * and the model is told why.
+ */
+
+// Files shorter than this are small enough to rewrite completely
+const MIN_LINES_FOR_RATIO = 20;
+
+class ChangeLimits {
+  /**
+   * Create a new ChangeLimits
+   * @param {Object} options - Limits; null or missing means no limit
+   * @param {number} options.maxFiles - Files created, modified or deleted
+   * @param {number} options.maxLinesAdded - Lines added
+   * @param {number} options.maxLinesRemoved - Lines removed
+   * @param {number} options.maxFilesDeleted - Files deleted
+   * @param {number} options.maxRewriteRatio - Fraction (0-1) of an existing file's lines that may be replaced
+   */
+  constructor(options = {}) {
+    this.maxFiles = options.maxFiles ?? null;
+    this.maxLinesAdded = options.maxLinesAdded ?? null;
+    this.maxLinesRemoved = options.maxLinesRemoved ?? null;
+    this.maxFilesDeleted = options.maxFilesDeleted ?? null;
+    this.maxRewriteRatio = options.maxRewriteRatio ?? null;
+  }
+
+  /**
+   * Whether any limit is set
+   */
+  isEnabled() {
+    return [this.maxFiles, this.maxLinesAdded, this.maxLinesRemoved, this.maxFilesDeleted, this.maxRewriteRatio]
+      .some(limit => limit !== null);
+  }
+
+  /**
+   * Check change statistics against the limits
+   * @param {Object} stats - From measure() or combine()
+   * @returns {Array<string>} Why the changes are over the limits (empty if within)
+   */
+  check(stats) {
+    const exceeded = [];
+    const over = (value, limit, what, key) => {
+      if (limit !== null && value > limit) {
+        exceeded.push(`${value} ${what}, more than the limit of ${limit} (limits.${key})`);
+      }
+    };
+
+    over(stats.files.length, this.maxFiles, 'files changed', 'maxFiles');
+    over(stats.linesAdded, this.maxLinesAdded, 'lines added', 'maxLinesAdded');
+    over(stats.linesRemoved, this.maxLinesRemoved, 'lines removed', 'maxLinesRemoved');
+    over(stats.filesDeleted.length, this.maxFilesDeleted, 'files deleted', 'maxFilesDeleted');
+
+    if (this.maxRewriteRatio !== null) {
+      for (const rewrite of stats.rewrites) {
+        if (rewrite.oldLines >= MIN_LINES_FOR_RATIO && rewrite.ratio > this.maxRewriteRatio) {
+          exceeded.push(`${rewrite.file} rewritten: ${rewrite.removed} of its ${rewrite.oldLines} lines replaced (${Math.round(rewrite.ratio * 100)}%), ` +
+            `more than the limit of ${Math.round(this.maxRewriteRatio * 100)}% (limits.maxRewriteRatio)`);
+        }
+      }
+    }
+
+    return exceeded;
+  }
+
+  /**
+   * Measure a set of file changes
+   * @param {Array} files - [{ filePath, oldContent, newContent, movedTo }]; null content means the file does not exist
+   * @returns {Object} { files, filesDeleted, linesAdded, linesRemoved, rewrites: [{ file, oldLines, removed, ratio }] }
+   */
+  static measure(files) {
+    const stats = ChangeLimits.emptyStats();
+    const sources = new Map(files.filter(file => file.movedTo).map(file => [file.movedTo, file]));
+
+    for (const file of files) {
+      // A renamed file counts once, compared with the file it was moved from
+      if (file.movedTo) {
+        continue;
+      }
+      const { filePath, newContent } = file;
+      const oldContent = file.oldContent === null && sources.has(filePath) ? sources.get(filePath).oldContent : file.oldContent;
+
+      const { added, removed } = ChangeLimits.countLineChanges(oldContent, newContent);
+      stats.files.push(filePath);
+      stats.linesAdded += added;
+      stats.linesRemoved += removed;
+
+      if (newContent === null) {
+        stats.filesDeleted.push(filePath);
+      } else if (oldContent !== null) {
+        const oldLines = ChangeLimits.splitLines(oldContent).length;
+        stats.rewrites.push({ file: filePath, oldLines, removed, ratio: oldLines > 0 ? removed / oldLines : 0 });
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Statistics for no changes
+   */
+  static emptyStats() {
+    return { files: [], filesDeleted: [], linesAdded: 0, linesRemoved: 0, rewrites: [] };
+  }
+
+  /**
+   * Add up the statistics of two sets of changes (e.g. two workspaces)
+   */
+  static combine(a, b) {
+    return {
+      files: [...a.files, ...b.files],
+      filesDeleted: [...a.filesDeleted, ...b.filesDeleted],
+      linesAdded: a.linesAdded + b.linesAdded,
+      linesRemoved: a.linesRemoved + b.linesRemoved,
+      rewrites: [...a.rewrites, ...b.rewrites]
+    };
+  }
+
+  /**
+   * Count added and removed lines between two versions of a file
+   * Lines are compared as a multiset, so moved lines count as unchanged.
+   * @param {string|null} oldContent - null if the file did not exist
+   * @param {string|null} newContent - null if the file was deleted
+   * @returns {Object} { added, removed }
+   */
+  static countLineChanges(oldContent, newContent) {
+    const remaining = new Map();
+    for (const line of ChangeLimits.splitLines(oldContent)) {
+      remaining.set(line, (remaining.get(line) || 0) + 1);
+    }
+
+    let added = 0;
+    for (const line of ChangeLimits.splitLines(newContent)) {
+      const count = remaining.get(line) || 0;
+      if (count > 0) {
+        remaining.set(line, count - 1);
+      } else {
+        added++;
+      }
+    }
+
+    let removed = 0;
+    for (const count of remaining.values()) {
+      removed += count;
+    }
+
+    return { added, removed };
+  }
+
+  /**
+   * Lines of file content (none for a missing or empty file)
+   */
+  static splitLines(content) {
+    if (!content) {
+      return [];
+    }
+    return content.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+  }
+}
+
+module.exports = ChangeLimits;
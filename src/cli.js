@@ -23,13 +23,17 @@ program
   .option('-m, --max-iterations <num>', 'Maximum iterations', '20')
   .option('-v, --verbose', 'Verbose output')
   .option('-q, --quiet', 'Minimal output (only errors and final result)')
+  .option('--json', 'Print progress as newline-delimited JSON events instead of text')
   .option('-f, --fast', 'Fast mode: use quicker model (Sonnet) with shorter responses')
   .option('--dry-run', 'Show what would change without modifying files')
+  .option('--interactive', 'Review and approve each change before it is written')
   .option('--auto-commit', 'Automatically commit changes after each iteration')
   .option('--watch', 'Watch PROMPT.md for changes and auto-restart loop')
   .option('--files <patterns>', 'Glob patterns for files to include (comma-separated)')
   .option('--convergence-threshold <num>', 'Convergence threshold (0.0 to 1.0)', '0.02')
   .option('--continue', 'Continue from previous session if available')
+  .option('--max-tokens <num>', 'Stop when the session has used this many tokens')
+  .option('--max-cost <usd>', 'Stop when the session has cost this many US dollars')
   // Chat notification options
   .option('--chat-provider <name>', 'Chat service provider (slack, whatsapp)')
   .option('--channel <name>', 'Slack channel to send notifications (e.g., #general)')
@@ -214,6 +218,19 @@ program
     await summaryCommand(options);
   });
 
+// Context command - inspect what the model will see
+program
+  .command('context')
+  .description('Show which files the next iteration sends to the model, and why')
+  .option('-p, --prompt <file>', 'Prompt file to use', 'PROMPT.md')
+  .option('-P, --provider <name>', 'AI provider (claude, claude-cli, ai-sdk)', process.env.WIGGUMIZER_PROVIDER)
+  .option('--files <patterns>', 'Glob patterns for files to include (comma-separated)')
+  .option('--json', 'Print the selection as JSON')
+  .action(async (options) => {
+    const contextCommand = require('./commands/context');
+    await contextCommand(options);
+  });
+
 // Listen command - interactive chat mode
 program
   .command('listen')
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const RalphLoop = require('../loop');
+const ConfigLoader = require('../config');
+const SummaryGenerator = require('../summary-generator');
+const WorkspaceManager = require('../workspace-manager');
+
+// How each reason for leaving a file out is shown
+const REASONS = {
+  budget: 'over the token/size budget',
+  'max-files': 'over the file-count cap (context.maxFiles)',
+  exclude: 'matched an exclude glob',
+  include: 'matched no include glob',
+  extension: 'not a source, config or doc file of the detected ecosystems',
+  gitignore: 'ignored (.gitignore, .git/info/exclude, .wiggumizerignore)'
+};
+
+async function contextCommand(cliOptions) {
+  const json = cliOptions.json || false;
+
+  // Load configuration the way "wiggumize run" does
+  const config = ConfigLoader.loadWithFiles(cliOptions);
+
+  const promptPath = path.resolve(process.cwd(), config.prompt || 'PROMPT.md');
+  const prompt = fs.existsSync(promptPath) ? fs.readFileSync(promptPath, 'utf-8') : '';
+  if (!prompt && !json) {
+    console.log(chalk.yellow(`⚠ Prompt file not found: ${config.prompt || 'PROMPT.md'} (files are ranked without it)\n`));
+  }
+
+  const filePatterns = RalphLoop.resolveFilePatterns(
+    config.files || {},
+    SummaryGenerator.parsePromptMetadata(prompt),
+    !config.filesFromCli
+  );
+
+  // Offline: only the prompt size and the model's context window are needed, not an API key
+  let provider;
+  try {
+    provider = RalphLoop.createProvider({
+      provider: config.provider,
+      providerConfig: config.providers,
+      editFormat: config.editFormat,
+      offline: true
+    });
+  } catch (error) {
+    console.error(chalk.red(`✗ ${error.message}`));
+    process.exit(1);
+  }
+
+  // Same selection as the first iteration of a run (the token budget only applies to a single repo)
+  const tokenBudget = typeof provider.getFileTokenBudget === 'function'
+    ? context => provider.getFileTokenBudget({ prompt, context, iteration: 1 })
+    : null;
+  const workspaceManager = new WorkspaceManager({
+    workspaces: config.workspaces,
+    files: filePatterns,
+    context: config.context,
+    verbose: config.verbose
+  });
+  const context = workspaceManager.getCodebaseContext({ relevance: { prompt }, tokenBudget, explain: true });
+  const candidates = context.candidates || [];
+
+  if (json) {
+    console.log(JSON.stringify({
+      provider: config.provider || 'claude',
+      model: provider.modelName || provider.model || null,
+      files: filePatterns,
+      workspaces: context.isMultiRepo ? context.workspaces : null,
+      limits: config.context,
+      tokens: context.tokens,
+      candidates,
+      repoMap: context.repoMap,
+      breadcrumbs: context.breadcrumbs || null,
+      isGitRepo: context.isGitRepo,
+      gitLog: context.gitLog,
+      gitStatus: context.gitStatus,
+      iterationHistory: context.iterationHistory
+    }, null, 2));
+    return;
+  }
+
+  const included = candidates.filter(c => c.included);
+  const excluded = candidates.filter(c => !c.included);
+
+  console.log(chalk.bold.blue('\n🔎 Context for the next iteration\n'));
+  let tokens = chalk.dim(' (no token budget for this provider)');
+  if (context.isMultiRepo) {
+    tokens = chalk.dim(' (no token budget in multi-repo mode)');
+  } else if (context.tokens) {
+    tokens = `, ~${context.tokens.files.toLocaleString()} of ${context.tokens.budget.toLocaleString()} tokens`;
+  }
+  console.log(chalk.cyan('Provider:') + ` ${config.provider || 'claude'}`);
+  if (context.isMultiRepo) {
+    console.log(chalk.cyan('Workspaces:') + ` ${context.workspaces.map(w => w.name).join(', ')}`);
+  }
+  console.log(chalk.cyan('Files:') + ` ${included.length} included${tokens}, ${excluded.length} left out\n`);
+
+  console.log(chalk.bold(`Included (${included.length}):`));
+  for (const file of included) {
+    console.log(`  ${chalk.green('✓')} ${file.path}` +
+      chalk.dim(` ${formatSize(file.size)}, ~${formatTokens(file.tokens)} tokens, priority ${file.priority}`));
+    console.log(chalk.dim(`      ${formatBreakdown(file.breakdown)}${formatLink(file.link)}`));
+  }
+  if (included.length === 0) {
+    console.log(chalk.dim('  (none)'));
+  }
+
+  for (const reason of Object.keys(REASONS)) {
+    const files = excluded.filter(c => c.reason === reason);
+    if (files.length === 0) continue;
+
+    console.log(chalk.bold(`\nLeft out - ${REASONS[reason]} (${files.length}):`));
+    for (const file of files) {
+      const detail = file.size !== null
+        ? chalk.dim(` ${formatSize(file.size)}, ~${formatTokens(file.tokens)} tokens, priority ${file.priority}`)
+        : '';
+      const outlined = file.outlined ? chalk.cyan(' [outlined]') : '';
+      console.log(`  ${chalk.red('✗')} ${file.path}${detail}${outlined}`);
+    }
+  }
+
+  console.log(chalk.bold('\nBreadcrumbs (ralph-notes.md):'));
+  console.log(context.breadcrumbs ? indent(context.breadcrumbs) : chalk.dim('  (none)'));
+
+  // Multi-repo runs send no history, so there is none to show
+  if (context.isMultiRepo) {
+    console.log();
+    return;
+  }
+
+  if (context.isGitRepo) {
+    console.log(chalk.bold('\nGit history:'));
+    console.log(context.gitLog ? indent(context.gitLog) : chalk.dim('  (no commits)'));
+    console.log(chalk.bold('\nGit status:'));
+    console.log(context.gitStatus ? indent(context.gitStatus) : chalk.dim('  (clean)'));
+  } else {
+    console.log(chalk.bold('\nIteration history:'));
+    console.log(context.iterationHistory ? indent(context.iterationHistory) : chalk.dim('  (none)'));
+  }
+
+  console.log();
+}
+
+function formatSize(bytes) {
+  return bytes < 1024 ? `${bytes}B` : `${(bytes / 1024).toFixed(1)}KB`;
+}
+
+function formatTokens(tokens) {
+  return tokens === null ? '?' : tokens.toLocaleString();
+}
+
+// "tier 100, size +15, recency +20, mentioned +40", leaving out zero points
+function formatBreakdown(breakdown = {}) {
+  const parts = Object.entries(breakdown)
+    .filter(([, points]) => points)
+    .map(([name, points]) => `${name} ${points > 0 ? '+' : ''}${points}`);
+  return parts.length > 0 ? parts.join(', ') : 'no bonuses';
+}
+
+// Why a file was pulled in by the import graph, worded as the run's ranking log does
+function formatLink(link) {
+  if (!link) return '';
+  if (link.seed) return ' · named in prompt';
+  return ` · imports link to ${link.from}${link.distance > 1 ? ` (${link.distance} steps from the prompt)` : ''}`;
+}
+
+function indent(text) {
+  return text.split('\n').map(line => `  ${line}`).join('\n');
+}
+
+module.exports = contextCommand;
@@ -35,6 +35,7 @@ async function multiRunCommand(cliOptions) {
   // Create workspace manager
   const manager = new WorkspaceManager({
     workspaces: config.workspaces,
+    files: config.files,
     verbose: config.verbose
   });
 
@@ -96,6 +97,14 @@ async function multiRunCommand(cliOptions) {
     workspaces: config.workspaces, // Pass workspaces to loop
     filePatterns: config.files,
     contextLimits: config.context,
+    validation: config.validation,
+    rollback: config.rollback,
+    editFormat: config.editFormat,
+    transactional: config.transactional,
+    repairAttempts: config.repairAttempts,
+    limits: config.limits,
+    scope: config.scope,
+    budget: config.budget,
     retry: config.retry,
     rateLimit: config.rateLimit,
     providerConfig: config.providers,
@@ -3,12 +3,15 @@ const path = require('path');
 const chalk = require('chalk');
 const ora = require('ora');
 const RalphLoop = require('../loop');
+const JsonReporter = require('../json-reporter');
 const ConfigLoader = require('../config');
 const SummaryGenerator = require('../summary-generator');
 const IterationLogger = require('../iteration-logger');
 
 async function runCommand(cliOptions) {
-  const quiet = cliOptions.quiet || false;
+  // --json keeps stdout for events only
+  const json = cliOptions.json || false;
+  const quiet = cliOptions.quiet || json;
 
   if (!quiet) {
     const packageJson = require('../../package.json');
@@ -16,8 +19,8 @@ async function runCommand(cliOptions) {
     console.log(chalk.dim('Ralph Wiggum style AI coding automation\n'));
   }
 
-  // Load and merge configuration
-  const config = ConfigLoader.load(cliOptions);
+  // Load and merge configuration (--files replaces files.include)
+  const config = ConfigLoader.loadWithFiles(cliOptions);
 
   // Handle --fast option - apply fast mode overrides
   if (cliOptions.fast) {
@@ -49,18 +52,45 @@ async function runCommand(cliOptions) {
     }
   }
 
-  // Handle --files option (comma-separated patterns)
-  if (cliOptions.files) {
-    const patterns = cliOptions.files.split(',').map(p => p.trim());
-    config.files = config.files || {};
-    config.files.include = patterns;
-  }
-
   // Handle --convergence-threshold option
   if (cliOptions.convergenceThreshold) {
     config.convergenceThreshold = parseFloat(cliOptions.convergenceThreshold);
   }
 
+  // Handle --max-tokens / --max-cost options (session budget); Number() rejects "100k" where parseInt would read 100
+  if (cliOptions.maxTokens) {
+    const maxTokens = Number(cliOptions.maxTokens);
+    if (!Number.isInteger(maxTokens) || maxTokens <= 0) {
+      console.error(chalk.red(`✗ --max-tokens must be a positive whole number (got "${cliOptions.maxTokens}")`));
+      process.exit(1);
+    }
+    config.budget = { ...config.budget, maxTokens };
+  }
+  if (cliOptions.maxCost) {
+    const maxCost = Number(cliOptions.maxCost);
+    if (!Number.isFinite(maxCost) || maxCost <= 0) {
+      console.error(chalk.red(`✗ --max-cost must be a positive number of dollars (got "${cliOptions.maxCost}")`));
+      process.exit(1);
+    }
+    config.budget = { ...config.budget, maxCost };
+  }
+
+  // --interactive needs a terminal to ask questions on
+  if (config.interactive && !config.dryRun && json) {
+    console.error(chalk.red('✗ --interactive cannot be combined with --json'));
+    process.exit(1);
+  }
+  if (config.interactive && !config.dryRun && !process.stdin.isTTY) {
+    console.error(chalk.red('✗ --interactive requires an interactive terminal (stdin is not a TTY)'));
+    process.exit(1);
+  }
+
+  // Asking about scope drift would write to stdout and wait on stdin; with --json, report drift instead
+  if (json && config.scope?.onDrift === 'ask') {
+    console.error(chalk.yellow('⚠ scope.onDrift "ask" cannot be combined with --json; using "warn"'));
+    config.scope = { ...config.scope, onDrift: 'warn' };
+  }
+
   // Handle chat provider options
   if (cliOptions.chatProvider) {
     config.chatProvider = cliOptions.chatProvider;
@@ -124,6 +154,12 @@ async function runCommand(cliOptions) {
     }
     console.log(chalk.cyan('Prompt:') + ` ${config.prompt || 'PROMPT.md'}`);
     console.log(chalk.cyan('Max iterations:') + ` ${config.maxIterations}`);
+    if (config.budget?.maxTokens) {
+      console.log(chalk.cyan('Max tokens:') + ` ${config.budget.maxTokens.toLocaleString()}`);
+    }
+    if (config.budget?.maxCost) {
+      console.log(chalk.cyan('Max cost:') + ` $${config.budget.maxCost}`);
+    }
     if (config.convergenceThreshold) {
       console.log(chalk.cyan('Convergence threshold:') + ` ${(config.convergenceThreshold * 100).toFixed(1)}%`);
     }
@@ -132,20 +168,22 @@ async function runCommand(cliOptions) {
 
   // Watch mode
   if (cliOptions.watch) {
-    await runWatchMode(promptPath, config, quiet);
+    await runWatchMode(promptPath, config, quiet, json);
     return;
   }
 
   // Normal run mode
-  await runOnce(prompt, config, quiet, resumeState);
+  await runOnce(prompt, config, quiet, resumeState, json);
 }
 
 /**
- * Find the most recent incomplete session to resume
+ * Find the most recent session to resume
+ * Sessions that were interrupted have no summary, so state is rebuilt from
+ * their iteration logs.
  */
 function findPreviousSession(quiet) {
   const sessions = IterationLogger.getSessions();
-  
+
   if (sessions.length === 0) {
     if (!quiet) {
       console.log(chalk.yellow('⚠ No previous sessions found to resume'));
@@ -155,37 +193,31 @@ function findPreviousSession(quiet) {
 
   // Find the most recent session
   const mostRecent = sessions[0];
-  
-  if (!mostRecent.summary) {
-    if (!quiet) {
-      console.log(chalk.yellow('⚠ Most recent session has no summary, starting fresh'));
-    }
-    return null;
-  }
-
-  // Check if the session was incomplete (didn't converge and didn't hit max iterations)
   const summary = mostRecent.summary;
-  
+
   // Get iteration details
   const iterations = IterationLogger.getIterations(mostRecent.sessionId);
   const lastIteration = iterations.length > 0 ? iterations[iterations.length - 1] : null;
 
+  if (!summary && !lastIteration) {
+    if (!quiet) {
+      console.log(chalk.yellow('⚠ Most recent session has no iterations, starting fresh'));
+    }
+    return null;
+  }
+
   return {
     sessionId: mostRecent.sessionId,
     sessionDir: mostRecent.path,
-    lastIteration: summary.totalIterations || 0,
-    filesModified: summary.filesModified || 0,
-    converged: summary.converged || false,
+    lastIteration: lastIteration ? lastIteration.iteration : (summary.totalIterations || 0),
+    filesModified: iterations.reduce((sum, entry) => sum + (entry.filesModified || 0), 0),
+    converged: summary ? (summary.converged || false) : Boolean(lastIteration.convergence),
     lastIterationData: lastIteration
   };
 }
 
-async function runOnce(prompt, config, quiet, resumeState = null) {
-  // Adjust starting iteration if resuming
-  let startIteration = 1;
+async function runOnce(prompt, config, quiet, resumeState = null, json = false) {
   if (resumeState) {
-    startIteration = resumeState.lastIteration + 1;
-    
     // If previous session converged, no need to continue
     if (resumeState.converged) {
       if (!quiet) {
@@ -200,13 +232,24 @@ async function runOnce(prompt, config, quiet, resumeState = null) {
     prompt,
     provider: config.provider,
     maxIterations: config.maxIterations,
-    startIteration,
+    resumeSession: resumeState ? resumeState.sessionId : null,
     verbose: config.verbose && !quiet,
+    silent: json,
     dryRun: config.dryRun,
+    interactive: config.interactive,
+    editFormat: config.editFormat,
+    transactional: config.transactional,
+    repairAttempts: config.repairAttempts,
+    limits: config.limits,
+    scope: config.scope,
     autoCommit: config.autoCommit,
     convergenceThreshold: config.convergenceThreshold,
     filePatterns: config.files,
+    promptFilePatterns: !config.filesFromCli,
     contextLimits: config.context,
+    validation: config.validation,
+    rollback: config.rollback,
+    budget: config.budget,
     retry: config.retry,
     rateLimit: config.rateLimit,
     providerConfig: config.providers,
@@ -221,6 +264,10 @@ async function runOnce(prompt, config, quiet, resumeState = null) {
     chatProviderConfig: config.chatProviderConfig
   });
 
+  if (json) {
+    new JsonReporter().attach(loop);
+  }
+
   try {
     const result = await loop.run();
 
@@ -275,10 +322,13 @@ async function runOnce(prompt, config, quiet, resumeState = null) {
   }
 }
 
-async function runWatchMode(promptPath, config, quiet) {
-  console.log(chalk.blue('👀 Watch mode enabled'));
-  console.log(chalk.dim(`Watching ${promptPath} for changes...`));
-  console.log(chalk.dim('Press Ctrl+C to stop\n'));
+async function runWatchMode(promptPath, config, quiet, json = false) {
+  // Watch mode chatter goes to stderr when stdout carries JSON events
+  const log = json ? console.error : console.log;
+
+  log(chalk.blue('👀 Watch mode enabled'));
+  log(chalk.dim(`Watching ${promptPath} for changes...`));
+  log(chalk.dim('Press Ctrl+C to stop\n'));
 
   let isRunning = false;
   let pendingRun = false;
@@ -293,11 +343,11 @@ async function runWatchMode(promptPath, config, quiet) {
 
     try {
       const prompt = fs.readFileSync(promptPath, 'utf-8');
-      console.log(chalk.blue('\n─'.repeat(50)));
-      console.log(chalk.blue('Starting new loop run...'));
-      console.log(chalk.blue('─'.repeat(50) + '\n'));
+      log(chalk.blue('\n─'.repeat(50)));
+      log(chalk.blue('Starting new loop run...'));
+      log(chalk.blue('─'.repeat(50) + '\n'));
 
-      await runOnce(prompt, config, quiet);
+      await runOnce(prompt, config, quiet, null, json);
     } catch (error) {
       console.error(chalk.red('Error in loop:'), error.message);
     } finally {
@@ -305,10 +355,10 @@ async function runWatchMode(promptPath, config, quiet) {
 
       if (pendingRun) {
         pendingRun = false;
-        console.log(chalk.yellow('\nPrompt changed during run, restarting...'));
+        log(chalk.yellow('\nPrompt changed during run, restarting...'));
         setTimeout(runLoop, 1000);
       } else {
-        console.log(chalk.dim('\nWaiting for changes to PROMPT.md...'));
+        log(chalk.dim('\nWaiting for changes to PROMPT.md...'));
       }
     }
   };
@@ -331,7 +381,7 @@ async function runWatchMode(promptPath, config, quiet) {
         try {
           const currentMtime = fs.statSync(promptPath).mtime.getTime();
           if (currentMtime > lastMtime) {
-            console.log(chalk.yellow('\n📝 PROMPT.md changed, triggering new run...'));
+            log(chalk.yellow('\n📝 PROMPT.md changed, triggering new run...'));
             runLoop();
           }
         } catch (error) {
@@ -16,10 +16,27 @@ class ConfigLoader {
       autoCommit: false,
       verbose: false,
       dryRun: false,
+      interactive: false, // Ask for approval before writing each iteration's changes
       fast: false, // Fast mode: use quicker model with shorter responses
+      editFormat: 'diff', // How the AI writes changes: 'diff' or 'search-replace'
+      transactional: true, // Write nothing unless all of a response's changes apply
+      repairAttempts: 2, // Times per iteration to ask the AI to redo changes that failed to apply
+      // Caps on how much one iteration may change (null = no limit)
+      limits: {
+        maxFiles: null,        // Files created, modified or deleted
+        maxLinesAdded: null,
+        maxLinesRemoved: null,
+        maxFilesDeleted: null,
+        maxRewriteRatio: null  // Max fraction (0-1) of an existing file's lines replaced (files of 20+ lines)
+      },
+      scope: {
+        onDrift: 'warn' // Changes outside PROMPT.md's `scope:` globs: 'warn', 'revert' or 'ask'
+      },
       context: {
-        maxSize: 100000, // 100KB max context size
-        maxFiles: 50     // Max 50 files
+        maxSize: null,   // Optional byte cap; the files get what the request leaves of the model's context window
+        maxFiles: 50,    // Max 50 files
+        importDepth: 1,  // Import edges followed from the files the prompt names (0: off)
+        repoMapShare: 0.1 // Share of the limits for an outline of the files left out (0: off)
       },
       // Validation configuration - runs before convergence
       validation: {
@@ -31,6 +48,8 @@ class ConfigLoader {
         requireBuildSuccess: true, // Require build to succeed for convergence
         timeout: 300000,           // 5 minutes timeout for validation commands
         autoDetect: true,          // Automatically detect project type and commands
+        runEachIteration: false,   // Also run checks after every iteration that changes files; results go into the next prompt
+        syntaxCheck: true,         // Reject edits that leave a file with a syntax error (checked before writing)
         customChecks: []           // Custom validation commands
         // Example customChecks:
         // [
@@ -38,8 +57,20 @@ class ConfigLoader {
         //   { name: 'Lint', command: 'eslint src/', required: false }
         // ]
       },
+      // Automatic rollback - reverts an iteration that makes things worse
+      rollback: {
+        enabled: false,               // Turn on automatic rollback
+        onValidationRegression: true, // Revert when a required check that passed now fails
+        onPartialApply: true          // Revert when only some of the diffs could be applied
+      },
+      // Session budget - the loop stops with "budget exhausted" when a limit is reached
+      budget: {
+        maxTokens: null, // Max tokens (input + output + cache) per session
+        maxCost: null,   // Max cost in USD per session
+        prices: {}       // Extra model prices, USD per million tokens: { 'model': { input, output } }
+      },
       files: {
-        include: ['**/*'], // Include all files, filter by extension in FileSelector
+        include: ['**/*'], // Include all files, filtered by the project's ecosystems in FileSelector
         exclude: [
           'node_modules/**',
           '.git/**',
@@ -53,7 +84,11 @@ class ConfigLoader {
           'package-lock.json',
           'yarn.lock',
           '*.log'
-        ]
+        ],
+        // Write policy: files the AI can read but not change (.git is always protected;
+        // paths outside the workspace are always blocked)
+        protected: ['.wiggumizer.yml', '.wiggumizer/iterations/**', '.env'],
+        allowDeletes: false // Let the AI delete files
       },
       workspaces: null, // Multi-repo support: array of workspace configs
       retry: {
@@ -128,6 +163,25 @@ class ConfigLoader {
     return merged;
   }
 
+  /**
+   * Load configuration for a command with a --files option
+   * --files (comma-separated patterns) replaces files.include and takes precedence
+   * over PROMPT.md frontmatter (filesFromCli); merged as is it would replace the
+   * whole files section.
+   */
+  static loadWithFiles(cliOptions = {}) {
+    const { files: filesOption, ...configOptions } = cliOptions;
+    const config = ConfigLoader.load(configOptions);
+
+    if (filesOption) {
+      const patterns = filesOption.split(',').map(p => p.trim()).filter(Boolean);
+      config.files = { ...config.files, include: patterns };
+      config.filesFromCli = true;
+    }
+
+    return config;
+  }
+
   /**
    * Load user config from ~/.wiggumizer.yml
    */
@@ -230,6 +284,36 @@ autoCommit: false
 # Can also be enabled with --fast flag
 fast: false
 
+# How the AI writes its changes (claude and ai-sdk providers)
+#   diff           - unified diffs, located by line numbers
+#   search-replace - SEARCH/REPLACE blocks, located by exact content;
+#                    more reliable on large files where line numbers drift
+# Both formats are always applied; this only sets which one is asked for
+editFormat: diff
+
+# Apply each response all-or-nothing: if any change fails, no file is written
+# Original copies of changed files are kept in the session's log directory
+transactional: true
+
+# When some changes fail to apply, ask the AI to redo just those - with the
+# error and the current file content - up to this many times per iteration
+# (0 turns repairs off)
+repairAttempts: 2
+
+# Caps on how much one iteration may change (null = no limit). An iteration
+# over a cap is not written (claude-cli: reverted) and the AI is told why.
+limits:
+  maxFiles: null         # Files created, modified or deleted
+  maxLinesAdded: null
+  maxLinesRemoved: null
+  maxFilesDeleted: null
+  maxRewriteRatio: null  # Max fraction of an existing file's lines replaced, e.g. 0.5 (files of 20+ lines)
+
+# What to do when an iteration changes files outside the \`scope:\` globs in
+# PROMPT.md's frontmatter: warn (keep them), revert, or ask
+scope:
+  onDrift: warn
+
 # Validation - runs before declaring convergence
 # Ensures work is actually complete and functional
 validation:
@@ -248,6 +332,15 @@ validation:
 
   timeout: 300000              # 5 minute timeout for validation commands
 
+  # Run the checks after every iteration that changes files and feed
+  # failures (failing tests, compiler errors, exit codes) into the next prompt
+  runEachIteration: false
+
+  # Check the syntax of every changed file before it is written
+  # (JS, TS/TSX with the project's TypeScript, JSON, YAML, Python) and
+  # reject edits that would break it; the errors go into the next prompt
+  syntaxCheck: true
+
   # Custom validation checks (optional)
   # Language-agnostic examples:
   # customChecks:
@@ -283,16 +376,32 @@ validation:
   #     command: "gofmt -l ."
   #     required: false
 
+# Automatic rollback - reverts an iteration that makes things worse
+# The reason is fed back to the AI on the next iteration
+rollback:
+  enabled: false                # Turn on automatic rollback
+  onValidationRegression: true  # Revert when a required check that passed before now fails
+  onPartialApply: true          # Revert when only some of the diffs could be applied
+
+# Session budget - the loop stops with "budget exhausted" when a limit is reached
+# Can also be set with --max-tokens / --max-cost
+budget:
+  maxTokens: null   # Max tokens (input + output + cache) per session
+  maxCost: null     # Max cost in USD per session
+
 # Context limits
 context:
-  maxSize: 100000  # Maximum context size in bytes (100KB)
+  maxSize: null    # Optional cap in bytes; by default the files get what the request leaves of the model's context window
   maxFiles: 50     # Maximum number of files to include
+  importDepth: 1   # Also send files importing or imported by the files the prompt names (0: off)
+  repoMapShare: 0.1 # Share of the context used to outline the files that don't fit (0: off)
 
 # File patterns
-# Note: .gitignore is automatically respected
+# Note: .gitignore files (at any level) and .git/info/exclude are automatically respected;
+# list paths to hide from the AI without touching Git in .wiggumizerignore (same syntax)
 files:
   include:
-    - "**/*"  # Include all files (filtered by default extensions)
+    - "**/*"  # Include the source, config and docs of the languages detected in the project
     # Or specify exact patterns:
     # - "src/**/*.js"
     # - "src/**/*.ts"
@@ -311,6 +420,14 @@ files:
     - "package-lock.json"
     - "yarn.lock"
     - "*.log"
+  # Files the AI can read but not change. Patterns without a slash match at
+  # any depth. .git internals and paths outside the workspace are always blocked.
+  protected:
+    - ".wiggumizer.yml"
+    - ".wiggumizer/iterations/**"
+    - ".env"
+  # Let the AI delete files (blocked deletions are reported back to it)
+  allowDeletes: false
 
 # Multi-repo workspace support
 # Uncomment to work across multiple repositories
@@ -343,6 +460,7 @@ providers:
   claude:
     model: claude-opus-4-5-20251101
     maxTokens: 16384  # Claude Opus 4.5 supports up to 32K output tokens
+    # contextWindow: 200000  # Tokens the model accepts; known models are looked up
 
   openai:
     model: gpt-5
@@ -366,6 +484,7 @@ providers:
   #     provider: openai              # AI SDK provider name
   #     model: gpt-4o                 # Model for that provider
   #     maxTokens: 16384
+  #     contextWindow: 32768          # For models not known to Wiggumizer (e.g. local ones)
 
 # Chat service notifications
 # Send notifications to Slack/WhatsApp on completion or errors
@@ -44,6 +44,38 @@ class ConvergenceAnalyzer {
     return record;
   }
 
+  /**
+   * Rebuild history from logged iterations (when resuming a session)
+   * @param {Array<Object>} iterations - Entries from IterationLogger.getIterations(), oldest first
+   */
+  restoreHistory(iterations) {
+    this.reset();
+
+    for (const entry of iterations) {
+      // Failed iterations were never recorded
+      if (entry.error) {
+        continue;
+      }
+
+      if (entry.fileHashes) {
+        this.fileHashes = new Map(Object.entries(entry.fileHashes));
+        this.hashHistory.push(new Map(this.fileHashes));
+      }
+
+      this.iterationHistory.push({
+        iteration: entry.iteration,
+        filesModified: entry.filesModified || 0,
+        filesList: entry.files || [],
+        responseHash: this.hashString(entry.response?.raw || ''),
+        timestamp: entry.timestamp ? Date.parse(entry.timestamp) : Date.now()
+      });
+    }
+
+    // Same limits as live tracking
+    this.iterationHistory = this.iterationHistory.slice(-10);
+    this.hashHistory = this.hashHistory.slice(-10);
+  }
+
   /**
    * Update file hashes based on current codebase state
    */
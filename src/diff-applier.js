@@ -1,48 +1,100 @@
 const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
+const FileValidator = require('./validator');
+const WritePolicy = require('./write-policy');
+
+// SEARCH/REPLACE edit block markers
+const SEARCH_MARKER = /^<{5,9} SEARCH\s*$/;
+const DIVIDER_MARKER = /^={5,9}\s*$/;
+const REPLACE_MARKER = /^>{5,9} REPLACE\s*$/;
 
 /**
  * Parse and apply unified diff format changes
  * Language-agnostic diff handler
+ *
+ * Also applies SEARCH/REPLACE edit blocks, which locate the text to change by
+ * its exact content instead of by line number:
+ *
+ *   path/to/file.js
+ *   <<<<<<< SEARCH
+ *   existing lines
+ *   =======
+ *   replacement lines
+ *   >>>>>>> REPLACE
  */
 class DiffApplier {
   /**
    * Parse unified diff text into structured changes
+   *
+   * Understands git's extended headers too (diff --git, new/deleted file mode,
+   * old/new mode, rename/copy from/to, similarity index), so a file diff can
+   * rename, copy or chmod a file with or without hunks.
+   *
    * @param {string} diffText - Raw diff output from AI
-   * @returns {Array} Array of { filePath, hunks: [{oldStart, oldLines, newStart, newLines, lines}] }
+   * @returns {Array} Array of { oldPath, newPath, hunks: [{oldStart, oldLines, newStart, newLines, lines}],
+   *   isNew, isDeleted, isRename, isCopy, oldMode, newMode, similarity, isBinary }
    */
   static parseDiff(diffText) {
     const files = [];
     let currentFile = null;
     let currentHunk = null;
+    let inGitHeader = false; // Between "diff --git" and the first hunk
+    let headerPaths = false; // The git header's ---/+++ lines were seen
+
+    const lines = diffText.split('\n').map(line => line.replace(/\r$/, ''));
+
+    const finishFile = () => {
+      if (currentHunk && currentFile) {
+        currentFile.hunks.push(currentHunk);
+      }
+      currentHunk = null;
 
-    const lines = diffText.split('\n');
+      // Git headers can describe a change without hunks (rename, mode, empty file)
+      if (currentFile && (currentFile.hunks.length > 0 || currentFile.isGit)) {
+        files.push(currentFile);
+      }
+      currentFile = null;
+    };
 
     for (let i = 0; i < lines.length; i++) {
       const line = lines[i];
 
-      // Match: --- a/path/to/file or --- /dev/null
-      if (line.startsWith('--- ')) {
-        // Push current hunk if exists
-        if (currentHunk && currentFile) {
-          currentFile.hunks.push(currentHunk);
-          currentHunk = null;
-        }
+      // Match: diff --git a/path b/path
+      const gitMatch = line.match(/^diff --git (?:a\/)?(.+?) (?:b\/)?(\S.*)$/);
+      if (gitMatch) {
+        finishFile();
+        const [oldPath, newPath] = DiffApplier.splitGitPaths(line.substring('diff --git '.length)) || [gitMatch[1], gitMatch[2]];
+        currentFile = DiffApplier.createFileDiff(oldPath, newPath);
+        currentFile.isGit = true;
+        inGitHeader = true;
+        headerPaths = false;
+        continue;
+      }
 
-        // Push current file if exists
-        if (currentFile && currentFile.hunks.length > 0) {
-          files.push(currentFile);
+      if (inGitHeader && currentFile) {
+        const header = DiffApplier.parseGitHeader(line, currentFile);
+        if (header) {
+          continue;
         }
+      }
 
-        const oldPath = line.substring(4).trim();
-        currentFile = {
-          oldPath: oldPath === '/dev/null' ? null : oldPath.replace(/^a\//, ''),
-          newPath: null,
-          hunks: [],
-          isNew: oldPath === '/dev/null',
-          isDeleted: false
-        };
+      // Match: --- a/path/to/file or --- /dev/null (only as a header, followed by +++)
+      if (line.startsWith('--- ') && (lines[i + 1] || '').startsWith('+++ ')) {
+        const oldPath = DiffApplier.stripDiffPath(line.substring(4), 'a/');
+
+        if (inGitHeader && currentFile && !headerPaths) {
+          // Paths from "diff --git" are already known; /dev/null marks new files
+          if (oldPath === null) {
+            currentFile.oldPath = null;
+            currentFile.isNew = true;
+          }
+        } else {
+          finishFile();
+          inGitHeader = false;
+          currentFile = DiffApplier.createFileDiff(oldPath, null);
+          currentFile.isNew = oldPath === null;
+        }
         continue;
       }
 
@@ -52,9 +104,15 @@ class DiffApplier {
           console.warn('Found +++ without preceding ---');
           continue;
         }
-        const newPath = line.substring(4).trim();
-        currentFile.newPath = newPath === '/dev/null' ? null : newPath.replace(/^b\//, '');
-        currentFile.isDeleted = newPath === '/dev/null';
+        const newPath = DiffApplier.stripDiffPath(line.substring(4), 'b/');
+        if (!(inGitHeader && (currentFile.isRename || currentFile.isCopy))) {
+          currentFile.newPath = newPath;
+        }
+        headerPaths = true;
+        currentFile.isDeleted = newPath === null;
+        if (currentFile.isDeleted) {
+          currentFile.newPath = null;
+        }
         continue;
       }
 
@@ -70,6 +128,7 @@ class DiffApplier {
           currentFile.hunks.push(currentHunk);
         }
 
+        inGitHeader = false;
         currentHunk = {
           oldStart: parseInt(hunkMatch[1], 10),
           oldLines: hunkMatch[2] ? parseInt(hunkMatch[2], 10) : 1,
@@ -85,84 +144,302 @@ class DiffApplier {
         // Lines starting with space, +, or - are part of the hunk
         if (line.startsWith(' ') || line.startsWith('+') || line.startsWith('-')) {
           currentHunk.lines.push(line);
+        } else if (line.startsWith('\\') && currentHunk.lines.length > 0) {
+          // "\ No newline at end of file" applies to the line before it
+          const previousOp = currentHunk.lines[currentHunk.lines.length - 1][0];
+          if (previousOp !== '+') currentHunk.oldNoNewline = true;
+          if (previousOp !== '-') currentHunk.newNoNewline = true;
         }
         // Empty lines are ignored (end of hunk)
       }
     }
 
-    // Push last hunk and file
-    if (currentHunk && currentFile) {
-      currentFile.hunks.push(currentHunk);
+    finishFile();
+
+    return files;
+  }
+
+  /**
+   * Create an empty file diff
+   */
+  static createFileDiff(oldPath, newPath) {
+    return {
+      oldPath,
+      newPath,
+      hunks: [],
+      isNew: false,
+      isDeleted: false,
+      isRename: false,
+      isCopy: false,
+      oldMode: null,
+      newMode: null,
+      similarity: null,
+      isBinary: false
+    };
+  }
+
+  /**
+   * Apply a git extended header line to a file diff
+   * @returns {boolean} Whether the line was a header
+   */
+  static parseGitHeader(line, fileDiff) {
+    let match;
+
+    if ((match = line.match(/^new file mode (\d+)/))) {
+      fileDiff.isNew = true;
+      fileDiff.oldPath = null;
+      fileDiff.newMode = match[1];
+    } else if ((match = line.match(/^deleted file mode (\d+)/))) {
+      fileDiff.isDeleted = true;
+      fileDiff.newPath = null;
+      fileDiff.oldMode = match[1];
+    } else if ((match = line.match(/^old mode (\d+)/))) {
+      fileDiff.oldMode = match[1];
+    } else if ((match = line.match(/^new mode (\d+)/))) {
+      fileDiff.newMode = match[1];
+    } else if ((match = line.match(/^(rename|copy) from (.+)$/))) {
+      fileDiff.oldPath = DiffApplier.unquotePath(match[2]);
+      fileDiff.isRename = match[1] === 'rename';
+      fileDiff.isCopy = match[1] === 'copy';
+    } else if ((match = line.match(/^(rename|copy) to (.+)$/))) {
+      fileDiff.newPath = DiffApplier.unquotePath(match[2]);
+      fileDiff.isRename = match[1] === 'rename';
+      fileDiff.isCopy = match[1] === 'copy';
+    } else if ((match = line.match(/^(?:dis)?similarity index (\d+)%/))) {
+      fileDiff.similarity = parseInt(match[1], 10);
+    } else if (/^index [0-9a-f]+\.\.[0-9a-f]+/.test(line)) {
+      // Blob hashes are not needed to apply the patch
+    } else if (/^(Binary files .* differ|GIT binary patch)/.test(line)) {
+      fileDiff.isBinary = true;
+    } else {
+      return false;
     }
-    if (currentFile && currentFile.hunks.length > 0) {
-      files.push(currentFile);
+
+    return true;
+  }
+
+  /**
+   * Split the "a/old b/new" part of a diff --git line
+   * Unambiguous when both paths are the same, which is the case unless renamed
+   * (and then the rename headers give the paths).
+   * @returns {Array|null} [oldPath, newPath]
+   */
+  static splitGitPaths(text) {
+    const half = (text.length - 1) / 2;
+    if (Number.isInteger(half) && text[half] === ' ') {
+      const oldPath = DiffApplier.stripDiffPath(text.substring(0, half), 'a/');
+      const newPath = DiffApplier.stripDiffPath(text.substring(half + 1), 'b/');
+      if (oldPath === newPath) {
+        return [oldPath, newPath];
+      }
     }
 
-    return files;
+    const match = text.match(/^(.+?) (b\/.+)$/);
+    return match ? [DiffApplier.stripDiffPath(match[1], 'a/'), DiffApplier.stripDiffPath(match[2], 'b/')] : null;
+  }
+
+  /**
+   * Turn a path from a ---/+++ line into a relative path
+   * @param {string} text - Path text (may be quoted or followed by a tab and timestamp)
+   * @param {string} prefix - 'a/' or 'b/'
+   * @returns {string|null} Path, or null for /dev/null
+   */
+  static stripDiffPath(text, prefix) {
+    const filePath = DiffApplier.unquotePath(text.split('\t')[0].trim());
+    if (filePath === '/dev/null') {
+      return null;
+    }
+    return filePath.startsWith(prefix) ? filePath.substring(prefix.length) : filePath;
+  }
+
+  /**
+   * Undo git's quoting of unusual paths ("a/with \"quotes\"")
+   */
+  static unquotePath(text) {
+    if (!/^".*"$/.test(text)) {
+      return text;
+    }
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text.slice(1, -1);
+    }
   }
 
   /**
    * Apply a single hunk to file content
    * @param {Array<string>} fileLines - Original file lines
    * @param {Object} hunk - Hunk object from parseDiff
+   * @param {Object} options - See placeHunk
    * @returns {Array<string>} Modified file lines
    */
-  static applyHunk(fileLines, hunk) {
-    const result = [...fileLines];
-    const { oldStart, lines } = hunk;
+  static applyHunk(fileLines, hunk, options = {}) {
+    return DiffApplier.placeHunk(fileLines, hunk, options).lines;
+  }
 
-    // oldStart is 1-indexed, convert to 0-indexed
-    let pos = oldStart - 1; // Current position in result array
+  /**
+   * Find where a hunk belongs and apply it there
+   *
+   * The hunk's context and removal lines are matched against the whole file,
+   * so wrong line numbers don't matter as long as the content is unique:
+   * - A match at the expected line is used as is
+   * - Otherwise the best match anywhere after the previous hunk is used,
+   *   provided no other place matches equally well (ambiguous hunks are rejected)
+   * Lines may differ in trailing or other whitespace. Confidence is the average
+   * line similarity (1 exact, 0.95 trailing whitespace, 0.9 other whitespace),
+   * scaled by 0.9 when the hunk had to be relocated.
+   *
+   * @param {Array<string>} fileLines - Original file lines
+   * @param {Object} hunk - Hunk object from parseDiff
+   * @param {Object} options - Placement options
+   * @param {number} options.offset - Lines added/removed (and drift) from earlier hunks
+   * @param {number} options.from - First line index the hunk may start at
+   * @returns {Object} { lines, placement: { expectedLine, line, confidence, relocated }, end, offset }
+   */
+  static placeHunk(fileLines, hunk, options = {}) {
+    const offset = options.offset || 0;
+    const from = options.from || 0;
+    const oldSeq = hunk.lines.filter(line => line[0] === ' ' || line[0] === '-').map(line => line.substring(1));
 
-    for (const diffLine of lines) {
-      const op = diffLine[0];
-      const content = diffLine.substring(1);
+    // oldStart is 1-indexed; with no old lines it is the line the insertion follows
+    const expected = Math.max(0, (oldSeq.length === 0 ? hunk.oldStart : hunk.oldStart - 1) + offset);
 
-      if (op === ' ') {
-        // Context line - verify it matches
-        if (result[pos] !== content) {
-          // Fuzzy match - try to find nearby
-          const searchStart = Math.max(0, pos - 3);
-          const searchEnd = Math.min(result.length, pos + 3);
-          let found = false;
-
-          for (let i = searchStart; i < searchEnd; i++) {
-            if (result[i] === content) {
-              pos = i;
-              found = true;
-              break;
-            }
-          }
+    let index;
+    let quality;
+    let relocated = false;
 
-          if (!found) {
-            throw new Error(`Context mismatch at line ${pos + 1}. Expected: "${content}", got: "${result[pos]}"`);
-          }
+    if (oldSeq.length === 0) {
+      index = Math.min(Math.max(expected, from), fileLines.length);
+      quality = 1;
+    } else {
+      quality = DiffApplier.matchQuality(fileLines, oldSeq, expected);
+
+      if (expected >= from && quality > 0) {
+        index = expected;
+      } else {
+        const candidates = [];
+        for (let i = from; i + oldSeq.length <= fileLines.length; i++) {
+          const q = DiffApplier.matchQuality(fileLines, oldSeq, i);
+          if (q > 0) candidates.push({ index: i, quality: q });
         }
-        pos++; // Move to next line
-      } else if (op === '-') {
-        // Remove line
-        if (result[pos] !== content) {
-          throw new Error(`Cannot remove line ${pos + 1}. Expected: "${content}", got: "${result[pos]}"`);
+
+        if (candidates.length === 0) {
+          throw DiffApplier.contextNotFoundError(fileLines, oldSeq, expected);
         }
-        result.splice(pos, 1);
-        // Don't increment pos - the next line is now at this position
+
+        const best = Math.max(...candidates.map(c => c.quality));
+        const bestCandidates = candidates.filter(c => c.quality === best);
+
+        if (bestCandidates.length > 1) {
+          const places = bestCandidates.slice(0, 5).map(c => c.index + 1).join(', ');
+          const error = new Error(`Ambiguous hunk at line ${expected + 1}: its context matches ${bestCandidates.length} places (lines ${places}). Expected: "${oldSeq[0]}"`);
+          error.line = bestCandidates[0].index + 1;
+          throw error;
+        }
+
+        index = bestCandidates[0].index;
+        quality = best;
+        relocated = true;
+      }
+    }
+
+    // Apply at the chosen position, keeping the file's own version of context lines
+    const result = fileLines.slice(0, index);
+    let pos = index;
+    for (const diffLine of hunk.lines) {
+      const op = diffLine[0];
+      if (op === ' ') {
+        result.push(fileLines[pos++]);
+      } else if (op === '-') {
+        pos++;
       } else if (op === '+') {
-        // Add line - insert at current position
-        result.splice(pos, 0, content);
-        pos++; // Move past the inserted line
+        result.push(diffLine.substring(1));
+      }
+    }
+    const end = result.length;
+    result.push(...fileLines.slice(pos));
+
+    return {
+      lines: result,
+      placement: {
+        expectedLine: expected + 1,
+        line: index + 1,
+        confidence: Math.round(quality * (relocated ? 0.9 : 1) * 100) / 100,
+        relocated
+      },
+      end,
+      offset: offset + (index - expected) + (end - index) - (pos - index)
+    };
+  }
+
+  /**
+   * Describe why a hunk's lines are not where the diff says they are
+   * @returns {Error} Error with the expected and actual line, and `line` set to that line number
+   */
+  static contextNotFoundError(fileLines, oldSeq, expected) {
+    const mismatch = oldSeq.findIndex((line, i) => DiffApplier.lineSimilarity(fileLines[expected + i], line) === 0);
+
+    let error;
+    if (mismatch === -1) {
+      error = new Error(`Could not find hunk context near line ${expected + 1}. Expected: "${oldSeq[0]}"`);
+      error.line = expected + 1;
+    } else {
+      const lineNumber = expected + mismatch + 1;
+      const actual = fileLines[expected + mismatch];
+      const found = actual === undefined ? 'the file ends before it' : `line ${lineNumber} is "${actual}"`;
+      error = new Error(`Could not find hunk context near line ${expected + 1}. Expected "${oldSeq[mismatch]}" at line ${lineNumber}, but ${found}`);
+      error.line = Math.min(lineNumber, fileLines.length);
+    }
+
+    return error;
+  }
+
+  /**
+   * How well a run of lines matches the file at a position
+   * @returns {number} Average line similarity, or 0 if any line doesn't match
+   */
+  static matchQuality(fileLines, expectedLines, index) {
+    if (index < 0 || index + expectedLines.length > fileLines.length) {
+      return 0;
+    }
+
+    let total = 0;
+    for (let i = 0; i < expectedLines.length; i++) {
+      const score = DiffApplier.lineSimilarity(fileLines[index + i], expectedLines[i]);
+      if (score === 0) {
+        return 0;
       }
+      total += score;
     }
 
-    return result;
+    return total / expectedLines.length;
+  }
+
+  /**
+   * Compare two lines, tolerating whitespace differences
+   * @returns {number} 1 exact, 0.95 trailing whitespace only, 0.9 other whitespace, 0 different
+   */
+  static lineSimilarity(actual, expected) {
+    if (actual === expected) return 1;
+    if (actual === undefined) return 0;
+    if (actual.trimEnd() === expected.trimEnd()) return 0.95;
+    if (actual.replace(/\s+/g, ' ').trim() === expected.replace(/\s+/g, ' ').trim()) return 0.9;
+    return 0;
   }
 
   /**
    * Apply all hunks in a diff to a file
    * @param {string} filePath - Full path to file
    * @param {Object} fileDiff - File diff object from parseDiff
+   * @param {Array} placements - Receives { hunk, expectedLine, line, confidence, relocated } per hunk
+   * @param {string} content - Current file content (read from filePath if omitted)
    * @returns {string} New file content
    */
-  static applyFileDiff(filePath, fileDiff) {
+  static applyFileDiff(filePath, fileDiff, placements = [], content = undefined) {
+    if (fileDiff.isBinary) {
+      throw new Error('Binary patches are not supported');
+    }
+
     // Handle new files
     if (fileDiff.isNew) {
       const lines = [];
@@ -173,7 +450,8 @@ class DiffApplier {
           }
         }
       }
-      return lines.join('\n');
+      const noNewline = lines.length === 0 || fileDiff.hunks.some(hunk => hunk.newNoNewline);
+      return lines.join('\n') + (noNewline ? '' : '\n');
     }
 
     // Handle deleted files
@@ -182,34 +460,73 @@ class DiffApplier {
     }
 
     // Read existing file
-    if (!fs.existsSync(filePath)) {
+    if (content === undefined) {
+      content = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : null;
+    }
+    if (content === null) {
       throw new Error(`File not found: ${filePath}`);
     }
 
-    let content = fs.readFileSync(filePath, 'utf-8');
+    // Work on LF line endings; files that use CRLF throughout get them back
+    const crlf = DiffApplier.usesCRLF(content);
+    if (crlf) {
+      content = content.replace(/\r\n/g, '\n');
+    }
+
     let lines = content.split('\n');
 
-    // Apply each hunk in order
-    for (const hunk of fileDiff.hunks) {
-      lines = DiffApplier.applyHunk(lines, hunk);
+    // Apply each hunk in order, each one after the previous
+    let offset = 0;
+    let from = 0;
+    fileDiff.hunks.forEach((hunk, index) => {
+      try {
+        const placed = DiffApplier.placeHunk(lines, hunk, { offset, from });
+        lines = placed.lines;
+        offset = placed.offset;
+        from = placed.end;
+        placements.push({ hunk: index + 1, ...placed.placement });
+      } catch (error) {
+        if (fileDiff.hunks.length > 1) {
+          error.message = `hunk ${index + 1}: ${error.message}`;
+        }
+        throw error;
+      }
+    });
+
+    let newContent = lines.join('\n');
+
+    // "\ No newline at end of file" markers
+    if (fileDiff.hunks.some(hunk => hunk.newNoNewline)) {
+      newContent = newContent.replace(/\n$/, '');
+    } else if (fileDiff.hunks.some(hunk => hunk.oldNoNewline) && !newContent.endsWith('\n')) {
+      newContent += '\n';
     }
 
-    return lines.join('\n');
+    return crlf ? newContent.replace(/\n/g, '\r\n') : newContent;
   }
 
   /**
-   * Extract and apply diffs from AI response
-   * @param {string} responseText - Raw AI response containing diffs
-   * @param {string} workspaceDir - Base directory for file paths
-   * @param {boolean} verbose - Enable verbose logging
-   * @returns {Object} { filesModified: Array<string>, errors: Array<string> }
+   * Whether every line break in the content is CRLF
    */
-  static applyDiffs(responseText, workspaceDir, verbose = false) {
-    const filesModified = [];
-    const errors = [];
+  static usesCRLF(content) {
+    const crlf = (content.match(/\r\n/g) || []).length;
+    return crlf > 0 && crlf === (content.match(/\n/g) || []).length;
+  }
 
-    // Extract diff blocks from response
-    // Look for: ```diff ... ```
+  /**
+   * Permission bits from a git file mode ("100755")
+   * @returns {number|undefined}
+   */
+  static parseMode(gitMode) {
+    return gitMode ? parseInt(gitMode, 8) & 0o777 : undefined;
+  }
+
+  /**
+   * Extract the contents of all ```diff blocks from an AI response
+   * @param {string} responseText - Raw AI response containing diffs
+   * @returns {string} Concatenated diff text (empty if none found)
+   */
+  static extractDiffText(responseText) {
     const diffBlockRegex = /```diff\s*\n([\s\S]*?)```/g;
     let match;
     let allDiffText = '';
@@ -218,24 +535,446 @@ class DiffApplier {
       allDiffText += match[1] + '\n';
     }
 
-    if (!allDiffText.trim()) {
-      if (verbose) {
-        console.log(chalk.yellow('    ⚠ No diff blocks found in response'));
+    return allDiffText;
+  }
+
+  /**
+   * List the files an AI response would touch, without applying anything
+   * @param {string} responseText - Raw AI response containing diffs
+   * @returns {Array<string>} Relative file paths
+   */
+  static getAffectedPaths(responseText) {
+    const paths = new Set();
+
+    for (const fileDiff of DiffApplier.parseDiff(DiffApplier.extractDiffText(responseText))) {
+      if (fileDiff.oldPath) paths.add(fileDiff.oldPath);
+      if (fileDiff.newPath) paths.add(fileDiff.newPath);
+    }
+
+    for (const edit of DiffApplier.parseEditBlocks(responseText).edits) {
+      paths.add(edit.filePath);
+    }
+
+    return [...paths];
+  }
+
+  /**
+   * Parse SEARCH/REPLACE edit blocks from an AI response
+   * Each block is preceded by its file path (a code fence may sit in between);
+   * a block without its own path line belongs to the previous block's file.
+   * @param {string} responseText - Raw AI response
+   * @returns {Object} { edits: [{ filePath, search, replace }], errors: Array<string> }
+   */
+  static parseEditBlocks(responseText) {
+    const edits = [];
+    const errors = [];
+    const lines = responseText.split('\n');
+    let lastPath = null;
+
+    for (let i = 0; i < lines.length; i++) {
+      if (!SEARCH_MARKER.test(lines[i])) {
+        continue;
       }
-      return { filesModified, errors };
+
+      const filePath = DiffApplier.findEditPath(lines, i) || lastPath;
+      const search = [];
+      const replace = [];
+      let section = search;
+      let closed = false;
+
+      for (i++; i < lines.length; i++) {
+        if (section === search && DIVIDER_MARKER.test(lines[i])) {
+          section = replace;
+        } else if (section === replace && REPLACE_MARKER.test(lines[i])) {
+          closed = true;
+          break;
+        } else {
+          section.push(lines[i]);
+        }
+      }
+
+      if (!filePath) {
+        errors.push('SEARCH/REPLACE block is missing its file path');
+        continue;
+      }
+      if (!closed) {
+        errors.push(`Unterminated SEARCH/REPLACE block for ${filePath}`);
+        continue;
+      }
+
+      lastPath = filePath;
+      edits.push({ filePath, search: search.join('\n'), replace: replace.join('\n') });
     }
 
-    // Parse the diffs
-    const fileDiffs = DiffApplier.parseDiff(allDiffText);
+    return { edits, errors };
+  }
+
+  /**
+   * Find the file path line above a SEARCH marker
+   * @returns {string|null} Path, or null if the block continues the previous file
+   */
+  static findEditPath(lines, markerIndex) {
+    for (let j = markerIndex - 1; j >= 0; j--) {
+      const line = lines[j].trim();
 
-    if (fileDiffs.length === 0) {
-      if (verbose) {
-        console.log(chalk.yellow('    ⚠ No valid diffs parsed from response'));
+      if (!line || line.startsWith('```')) {
+        continue;
+      }
+      if (REPLACE_MARKER.test(line)) {
+        return null;
+      }
+
+      // Tolerate markdown decoration around the path (**src/a.js**, `src/a.js`:),
+      // but not headings or prose
+      const filePath = line.replace(/^[*`]+/, '').replace(/[*`:]+$/, '');
+      return filePath && !line.startsWith('#') && !/\s/.test(filePath) ? filePath : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Apply one SEARCH/REPLACE edit to file content
+   * The SEARCH text must match whole lines exactly, in exactly one place.
+   * An empty SEARCH creates the file (or fills an empty one).
+   * @param {string|null} content - Current file content (null if the file doesn't exist)
+   * @param {Object} edit - Edit from parseEditBlocks
+   * @returns {string} New file content
+   */
+  static applyEdit(content, edit) {
+    if (edit.search === '') {
+      if (content !== null && content.trim() !== '') {
+        throw new Error('SEARCH is empty but the file already has content');
+      }
+      return edit.replace + '\n';
+    }
+
+    if (content === null) {
+      throw new Error('File not found');
+    }
+
+    const matches = DiffApplier.findLineMatches(content, edit.search);
+
+    if (matches.length === 0) {
+      const trimLines = text => text.split('\n').map(line => line.trim()).join('\n');
+      const hint = DiffApplier.findLineMatches(trimLines(content), trimLines(edit.search)).length > 0
+        ? ' (it matches if whitespace is ignored - copy the lines exactly)'
+        : '';
+      throw new Error(`SEARCH text not found${hint}: "${edit.search.split('\n')[0]}"`);
+    }
+
+    if (matches.length > 1) {
+      throw new Error(`SEARCH text matches ${matches.length} places - include more surrounding lines: "${edit.search.split('\n')[0]}"`);
+    }
+
+    const start = matches[0];
+    return content.slice(0, start) + edit.replace + content.slice(start + edit.search.length);
+  }
+
+  /**
+   * Offsets where text occurs as a run of whole lines
+   */
+  static findLineMatches(content, text) {
+    const matches = [];
+    let index = content.indexOf(text);
+
+    while (index !== -1) {
+      const end = index + text.length;
+      const startsLine = index === 0 || content[index - 1] === '\n';
+      const endsLine = end === content.length || content[end] === '\n';
+      if (startsLine && endsLine) {
+        matches.push(index);
+      }
+      index = content.indexOf(text, index + 1);
+    }
+
+    return matches;
+  }
+
+  /**
+   * Work out the new content of each file touched by SEARCH/REPLACE blocks
+   * All blocks for a file must apply, otherwise the file is left unchanged.
+   * @param {Array} edits - Edits from parseEditBlocks
+   * @param {string} workspaceDir - Base directory for file paths
+   * @param {Map} pending - Content not yet written, by file path (null = no file); used instead of the disk
+   * @returns {Object} { files: [{ filePath, fullPath, oldContent, newContent }], errors: Array<string>, failures }
+   */
+  static computeEdits(edits, workspaceDir, pending = new Map()) {
+    const files = [];
+    const errors = [];
+    const failures = [];
+    const byFile = new Map();
+
+    for (const edit of edits) {
+      if (!byFile.has(edit.filePath)) {
+        byFile.set(edit.filePath, []);
       }
-      return { filesModified, errors };
+      byFile.get(edit.filePath).push(edit);
     }
 
-    // Apply each file diff
+    for (const [filePath, fileEdits] of byFile) {
+      const fullPath = path.join(workspaceDir, filePath);
+      const oldContent = pending.has(filePath)
+        ? pending.get(filePath)
+        : (fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf-8') : null);
+
+      try {
+        const crlf = oldContent !== null && DiffApplier.usesCRLF(oldContent);
+        let newContent = crlf ? oldContent.replace(/\r\n/g, '\n') : oldContent;
+        fileEdits.forEach((edit, index) => {
+          try {
+            newContent = DiffApplier.applyEdit(newContent, edit);
+          } catch (error) {
+            throw new Error(fileEdits.length > 1 ? `block ${index + 1}: ${error.message}` : error.message);
+          }
+        });
+        if (crlf) {
+          newContent = newContent.replace(/\n/g, '\r\n');
+        }
+        files.push({ filePath, fullPath, oldContent, newContent });
+      } catch (error) {
+        const message = `Failed to apply edit to ${filePath}: ${error.message}`;
+        errors.push(message);
+        failures.push({ file: filePath, message, line: null });
+      }
+    }
+
+    return { files, errors, failures };
+  }
+
+  /**
+   * Convert the SEARCH/REPLACE blocks in a response into file diffs
+   * Used to review edits in the same form as diffs; line numbers come from
+   * the files on disk, so the resulting diffs apply cleanly.
+   * @param {string} responseText - Raw AI response
+   * @param {string} workspaceDir - Base directory for file paths
+   * @returns {Object} { fileDiffs, errors }
+   */
+  static editsToFileDiffs(responseText, workspaceDir) {
+    const parsed = DiffApplier.parseEditBlocks(responseText);
+    const computed = DiffApplier.computeEdits(parsed.edits, workspaceDir);
+    const fileDiffs = [];
+
+    for (const file of computed.files) {
+      const oldLines = file.oldContent === null ? [] : file.oldContent.split('\n');
+      const newLines = file.newContent.split('\n');
+
+      // Trim the unchanged lines at both ends, keeping 3 lines of context
+      let prefix = 0;
+      while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+        prefix++;
+      }
+      let suffix = 0;
+      while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+             oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+        suffix++;
+      }
+
+      if (file.oldContent !== null && prefix === oldLines.length && prefix === newLines.length) {
+        continue; // No change
+      }
+
+      const contextStart = Math.max(0, prefix - 3);
+      const contextEnd = Math.min(oldLines.length, oldLines.length - suffix + 3);
+      const lines = [
+        ...oldLines.slice(contextStart, prefix).map(line => ' ' + line),
+        ...oldLines.slice(prefix, oldLines.length - suffix).map(line => '-' + line),
+        ...newLines.slice(prefix, newLines.length - suffix).map(line => '+' + line),
+        ...oldLines.slice(oldLines.length - suffix, contextEnd).map(line => ' ' + line)
+      ];
+      const oldCount = lines.filter(line => line[0] !== '+').length;
+      const newCount = lines.filter(line => line[0] !== '-').length;
+
+      fileDiffs.push({
+        oldPath: file.oldContent === null ? null : file.filePath,
+        newPath: file.filePath,
+        isNew: file.oldContent === null,
+        isDeleted: false,
+        hunks: [{
+          oldStart: file.oldContent === null ? 0 : contextStart + 1,
+          oldLines: oldCount,
+          newStart: contextStart + 1,
+          newLines: newCount,
+          lines
+        }]
+      });
+    }
+
+    return { fileDiffs, errors: [...parsed.errors, ...computed.errors] };
+  }
+
+  /**
+   * Turn parsed file diffs back into unified diff text
+   * @param {Array} fileDiffs - File diff objects from parseDiff
+   * @returns {string} Unified diff text
+   */
+  static formatDiff(fileDiffs) {
+    const lines = [];
+
+    for (const fileDiff of fileDiffs) {
+      if (fileDiff.isGit || fileDiff.isRename || fileDiff.isCopy || fileDiff.oldMode || fileDiff.newMode) {
+        lines.push(...DiffApplier.formatGitHeader(fileDiff));
+      }
+      if (fileDiff.hunks.length > 0 || !(fileDiff.isGit || fileDiff.isRename || fileDiff.isCopy)) {
+        lines.push(`--- ${fileDiff.oldPath ? `a/${fileDiff.oldPath}` : '/dev/null'}`);
+        lines.push(`+++ ${fileDiff.newPath ? `b/${fileDiff.newPath}` : '/dev/null'}`);
+      }
+
+      for (const hunk of fileDiff.hunks) {
+        lines.push(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`);
+
+        // "\ No newline at end of file" follows the last line of the side it applies to
+        const lastOld = hunk.oldNoNewline ? DiffApplier.lastIndexOfOp(hunk.lines, ' -') : -1;
+        const lastNew = hunk.newNoNewline ? DiffApplier.lastIndexOfOp(hunk.lines, ' +') : -1;
+        hunk.lines.forEach((line, index) => {
+          lines.push(line);
+          if (index === lastOld || index === lastNew) {
+            lines.push('\\ No newline at end of file');
+          }
+        });
+      }
+    }
+
+    return lines.length > 0 ? lines.join('\n') + '\n' : '';
+  }
+
+  /**
+   * Git extended header lines for a file diff (diff --git, modes, rename/copy)
+   * @param {Object} fileDiff - File diff object from parseDiff
+   * @returns {Array<string>}
+   */
+  static formatGitHeader(fileDiff) {
+    const oldPath = fileDiff.oldPath || fileDiff.newPath;
+    const newPath = fileDiff.newPath || fileDiff.oldPath;
+    const lines = [`diff --git a/${oldPath} b/${newPath}`];
+
+    if (fileDiff.isNew) {
+      lines.push(`new file mode ${fileDiff.newMode || '100644'}`);
+    } else if (fileDiff.isDeleted) {
+      lines.push(`deleted file mode ${fileDiff.oldMode || '100644'}`);
+    } else {
+      if (fileDiff.oldMode) lines.push(`old mode ${fileDiff.oldMode}`);
+      if (fileDiff.newMode) lines.push(`new mode ${fileDiff.newMode}`);
+    }
+
+    if (fileDiff.isRename || fileDiff.isCopy) {
+      const kind = fileDiff.isRename ? 'rename' : 'copy';
+      if (fileDiff.similarity !== null && fileDiff.similarity !== undefined) {
+        lines.push(`similarity index ${fileDiff.similarity}%`);
+      }
+      lines.push(`${kind} from ${oldPath}`, `${kind} to ${newPath}`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Index of the last hunk line whose op is one of ops
+   */
+  static lastIndexOfOp(hunkLines, ops) {
+    for (let i = hunkLines.length - 1; i >= 0; i--) {
+      if (ops.includes(hunkLines[i][0])) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Turn a parsed edit back into SEARCH/REPLACE block text
+   * @param {Object} edit - Edit from parseEditBlocks
+   * @returns {string}
+   */
+  static formatEdit(edit) {
+    return [
+      edit.filePath,
+      '<<<<<<< SEARCH',
+      ...(edit.search ? [edit.search] : []),
+      '=======',
+      ...(edit.replace ? [edit.replace] : []),
+      '>>>>>>> REPLACE'
+    ].join('\n');
+  }
+
+  /**
+   * Drop the changes to some files from a response
+   * The remaining diffs and SEARCH/REPLACE blocks are re-emitted without the
+   * rest of the response text.
+   * @param {string} responseText - Raw AI response
+   * @param {Array<string>} files - Paths whose changes are dropped
+   * @returns {string} Response text with the changes to all other files
+   */
+  static withoutFiles(responseText, files) {
+    const excluded = new Set(files);
+    const diffText = DiffApplier.extractDiffText(responseText);
+    const fileDiffs = (diffText.trim() ? DiffApplier.parseDiff(diffText) : [])
+      .filter(fileDiff => !excluded.has(fileDiff.newPath || fileDiff.oldPath));
+    const edits = DiffApplier.parseEditBlocks(responseText).edits
+      .filter(edit => !excluded.has(edit.filePath));
+
+    const parts = [];
+    if (fileDiffs.length > 0) {
+      parts.push('```diff\n' + DiffApplier.formatDiff(fileDiffs) + '```');
+    }
+    parts.push(...edits.map(edit => DiffApplier.formatEdit(edit)));
+
+    return parts.join('\n\n');
+  }
+
+  /**
+   * Work out the new content of every file a response changes, without writing anything
+   * Changes the write policy does not allow are left out and returned as violations.
+   *
+   * @param {string} responseText - Raw AI response containing diffs
+   * @param {string} workspaceDir - Base directory for file paths
+   * @param {Object} options - Options
+   * @param {WritePolicy} options.policy - Write policy (default: containment and .git only, deletes allowed)
+   * @returns {Object} { files: [{ filePath, fullPath, oldContent, newContent, mode }], errors, failures, placements, violations }
+   *   oldContent is null for new files, newContent null for deleted ones, mode set when the diff sets permissions,
+   *   movedTo set on the source of a rename, copyFrom on a target moved without hunks (written as a byte copy);
+   *   failures are the errors that belong to a file: [{ file, message, line }];
+   *   violations are the blocked changes: [{ file, action, reason, message }]
+   */
+  static computeChanges(responseText, workspaceDir, options = {}) {
+    const changes = new Map();
+    const errors = [];
+    const failures = [];
+    const placements = [];
+    const violations = [];
+
+    const policy = options.policy || new WritePolicy({ cwd: workspaceDir, allowDeletes: true });
+    const allowed = (filePath, action) => {
+      const violation = policy.check(filePath, action);
+      if (violation && !violations.some(v => v.file === violation.file && v.action === violation.action)) {
+        violations.push(violation);
+      }
+      return !violation;
+    };
+
+    const allDiffText = DiffApplier.extractDiffText(responseText);
+    const fileDiffs = allDiffText.trim() ? DiffApplier.parseDiff(allDiffText) : [];
+    const { edits, errors: editErrors } = DiffApplier.parseEditBlocks(responseText);
+    errors.push(...editErrors);
+
+    const readCurrent = (filePath, fullPath) => {
+      if (changes.has(filePath)) {
+        return changes.get(filePath).newContent;
+      }
+      return fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf-8') : null;
+    };
+    const record = (filePath, fullPath, oldContent, newContent, mode = undefined) => {
+      const previous = changes.get(filePath);
+      changes.set(filePath, {
+        filePath,
+        fullPath,
+        oldContent: previous ? previous.oldContent : oldContent,
+        newContent,
+        mode: mode !== undefined ? mode : previous?.mode
+      });
+    };
+
+    const moves = new Map(); // Renamed file -> its source
+
     for (const fileDiff of fileDiffs) {
       const relativePath = fileDiff.newPath || fileDiff.oldPath;
       if (!relativePath) {
@@ -243,53 +982,292 @@ class DiffApplier {
         continue;
       }
 
+      // A move needs the source too: it is removed by a rename, only read by a copy
+      const moving = (fileDiff.isRename || fileDiff.isCopy) && fileDiff.oldPath && fileDiff.oldPath !== relativePath;
+      if ((moving && !allowed(fileDiff.oldPath, fileDiff.isRename ? 'write' : 'read')) ||
+          !allowed(relativePath, fileDiff.isDeleted ? 'delete' : 'write')) {
+        continue;
+      }
+
       const fullPath = path.join(workspaceDir, relativePath);
 
       try {
-        if (fileDiff.isNew) {
-          // Create new file
-          const newContent = DiffApplier.applyFileDiff(fullPath, fileDiff);
-          const dir = path.dirname(fullPath);
-          if (!fs.existsSync(dir)) {
-            fs.mkdirSync(dir, { recursive: true });
+        const current = readCurrent(relativePath, fullPath);
+
+        if (fileDiff.isDeleted) {
+          if (current !== null) {
+            record(relativePath, fullPath, current, null);
           }
-          fs.writeFileSync(fullPath, newContent, 'utf-8');
-          filesModified.push(relativePath);
+          continue;
+        }
 
-          if (verbose) {
-            console.log(chalk.green(`    ✓ Created: ${relativePath}`));
+        const filePlacements = [];
+        let mode = DiffApplier.parseMode(fileDiff.newMode);
+
+        if (moving) {
+          // Move or copy the source, applying any hunks on the way
+          const sourcePath = path.join(workspaceDir, fileDiff.oldPath);
+          const source = readCurrent(fileDiff.oldPath, sourcePath);
+          if (source === null) {
+            throw new Error(`${fileDiff.oldPath} not found`);
           }
-        } else if (fileDiff.isDeleted) {
-          // Delete file
-          if (fs.existsSync(fullPath)) {
-            fs.unlinkSync(fullPath);
-            filesModified.push(relativePath);
-
-            if (verbose) {
-              console.log(chalk.red(`    ✓ Deleted: ${relativePath}`));
-            }
+          if (current !== null) {
+            throw new Error(`${relativePath} already exists`);
           }
-        } else {
-          // Modify existing file
-          const newContent = DiffApplier.applyFileDiff(fullPath, fileDiff);
-          fs.writeFileSync(fullPath, newContent, 'utf-8');
-          filesModified.push(relativePath);
 
-          if (verbose) {
-            console.log(chalk.blue(`    ✓ Modified: ${relativePath}`));
+          const newContent = fileDiff.hunks.length > 0
+            ? DiffApplier.applyFileDiff(fullPath, { ...fileDiff, isNew: false }, filePlacements, source)
+            : source;
+          if (mode === undefined && fs.existsSync(sourcePath)) {
+            mode = fs.statSync(sourcePath).mode & 0o777;
+          }
+
+          // An unchanged file on disk is copied byte for byte, so binary files survive the move
+          const copyFrom = fileDiff.hunks.length === 0 && !changes.has(fileDiff.oldPath) ? sourcePath : null;
+
+          if (fileDiff.isRename) {
+            record(fileDiff.oldPath, sourcePath, source, null);
+            changes.get(fileDiff.oldPath).movedTo = relativePath;
+            moves.set(relativePath, fileDiff.oldPath);
+          }
+          record(relativePath, fullPath, null, newContent, mode);
+          if (copyFrom) {
+            changes.get(relativePath).copyFrom = copyFrom;
           }
+        } else {
+          const newContent = DiffApplier.applyFileDiff(fullPath, fileDiff, filePlacements, current);
+          record(relativePath, fullPath, current, newContent, mode);
         }
+        placements.push(...filePlacements.map(placement => ({ file: relativePath, ...placement })));
       } catch (error) {
-        const errorMsg = `Failed to apply diff to ${relativePath}: ${error.message}`;
-        errors.push(errorMsg);
+        const message = `Failed to apply diff to ${relativePath}: ${error.message}`;
+        errors.push(message);
+        failures.push({ file: relativePath, message, line: error.line || null });
+      }
+    }
+
+    const permitted = edits.filter(edit => allowed(edit.filePath, 'write'));
+    if (permitted.length > 0) {
+      const pending = new Map([...changes.values()].map(change => [change.filePath, change.newContent]));
+      const computed = DiffApplier.computeEdits(permitted, workspaceDir, pending);
+      for (const file of computed.files) {
+        record(file.filePath, file.fullPath, file.oldContent, file.newContent);
+      }
+      errors.push(...computed.errors);
+      failures.push(...computed.failures);
+    }
 
-        if (verbose) {
-          console.log(chalk.red(`    ✗ ${errorMsg}`));
+    // A file with any failed change is left out entirely
+    // (a failed rename keeps its source)
+    const failed = new Set(failures.map(failure => failure.file));
+    for (const file of [...failed]) {
+      if (moves.has(file)) failed.add(moves.get(file));
+    }
+    const files = [...changes.values()].filter(change =>
+      !failed.has(change.filePath) && (change.oldContent !== change.newContent || change.mode !== undefined));
+    return { files, errors, failures, placements: placements.filter(placement => !failed.has(placement.file)), violations };
+  }
+
+  /**
+   * Syntax-check computed changes before they are written
+   * A file only counts as broken by the change if its old content passed the same check.
+   * @param {Array} files - Changes from computeChanges
+   * @param {string} workspaceDir - Project directory (where TypeScript is looked up)
+   * @returns {Array} Rejected changes: [{ file, error, details, line }]
+   */
+  static validateChanges(files, workspaceDir) {
+    const rejected = [];
+
+    for (const file of files.filter(file => file.newContent !== null)) {
+      const result = FileValidator.validate(file.filePath, file.newContent, { cwd: workspaceDir });
+      if (result.valid) {
+        continue;
+      }
+
+      // Don't blame the edit for a file that was already broken
+      if (file.oldContent !== null && !FileValidator.validate(file.filePath, file.oldContent, { cwd: workspaceDir }).valid) {
+        continue;
+      }
+
+      rejected.push({ file: file.filePath, error: result.error, details: result.details, line: result.line || null });
+    }
+
+    return rejected;
+  }
+
+  /**
+   * Write computed changes all at once
+   *
+   * Each file is first written to a temporary file next to it, then all of
+   * them are renamed into place, so no file is ever half-written. If anything
+   * fails, files already replaced are restored and nothing is left changed.
+   * Backups, restores and moved files (copyFrom) are copied as bytes, not text.
+   *
+   * @param {Array} files - Changes from computeChanges
+   * @param {Object} options - Write options
+   * @param {string} options.backupDir - Directory to copy the original files into first
+   */
+  static writeChanges(files, options = {}) {
+    if (options.backupDir) {
+      for (const file of files.filter(file => file.oldContent !== null)) {
+        const backupPath = path.join(options.backupDir, file.filePath);
+        fs.mkdirSync(path.dirname(backupPath), { recursive: true });
+        fs.copyFileSync(file.fullPath, backupPath);
+      }
+    }
+
+    const staged = [];
+    const originals = new Map(); // fullPath -> the bytes it replaced, to restore if a later write fails
+    const keepOriginal = file => {
+      if (file.oldContent !== null) {
+        originals.set(file.fullPath, fs.readFileSync(file.fullPath));
+      }
+    };
+    const done = [];
+
+    try {
+      for (const file of files.filter(file => file.newContent !== null)) {
+        const tempPath = path.join(path.dirname(file.fullPath), `.${path.basename(file.fullPath)}.wiggumizer-${process.pid}.tmp`);
+        fs.mkdirSync(path.dirname(file.fullPath), { recursive: true });
+        if (file.copyFrom) {
+          fs.copyFileSync(file.copyFrom, tempPath);
+        } else {
+          fs.writeFileSync(tempPath, file.newContent, 'utf-8');
         }
+        staged.push({ file, tempPath });
+
+        // Keep the permissions of the file being replaced, unless the diff sets them
+        const mode = file.mode !== undefined
+          ? file.mode
+          : (fs.existsSync(file.fullPath) ? fs.statSync(file.fullPath).mode & 0o7777 : undefined);
+        if (mode !== undefined) {
+          fs.chmodSync(tempPath, mode);
+        }
+      }
+
+      for (const { file, tempPath } of staged) {
+        keepOriginal(file);
+        fs.renameSync(tempPath, file.fullPath);
+        done.push(file);
+      }
+
+      for (const file of files.filter(file => file.newContent === null)) {
+        keepOriginal(file);
+        fs.unlinkSync(file.fullPath);
+        done.push(file);
+      }
+    } catch (error) {
+      for (const { tempPath } of staged) {
+        fs.rmSync(tempPath, { force: true });
+      }
+      for (const file of done) {
+        if (file.oldContent === null) {
+          fs.rmSync(file.fullPath, { force: true });
+        } else {
+          fs.writeFileSync(file.fullPath, originals.get(file.fullPath));
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Extract and apply diffs and SEARCH/REPLACE blocks from AI response
+   *
+   * New file contents are computed in memory first. In transactional mode a
+   * response is applied all-or-nothing: if any diff or block fails, no file is
+   * written. Otherwise the files that could be computed are written and the
+   * failures reported. With validate, changes that would leave a file with a
+   * syntax error count as failures. Changes the write policy blocks are not
+   * failures: they are left out and reported as violations.
+   *
+   * @param {string} responseText - Raw AI response containing diffs
+   * @param {string} workspaceDir - Base directory for file paths
+   * @param {boolean} verbose - Enable verbose logging
+   * @param {Object} options - Apply options
+   * @param {boolean} options.transactional - Write nothing unless every change applies
+   * @param {boolean} options.validate - Reject changes that introduce syntax errors (see FileValidator)
+   * @param {string} options.backupDir - Directory to copy the original files into before writing
+   * @param {WritePolicy} options.policy - Which files may be written and deleted (see computeChanges)
+   * @param {Function} options.checkChanges - (files) => Array<string>: reasons to write nothing, e.g. change limits
+   * @returns {Object} { filesModified: Array<string>, errors: Array<string>, failures: Array<Object>, placements: Array<Object>,
+   *   violations: Array<Object> }
+   */
+  static applyDiffs(responseText, workspaceDir, verbose = false, options = {}) {
+    const filesModified = [];
+
+    const hasDiffs = DiffApplier.extractDiffText(responseText).trim() !== '';
+    const hasEdits = responseText.split('\n').some(line => SEARCH_MARKER.test(line.trim()));
+    if (!hasDiffs && !hasEdits) {
+      if (verbose) {
+        console.log(chalk.yellow('    ⚠ No diff or SEARCH/REPLACE blocks found in response'));
+      }
+      return { filesModified, errors: [], failures: [], placements: [], violations: [] };
+    }
+
+    let { files, errors, failures, placements, violations } = DiffApplier.computeChanges(responseText, workspaceDir, { policy: options.policy });
+
+    if (options.validate) {
+      const rejected = DiffApplier.validateChanges(files, workspaceDir);
+      for (const { file, error, details, line } of rejected) {
+        const message = `Rejected ${file}: ${error}${details ? `\n${details}` : ''}`;
+        errors.push(message);
+        failures.push({ file, message, line });
+      }
+      files = files.filter(file => !rejected.some(rejection => rejection.file === file.filePath));
+      placements = placements.filter(placement => !rejected.some(rejection => rejection.file === placement.file));
+    }
+
+    if (verbose) {
+      for (const error of errors) {
+        console.log(chalk.red(`    ✗ ${error}`));
+      }
+      for (const violation of violations) {
+        console.log(chalk.yellow(`    ⊘ ${violation.message}`));
+      }
+    }
+
+    if (options.transactional && errors.length > 0) {
+      if (files.length > 0) {
+        errors.push(`No files were changed because ${errors.length === 1 ? 'a change' : `${errors.length} changes`} could not be applied`);
+      }
+      return { filesModified, errors, failures, placements: [], violations };
+    }
+
+    const rejections = options.checkChanges && files.length > 0 ? options.checkChanges(files) : [];
+    if (rejections.length > 0) {
+      errors.push(...rejections.map(reason => `No files were changed because the changes are too large: ${reason}`));
+      return { filesModified, errors, failures, placements: [], violations };
+    }
+
+    try {
+      DiffApplier.writeChanges(files, { backupDir: options.backupDir });
+    } catch (error) {
+      errors.push(`Failed to write changes, no files were changed: ${error.message}`);
+      return { filesModified, errors, failures, placements: [], violations };
+    }
+
+    for (const file of files) {
+      filesModified.push(file.filePath);
+
+      if (verbose) {
+        if (file.oldContent === null) {
+          console.log(chalk.green(`    ✓ Created: ${file.filePath}`));
+        } else if (file.newContent === null) {
+          console.log(chalk.red(`    ✓ Deleted: ${file.filePath}`));
+        } else {
+          console.log(chalk.blue(`    ✓ Modified: ${file.filePath}`));
+        }
+      }
+    }
+
+    if (verbose) {
+      for (const placement of placements.filter(p => p.relocated || p.confidence < 1)) {
+        console.log(chalk.yellow(`      ~ ${placement.file} hunk ${placement.hunk} applied at line ${placement.line} (expected ${placement.expectedLine}, confidence ${placement.confidence})`));
       }
     }
 
-    return { filesModified, errors };
+    return { filesModified, errors, failures, placements, violations };
   }
 }
 
@@ -0,0 +1,184 @@
+/**
+ * Edit formats the AI can use to describe changes
+ *
+ * diff           - unified diffs (```diff blocks), located by line numbers and context
+ * search-replace - SEARCH/REPLACE blocks, located by exact content
+ *
+ * DiffApplier applies both; the configured `editFormat` only decides which
+ * one the system prompt asks for.
+ */
+
+const EDIT_FORMATS = ['diff', 'search-replace'];
+const DEFAULT_EDIT_FORMAT = 'diff';
+
+/**
+ * Resolve a configured edit format
+ * @param {string} format - Configured value
+ * @returns {string} A known format (falls back to the default)
+ */
+function resolveEditFormat(format) {
+  return EDIT_FORMATS.includes(format) ? format : DEFAULT_EDIT_FORMAT;
+}
+
+/**
+ * The "## Changes:" part of the system prompt: an example plus the format rules
+ * @param {string} format - Edit format
+ * @param {Object} options - { fast: condensed rules for fast mode }
+ * @returns {string}
+ */
+function getChangesInstructions(format, options = {}) {
+  const searchReplace = resolveEditFormat(format) === 'search-replace';
+
+  if (options.fast) {
+    return searchReplace ? FAST_SEARCH_REPLACE : FAST_DIFF;
+  }
+
+  return searchReplace ? FULL_SEARCH_REPLACE : FULL_DIFF;
+}
+
+const FAST_DIFF = `## Changes:
+\`\`\`diff
+--- a/path/to/file.js
++++ b/path/to/file.js
+@@ -10,7 +10,7 @@
+ context
+-old line
++new line
+ context
+\`\`\`
+
+RULES:
+- Use unified diff format (standard diff -u)
+- Include 3 lines context before/after changes
+- Output "NO CHANGES NEEDED" if goal achieved
+- Make substantial progress each iteration`;
+
+const FAST_SEARCH_REPLACE = `## Changes:
+path/to/file.js
+\`\`\`
+<<<<<<< SEARCH
+old line
+=======
+new line
+>>>>>>> REPLACE
+\`\`\`
+
+RULES:
+- Use SEARCH/REPLACE blocks, each preceded by the file path on its own line
+- SEARCH must copy existing lines exactly (without the line-number prefix) and match only one place in the file
+- Empty SEARCH creates a new file
+- Output "NO CHANGES NEEDED" if goal achieved
+- Make substantial progress each iteration`;
+
+const FULL_DIFF = `## Changes:
+\`\`\`diff
+--- a/path/to/file.js
++++ b/path/to/file.js
+@@ -10,7 +10,7 @@
+ context line
+ context line
+-old line to remove
++new line to add
+ context line
+ context line
+\`\`\`
+
+DIFF FORMAT RULES (CRITICAL):
+- Output unified diff format (standard diff -u format)
+- Start each file with: --- a/path/to/file.ext and +++ b/path/to/file.ext
+- Include @@ line numbers with context
+- Lines starting with - are removed
+- Lines starting with + are added
+- Include 3 lines of context before and after changes
+- For new files, use: --- /dev/null and +++ b/path/to/file.ext
+- For deleted files, use: --- a/path/to/file.ext and +++ /dev/null
+- To move or rename a file, use git headers instead of deleting and re-creating it:
+  diff --git a/old/path.ext b/new/path.ext
+  rename from old/path.ext
+  rename to new/path.ext
+  (followed by ---/+++ and hunks if the content changes too)
+- If goal is fully achieved, respond with only: "NO CHANGES NEEDED"
+- NEVER output complete file contents - ONLY diffs
+- Make each iteration count - substantial progress, not trivial tweaks
+
+WHY DIFFS:
+- Diffs only touch what needs changing - prevents accidental deletion of code
+- Can review exactly what's being changed
+- Safe even with large files or token limits`;
+
+const FULL_SEARCH_REPLACE = `## Changes:
+path/to/file.js
+\`\`\`
+<<<<<<< SEARCH
+function total(items) {
+  return items.length;
+}
+=======
+function total(items) {
+  return items.filter(Boolean).length;
+}
+>>>>>>> REPLACE
+\`\`\`
+
+SEARCH/REPLACE FORMAT RULES (CRITICAL):
+- Describe every change as a SEARCH/REPLACE block inside a code fence
+- Put the file path on its own line directly above the fence (no other text on that line)
+- SEARCH must copy the existing lines EXACTLY - same whitespace, indentation, comments and blank lines
+- Leave out the line-number prefixes (like "12│") shown in the codebase
+- Include enough lines in SEARCH to match only ONE place in the file
+- Keep blocks small: several small blocks are better than one large one
+- Multiple blocks for the same file are applied in order
+- For new files, leave SEARCH empty and put the whole file in REPLACE
+- For deleted files, use a diff block: --- a/path/to/file.ext and +++ /dev/null
+- If goal is fully achieved, respond with only: "NO CHANGES NEEDED"
+- NEVER output complete contents of existing files - ONLY the parts that change
+- Make each iteration count - substantial progress, not trivial tweaks
+
+WHY SEARCH/REPLACE:
+- Changes are located by their content, not line numbers - no off-by-N hunks
+- Only touches what needs changing - prevents accidental deletion of code
+- Safe even with large files or token limits`;
+
+/**
+ * Short name of the format for the instructions at the end of the user message
+ * @param {string} format - Edit format
+ * @returns {string}
+ */
+function describeEditFormat(format) {
+  return resolveEditFormat(format) === 'search-replace' ? 'SEARCH/REPLACE blocks' : 'unified diffs';
+}
+
+/**
+ * The part of the user message asking to redo changes that failed to apply
+ * @param {Object} repair - { attempt, maxAttempts, failures: [{ file, message, excerpt }], applied }
+ * @param {string} format - Edit format
+ * @returns {string}
+ */
+function formatRepairRequest(repair, format) {
+  let message = `# Repair Request (attempt ${repair.attempt} of ${repair.maxAttempts}):\n`;
+  message += `Some of your changes in this iteration could not be applied. `;
+  message += repair.applied.length > 0
+    ? `These files were changed successfully: ${repair.applied.join(', ')}.\n`
+    : `Your changes to the other files are kept.\n`;
+  message += `Re-emit ONLY the failed changes below as ${describeEditFormat(format)}, corrected against the current file content. `;
+  message += `Do not repeat changes that were already applied.\n\n`;
+
+  for (const failure of repair.failures) {
+    message += `## ${failure.file ? `Failed: ${failure.file}` : 'Failed'}\n${failure.message}\n`;
+    if (failure.excerpt) {
+      message += `Current content around the failure:\n\`\`\`\n${failure.excerpt}\n\`\`\`\n`;
+    }
+    message += `\n`;
+  }
+
+  return message;
+}
+
+module.exports = {
+  EDIT_FORMATS,
+  DEFAULT_EDIT_FORMAT,
+  resolveEditFormat,
+  getChangesInstructions,
+  describeEditFormat,
+  formatRepairRequest
+};
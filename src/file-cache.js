@@ -0,0 +1,153 @@
+/**
+ * File Cache
+ *
+ * Directory listings, file stats and file contents kept from one iteration
+ * to the next, so FileSelector doesn't re-read a whole large tree every time.
+ *
+ * A directory is listed again only when its mtime changed (files were added,
+ * removed or renamed in it); a file is read again only when its size or
+ * mtime changed since it was last stat'ed. Paths are absolute, so one cache
+ * can serve several workspaces.
+ *
+ * Contents are kept up to maxContentSize characters in total; past that the
+ * least recently read ones are dropped (their stats stay) and read again when
+ * needed, so a large tree doesn't stay in memory for the whole session.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class FileCache {
+  /**
+   * Create a new FileCache
+   * @param {Object} options - Configuration options
+   * @param {number} options.maxContentSize - Characters of file content to keep (default: 32M)
+   */
+  constructor(options = {}) {
+    this.directories = new Map(); // directory -> { mtimeMs, entries: [{ name, directory, file, link }] }
+    this.files = new Map();       // file -> { size, mtimeMs, content } (content null until read)
+    this.contents = new Map();    // file -> content length, least recently read first
+    this.contentSize = 0;         // Characters of content kept
+    this.maxContentSize = options.maxContentSize || FileCache.MAX_CONTENT_SIZE;
+    this.reads = 0;               // Files read from disk, for --verbose and tests
+  }
+
+  /**
+   * List a directory
+   * @param {string} dir - Absolute path
+   * @returns {Array<Object>} [{ name, directory, file, link }]; throws if the directory can't be read
+   */
+  list(dir) {
+    const { mtimeMs } = fs.statSync(dir);
+    const cached = this.directories.get(dir);
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return cached.entries;
+    }
+
+    const entries = fs.readdirSync(dir, { withFileTypes: true }).map(entry => ({
+      name: entry.name,
+      directory: entry.isDirectory(),
+      file: entry.isFile(),
+      link: entry.isSymbolicLink()
+    }));
+
+    // Forget what was removed from the directory
+    if (cached) {
+      const names = new Set(entries.map(entry => entry.name));
+      for (const entry of cached.entries.filter(entry => !names.has(entry.name))) {
+        this.forget(path.join(dir, entry.name));
+      }
+    }
+
+    this.directories.set(dir, { mtimeMs, entries });
+    return entries;
+  }
+
+  /**
+   * Stat a file, dropping its cached content if it changed
+   * @param {string} file - Absolute path
+   * @returns {fs.Stats} Throws if the file is gone
+   */
+  stat(file) {
+    let stats;
+    try {
+      stats = fs.statSync(file);
+    } catch (error) {
+      this.forget(file);
+      throw error;
+    }
+
+    const cached = this.files.get(file);
+    if (!cached || cached.size !== stats.size || cached.mtimeMs !== stats.mtimeMs) {
+      this.dropContent(file);
+      this.files.set(file, { size: stats.size, mtimeMs: stats.mtimeMs, content: null });
+    }
+
+    return stats;
+  }
+
+  /**
+   * Read a file as UTF-8
+   * Files stat'ed before are trusted to be unchanged since; call stat() first
+   * to pick up changes.
+   * @param {string} file - Absolute path
+   * @returns {string} Throws if the file can't be read
+   */
+  read(file) {
+    if (!this.files.has(file)) {
+      this.stat(file);
+    }
+
+    const cached = this.files.get(file);
+    if (cached.content === null) {
+      cached.content = fs.readFileSync(file, 'utf-8');
+      this.reads++;
+      this.contentSize += cached.content.length;
+    } else {
+      this.contents.delete(file); // Moved to the most recently read end below
+    }
+    this.contents.set(file, cached.content.length);
+
+    // Drop the least recently read contents, always keeping the one just read
+    for (const oldest of this.contents.keys()) {
+      if (this.contentSize <= this.maxContentSize || oldest === file) {
+        break;
+      }
+      this.dropContent(oldest);
+    }
+
+    return cached.content;
+  }
+
+  /**
+   * Drop a file's content, keeping its stats
+   */
+  dropContent(file) {
+    const cached = this.files.get(file);
+    if (cached && cached.content !== null) {
+      cached.content = null;
+      this.contentSize -= this.contents.get(file);
+      this.contents.delete(file);
+    }
+  }
+
+  /**
+   * Drop a file or directory, and everything under it, from the cache
+   */
+  forget(file) {
+    const prefix = file + path.sep;
+    const under = key => key === file || key.startsWith(prefix);
+
+    for (const key of [...this.files.keys()].filter(under)) {
+      this.dropContent(key);
+      this.files.delete(key);
+    }
+    for (const key of [...this.directories.keys()].filter(under)) {
+      this.directories.delete(key);
+    }
+  }
+}
+
+FileCache.MAX_CONTENT_SIZE = 32 * 1024 * 1024;
+
+module.exports = FileCache;
@@ -2,158 +2,403 @@ const fs = require('fs');
 const path = require('path');
 const ignore = require('ignore');
 const micromatch = require('micromatch');
+const RelevanceRanker = require('./relevance-ranker');
+const ImportGraph = require('./import-graph');
+const FileCache = require('./file-cache');
+const ProjectDetector = require('./project-detector');
+const { CHARS_PER_TOKEN, estimateFileTokens } = require('./token-budget');
+const { mapFile, formatMapEntry } = require('./repo-map');
+
+// Files larger than this are ranked and mapped by name only
+const MAX_RANKED_SIZE = 200000;
+
+// Characters of the repo map's heading and instructions
+const REPO_MAP_HEADER = 400;
 
 class FileSelector {
   constructor(options = {}) {
     this.cwd = options.cwd || process.cwd();
     this.includePatterns = options.include || ['**/*'];
     this.excludePatterns = options.exclude || [];
-    this.respectGitignore = options.respectGitignore !== false; // Default true
-    this.maxContextSize = options.maxContextSize || 100000; // 100KB default
+    this.respectGitignore = options.respectGitignore !== false; // Default true (.wiggumizerignore files always apply)
+    this.maxTokens = options.maxTokens ?? null; // Estimated tokens for file contents (see token-budget.js)
+    this.maxContextSize = options.maxContextSize || (this.maxTokens === null ? 100000 : null); // Bytes; 100KB default without a token budget
     this.maxFiles = options.maxFiles || 50; // Max 50 files by default
+    this.repoMapShare = options.repoMapShare ?? 0.1; // Share of the limits for an outline of the files left out (0: none)
     this.verbose = options.verbose || false;
-
-    // Initialize gitignore matcher
-    this.gitignore = null;
-    if (this.respectGitignore) {
-      this.gitignore = this.loadGitignore();
-    }
-
-    // Default file extensions to include
-    this.defaultExtensions = ['.js', '.ts', '.py', '.md', '.json', '.yml', '.yaml', '.jsx', '.tsx'];
+    this.relevance = options.relevance || null; // { prompt, failures, requested } - rank files by relevance to the prompt
+    this.importDepth = options.importDepth ?? 1; // Import edges to follow from the files the prompt names (0: off)
+    this.ranking = []; // Selected files with their scores, from the last getFiles()
+    this.tokensUsed = 0; // Estimated tokens of the files selected by the last getFiles()
+    this.bytesUsed = 0;
+    this.repoMap = null; // { files: [{ path, lines, outline }], omitted } for the files the last getFiles() left out
+    this.cache = options.cache || new FileCache(); // Pass one FileCache to keep listings and contents across iterations
+    this.explain = options.explain || false; // Record why each file was included or left out (wiggumize context)
+    this.candidates = null; // With explain: every file the last getFiles() considered (see explainSelection)
+    this.walkSkipped = []; // With explain: files and directories the walk skipped, with the reason
+    this.leftOut = new Map(); // path -> limit that left the file out in the last applyLimits()
+    this.ecosystems = options.ecosystems || null; // Ecosystems whose files are sent (see ProjectDetector.ECOSYSTEMS); detected when not given
+    this.fileKinds = ProjectDetector.getFileKinds(this.ecosystems || []);
   }
 
   /**
-   * Load and parse .gitignore file
+   * Ignore rules a directory defines: its .gitignore (unless respectGitignore
+   * is off), then its .wiggumizerignore, whose rules (including `!` patterns)
+   * win over the .gitignore's. The root's .git/info/exclude comes first.
+   * @param {string} dir - Absolute path
+   * @param {string} relativeDir - Path relative to the workspace ('' for the root)
+   * @param {Array} entries - The directory's listing
+   * @returns {Object|null} { base, ignore }, null if the directory has no rules
    */
-  loadGitignore() {
-    const gitignorePath = path.join(this.cwd, '.gitignore');
+  loadIgnoreRules(dir, relativeDir, entries) {
+    const names = new Set(entries.filter(entry => !entry.directory).map(entry => entry.name));
+    const sources = [];
 
-    if (!fs.existsSync(gitignorePath)) {
-      return null;
+    if (this.respectGitignore) {
+      if (relativeDir === '') {
+        sources.push(path.join(dir, '.git', 'info', 'exclude'));
+      }
+      if (names.has('.gitignore')) {
+        sources.push(path.join(dir, '.gitignore'));
+      }
+    }
+    if (names.has('.wiggumizerignore')) {
+      sources.push(path.join(dir, '.wiggumizerignore'));
     }
 
-    try {
-      const content = fs.readFileSync(gitignorePath, 'utf-8');
-      const ig = ignore();
-      ig.add(content);
+    const rules = sources.map(file => this.readIgnoreFile(file)).filter(Boolean);
+    if (rules.length === 0) {
+      return null;
+    }
 
-      // Always ignore .git directory
-      ig.add('.git');
-      ig.add('.git/**');
+    return { base: relativeDir.split(path.sep).join('/'), ignore: ignore().add(rules.join('\n')) };
+  }
 
-      return ig;
+  /**
+   * Read an ignore file, or '' if there is none
+   */
+  readIgnoreFile(file) {
+    try {
+      this.cache.stat(file);
+      return this.cache.read(file);
     } catch (error) {
-      if (this.verbose) {
-        console.warn(`Warning: Failed to load .gitignore: ${error.message}`);
+      if (this.verbose && error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+        console.warn(`Warning: Failed to load ${file}: ${error.message}`);
       }
-      return null;
+      return '';
     }
   }
 
+  /**
+   * Whether the ignore rules hide a path
+   * As in Git, the rules of the deepest directory that has a matching rule
+   * decide, so a nested file can re-include (`!`) what a parent ignores.
+   * @param {string} file - Path relative to the workspace
+   * @param {boolean} isDirectory - Directories are matched with a trailing slash
+   * @param {Array} rules - [{ base, ignore }] from the root down
+   */
+  isIgnored(file, isDirectory, rules) {
+    const normalized = file.split(path.sep).join('/');
+
+    for (let i = rules.length - 1; i >= 0; i--) {
+      const relative = rules[i].base ? normalized.slice(rules[i].base.length + 1) : normalized;
+      const result = rules[i].ignore.test(relative + (isDirectory ? '/' : ''));
+      if (result.ignored || result.unignored) {
+        return result.ignored;
+      }
+    }
+
+    return false;
+  }
+
   /**
    * Get all relevant files for the codebase context
    */
   getFiles() {
+    this.walkSkipped = [];
     const allFiles = this.walkDirectory(this.cwd);
+
+    // Send the source, config and test files of every ecosystem in the project
+    this.fileKinds = ProjectDetector.getFileKinds(this.ecosystems || this.detectEcosystems(allFiles));
     let relevantFiles = this.filterFiles(allFiles);
 
     // Calculate file sizes and priorities
-    const filesWithMeta = relevantFiles.map(file => {
-      const fullPath = path.join(this.cwd, file);
-      const stats = fs.statSync(fullPath);
+    const filesWithMeta = [];
+    for (const file of relevantFiles) {
+      let stats;
+      try {
+        stats = this.cache.stat(path.join(this.cwd, file));
+      } catch {
+        continue; // Removed since the walk
+      }
 
-      return {
+      filesWithMeta.push({
         path: file,
         size: stats.size,
         mtime: stats.mtime,
         priority: this.calculatePriority(file, stats)
-      };
-    });
+      });
+    }
+
+    // Add how relevant each file is to the prompt
+    let ranker = null;
+    let contents = null;
+    if (this.relevance) {
+      ranker = new RelevanceRanker(this.relevance);
+      contents = new Map(filesWithMeta.map(file => [file.path, file.size <= MAX_RANKED_SIZE ? this.readFile(file.path) : '']));
+      this.addRelevance(filesWithMeta, ranker, contents);
+    }
 
     // Sort by priority (higher first)
     filesWithMeta.sort((a, b) => b.priority - a.priority);
 
-    // Apply limits
-    const limited = this.applyLimits(filesWithMeta);
+    // Put the files the prompt names and their imports first
+    let ordered = filesWithMeta;
+    if (ranker && this.importDepth > 0) {
+      ordered = this.followImports(filesWithMeta, ranker.symbols, contents);
+    }
+
+    // Apply limits; when files are left out, part of the limits goes to an outline of them
+    let limited = this.applyLimits(ordered);
+    this.repoMap = null;
+    if (this.repoMapShare > 0 && limited.length < ordered.length) {
+      limited = this.applyLimits(ordered, 1 - this.repoMapShare);
+      const selected = new Set(limited);
+      this.repoMap = this.buildRepoMap(ordered.filter(file => !selected.has(file)));
+    }
+    this.ranking = limited.map(f => ({ path: f.path, priority: f.priority, relevance: f.relevance || null, link: f.link || null }));
+
+    if (this.explain) {
+      this.candidates = this.explainSelection(allFiles, ordered, limited);
+    }
 
     return limited.map(f => f.path);
   }
 
+  /**
+   * Score files against the prompt and add the score to their priority
+   * @param {Array} filesWithMeta - [{ path, size, priority }], updated in place
+   * @param {RelevanceRanker} ranker - Ranker for the prompt
+   * @param {Map<string, string>} contents - path -> content
+   */
+  addRelevance(filesWithMeta, ranker, contents) {
+    const scores = ranker.rank(filesWithMeta.map(file => ({ path: file.path, content: contents.get(file.path) })));
+
+    for (const file of filesWithMeta) {
+      file.relevance = scores.get(file.path);
+      file.priority += file.relevance.total;
+    }
+  }
+
+  /**
+   * Order files so the limits keep the ones the prompt is about together
+   * with their direct dependencies and dependents: after PROMPT.md come the
+   * seeds (files the prompt names or the model asked for, or that define a
+   * symbol the prompt names), then
+   * the files reached over import edges (nearest first), then the rest by priority.
+   * @param {Array} filesWithMeta - Sorted by priority; reached files get `link`
+   * @param {Array<string>} symbols - Identifiers named in the prompt
+   * @param {Map<string, string>} contents - path -> content
+   * @returns {Array} Reordered files
+   */
+  followImports(filesWithMeta, symbols, contents) {
+    const seeds = filesWithMeta.filter(file =>
+      file.relevance.mentioned > 0 || file.relevance.requested > 0 || ImportGraph.definesAny(contents.get(file.path), symbols)
+    );
+    if (seeds.length === 0) {
+      return filesWithMeta;
+    }
+
+    const graph = new ImportGraph(filesWithMeta.map(file => ({ path: file.path, content: contents.get(file.path) })));
+    const reached = graph.expand(seeds.map(file => file.path), this.importDepth);
+    const seedPaths = new Set(seeds.map(file => file.path));
+    const pinned = [];
+    const linked = [];
+    const rest = [];
+
+    for (const file of filesWithMeta) {
+      const link = reached.get(ImportGraph.normalize(file.path));
+      if (file.path === 'PROMPT.md') {
+        pinned.push(file);
+      } else if (seedPaths.has(file.path)) {
+        file.link = { seed: true };
+      } else if (link) {
+        file.link = link;
+        linked.push(file);
+      } else {
+        rest.push(file);
+      }
+    }
+
+    // Stable sort: same distance stays in priority order
+    linked.sort((a, b) => a.link.distance - b.link.distance);
+    return [...pinned, ...seeds.filter(file => file.path !== 'PROMPT.md'), ...linked, ...rest];
+  }
+
+  /**
+   * Read a file's content, or '' if it can't be read
+   */
+  readFile(file) {
+    try {
+      return this.cache.read(path.join(this.cwd, file));
+    } catch {
+      return '';
+    }
+  }
+
   /**
    * Walk directory recursively
+   * Ignored directories and directories an exclude pattern covers entirely
+   * are not entered. Listings come from the cache.
+   * @param {Array} rules - Ignore rules of the parent directories (see isIgnored)
    */
-  walkDirectory(dir, basePath = '') {
+  walkDirectory(dir, basePath = '', rules = []) {
     let files = [];
+    let entries;
 
     try {
-      const items = fs.readdirSync(dir);
+      entries = this.cache.list(dir);
+    } catch (error) {
+      // Skip directories we can't read
+      if (this.verbose) {
+        console.warn(`Warning: Cannot read directory ${dir}: ${error.message}`);
+      }
+      return files;
+    }
 
-      for (const item of items) {
-        const fullPath = path.join(dir, item);
-        const relativePath = path.join(basePath, item);
+    const own = this.loadIgnoreRules(dir, basePath, entries);
+    const activeRules = own ? [...rules, own] : rules;
 
-        // Check gitignore first (most efficient)
-        if (this.gitignore && this.gitignore.ignores(relativePath)) {
-          continue;
-        }
+    for (const entry of entries) {
+      // Never walk Git's own directory
+      if (entry.name === '.git') {
+        continue;
+      }
+
+      const fullPath = path.join(dir, entry.name);
+      const relativePath = path.join(basePath, entry.name);
 
-        // Check if it's a directory or file
-        let stat;
+      // Follow symlinks
+      let isDirectory = entry.directory;
+      let isFile = entry.file;
+      if (entry.link) {
         try {
-          stat = fs.statSync(fullPath);
+          const stat = fs.statSync(fullPath);
+          isDirectory = stat.isDirectory();
+          isFile = stat.isFile();
         } catch (error) {
-          // Skip files we can't stat (permission issues, etc.)
+          // Skip broken links and files we can't stat (permission issues, etc.)
           continue;
         }
+      }
 
-        if (stat.isDirectory()) {
-          // Recursively walk subdirectories
-          files = files.concat(this.walkDirectory(fullPath, relativePath));
-        } else if (stat.isFile()) {
-          files.push(relativePath);
+      if (this.isIgnored(relativePath, isDirectory, activeRules)) {
+        if (this.explain) {
+          this.walkSkipped.push({ path: relativePath, directory: isDirectory, reason: 'gitignore' });
         }
+        continue;
       }
-    } catch (error) {
-      // Skip directories we can't read
-      if (this.verbose) {
-        console.warn(`Warning: Cannot read directory ${dir}: ${error.message}`);
+
+      if (isDirectory) {
+        if (!this.excludesDirectory(relativePath)) {
+          files = files.concat(this.walkDirectory(fullPath, relativePath, activeRules));
+        } else if (this.explain) {
+          this.walkSkipped.push({ path: relativePath, directory: true, reason: 'exclude' });
+        }
+      } else if (isFile) {
+        files.push(relativePath);
       }
     }
 
     return files;
   }
 
+  /**
+   * Whether an exclude pattern covers everything under a directory
+   * (like 'node_modules/**'), so it need not be walked
+   */
+  excludesDirectory(dir) {
+    const normalized = dir.split(path.sep).join('/');
+    return this.excludePatterns.some(pattern =>
+      pattern.endsWith('/**') && micromatch.isMatch(normalized, pattern.slice(0, -3))
+    );
+  }
+
+  /**
+   * Ecosystems in the workspace: the ones ProjectDetector finds at the root,
+   * and the ones whose manifests (go.mod, Cargo.toml, ...) are anywhere in the tree
+   * @param {Array<string>} files - Walked files
+   * @returns {Array<string>}
+   */
+  detectEcosystems(files) {
+    const names = new Set(files.map(file => path.basename(file)));
+    return [...new Set([
+      ...new ProjectDetector(this.cwd).detectEcosystems(),
+      ...ProjectDetector.findManifestEcosystems(names)
+    ])];
+  }
+
+  /**
+   * Kind of a file, for the default filter and the priority tiers
+   * @returns {string|null} 'source', 'config' (manifests included), 'doc', or null for files of no known ecosystem
+   */
+  fileKind(file) {
+    const ext = path.extname(file);
+
+    if (this.fileKinds.manifests.includes(path.basename(file))) return 'config';
+    if (this.fileKinds.source.includes(ext)) return 'source';
+    if (this.fileKinds.config.includes(ext)) return 'config';
+    if (this.fileKinds.docs.includes(ext)) return 'doc';
+    return null;
+  }
+
+  /**
+   * Whether a file name is a test's, in any of the ecosystems
+   */
+  isTestFile(name) {
+    return name.includes('.test.') || name.includes('.spec.') || this.fileKinds.tests.some(pattern => pattern.test(name));
+  }
+
   /**
    * Filter files based on include/exclude patterns
    */
   filterFiles(files) {
+    return files.filter(file => this.filterReason(file) === null);
+  }
+
+  /**
+   * Why the patterns leave a file out
+   * @returns {string|null} 'exclude' (an exclude pattern matches), 'include' (no
+   * include pattern matches), 'extension' (no ecosystem's file, with the default
+   * include), or null if the file is kept
+   */
+  filterReason(file) {
     // Apply exclude patterns first
-    let filtered = files;
+    if (this.excludePatterns.length > 0 && this.matches(file, this.excludePatterns)) {
+      return 'exclude';
+    }
 
-    if (this.excludePatterns.length > 0) {
-      filtered = filtered.filter(file => {
-        // Use matchBase to allow patterns like '*.test.js' to match at any level
-        return !micromatch.isMatch(file, this.excludePatterns, { matchBase: true });
-      });
+    // Filter by the ecosystems' files (unless user specified explicit patterns)
+    if (this.includePatterns[0] === '**/*') {
+      return this.fileKind(file) !== null ? null : 'extension';
     }
 
     // Apply include patterns
-    if (this.includePatterns.length > 0 && this.includePatterns[0] !== '**/*') {
-      filtered = filtered.filter(file => {
-        return micromatch.isMatch(file, this.includePatterns, { matchBase: true });
-      });
+    if (this.includePatterns.length > 0 && !this.matches(file, this.includePatterns)) {
+      return 'include';
     }
 
-    // Filter by file extension (unless user specified explicit patterns)
-    if (this.includePatterns[0] === '**/*') {
-      filtered = filtered.filter(file => {
-        const ext = path.extname(file);
-        return this.defaultExtensions.includes(ext);
-      });
-    }
+    return null;
+  }
 
-    return filtered;
+  /**
+   * Whether a file matches any of the patterns
+   * Patterns without a slash (like '*.test.js') match the file name at any level;
+   * the others match the whole path.
+   */
+  matches(file, patterns) {
+    const normalized = file.split(path.sep).join('/');
+    return patterns.some(pattern => micromatch.isMatch(normalized, pattern, { basename: !pattern.includes('/') }));
   }
 
   /**
@@ -162,30 +407,41 @@ class FileSelector {
    * 
    * Priority tiers (designed so code ALWAYS beats docs):
    * - PROMPT.md: 300 (absolute highest - Ralph loop essential)
-   * - Source code (.js, .ts, .py) in src/: 200-250
+   * - Source code (of the project's ecosystems, see fileKind) in src/: 200-250
    * - Source code elsewhere: 180-230
-   * - Config files (package.json, etc): 150-180
+   * - Config files and manifests (package.json, go.mod, etc): 150-180
    * - Documentation (.md): 100-140
    * 
    * The key insight: We use TIER-BASED scoring where the base tier
    * for code is HIGHER than the max possible score for docs.
    */
   calculatePriority(file, stats) {
-    const ext = path.extname(file);
+    const breakdown = this.priorityBreakdown(file, stats);
+    return Object.values(breakdown).reduce((sum, points) => sum + points, 0);
+  }
+
+  /**
+   * Points behind a file's priority (see calculatePriority)
+   * @returns {Object} { tier, size, recency, directory, special }
+   */
+  priorityBreakdown(file, stats) {
     const basename = path.basename(file);
+    const breakdown = { tier: 0, size: 0, recency: 0, directory: 0, special: 0 };
 
     // PROMPT.md at root is ALWAYS first - essential for Ralph loop
     // Nested PROMPT.md files are treated as regular markdown
     if (basename === 'PROMPT.md' && file === 'PROMPT.md') {
-      return 300;
+      breakdown.tier = 300;
+      return breakdown;
     }
     
     // Determine base tier by file type
     // This ensures code files ALWAYS outrank documentation
     let baseTier;
-    const isSourceCode = ['.js', '.ts', '.py', '.jsx', '.tsx'].includes(ext);
-    const isConfig = ['.json', '.yml', '.yaml'].includes(ext);
-    const isDoc = ['.md'].includes(ext);
+    const kind = this.fileKind(file);
+    const isSourceCode = kind === 'source';
+    const isConfig = kind === 'config';
+    const isDoc = kind === 'doc';
     
     if (isSourceCode) {
       baseTier = 180; // Source code base: 180-250 range
@@ -197,78 +453,201 @@ class FileSelector {
       baseTier = 80; // Other files: 80-120 range
     }
     
-    let score = baseTier;
+    breakdown.tier = baseTier;
     
     // Size bonus (max +15)
-    if (stats.size < 10000) score += 15;       // < 10KB
-    else if (stats.size < 50000) score += 8;   // < 50KB
-    else if (stats.size > 200000) score -= 20; // > 200KB (penalty)
+    if (stats.size < 10000) breakdown.size = 15;       // < 10KB
+    else if (stats.size < 50000) breakdown.size = 8;   // < 50KB
+    else if (stats.size > 200000) breakdown.size = -20; // > 200KB (penalty)
 
     // Recency bonus (max +20)
     const age = Date.now() - stats.mtime.getTime();
     const daysOld = age / (1000 * 60 * 60 * 24);
 
-    if (daysOld < 1) score += 20;       // Modified today
-    else if (daysOld < 7) score += 12;  // Modified this week
-    else if (daysOld < 30) score += 5;  // Modified this month
+    if (daysOld < 1) breakdown.recency = 20;       // Modified today
+    else if (daysOld < 7) breakdown.recency = 12;  // Modified this week
+    else if (daysOld < 30) breakdown.recency = 5;  // Modified this month
 
     // Directory bonuses for source code (max +20)
     if (isSourceCode) {
       if (file.startsWith('src/') || file.startsWith('src\\')) {
-        score += 20; // Main source directory
+        breakdown.directory = 20; // Main source directory
       } else if (file.startsWith('lib/') || file.startsWith('lib\\')) {
-        score += 15;
+        breakdown.directory = 15;
       } else if (file.startsWith('test/') || file.startsWith('tests/') || 
                file.startsWith('test\\') || file.startsWith('tests\\')) {
-        score -= 15; // Tests are lower priority than production code
+        breakdown.directory = -15; // Tests are lower priority than production code
       }
     }
 
     // Special file bonuses (within their tier)
-    if (basename === 'package.json') {
-      score += 25; // Critical for understanding project
+    if (this.fileKinds.manifests.includes(basename)) {
+      breakdown.special = 25; // Manifests (package.json, go.mod, ...) are critical for understanding project
     } else if (basename === 'README.md') {
-      score += 10; // Important doc, but still in docs tier
+      breakdown.special = 10; // Important doc, but still in docs tier
     } else if (basename === 'index.js' || basename === 'index.ts') {
-      score += 10; // Entry points are important
-    } else if (basename.includes('.test.') || basename.includes('.spec.')) {
-      score -= 10; // Test files lower priority
+      breakdown.special = 10; // Entry points are important
+    } else if (this.isTestFile(basename)) {
+      breakdown.special = -10; // Test files lower priority
     }
 
-    return score;
+    return breakdown;
   }
 
   /**
    * Apply context size and file count limits
+   * Files that don't fit are skipped, so smaller files further down can
+   * still use the rest of the budget.
+   * @param {Array} filesWithMeta - Files in order of preference
+   * @param {number} share - Share of the size limits to fill (the file count limit always applies)
    */
-  applyLimits(filesWithMeta) {
+  applyLimits(filesWithMeta, share = 1) {
+    const maxTokens = this.maxTokens !== null ? Math.floor(this.maxTokens * share) : null;
+    const maxContextSize = this.maxContextSize !== null ? Math.floor(this.maxContextSize * share) : null;
     const selected = [];
     let totalSize = 0;
+    let totalTokens = 0;
+    let skipped = 0;
+    this.leftOut = new Map();
 
     for (const file of filesWithMeta) {
       // Check file count limit
       if (selected.length >= this.maxFiles) {
-        if (this.verbose) {
-          console.warn(`Reached max file limit (${this.maxFiles}). Skipping remaining files.`);
-        }
-        break;
+        this.leftOut.set(file.path, 'max-files');
+        continue;
       }
 
-      // Check context size limit
-      if (totalSize + file.size > this.maxContextSize) {
-        if (this.verbose) {
-          console.warn(`Reached max context size (${this.maxContextSize} bytes). Skipping remaining files.`);
-        }
-        break;
+      // Check context size limits
+      if (maxContextSize !== null && totalSize + file.size > maxContextSize) {
+        this.leftOut.set(file.path, 'budget');
+        skipped++;
+        continue;
+      }
+
+      const tokens = maxTokens !== null ? estimateFileTokens(file.path, this.readFile(file.path)) : 0;
+      if (maxTokens !== null && totalTokens + tokens > maxTokens) {
+        this.leftOut.set(file.path, 'budget');
+        skipped++;
+        continue;
       }
 
       selected.push(file);
       totalSize += file.size;
+      totalTokens += tokens;
     }
 
+    if (selected.length >= this.maxFiles && this.leftOut.size > skipped && this.verbose) {
+      console.warn(`Reached max file limit (${this.maxFiles}). Skipping remaining files.`);
+    }
+
+    if (skipped > 0 && this.verbose) {
+      const limits = [
+        maxTokens !== null ? `~${maxTokens} tokens` : null,
+        maxContextSize !== null ? `${maxContextSize} bytes` : null
+      ].filter(Boolean).join(', ');
+      console.warn(`Skipped ${skipped} files that did not fit in the context (${limits}).`);
+    }
+
+    this.tokensUsed = totalTokens;
+    this.bytesUsed = totalSize;
     return selected;
   }
 
+  /**
+   * Outline the files left out, in order, in what the selected files leave
+   * of the limits; files whose outline doesn't fit are listed by path alone
+   * @param {Array} files - Files left out, in order of preference
+   * @returns {Object} { files: [{ path, lines, outline }], omitted }
+   */
+  buildRepoMap(files) {
+    const tokensLeft = this.maxTokens !== null ? this.maxTokens - this.tokensUsed : null;
+    const bytesLeft = this.maxContextSize !== null ? this.maxContextSize - this.bytesUsed : null;
+    const fits = length => (tokensLeft === null || Math.ceil(length / CHARS_PER_TOKEN) <= tokensLeft) &&
+      (bytesLeft === null || length <= bytesLeft);
+
+    const repoMap = { files: [], omitted: 0 };
+    let length = REPO_MAP_HEADER;
+
+    for (const file of files) {
+      if (!fits(length + file.path.length + 4)) {
+        repoMap.omitted++;
+        continue;
+      }
+
+      const content = file.size <= MAX_RANKED_SIZE ? this.readFile(file.path) : '';
+      let entry = mapFile(file.path, content);
+      if (!fits(length + formatMapEntry(entry).length)) {
+        entry = { ...entry, outline: [] };
+      }
+
+      const entryLength = formatMapEntry(entry).length;
+      if (fits(length + entryLength)) {
+        repoMap.files.push(entry);
+        length += entryLength;
+      } else {
+        repoMap.omitted++;
+      }
+    }
+
+    return repoMap;
+  }
+
+  /**
+   * Every file considered, with why it was included or left out (explain mode)
+   * Directories the walk skipped are listed once, with a trailing separator.
+   * @param {Array<string>} allFiles - Walked files
+   * @param {Array} ordered - Files that passed the patterns, in order of preference
+   * @param {Array} selected - Files within the limits
+   * @returns {Array<Object>} [{ path, directory, included, reason, size, tokens,
+   *   priority, breakdown, link, outlined }]; reason is null for included files,
+   *   else 'budget', 'max-files', 'exclude', 'include', 'extension' or 'gitignore'
+   */
+  explainSelection(allFiles, ordered, selected) {
+    const chosen = new Set(selected);
+    const outlined = new Set((this.repoMap?.files || []).map(entry => entry.path));
+    const considered = new Set(ordered.map(file => file.path));
+    const leftOut = (file, reason, directory = false) => ({
+      path: directory ? file + path.sep : file,
+      directory,
+      included: false,
+      reason,
+      size: null,
+      tokens: null,
+      priority: null,
+      breakdown: null,
+      link: null,
+      outlined: false
+    });
+
+    const candidates = ordered.map(file => {
+      const { total, ...relevance } = file.relevance || {};
+      return {
+        path: file.path,
+        directory: false,
+        included: chosen.has(file),
+        reason: chosen.has(file) ? null : this.leftOut.get(file.path) || 'budget',
+        size: file.size,
+        tokens: file.size <= MAX_RANKED_SIZE ? estimateFileTokens(file.path, this.readFile(file.path)) : null,
+        priority: file.priority,
+        breakdown: { ...this.priorityBreakdown(file.path, file), ...relevance },
+        link: file.link || null,
+        outlined: outlined.has(file.path)
+      };
+    });
+
+    for (const file of allFiles.filter(file => !considered.has(file))) {
+      const reason = this.filterReason(file);
+      if (reason) {
+        candidates.push(leftOut(file, reason));
+      }
+    }
+    for (const entry of this.walkSkipped) {
+      candidates.push(leftOut(entry.path, entry.reason, entry.directory));
+    }
+
+    return candidates;
+  }
+
   /**
    * Get file contents with metadata
    */
@@ -280,7 +659,7 @@ class FileSelector {
       let content;
 
       try {
-        content = fs.readFileSync(fullPath, 'utf-8');
+        content = this.cache.read(fullPath);
       } catch (error) {
         content = `[Error reading file: ${error.message}]`;
       }
@@ -300,7 +679,7 @@ class FileSelector {
     const totalSize = files.reduce((sum, file) => {
       const fullPath = path.join(this.cwd, file);
       try {
-        const stats = fs.statSync(fullPath);
+        const stats = this.cache.stat(fullPath);
         return sum + stats.size;
       } catch {
         return sum;
@@ -1,4 +1,4 @@
-const { execSync } = require('child_process');
+const { execSync, execFileSync } = require('child_process');
 const chalk = require('chalk');
 
 class GitHelper {
@@ -39,11 +39,11 @@ class GitHelper {
     }
   }
 
-  static rollbackToCommit(commitHash, cwd = null) {
+  static rollbackToCommit(commitHash, cwd = null, mode = 'hard') {
     try {
       const options = { stdio: 'ignore' };
       if (cwd) options.cwd = cwd;
-      execSync(`git reset --hard ${commitHash}`, options);
+      execSync(`git reset --${mode} ${commitHash}`, options);
       return true;
     } catch {
       return false;
@@ -60,6 +60,56 @@ class GitHelper {
     }
   }
 
+  /**
+   * Record the working tree (including uncommitted changes to tracked files)
+   * as a dangling stash commit without touching the tree, index or stash list
+   * @param {string|null} cwd - Working directory
+   * @returns {string|null} Commit hash, or null if there is nothing uncommitted
+   */
+  static createStashSnapshot(cwd = null) {
+    try {
+      const options = { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] };
+      if (cwd) options.cwd = cwd;
+      const ref = execSync('git stash create', options).trim();
+      return ref || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Read a file's content as it was at a given commit
+   * @param {string} ref - Commit hash or ref
+   * @param {string} filePath - Path relative to cwd
+   * @param {string|null} cwd - Working directory
+   * @returns {Buffer|null} File content, or null if the file did not exist at ref
+   */
+  static getFileAtRef(ref, filePath, cwd = null) {
+    try {
+      const options = { stdio: ['ignore', 'pipe', 'ignore'] };
+      if (cwd) options.cwd = cwd;
+      return execFileSync('git', ['show', `${ref}:./${filePath}`], options);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Get untracked (but not ignored) files
+   * @param {string|null} cwd - Working directory
+   * @returns {Array<string>} Untracked file paths
+   */
+  static getUntrackedFiles(cwd = null) {
+    try {
+      const options = { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] };
+      if (cwd) options.cwd = cwd;
+      const output = execSync('git ls-files --others --exclude-standard', options);
+      return output.split('\n').filter(Boolean);
+    } catch {
+      return [];
+    }
+  }
+
   static warnIfDirty(cwd = null) {
     if (!GitHelper.isGitRepo(cwd)) {
       console.log(chalk.yellow('\n⚠ Warning: Not a git repository'));
@@ -94,7 +144,8 @@ class GitHelper {
       // Parse porcelain output: "XY filename" or "XY original -> renamed"
       // X = index status, Y = worktree status
       // We want files that are modified (M), added (A), deleted (D), renamed (R), or untracked (?)
-      const files = status.trim().split('\n')
+      // (only trim the end: the first line's leading space is part of its status)
+      const files = status.trimEnd().split('\n')
         .map(line => {
           // Format: "XY filename" or "XY old -> new" for renames
           const match = line.match(/^..\s+(.+?)(?:\s+->\s+(.+))?$/);
@@ -0,0 +1,201 @@
+/**
+ * Import Graph
+ *
+ * Local dependency edges between the files of a workspace: relative
+ * `require`/`import`/`export ... from` in JavaScript and TypeScript, and
+ * `import`/`from ... import` in Python. Packages (anything not resolving to
+ * a file of the workspace) are ignored.
+ *
+ * FileSelector uses it to send the files the prompt is about together with
+ * the modules they call and the modules calling them.
+ */
+
+const path = require('path');
+
+const JS_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs'];
+const RESOLVE_EXTENSIONS = [...JS_EXTENSIONS, '.json'];
+
+class ImportGraph {
+  /**
+   * Build the graph
+   * @param {Array} files - [{ path, content }], paths relative to the workspace
+   */
+  constructor(files) {
+    this.paths = new Set(files.map(file => ImportGraph.normalize(file.path)));
+    this.dependencies = new Map(); // path -> Set of paths it imports
+    this.dependents = new Map();   // path -> Set of paths importing it
+
+    for (const file of files) {
+      const from = ImportGraph.normalize(file.path);
+      for (const specifier of ImportGraph.parseImports(file.content || '', from)) {
+        const target = this.resolve(specifier, from);
+        if (target && target !== from) {
+          this.addEdge(from, target);
+        }
+      }
+    }
+  }
+
+  addEdge(from, to) {
+    if (!this.dependencies.has(from)) this.dependencies.set(from, new Set());
+    if (!this.dependents.has(to)) this.dependents.set(to, new Set());
+    this.dependencies.get(from).add(to);
+    this.dependents.get(to).add(from);
+  }
+
+  /**
+   * Files a file imports and files importing it
+   * @returns {Array<string>}
+   */
+  neighbours(file) {
+    return [...(this.dependencies.get(file) || []), ...(this.dependents.get(file) || [])];
+  }
+
+  /**
+   * Follow import edges in both directions from the seed files
+   * @param {Array<string>} seeds - Starting files
+   * @param {number} depth - Edges to follow
+   * @returns {Map<string, Object>} path -> { distance, from } for the files reached (seeds excluded)
+   */
+  expand(seeds, depth) {
+    const reached = new Map();
+    const seen = new Set(seeds.map(ImportGraph.normalize));
+    let frontier = [...seen];
+
+    for (let distance = 1; distance <= depth && frontier.length > 0; distance++) {
+      const next = [];
+      for (const file of frontier) {
+        for (const neighbour of this.neighbours(file)) {
+          if (!seen.has(neighbour)) {
+            seen.add(neighbour);
+            reached.set(neighbour, { distance, from: file });
+            next.push(neighbour);
+          }
+        }
+      }
+      frontier = next;
+    }
+
+    return reached;
+  }
+
+  /**
+   * Resolve an import to a file of the workspace
+   * @param {string} specifier - From parseImports()
+   * @param {string} from - Importing file
+   * @returns {string|null} Path, or null for packages and missing files
+   */
+  resolve(specifier, from) {
+    const candidates = path.posix.extname(from) === '.py'
+      ? ImportGraph.pythonCandidates(specifier, from)
+      : ImportGraph.jsCandidates(specifier, from);
+
+    return candidates.find(candidate => this.paths.has(candidate)) || null;
+  }
+
+  /**
+   * Files a JavaScript/TypeScript import could refer to
+   */
+  static jsCandidates(specifier, from) {
+    if (!specifier.startsWith('./') && !specifier.startsWith('../')) {
+      return [];
+    }
+
+    const base = path.posix.normalize(path.posix.join(path.posix.dirname(from), specifier));
+    // TypeScript sources are imported with the .js extension of their output
+    const withoutJs = base.replace(/\.(js|jsx|mjs|cjs)$/, '');
+
+    return [
+      base,
+      ...RESOLVE_EXTENSIONS.map(ext => withoutJs + ext),
+      ...RESOLVE_EXTENSIONS.map(ext => `${base}/index${ext}`)
+    ];
+  }
+
+  /**
+   * Files a Python module name could refer to
+   * Relative names (leading dots) start from the importing file's package,
+   * absolute ones from the workspace root.
+   */
+  static pythonCandidates(specifier, from) {
+    const dots = specifier.match(/^\.*/)[0].length;
+    let dir = '';
+    if (dots > 0) {
+      dir = path.posix.dirname(from);
+      for (let i = 1; i < dots; i++) {
+        dir = path.posix.dirname(dir);
+      }
+    }
+
+    const rest = specifier.slice(dots).split('.').filter(Boolean).join('/');
+    const base = path.posix.join(dir === '.' ? '' : dir, rest);
+    if (!rest) {
+      return [path.posix.join(base, '__init__.py')];
+    }
+    return [`${base}.py`, path.posix.join(base, '__init__.py')];
+  }
+
+  /**
+   * Find the modules a file imports
+   * @param {string} content - File content
+   * @param {string} file - Path of the file (its extension selects the language)
+   * @returns {Array<string>} Import specifiers (Python: dotted module names)
+   */
+  static parseImports(content, file) {
+    const ext = path.posix.extname(file);
+    const specifiers = new Set();
+
+    if (JS_EXTENSIONS.includes(ext)) {
+      const patterns = [
+        /\brequire\s*\(\s*['"]([^'"]+)['"]\s*\)/g,
+        /\bimport\s*\(\s*['"]([^'"]+)['"]\s*\)/g,
+        /\b(?:import|export)\s+(?:[\w*${}\s,]+?\s+from\s+)?['"]([^'"]+)['"]/g
+      ];
+      for (const pattern of patterns) {
+        for (const match of content.matchAll(pattern)) {
+          specifiers.add(match[1]);
+        }
+      }
+    } else if (ext === '.py') {
+      for (const match of content.matchAll(/^[ \t]*import[ \t]+([\w.]+(?:[ \t]*,[ \t]*[\w.]+)*)/gm)) {
+        match[1].split(',').forEach(name => specifiers.add(name.trim()));
+      }
+      for (const match of content.matchAll(/^[ \t]*from[ \t]+(\.*[\w.]*)[ \t]+import[ \t]+\(?([\w \t,]+)/gm)) {
+        const module = match[1];
+        specifiers.add(module);
+        // `from pkg import mod` may import a submodule
+        for (const name of match[2].split(',').map(part => part.trim().split(/\s+/)[0]).filter(Boolean)) {
+          specifiers.add(module.endsWith('.') ? module + name : `${module}.${name}`);
+        }
+      }
+    }
+
+    return [...specifiers];
+  }
+
+  /**
+   * Whether a file defines one of the symbols (function, class, variable, Python def)
+   * @param {string} content - File content
+   * @param {Array<string>} symbols - Identifiers
+   */
+  static definesAny(content, symbols) {
+    if (!content || symbols.length === 0) {
+      return false;
+    }
+
+    const names = symbols.map(symbol => symbol.replace(/\$/g, '\\$')).join('|');
+    const definition = new RegExp(
+      `\\b(?:function\\*?|class|def|interface|type|enum|const|let|var)\\s+(?:${names})\\b|\\bexports\\.(?:${names})\\s*=`
+    );
+    return definition.test(content);
+  }
+
+  /**
+   * Forward slashes, no leading ./
+   */
+  static normalize(file) {
+    return file.split(path.sep).join('/').replace(/^\.\//, '');
+  }
+}
+
+module.exports = ImportGraph;
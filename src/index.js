@@ -12,6 +12,7 @@ const AiSdkProvider = require('./providers/ai-sdk');
 const { ChatNotifier, SlackProvider, WhatsAppProvider, BaseChatProvider } = require('./chat');
 const IterationJournal = require('./iteration-journal');
 const WorkspaceManager = require('./workspace-manager');
+const JsonReporter = require('./json-reporter');
 
 module.exports = {
   RalphLoop,
@@ -25,5 +26,7 @@ module.exports = {
   BaseChatProvider,
   // Non-Git support
   IterationJournal,
-  WorkspaceManager
+  WorkspaceManager,
+  // Machine-readable progress
+  JsonReporter
 };
@@ -0,0 +1,313 @@
+/**
+ * Interactive Approver
+ *
+ * Lets the user review the diffs (or SEARCH/REPLACE blocks) from a provider
+ * response before anything is written: accept everything, accept or reject
+ * file by file, reject with a reason, or edit the patch in $EDITOR.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { spawnSync } = require('child_process');
+const chalk = require('chalk');
+const DiffApplier = require('./diff-applier');
+
+class InteractiveApprover {
+  /**
+   * Create a new InteractiveApprover
+   * @param {Object} options - Configuration options
+   * @param {Stream} options.input - Where answers are read from (default: process.stdin)
+   * @param {Stream} options.output - Where diffs and questions are written (default: process.stdout)
+   * @param {string} options.editor - Editor command (default: $VISUAL, $EDITOR, then vi)
+   */
+  constructor(options = {}) {
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.editor = options.editor || process.env.VISUAL || process.env.EDITOR || 'vi';
+
+    this.rl = null;
+    this.lines = [];
+    this.waiting = null;
+  }
+
+  /**
+   * Review the diffs in a provider response
+   * @param {string} responseText - Raw provider response containing ```diff blocks
+   * @param {Object} options - { iteration }
+   * @returns {Promise<Object>} { changes, accepted, rejected: [{file, reason}], edited }
+   *   changes is a response text holding only the approved diffs
+   */
+  async review(responseText, options = {}) {
+    // SEARCH/REPLACE blocks are shown (and applied) as the equivalent diffs
+    const edits = DiffApplier.editsToFileDiffs(responseText, process.cwd());
+    let fileDiffs = [...DiffApplier.parseDiff(DiffApplier.extractDiffText(responseText)), ...edits.fileDiffs];
+
+    if (fileDiffs.length === 0) {
+      return { changes: responseText, accepted: [], rejected: [], edited: [] };
+    }
+
+    for (const error of edits.errors) {
+      this.output.write(chalk.yellow(`⚠ ${error} - skipped\n`));
+    }
+
+    const edited = new Set();
+    this.open();
+
+    try {
+      while (true) {
+        this.showDiffs(fileDiffs, options.iteration);
+
+        const answer = await this.ask(
+          `Apply these changes? ${chalk.bold('[a]')}ll / ${chalk.bold('[f]')}ile by file / ${chalk.bold('[e]')}dit / ${chalk.bold('[r]')}eject: `,
+          ['a', 'f', 'e', 'r']
+        );
+
+        if (answer === 'a') {
+          return this.result(fileDiffs, [], edited);
+        }
+
+        if (answer === 'r') {
+          const reason = await this.askReason();
+          return this.result([], fileDiffs.map(fileDiff => ({ file: this.fileName(fileDiff), reason })), edited);
+        }
+
+        if (answer === 'e') {
+          const editedDiffs = this.editPatch(fileDiffs, options.iteration);
+          if (editedDiffs) {
+            fileDiffs.forEach(fileDiff => edited.add(this.fileName(fileDiff)));
+            fileDiffs = editedDiffs;
+          }
+          continue;
+        }
+
+        return await this.reviewFiles(fileDiffs, edited, options.iteration);
+      }
+    } finally {
+      this.close();
+    }
+  }
+
+  /**
+   * Ask about each file in turn
+   */
+  async reviewFiles(fileDiffs, edited, iteration) {
+    const accepted = [];
+    const rejected = [];
+
+    for (let fileDiff of fileDiffs) {
+      const file = this.fileName(fileDiff);
+
+      while (true) {
+        this.showFileDiff(fileDiff);
+        const answer = await this.ask(
+          `Apply changes to ${chalk.bold(file)}? ${chalk.bold('[y]')}es / ${chalk.bold('[n]')}o / ${chalk.bold('[e]')}dit: `,
+          ['y', 'n', 'e']
+        );
+
+        if (answer === 'y') {
+          accepted.push(fileDiff);
+          break;
+        }
+
+        if (answer === 'n') {
+          rejected.push({ file, reason: await this.askReason() });
+          break;
+        }
+
+        const editedDiffs = this.editPatch([fileDiff], iteration);
+        if (editedDiffs && editedDiffs.length > 0) {
+          edited.add(file);
+          fileDiff = editedDiffs[0];
+        }
+      }
+    }
+
+    return this.result(accepted, rejected, edited);
+  }
+
+  /**
+   * Build the review result
+   */
+  result(acceptedDiffs, rejected, edited) {
+    const diffText = DiffApplier.formatDiff(acceptedDiffs);
+
+    return {
+      changes: diffText ? `\`\`\`diff\n${diffText}\`\`\`\n` : '',
+      accepted: acceptedDiffs.map(fileDiff => this.fileName(fileDiff)),
+      rejected,
+      edited: [...edited].filter(file => acceptedDiffs.some(fileDiff => this.fileName(fileDiff) === file))
+    };
+  }
+
+  /**
+   * Open the patch in the user's editor
+   * @returns {Array|null} Re-parsed file diffs, or null if editing failed
+   */
+  editPatch(fileDiffs, iteration) {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wiggumizer-review-'));
+    const patchFile = path.join(tempDir, `iteration-${iteration || 0}.diff`);
+
+    try {
+      fs.writeFileSync(patchFile, DiffApplier.formatDiff(fileDiffs), 'utf-8');
+
+      // Hand the terminal to the editor; $EDITOR may include arguments
+      this.pause();
+      const result = spawnSync(`${this.editor} "${patchFile}"`, { shell: true, stdio: 'inherit' });
+      this.resume();
+
+      if (result.status !== 0) {
+        this.output.write(chalk.yellow(`⚠ Editor exited with code ${result.status} - keeping the original patch\n`));
+        return null;
+      }
+
+      const editedDiffs = DiffApplier.parseDiff(fs.readFileSync(patchFile, 'utf-8'));
+      if (editedDiffs.length === 0) {
+        this.output.write(chalk.yellow('⚠ Edited patch contains no diffs - keeping the original patch\n'));
+        return null;
+      }
+
+      return editedDiffs;
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Print all file diffs with a summary line
+   */
+  showDiffs(fileDiffs, iteration) {
+    const label = iteration ? ` (iteration ${iteration})` : '';
+    this.output.write(chalk.bold(`\nProposed changes${label}: ${fileDiffs.length} file(s)\n`));
+
+    for (const fileDiff of fileDiffs) {
+      this.showFileDiff(fileDiff);
+    }
+  }
+
+  /**
+   * Print one file diff with colored hunks
+   */
+  showFileDiff(fileDiff) {
+    let added = 0;
+    let removed = 0;
+    for (const hunk of fileDiff.hunks) {
+      added += hunk.lines.filter(line => line[0] === '+').length;
+      removed += hunk.lines.filter(line => line[0] === '-').length;
+    }
+
+    const status = fileDiff.isNew ? ' (new file)' : fileDiff.isDeleted ? ' (deleted)' : '';
+    this.output.write('\n' + chalk.bold(this.fileName(fileDiff)) + chalk.dim(status) + ' ' +
+      chalk.green(`+${added}`) + ' ' + chalk.red(`-${removed}`) + '\n');
+
+    for (const hunk of fileDiff.hunks) {
+      this.output.write(chalk.cyan(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`) + '\n');
+      for (const line of hunk.lines) {
+        if (line[0] === '+') {
+          this.output.write(chalk.green(line) + '\n');
+        } else if (line[0] === '-') {
+          this.output.write(chalk.red(line) + '\n');
+        } else {
+          this.output.write(chalk.dim(line) + '\n');
+        }
+      }
+    }
+  }
+
+  fileName(fileDiff) {
+    return fileDiff.newPath || fileDiff.oldPath;
+  }
+
+  /**
+   * Ask for an optional rejection reason
+   */
+  async askReason() {
+    const reason = await this.ask('Reason (optional, sent to the next iteration): ');
+    return reason || null;
+  }
+
+  /**
+   * Ask a question, repeating it until the answer is one of choices
+   * @param {string} question - Prompt text
+   * @param {Array<string>} choices - Allowed single-letter answers (omit for free text)
+   * @returns {Promise<string>}
+   */
+  async ask(question, choices = null) {
+    while (true) {
+      this.output.write(question);
+      const line = await this.nextLine();
+      const answer = line.trim();
+
+      if (!choices) {
+        return answer;
+      }
+
+      const choice = answer.toLowerCase().charAt(0);
+      if (choices.includes(choice)) {
+        return choice;
+      }
+    }
+  }
+
+  /**
+   * Read the next line of input
+   * Rejects if input ends, so the loop doesn't hang waiting for an answer
+   */
+  nextLine() {
+    if (this.lines.length > 0) {
+      return Promise.resolve(this.lines.shift());
+    }
+
+    if (!this.rl) {
+      return Promise.reject(new Error('Input closed during interactive review'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+    });
+  }
+
+  open() {
+    this.rl = readline.createInterface({ input: this.input, terminal: false });
+
+    this.rl.on('line', line => {
+      if (this.waiting) {
+        const { resolve } = this.waiting;
+        this.waiting = null;
+        resolve(line);
+      } else {
+        this.lines.push(line);
+      }
+    });
+
+    this.rl.on('close', () => {
+      this.rl = null;
+      if (this.waiting) {
+        const { reject } = this.waiting;
+        this.waiting = null;
+        reject(new Error('Input closed during interactive review'));
+      }
+    });
+  }
+
+  close() {
+    if (this.rl) {
+      const rl = this.rl;
+      this.rl = null;
+      rl.removeAllListeners('close');
+      rl.close();
+    }
+    // Lines typed ahead stay queued for the next review
+  }
+
+  pause() {
+    if (this.rl) this.rl.pause();
+  }
+
+  resume() {
+    if (this.rl) this.rl.resume();
+  }
+}
+
+module.exports = InteractiveApprover;
@@ -0,0 +1,144 @@
+/**
+ * Iteration Checkpoint
+ *
+ * Captures the state of a workspace before an iteration so that an iteration
+ * which leaves the tree worse than before can be reverted.
+ *
+ * Git is used when available: files are restored from the pre-iteration tree
+ * (uncommitted work included, via `git stash create`) and auto-commits made
+ * during the iteration are undone. Outside Git, the content of each file is
+ * snapshotted in memory before it is changed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const GitHelper = require('./git-helper');
+
+class IterationCheckpoint {
+  /**
+   * Create a new IterationCheckpoint
+   * @param {Object} options - Configuration options
+   * @param {string} options.cwd - Workspace directory (default: process.cwd())
+   * @param {boolean} options.useGit - Force Git on/off (default: auto-detect)
+   */
+  constructor(options = {}) {
+    this.cwd = options.cwd || process.cwd();
+    this.useGit = options.useGit !== undefined ? options.useGit : GitHelper.isGitRepo(this.cwd);
+
+    this.commit = null;       // HEAD before the iteration
+    this.treeRef = null;      // Commit holding the pre-iteration tree
+    this.untracked = new Set(); // Untracked files that existed before the iteration
+    this.snapshot = new Map();  // relative path -> Buffer (null = did not exist)
+  }
+
+  /**
+   * Capture a checkpoint for a workspace
+   * @param {Object} options - See constructor
+   * @returns {IterationCheckpoint}
+   */
+  static capture(options = {}) {
+    const checkpoint = new IterationCheckpoint(options);
+
+    if (checkpoint.useGit) {
+      checkpoint.commit = GitHelper.getCurrentCommit(checkpoint.cwd);
+      checkpoint.treeRef = GitHelper.createStashSnapshot(checkpoint.cwd) || checkpoint.commit;
+      checkpoint.untracked = new Set(GitHelper.getUntrackedFiles(checkpoint.cwd));
+    }
+
+    return checkpoint;
+  }
+
+  /**
+   * Snapshot files before they are changed
+   * Files already tracked keep their first (pre-iteration) snapshot
+   * @param {Array<string>} files - Paths relative to the workspace
+   */
+  track(files) {
+    for (const file of files) {
+      if (this.snapshot.has(file)) {
+        continue;
+      }
+
+      const fullPath = path.join(this.cwd, file);
+      try {
+        this.snapshot.set(file, fs.existsSync(fullPath) ? fs.readFileSync(fullPath) : null);
+      } catch {
+        // Unreadable files cannot be restored later; restore() will report them
+      }
+    }
+  }
+
+  /**
+   * Get the pre-iteration content of a file
+   * @param {string} file - Path relative to the workspace
+   * @returns {{known: boolean, content: Buffer|null}}
+   */
+  getOriginal(file) {
+    if (this.snapshot.has(file)) {
+      return { known: true, content: this.snapshot.get(file) };
+    }
+
+    if (this.useGit && this.treeRef) {
+      const content = GitHelper.getFileAtRef(this.treeRef, file, this.cwd);
+      if (content !== null) {
+        return { known: true, content };
+      }
+
+      // Not in the pre-iteration tree: either created by the iteration,
+      // or an untracked file we never saw the content of
+      return { known: !this.untracked.has(file), content: null };
+    }
+
+    return { known: false, content: null };
+  }
+
+  /**
+   * Restore files to their pre-iteration state
+   * @param {Array<string>} files - Paths relative to the workspace
+   * @returns {Object} { restored: Array<string>, failed: Array<{file, error}>, method: string }
+   */
+  restore(files) {
+    const restored = [];
+    const failed = [];
+
+    // Undo any auto-commits made during the iteration, keeping the working tree
+    // (the files themselves are restored below)
+    if (this.useGit && this.commit && GitHelper.getCurrentCommit(this.cwd) !== this.commit) {
+      if (!GitHelper.rollbackToCommit(this.commit, this.cwd, 'mixed')) {
+        failed.push({ file: '(HEAD)', error: `Could not reset to ${this.commit.substring(0, 7)}` });
+      }
+    }
+
+    for (const file of files) {
+      const original = this.getOriginal(file);
+      const fullPath = path.join(this.cwd, file);
+
+      if (!original.known) {
+        failed.push({ file, error: 'No pre-iteration copy available' });
+        continue;
+      }
+
+      try {
+        if (original.content === null) {
+          if (fs.existsSync(fullPath)) {
+            fs.unlinkSync(fullPath);
+          }
+        } else {
+          fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+          fs.writeFileSync(fullPath, original.content);
+        }
+        restored.push(file);
+      } catch (error) {
+        failed.push({ file, error: error.message });
+      }
+    }
+
+    return {
+      restored,
+      failed,
+      method: this.useGit ? 'git' : 'snapshot'
+    };
+  }
+}
+
+module.exports = IterationCheckpoint;
@@ -2,9 +2,14 @@ const fs = require('fs');
 const path = require('path');
 
 class IterationLogger {
-  constructor(logDir = '.wiggumizer/iterations') {
+  /**
+   * @param {string} logDir - Log directory, relative to the working directory
+   * @param {Object} options - Options
+   * @param {string} options.sessionId - Existing session to append to (default: start a new session)
+   */
+  constructor(logDir = '.wiggumizer/iterations', options = {}) {
     this.logDir = path.join(process.cwd(), logDir);
-    this.sessionId = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+    this.sessionId = options.sessionId || new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
     this.sessionDir = path.join(this.logDir, this.sessionId);
 
     // Ensure log directory exists
@@ -35,6 +40,19 @@ class IterationLogger {
       filesModified: data.filesModified || 0,
       files: data.files || [],
       convergence: data.convergence || false,
+      rollback: data.rollback || null,
+      approval: data.approval || null,
+      vetoed: data.vetoed || null,
+      placements: data.placements && data.placements.length > 0 ? data.placements : null,
+      applyErrors: data.applyErrors && data.applyErrors.length > 0 ? data.applyErrors : null,
+      repairs: data.repairs && data.repairs.length > 0 ? data.repairs : null,
+      violations: data.violations && data.violations.length > 0 ? data.violations : null,
+      changeStats: data.changeStats || null,
+      scopeDrift: data.scopeDrift || null,
+      usage: data.usage || null,
+      tokenEstimate: data.response?.tokenEstimate || null,
+      fileHashes: data.fileHashes || null,
+      validation: data.validation ? IterationLogger.summarizeValidation(data.validation) : null,
       error: data.error || null
     };
 
@@ -46,6 +64,23 @@ class IterationLogger {
     }
   }
 
+  /**
+   * Keep the outcome of each check, not its full output
+   */
+  static summarizeValidation(validation) {
+    return {
+      passed: validation.passed,
+      results: (validation.results || []).map(result => ({
+        name: result.name,
+        passed: result.passed,
+        skipped: result.skipped || false,
+        required: result.required,
+        exitCode: result.exitCode !== undefined ? result.exitCode : null,
+        duration: result.duration
+      }))
+    };
+  }
+
   /**
    * Log session summary
    */
@@ -61,6 +96,8 @@ class IterationLogger {
       convergenceSummary: data.convergenceSummary,
       filesModified: data.filesModified || 0,
       duration: data.duration,
+      usage: data.usage || null,
+      scopeDrift: data.scopeDrift && data.scopeDrift.length > 0 ? data.scopeDrift : null,
       config: data.config
     };
 
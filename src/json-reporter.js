@@ -0,0 +1,44 @@
+/**
+ * JSON Reporter
+ *
+ * Writes RalphLoop events as newline-delimited JSON (one object per line) for
+ * `wiggumize run --json`. Every line has a `type` (the event name) and a
+ * `timestamp`, followed by the event payload.
+ */
+
+const RalphLoop = require('./loop');
+
+class JsonReporter {
+  /**
+   * Create a new JsonReporter
+   * @param {Object} options - Configuration options
+   * @param {Stream} options.output - Where events are written (default: process.stdout)
+   */
+  constructor(options = {}) {
+    this.output = options.output || process.stdout;
+  }
+
+  /**
+   * Subscribe to every event of a loop
+   * @param {RalphLoop} loop - Loop to report on
+   * @returns {JsonReporter} this
+   */
+  attach(loop) {
+    for (const type of RalphLoop.EVENTS) {
+      loop.on(type, payload => this.write(type, payload));
+    }
+    return this;
+  }
+
+  /**
+   * Write one event line
+   * @param {string} type - Event name
+   * @param {Object} payload - Event data
+   */
+  write(type, payload = {}) {
+    const event = { type, timestamp: new Date().toISOString(), ...payload };
+    this.output.write(JSON.stringify(event) + '\n');
+  }
+}
+
+module.exports = JsonReporter;
@@ -1,4 +1,6 @@
+const fs = require('fs');
 const path = require('path');
+const { EventEmitter } = require('events');
 const chalk = require('chalk');
 const ora = require('ora');
 const ClaudeProvider = require('./providers/claude');
@@ -11,31 +13,114 @@ const ConvergenceAnalyzer = require('./convergence-analyzer');
 const WorkspaceManager = require('./workspace-manager');
 const PromptUpdater = require('./prompt-updater');
 const ValidationRunner = require('./validation-runner');
+const IterationCheckpoint = require('./iteration-checkpoint');
+const ChangeLimits = require('./change-limits');
+const ScopeGuard = require('./scope-guard');
+const SummaryGenerator = require('./summary-generator');
+const InteractiveApprover = require('./interactive-approver');
+const { calculateCost, getTotalTokens, formatCost } = require('./pricing');
+const { parseFileRequests } = require('./repo-map');
 const { ChatNotifier } = require('./chat');
 
-class RalphLoop {
+/**
+ * The Ralph loop: send the prompt, apply the response, repeat until convergence
+ *
+ * Progress is emitted as events (see RalphLoop.EVENTS) so wrappers can follow a
+ * run without parsing console output. Each payload is a plain JSON-serializable
+ * object that includes the iteration number where one applies.
+ */
+class RalphLoop extends EventEmitter {
   constructor(options) {
+    super();
     this.prompt = options.prompt;
     this.maxIterations = options.maxIterations || 20;
     this.verbose = options.verbose || false;
+    this.silent = options.silent || false; // No console output; progress is only reported through events
     this.dryRun = options.dryRun || false;
     this.autoCommit = options.autoCommit || false;
-    this.filePatterns = options.filePatterns || {};
-    this.contextLimits = options.contextLimits || { maxSize: 100000, maxFiles: 50 };
+    this.promptMetadata = SummaryGenerator.parsePromptMetadata(this.prompt || '');
+    this.filePatterns = RalphLoop.resolveFilePatterns(options.filePatterns || {}, this.promptMetadata, options.promptFilePatterns !== false);
+    this.contextLimits = options.contextLimits || { maxFiles: 50 };
     this.fast = options.fast || false;  // Fast mode for quicker iterations
     this.iteration = 0;
     this.filesModifiedTotal = 0;
 
+    // Automatic rollback of iterations that leave the tree worse than before
+    this.rollback = {
+      enabled: false,
+      onValidationRegression: true,
+      onPartialApply: true,
+      ...(options.rollback || {})
+    };
+    this.validationBaseline = null; // Last validation result the tree was known to meet
+    this.checkpoints = new Map();   // workspace path -> IterationCheckpoint (current iteration)
+    this.appliedFiles = new Map();  // workspace path -> files changed (current iteration)
+
+    // Messages for the model about what happened to its previous iteration
+    this.pendingFeedback = [];
+
+    // Apply each response all-or-nothing, keeping copies of the originals in the session log
+    this.transactional = options.transactional !== false;
+    this.syntaxCheck = options.validation?.syntaxCheck !== false; // Reject edits that introduce syntax errors
+    this.repairAttempts = options.repairAttempts ?? 2; // Times to ask the AI to redo changes that failed to apply
+
+    // Caps on how much one iteration may change
+    this.changeLimits = new ChangeLimits(options.limits || {});
+    this.iterationChanges = ChangeLimits.emptyStats(); // What the current iteration changed so far
+
+    // Ask the user to approve diffs before they are written
+    this.interactive = options.interactive || false;
+    this.approver = this.interactive ? (options.approver || new InteractiveApprover()) : null;
+
+    // Files the prompt is about (`scope:` in its frontmatter) and what to do with changes to other files
+    this.scopeGuard = new ScopeGuard({
+      scope: this.promptMetadata.scope,
+      onDrift: options.scope?.onDrift
+    });
+    this.driftApprover = this.scopeGuard.onDrift === 'ask' ? (this.approver || options.approver || new InteractiveApprover()) : null;
+    this.scopeDrift = []; // [{ iteration, files, policy, action }] for the session summary
+    this.requestedFiles = []; // Files the model asked for under "## Files Needed:" in its last response
+
+    // Handlers that can veto or rewrite a response's diffs before they are applied
+    this.beforeApplyHooks = [];
+    if (options.beforeApply) {
+      this.beforeApply(options.beforeApply);
+    }
+
+    // Run validation after every iteration that changes files and pass the results to the next one
+    this.validateEachIteration = !!options.validation?.runEachIteration;
+    this.iterationValidation = null; // Validation run during the current iteration
+    this.testResults = null;         // Formatted results for the next iteration's context
+
+    // Session token/cost budget (null = unlimited)
+    this.budget = {
+      maxTokens: null,
+      maxCost: null,
+      prices: {},
+      ...(options.budget || {})
+    };
+    this.usage = {
+      inputTokens: 0,
+      outputTokens: 0,
+      cacheCreationTokens: 0,
+      cacheReadTokens: 0,
+      totalTokens: 0,
+      cost: 0,
+      unpricedModels: []
+    };
+
     // Initialize workspace manager (handles multi-repo support)
     this.workspaceManager = new WorkspaceManager({
       workspaces: options.workspaces,
-      files: options.filePatterns,
-      context: options.contextLimits,
+      files: this.filePatterns,
+      context: this.contextLimits,
       verbose: this.verbose
     });
 
-    // Initialize iteration logger
-    this.logger = new IterationLogger();
+    // Initialize iteration logger (appends to the previous session when resuming)
+    this.resumeSession = options.resumeSession || null;
+    this.previousDuration = 0;
+    this.logger = new IterationLogger(undefined, { sessionId: this.resumeSession });
 
     // Initialize prompt updater for work plan tracking
     this.promptUpdater = new PromptUpdater({
@@ -59,37 +144,7 @@ class RalphLoop {
     });
 
     // Initialize provider
-    const providerName = options.provider || 'claude';
-    if (providerName === 'claude') {
-      const providerConfig = {
-        ...(options.providerConfig?.claude || {}),
-        verbose: this.verbose,
-        fast: this.fast,  // Pass fast mode flag for condensed prompts
-        maxRetries: options.retry?.maxRetries,
-        baseDelay: options.retry?.baseDelay,
-        maxDelay: options.retry?.maxDelay,
-        requestsPerMinute: options.rateLimit?.requestsPerMinute,
-        requestsPerHour: options.rateLimit?.requestsPerHour
-      };
-      this.provider = new ClaudeProvider(providerConfig);
-    } else if (providerName === 'claude-cli') {
-      const providerConfig = {
-        ...(options.providerConfig?.['claude-cli'] || {}),
-        verbose: this.verbose,
-        fast: this.fast  // Pass fast mode flag for condensed prompts
-      };
-      this.provider = new ClaudeCliProvider(providerConfig);
-    } else if (providerName === 'ai-sdk') {
-      // AI SDK provider - supports OpenAI, Anthropic, Google, Mistral, etc.
-      const providerConfig = {
-        ...(options.providerConfig?.['ai-sdk'] || {}),
-        verbose: this.verbose,
-        fast: this.fast  // Pass fast mode flag for condensed prompts
-      };
-      this.provider = new AiSdkProvider(providerConfig);
-    } else {
-      throw new Error(`Provider ${providerName} not yet implemented. Coming soon!`);
-    }
+    this.provider = RalphLoop.createProvider({ ...options, verbose: this.verbose, fast: this.fast });
 
     // Initialize chat notifier for external notifications
     this.chatNotifier = new ChatNotifier({
@@ -110,38 +165,68 @@ class RalphLoop {
 
     // Track if we're in a Git repo (for deciding whether to use journal)
     this.isGitRepo = GitHelper.isGitRepo();
+
+    // Pick up where a previous session stopped
+    if (this.resumeSession) {
+      this.restoreSession(this.resumeSession);
+    }
+  }
+
+  /**
+   * Restore loop state from a previous session's logs
+   * Continues iteration numbering, totals and convergence history
+   * @param {string} sessionId - Session to resume
+   */
+  restoreSession(sessionId) {
+    const iterations = IterationLogger.getIterations(sessionId);
+    const session = IterationLogger.getSessions().find(s => s.sessionId === sessionId);
+
+    if (iterations.length > 0) {
+      this.iteration = iterations[iterations.length - 1].iteration;
+    }
+
+    this.filesModifiedTotal = iterations.reduce((sum, entry) => sum + (entry.filesModified || 0), 0);
+    this.previousDuration = session?.summary?.duration || 0;
+
+    // Tokens already spent count against the session budget
+    for (const entry of iterations) {
+      if (entry.usage) {
+        this.recordUsage(entry.usage, { quiet: true });
+      }
+    }
+
+    this.convergence.restoreHistory(iterations);
   }
 
   async run() {
-    console.log(chalk.bold('Starting Ralph loop...\n'));
+    this.log(chalk.bold('Starting Ralph loop...\n'));
 
     const startTime = Date.now();
 
     // Connect chat notifier if configured
     if (this.chatNotifier.isEnabled()) {
-      console.log(chalk.blue('ℹ Chat notifications:') + chalk.dim(` ${this.chatNotifier.providerName}`));
+      this.log(chalk.blue('ℹ Chat notifications:') + chalk.dim(` ${this.chatNotifier.providerName}`));
       await this.chatNotifier.connect();
     }
 
     // Show workspace info
     const workspaces = this.workspaceManager.getWorkspaces();
     if (this.workspaceManager.isMultiRepo()) {
-      console.log(chalk.blue('ℹ Multi-repo mode:') + chalk.dim(` ${workspaces.length} workspaces`));
+      this.log(chalk.blue('ℹ Multi-repo mode:') + chalk.dim(` ${workspaces.length} workspaces`));
       for (const ws of workspaces) {
-        console.log(chalk.dim(`  - ${ws.name}: ${ws.path}`));
+        this.log(chalk.dim(`  - ${ws.name}: ${ws.path}`));
       }
-      console.log();
+      this.log();
     }
 
-    // Warn if git repos are dirty or show non-Git warning
-    if (this.workspaceManager.isMultiRepo()) {
-      for (const workspace of workspaces) {
-        console.log(chalk.dim(`Checking workspace: ${workspace.name}`));
-        GitHelper.warnIfDirty(workspace.absolutePath);
-      }
-    } else {
-      // Single repo mode
-      if (this.isGitRepo) {
+    // Warn if git repos are dirty or show non-Git warning (these helpers print directly)
+    if (!this.silent) {
+      if (this.workspaceManager.isMultiRepo()) {
+        for (const workspace of workspaces) {
+          this.log(chalk.dim(`Checking workspace: ${workspace.name}`));
+          GitHelper.warnIfDirty(workspace.absolutePath);
+        }
+      } else if (this.isGitRepo) {
         GitHelper.warnIfDirty();
       } else {
         // Show non-Git warning with journal info
@@ -149,58 +234,135 @@ class RalphLoop {
       }
     }
 
-    // Store initial commits for rollback (per workspace)
-    const initialCommits = new Map();
-    for (const workspace of workspaces) {
-      const commit = GitHelper.getCurrentCommit(workspace.absolutePath);
-      if (commit) {
-        initialCommits.set(workspace.name, commit);
+    // Show rollback status
+    if (this.rollback.enabled && !this.dryRun) {
+      this.log(chalk.blue('ℹ Automatic rollback enabled') + chalk.dim(` - Bad iterations are reverted (${this.isGitRepo ? 'git' : 'file snapshots'})`));
+    }
+
+    // Show interactive status
+    if (this.interactive && !this.dryRun) {
+      if (this.provider.constructor.name === 'ClaudeCliProvider') {
+        this.log(chalk.yellow('⚠ Interactive approval is not available with the claude-cli provider (it edits files directly)'));
+      } else {
+        this.log(chalk.blue('ℹ Interactive mode') + chalk.dim(' - Each change is shown for approval before it is written'));
       }
     }
 
+    // Show budget
+    if (this.budget.maxTokens || this.budget.maxCost) {
+      const limits = [];
+      if (this.budget.maxTokens) limits.push(`${this.budget.maxTokens.toLocaleString()} tokens`);
+      if (this.budget.maxCost) limits.push(formatCost(this.budget.maxCost));
+      this.log(chalk.blue('ℹ Budget:') + chalk.dim(` ${limits.join(', ')}`));
+    }
+
+    // Show change limits
+    if (this.changeLimits.isEnabled()) {
+      const limits = [];
+      if (this.changeLimits.maxFiles !== null) limits.push(`${this.changeLimits.maxFiles} files`);
+      if (this.changeLimits.maxLinesAdded !== null) limits.push(`+${this.changeLimits.maxLinesAdded} lines`);
+      if (this.changeLimits.maxLinesRemoved !== null) limits.push(`-${this.changeLimits.maxLinesRemoved} lines`);
+      if (this.changeLimits.maxFilesDeleted !== null) limits.push(`${this.changeLimits.maxFilesDeleted} deletions`);
+      if (this.changeLimits.maxRewriteRatio !== null) limits.push(`${Math.round(this.changeLimits.maxRewriteRatio * 100)}% of a file`);
+      this.log(chalk.blue('ℹ Change limits per iteration:') + chalk.dim(` ${limits.join(', ')}`));
+    }
+
+    // Show the prompt's scope
+    if (this.scopeGuard.isEnabled()) {
+      this.log(chalk.blue('ℹ Scope:') + chalk.dim(` ${this.scopeGuard.scope.join(', ')} (changes to other files: ${this.scopeGuard.onDrift})`));
+    }
+
+    // The claude-cli provider writes files itself; the policy is checked afterwards
+    if (this.provider.constructor.name === 'ClaudeCliProvider') {
+      this.log(chalk.dim('ℹ claude-cli edits files itself: changes outside the workspace cannot be checked or reverted'));
+    }
+
     // Show auto-commit status
     if (this.autoCommit) {
-      console.log(chalk.blue('ℹ Auto-commit enabled') + chalk.dim(' - Changes will be committed after each iteration'));
+      this.log(chalk.blue('ℹ Auto-commit enabled') + chalk.dim(' - Changes will be committed after each iteration'));
     } else {
-      console.log(chalk.dim('ℹ Auto-commit disabled - Review changes with: git diff'));
+      this.log(chalk.dim('ℹ Auto-commit disabled - Review changes with: git diff'));
     }
 
     // Show log location
-    console.log(chalk.dim(`ℹ Logging to: ${this.logger.sessionDir}`));
-    console.log();
+    if (this.resumeSession) {
+      this.log(chalk.blue('ℹ Resuming session:') + chalk.dim(` ${this.resumeSession} (continuing from iteration ${this.iteration + 1})`));
+    }
+    this.log(chalk.dim(`ℹ Logging to: ${this.logger.sessionDir}`));
+    this.log();
+
+    this.emit('session:start', {
+      sessionId: this.logger.sessionId,
+      sessionDir: this.logger.sessionDir,
+      provider: this.provider.constructor.name,
+      maxIterations: this.maxIterations,
+      startIteration: this.iteration + 1,
+      resumed: Boolean(this.resumeSession),
+      dryRun: this.dryRun
+    });
 
     // Load and show work plan progress
     if (this.promptUpdater.load()) {
       const progress = this.promptUpdater.getProgress();
       if (progress.total > 0) {
-        console.log(chalk.blue('Work Plan Progress:') + chalk.dim(` ${progress.completed}/${progress.total} tasks completed (${progress.percentage}%)`));
+        this.log(chalk.blue('Work Plan Progress:') + chalk.dim(` ${progress.completed}/${progress.total} tasks completed (${progress.percentage}%)`));
         const incomplete = this.promptUpdater.getIncompleteTasks();
         if (incomplete.length > 0 && this.verbose) {
-          console.log(chalk.dim('  Remaining tasks:'));
+          this.log(chalk.dim('  Remaining tasks:'));
           incomplete.slice(0, 3).forEach(task => {
-            console.log(chalk.dim(`    - ${task.text}`));
+            this.log(chalk.dim(`    - ${task.text}`));
           });
           if (incomplete.length > 3) {
-            console.log(chalk.dim(`    ... and ${incomplete.length - 3} more`));
+            this.log(chalk.dim(`    ... and ${incomplete.length - 3} more`));
           }
         }
-        console.log();
+        this.log();
       }
     }
 
+    // Record which required checks pass before we start, so iterations that break them can be reverted
+    if (this.rollback.enabled && this.rollback.onValidationRegression && !this.dryRun &&
+        this.validationRunner.hasValidation()) {
+      this.log(chalk.dim('ℹ Running baseline validation for automatic rollback...'));
+      this.validationBaseline = await this.validationRunner.runAll();
+      this.log();
+    }
+
     let noChangeIterations = 0;
     let converged = false;
     let convergenceReason = '';
 
-    while (this.iteration < this.maxIterations) {
+    // A resumed session may already have used up its budget
+    const budgetAtStart = this.checkBudget();
+    if (budgetAtStart) {
+      this.log(chalk.yellow(`⚠ Budget exhausted: ${budgetAtStart}`));
+      convergenceReason = 'budget exhausted';
+    }
+
+    while (this.iteration < this.maxIterations && convergenceReason !== 'budget exhausted') {
       this.iteration++;
 
-      const spinner = ora(`Iteration ${this.iteration}/${this.maxIterations}`).start();
+      const spinner = ora({
+        text: `Iteration ${this.iteration}/${this.maxIterations}`,
+        isSilent: this.silent
+      }).start();
       let heartbeat = null;
 
+      this.emit('iteration:start', { iteration: this.iteration, maxIterations: this.maxIterations });
+
       try {
         // Get current codebase state
-        const codebaseContext = this.getCodebaseContext();
+        const codebaseContext = this.getCodebaseContext({
+          feedback: this.consumeFeedback(),
+          testResults: this.testResults,
+          requestedFiles: this.requestedFiles
+        });
+
+        // Capture the pre-iteration state so the iteration can be reverted
+        this.checkpoints = this.createCheckpoints();
+        this.appliedFiles = new Map();
+        this.iterationChanges = ChangeLimits.emptyStats();
+        this.iterationValidation = null;
 
         // For Claude CLI provider, snapshot file modification times before iteration
         // Claude CLI modifies files directly via its tools, not via diffs in the response
@@ -208,8 +370,12 @@ class RalphLoop {
         // because a file already in git status can still be modified further
         const isCliProvider = this.provider.constructor.name === 'ClaudeCliProvider';
         let fileSnapshotBefore = new Map();
+        let cliCheckpoint = null;
         if (isCliProvider && !this.dryRun) {
-          fileSnapshotBefore = GitHelper.getFileSnapshot();
+          fileSnapshotBefore = this.snapshotCliFiles();
+          // Files already changed or untracked are not in Git's tree; keep their content to revert blocked writes
+          cliCheckpoint = this.checkpoints.get(process.cwd()) || IterationCheckpoint.capture({ cwd: process.cwd() });
+          cliCheckpoint.track([...fileSnapshotBefore.keys()]);
         }
 
         // Set up streaming output handler for all providers
@@ -221,6 +387,7 @@ class RalphLoop {
         const onOutput = (text) => {
           lastOutputTime = Date.now();
           outputBuffer += text;
+          this.emit('output', { iteration: this.iteration, text });
 
           // Look for complete sentences (ending with . ! ? or newline)
           // We batch output until we have a meaningful chunk to display
@@ -269,14 +436,38 @@ class RalphLoop {
         clearInterval(heartbeat);
         spinner.succeed(`Iteration ${this.iteration}/${this.maxIterations}`);
 
+        const usage = this.recordUsage(response.usage);
+        this.reportTokenEstimate(response.tokenEstimate);
+
+        // Files the model asked to see in full, ranked first next iteration
+        this.requestedFiles = parseFileRequests(response.raw || response.changes || '');
+        if (this.verbose && this.requestedFiles.length > 0) {
+          this.log(chalk.dim(`  Files requested for the next iteration: ${this.requestedFiles.join(', ')}`));
+        }
+
+        this.emit('response', {
+          iteration: this.iteration,
+          summary: response.summary || null,
+          hasChanges: Boolean(response.hasChanges),
+          usage,
+          tokenEstimate: response.tokenEstimate || null
+        });
+
         // Update file hashes for convergence detection (before checking response.hasChanges)
         // This ensures we have the current state recorded before deciding on convergence
         this.convergence.updateFileHashes(codebaseContext.files);
 
         // Check if there are changes
         if (!response.hasChanges) {
-          console.log(chalk.green('\n✓ Convergence detected!'));
-          console.log(chalk.dim(`No changes after ${this.iteration} iterations.\n`));
+          this.log(chalk.green('\n✓ Convergence detected!'));
+          this.log(chalk.dim(`No changes after ${this.iteration} iterations.\n`));
+
+          this.emit('convergence', {
+            iteration: this.iteration,
+            converged: true,
+            reason: 'No changes indicated by AI',
+            confidence: 1
+          });
 
           // Record this iteration before breaking
           this.convergence.recordIteration(this.iteration, {
@@ -290,6 +481,8 @@ class RalphLoop {
             prompt: this.prompt,
             response,
             filesModified: 0,
+            usage,
+            fileHashes: Object.fromEntries(this.convergence.fileHashes),
             convergence: true
           });
 
@@ -299,50 +492,154 @@ class RalphLoop {
         }
 
         // Display changes summary
-        console.log(chalk.dim(`  ${response.summary}`));
+        this.log(chalk.dim(`  ${response.summary}`));
 
         // Apply changes (if not dry run)
         let filesModified = 0;
         let modifiedFilesList = [];
+        let applyErrors = [];
+        let placements = [];
+        let repairs = [];
+        let violations = [];
+        let scopeDrift = null;
+        let rollback = null;
+        let approval = null;
+        let vetoed = null;
         if (!this.dryRun && response.changes) {
           // For Claude CLI provider, detect files modified via git status comparison
           // (Claude CLI modifies files directly via its tools, not via diffs)
           if (isCliProvider) {
             // Compare file snapshots to detect changes (even to files already in git status)
-            const fileSnapshotAfter = GitHelper.getFileSnapshot();
+            const fileSnapshotAfter = this.snapshotCliFiles();
             modifiedFilesList = GitHelper.compareSnapshots(fileSnapshotBefore, fileSnapshotAfter);
+
+            // The CLI wrote the files itself; undo whatever the write policy does not allow
+            if (modifiedFilesList.length > 0) {
+              violations = this.revertViolations(modifiedFilesList, cliCheckpoint);
+              const blocked = new Set(violations.map(violation => violation.file));
+              modifiedFilesList = modifiedFilesList.filter(file => !blocked.has(file));
+            }
+
+            // Report, revert or confirm changes to files outside the prompt's scope
+            if (modifiedFilesList.length > 0 && this.scopeGuard.isEnabled()) {
+              scopeDrift = await this.handleScopeDrift(modifiedFilesList, drift => {
+                const result = cliCheckpoint ? cliCheckpoint.restore(drift) : { failed: drift.map(file => ({ file, error: 'No pre-iteration copy available' })) };
+                return result.failed;
+              });
+              if (scopeDrift?.action === 'reverted') {
+                modifiedFilesList = modifiedFilesList.filter(file => !scopeDrift.files.includes(file));
+              }
+            }
+
+            // Revert the whole iteration if it changed more than the limits allow
+            if (modifiedFilesList.length > 0) {
+              const exceeded = this.revertOversizedChanges(modifiedFilesList, cliCheckpoint);
+              if (exceeded.length > 0) {
+                applyErrors = exceeded;
+                modifiedFilesList = [];
+                this.emit('apply:error', { iteration: this.iteration, errors: applyErrors });
+              }
+            }
             filesModified = modifiedFilesList.length;
 
             if (this.verbose && filesModified > 0) {
-              console.log(chalk.dim(`    Detected via git: ${modifiedFilesList.join(', ')}`));
+              this.log(chalk.dim(`    Detected via git: ${modifiedFilesList.join(', ')}`));
             }
+            this.appliedFiles.set(process.cwd(), modifiedFilesList);
 
             // Auto-commit for CLI provider (when enabled)
             if (filesModified > 0 && this.autoCommit && GitHelper.isGitRepo()) {
               const committed = GitHelper.createBackupCommit(this.iteration);
               if (committed && this.verbose) {
-                console.log(chalk.dim(`    Git: Auto-committed iteration ${this.iteration}`));
+                this.log(chalk.dim(`    Git: Auto-committed iteration ${this.iteration}`));
               }
             }
           } else {
+            // Let beforeApply hooks veto or rewrite the diffs, then the user approve them
+            let changes = response.changes;
+            if (this.beforeApplyHooks.length > 0) {
+              const hookResult = await this.runBeforeApplyHooks(changes);
+              changes = hookResult.changes;
+              vetoed = hookResult.vetoed;
+            }
+            if (this.approver && changes) {
+              approval = await this.reviewChanges(changes);
+              changes = approval.changes;
+            }
+
+            // Report, drop or confirm changes to files outside the prompt's scope
+            if (changes && this.scopeGuard.isEnabled()) {
+              const DiffApplier = require('./diff-applier');
+              scopeDrift = await this.handleScopeDrift(DiffApplier.getAffectedPaths(changes), drift => {
+                changes = DiffApplier.withoutFiles(changes, drift);
+                return [];
+              });
+            }
+
             // For API provider, apply diffs from response
-            const result = this.applyChanges(response.changes);
+            let result = changes ? this.applyChanges(changes) : { count: 0, files: [], errors: [] };
+
+            // Ask the AI to fix the changes that did not apply before finishing the iteration
+            if (result.failures?.length > 0 && this.repairAttempts > 0) {
+              const repaired = await this.repairChanges(changes, result, codebaseContext);
+              result = repaired.result;
+              repairs = repaired.repairs;
+            }
+
             filesModified = result.count;
             modifiedFilesList = result.files;
+            applyErrors = result.errors || [];
+            placements = result.placements || [];
+            violations = result.violations || [];
+
+            if (applyErrors.length > 0) {
+              this.emit('apply:error', { iteration: this.iteration, errors: applyErrors });
+            }
+          }
+
+          // Revert the iteration if it left the tree worse than before
+          if (this.rollback.enabled && filesModified > 0) {
+            const rollbackReason = await this.checkRollback(applyErrors);
+            if (rollbackReason) {
+              rollback = this.rollbackIteration(rollbackReason);
+              filesModified = 0;
+              modifiedFilesList = [];
+              placements = [];
+            }
           }
 
-          if (filesModified > 0) {
-            console.log(chalk.green(`  ✓ Applied changes to ${filesModified} file(s)`));
+          // Tell the model which changes could not be applied (a rollback reports its own)
+          if (applyErrors.length > 0 && !rollback) {
+            this.reportApplyErrors(applyErrors, filesModified);
+          }
+          if (violations.length > 0) {
+            this.reportViolations(violations);
+          }
+
+          if (rollback || vetoed) {
+            noChangeIterations++;
+          } else if (filesModified > 0) {
+            this.log(chalk.green(`  ✓ Applied changes to ${filesModified} file(s)`));
+            this.emit('changes:applied', {
+              iteration: this.iteration,
+              filesModified,
+              files: modifiedFilesList,
+              placements
+            });
             this.filesModifiedTotal += filesModified;
             noChangeIterations = 0;
+
+            if (this.validateEachIteration && this.validationRunner.hasValidation()) {
+              await this.runIterationValidation();
+            }
           } else {
-            console.log(chalk.yellow(`  ⚠ No files were modified`));
+            this.log(chalk.yellow(`  ⚠ No files were modified`));
             noChangeIterations++;
           }
         } else if (this.dryRun) {
-          console.log(chalk.yellow(`  ⚠ Dry run - changes not applied`));
+          this.log(chalk.yellow(`  ⚠ Dry run - changes not applied`));
           if (this.verbose) {
-            console.log(chalk.dim(`\n${response.changes}\n`));
+            this.log(chalk.dim(`\n${response.changes}\n`));
           }
         }
 
@@ -375,13 +672,13 @@ class RalphLoop {
           if (updateResult.updated) {
             this.promptUpdater.save();
             if (this.verbose) {
-              console.log(chalk.green(`  ✓ Updated ${updateResult.count} task(s) in work plan`));
+              this.log(chalk.green(`  ✓ Updated ${updateResult.count} task(s) in work plan`));
             }
 
             // Show updated progress
             const progress = this.promptUpdater.getProgress();
             if (progress.total > 0) {
-              console.log(chalk.dim(`  Progress: ${progress.completed}/${progress.total} (${progress.percentage}%)`));
+              this.log(chalk.dim(`  Progress: ${progress.completed}/${progress.total} (${progress.percentage}%)`));
             }
           }
         }
@@ -389,32 +686,42 @@ class RalphLoop {
         // Check for advanced convergence using new multi-layered approach
         const convergenceCheck = await this.convergence.checkConvergence(this.iteration);
 
+        this.emit('convergence', {
+          iteration: this.iteration,
+          converged: convergenceCheck.converged,
+          reason: convergenceCheck.reason || null,
+          confidence: convergenceCheck.confidence || 0,
+          layer: convergenceCheck.layer || null,
+          warning: Boolean(convergenceCheck.warning),
+          validation: convergenceCheck.validation ? IterationLogger.summarizeValidation(convergenceCheck.validation) : null
+        });
+
         if (convergenceCheck.converged) {
-          console.log(chalk.green('\n✓ Convergence detected!'));
+          this.log(chalk.green('\n✓ Convergence detected!'));
 
           // Show warning if convergence happened due to limits rather than completion
           if (convergenceCheck.warning) {
-            console.log(chalk.yellow(`⚠ ${convergenceCheck.reason}`));
+            this.log(chalk.yellow(`⚠ ${convergenceCheck.reason}`));
             if (convergenceCheck.incompleteTasks && convergenceCheck.incompleteTasks.length > 0) {
-              console.log(chalk.yellow('  Incomplete tasks:'));
+              this.log(chalk.yellow('  Incomplete tasks:'));
               convergenceCheck.incompleteTasks.slice(0, 5).forEach(task => {
-                console.log(chalk.dim(`    - ${task}`));
+                this.log(chalk.dim(`    - ${task}`));
               });
               if (convergenceCheck.incompleteTasks.length > 5) {
-                console.log(chalk.dim(`    ... and ${convergenceCheck.incompleteTasks.length - 5} more`));
+                this.log(chalk.dim(`    ... and ${convergenceCheck.incompleteTasks.length - 5} more`));
               }
             }
           } else {
-            console.log(chalk.dim(`${convergenceCheck.reason} (confidence: ${(convergenceCheck.confidence * 100).toFixed(0)}%)`));
+            this.log(chalk.dim(`${convergenceCheck.reason} (confidence: ${(convergenceCheck.confidence * 100).toFixed(0)}%)`));
           }
 
           // Show validation results if present
           if (convergenceCheck.validation && convergenceCheck.validation.results.length > 0) {
-            console.log(chalk.blue('\nValidation results:'));
-            console.log(this.validationRunner.formatResults(convergenceCheck.validation.results));
+            this.log(chalk.blue('\nValidation results:'));
+            this.log(this.validationRunner.formatResults(convergenceCheck.validation.results));
           }
 
-          console.log(); // blank line
+          this.log(); // blank line
 
           converged = true;
           convergenceReason = convergenceCheck.reason;
@@ -424,11 +731,23 @@ class RalphLoop {
             prompt: this.prompt,
             response,
             filesModified,
+            files: modifiedFilesList,
+            rollback,
+            approval: approval && this.summarizeApproval(approval),
+            vetoed,
+            placements,
+            applyErrors,
+            repairs,
+            violations,
+            changeStats: this.summarizeChanges(filesModified),
+            scopeDrift,
+            usage,
+            fileHashes: Object.fromEntries(this.convergence.fileHashes),
             convergence: true,
             convergenceReason: convergenceCheck.reason,
             convergenceConfidence: convergenceCheck.confidence,
             convergenceLayer: convergenceCheck.layer,
-            validation: convergenceCheck.validation
+            validation: convergenceCheck.validation || this.iterationValidation
           });
 
           break;
@@ -436,17 +755,17 @@ class RalphLoop {
 
         // Warn about oscillation
         if (convergenceCheck.oscillation?.detected) {
-          console.log(chalk.yellow(`  ⚠ ${convergenceCheck.oscillation.message}`));
-          console.log(chalk.dim(`    Consider refining your prompt to avoid flip-flopping`));
+          this.log(chalk.yellow(`  ⚠ ${convergenceCheck.oscillation.message}`));
+          this.log(chalk.dim(`    Consider refining your prompt to avoid flip-flopping`));
         }
 
         // Show progress toward goals in verbose mode
         if (this.verbose) {
           if (convergenceCheck.progress && convergenceCheck.progress.total > 0) {
-            console.log(chalk.dim(`  Progress: ${convergenceCheck.progress.completed}/${convergenceCheck.progress.total} tasks (${convergenceCheck.progress.percentage}%)`));
+            this.log(chalk.dim(`  Progress: ${convergenceCheck.progress.completed}/${convergenceCheck.progress.total} tasks (${convergenceCheck.progress.percentage}%)`));
           }
           if (convergenceCheck.confidence > 0) {
-            console.log(chalk.dim(`  Convergence confidence: ${(convergenceCheck.confidence * 100).toFixed(0)}%`));
+            this.log(chalk.dim(`  Convergence confidence: ${(convergenceCheck.confidence * 100).toFixed(0)}%`));
           }
         }
 
@@ -455,16 +774,47 @@ class RalphLoop {
           prompt: this.prompt,
           response,
           filesModified,
+          files: modifiedFilesList,
+          rollback,
+          approval: approval && this.summarizeApproval(approval),
+          vetoed,
+          placements,
+          applyErrors,
+          repairs,
+          violations,
+          changeStats: this.summarizeChanges(filesModified),
+          scopeDrift,
+          usage,
+          fileHashes: Object.fromEntries(this.convergence.fileHashes),
+          validation: this.iterationValidation,
           convergence: false,
           convergenceConfidence: convergenceCheck.confidence
         });
 
-        console.log();
+        this.log();
+
+        // Stop cleanly once the token or cost budget is used up
+        const budgetExhausted = this.checkBudget();
+        if (budgetExhausted) {
+          this.log(chalk.yellow(`⚠ Budget exhausted: ${budgetExhausted}`));
+          this.log(chalk.dim('Raise budget.maxTokens / budget.maxCost (or --max-tokens / --max-cost) to continue.\n'));
+          convergenceReason = 'budget exhausted';
+          break;
+        }
 
       } catch (error) {
         if (heartbeat) clearInterval(heartbeat);
         spinner.fail(`Iteration ${this.iteration} failed`);
 
+        // 'error' throws when nobody listens, so only emit it for listeners
+        if (this.listenerCount('error') > 0) {
+          this.emit('error', {
+            iteration: this.iteration,
+            message: error.message,
+            category: this.categorizeError(error)
+          });
+        }
+
         // Log error
         this.logger.logIteration(this.iteration, {
           prompt: this.prompt,
@@ -485,20 +835,33 @@ class RalphLoop {
       }
     }
 
-    if (this.iteration >= this.maxIterations) {
-      console.log(chalk.yellow('⚠ Max iterations reached without full convergence.'));
-      console.log(chalk.dim('You may want to refine your prompt and try again.\n'));
+    if (this.iteration >= this.maxIterations && convergenceReason !== 'budget exhausted') {
+      this.log(chalk.yellow('⚠ Max iterations reached without full convergence.'));
+      this.log(chalk.dim('You may want to refine your prompt and try again.\n'));
     }
 
     const duration = Math.round((Date.now() - startTime) / 1000);
 
-    console.log(chalk.bold.green('Ralph loop complete!'));
-    console.log(chalk.dim(`Total iterations: ${this.iteration}`));
-    console.log(chalk.dim(`Total files modified: ${this.filesModifiedTotal}`));
-    console.log(chalk.dim(`Duration: ${duration}s`));
+    this.log(chalk.bold.green('Ralph loop complete!'));
+    this.log(chalk.dim(`Total iterations: ${this.iteration}`));
+    this.log(chalk.dim(`Total files modified: ${this.filesModifiedTotal}`));
+    this.log(chalk.dim(`Duration: ${duration}s`));
+
+    if (this.usage.totalTokens > 0) {
+      const cost = this.usage.unpricedModels.length > 0 ? 'unknown' : formatCost(this.usage.cost);
+      this.log(chalk.dim(`Tokens used: ${this.usage.totalTokens.toLocaleString()} (cost: ${cost})`));
+    }
+
+    if (this.scopeDrift.length > 0) {
+      const files = new Set(this.scopeDrift.flatMap(drift => drift.files));
+      const reverted = new Set(this.scopeDrift.filter(drift => drift.action === 'reverted').flatMap(drift => drift.files));
+      this.log(chalk.yellow(`Scope drift: ${files.size} file(s) changed outside the prompt's scope` + (reverted.size > 0 ? ` (${reverted.size} reverted)` : '')));
+    }
 
     if (converged && convergenceReason) {
-      console.log(chalk.dim(`Converged: ${convergenceReason}`));
+      this.log(chalk.dim(`Converged: ${convergenceReason}`));
+    } else if (convergenceReason) {
+      this.log(chalk.dim(`Stopped: ${convergenceReason}`));
     }
 
     // Get convergence summary
@@ -510,8 +873,10 @@ class RalphLoop {
       converged,
       convergenceReason,
       filesModified: this.filesModifiedTotal,
-      duration,
+      duration: this.previousDuration + duration,
       convergenceSummary,
+      usage: this.usage,
+      scopeDrift: this.scopeDrift,
       config: {
         provider: this.provider.constructor.name,
         maxIterations: this.maxIterations
@@ -519,19 +884,19 @@ class RalphLoop {
     });
 
     // Show logs location
-    console.log();
-    console.log(chalk.blue('Session logs:') + chalk.dim(` ${this.logger.sessionDir}`));
-    console.log(chalk.dim('View with: wiggumize logs'));
+    this.log();
+    this.log(chalk.blue('Session logs:') + chalk.dim(` ${this.logger.sessionDir}`));
+    this.log(chalk.dim('View with: wiggumize logs'));
 
     // Remind user to review changes if not auto-committing
     if (!this.autoCommit && GitHelper.isGitRepo() && GitHelper.hasUncommittedChanges()) {
-      console.log();
-      console.log(chalk.blue('Next steps:'));
-      console.log(chalk.dim('  git diff          # Review changes'));
-      console.log(chalk.dim('  git add .         # Stage changes'));
-      console.log(chalk.dim('  git commit -m "Your message"'));
+      this.log();
+      this.log(chalk.blue('Next steps:'));
+      this.log(chalk.dim('  git diff          # Review changes'));
+      this.log(chalk.dim('  git add .         # Stage changes'));
+      this.log(chalk.dim('  git commit -m "Your message"'));
     }
-    console.log();
+    this.log();
 
     // Build result object
     const result = {
@@ -541,9 +906,13 @@ class RalphLoop {
       converged,
       convergenceReason,
       convergenceSummary,
+      usage: this.usage,
+      scopeDrift: this.scopeDrift,
       sessionDir: this.logger.sessionDir
     };
 
+    this.emit('complete', { sessionId: this.logger.sessionId, ...result });
+
     // Send success notification via chat if configured
     await this.chatNotifier.notifySuccess(result);
 
@@ -554,6 +923,21 @@ class RalphLoop {
     return result;
   }
 
+  /**
+   * Print to the console unless running silently
+   */
+  log(...args) {
+    if (!this.silent) {
+      console.log(...args);
+    }
+  }
+
+  logError(...args) {
+    if (!this.silent) {
+      console.error(...args);
+    }
+  }
+
   /**
    * Categorize an error for notification purposes
    * @param {Error} error - The error to categorize
@@ -584,25 +968,729 @@ class RalphLoop {
     return 'Unexpected error';
   }
 
-  getCodebaseContext() {
-    // Use WorkspaceManager to gather context from all workspaces
-    const context = this.workspaceManager.getCodebaseContext();
+  /**
+   * Show the response's diffs to the user for approval
+   * Rejections (and edits) are passed to the next iteration as feedback
+   * @param {string} changes - Provider response text
+   * @returns {Promise<Object>} Review result from InteractiveApprover
+   */
+  async reviewChanges(changes) {
+    const approval = await this.approver.review(changes, { iteration: this.iteration });
+
+    if (approval.rejected.length > 0) {
+      this.log(chalk.yellow(`  ✗ Rejected: ${approval.rejected.map(r => r.file).join(', ')}`));
+
+      const lines = approval.rejected.map(({ file, reason }) => `- ${file}${reason ? `: ${reason}` : ' (no reason given)'}`);
+      this.pendingFeedback.push(
+        `The user rejected your changes in iteration ${this.iteration} to these files:\n${lines.join('\n')}\n` +
+        'Those changes were not applied. Take the reasons into account before trying again.'
+      );
+    }
+
+    if (approval.edited.length > 0) {
+      this.log(chalk.dim(`  ✎ Edited by user: ${approval.edited.join(', ')}`));
+      this.pendingFeedback.push(
+        `The user edited your patch for ${approval.edited.join(', ')} before applying it. ` +
+        'Re-read those files - they may differ from what you proposed.'
+      );
+    }
+
+    return approval;
+  }
+
+  /**
+   * Ask the AI to redo the changes that failed to apply, within the same iteration
+   *
+   * The provider gets the failure messages, the current numbered content around
+   * each failure and the files that did apply, and is asked to re-emit only the
+   * failed edits. In transactional mode nothing was written yet, so the changes
+   * that did work are applied again together with the repaired ones.
+   *
+   * @param {string} changes - Response text that was applied
+   * @param {Object} result - Result of applyChanges
+   * @param {Object} context - Codebase context of the iteration
+   * @returns {Promise<Object>} { result: combined applyChanges result, repairs: log entries }
+   */
+  async repairChanges(changes, result, context) {
+    const DiffApplier = require('./diff-applier');
+    const repairs = [];
+    const files = new Set(result.files);
+    const placements = [...(result.placements || [])];
+    const violations = [...(result.violations || [])];
+    let { errors, failures } = result;
+    let text = changes;
+
+    for (let attempt = 1; attempt <= this.repairAttempts && failures.length > 0; attempt++) {
+      this.log(chalk.yellow(`  ↻ Repair ${attempt}/${this.repairAttempts}: asking to redo ${failures.length} failed change(s)`));
+
+      // Changes that worked but were not written (transactional) go along with the repair
+      const failedFiles = failures.map(failure => failure.file).filter(Boolean);
+      const pending = this.transactional && files.size === 0 ? DiffApplier.withoutFiles(text, failedFiles) : '';
+
+      const response = await this.provider.iterate({
+        prompt: this.prompt,
+        context: {
+          ...context,
+          files: this.readFailedFiles(failures),
+          repair: {
+            attempt,
+            maxAttempts: this.repairAttempts,
+            failures: failures.map(failure => ({ file: failure.file, message: failure.message, excerpt: this.excerptFailure(failure) })),
+            applied: [...files]
+          }
+        },
+        iteration: this.iteration
+      });
+      const usage = this.recordUsage(response.usage);
+
+      const entry = {
+        attempt,
+        failures: failures.map(failure => failure.message),
+        response: response.raw || response.changes || '',
+        usage,
+        files: [],
+        errors: []
+      };
+      repairs.push(entry);
+
+      let repairText = response.hasChanges ? response.changes : '';
+      if (repairText && this.beforeApplyHooks.length > 0) {
+        const hookResult = await this.runBeforeApplyHooks(repairText);
+        repairText = hookResult.changes;
+        entry.vetoed = hookResult.vetoed;
+      }
+      if (repairText && this.approver) {
+        const approval = await this.reviewChanges(repairText);
+        repairText = approval.changes;
+        entry.approval = this.summarizeApproval(approval);
+      }
+      if (repairText && this.scopeGuard.isEnabled()) {
+        const drift = await this.handleScopeDrift(DiffApplier.getAffectedPaths(repairText), driftFiles => {
+          repairText = DiffApplier.withoutFiles(repairText, driftFiles);
+          return [];
+        });
+        if (drift) {
+          entry.scopeDrift = drift;
+        }
+      }
+      if (!repairText) {
+        entry.errors.push('No changes to apply');
+        break;
+      }
+
+      text = pending ? `${pending}\n\n${repairText}` : repairText;
+      const attemptResult = this.applyChanges(text);
+      entry.files = attemptResult.files;
+      entry.errors = attemptResult.errors;
+
+      attemptResult.files.forEach(file => files.add(file));
+      placements.push(...(attemptResult.placements || []));
+      violations.push(...(attemptResult.violations || []).filter(violation =>
+        !violations.some(v => v.file === violation.file && v.action === violation.action)));
+      errors = attemptResult.errors;
+      failures = attemptResult.failures || [];
+
+      this.emit('repair', {
+        iteration: this.iteration,
+        attempt,
+        files: attemptResult.files,
+        errors: attemptResult.errors
+      });
+    }
+
+    if (failures.length === 0) {
+      this.log(chalk.green(`  ✓ Repaired all failed changes`));
+    }
+
+    return {
+      result: { count: files.size, files: [...files], errors, failures, placements, violations },
+      repairs
+    };
+  }
+
+  /**
+   * Current content of the files with failed changes (for the repair request)
+   * @param {Array} failures - Failures from applyChanges
+   * @returns {Array} Context files: [{ path, content }]
+   */
+  readFailedFiles(failures) {
+    const files = [];
+    const seen = new Set();
+
+    for (const failure of failures) {
+      if (!failure.fullPath || seen.has(failure.fullPath) || !fs.existsSync(failure.fullPath)) {
+        continue;
+      }
+      seen.add(failure.fullPath);
+      files.push({ path: failure.file, content: fs.readFileSync(failure.fullPath, 'utf-8') });
+    }
+
+    return files;
+  }
+
+  /**
+   * Numbered lines of the file around a failure
+   * @param {Object} failure - Failure from applyChanges
+   * @returns {string|null} Excerpt, or null if the location is unknown
+   */
+  excerptFailure(failure) {
+    if (!failure.line || !failure.fullPath || !fs.existsSync(failure.fullPath)) {
+      return null;
+    }
+
+    const lines = fs.readFileSync(failure.fullPath, 'utf-8').split('\n');
+    const start = Math.max(0, failure.line - 11);
+    const end = Math.min(lines.length, failure.line + 10);
+
+    return lines.slice(start, end).map((line, index) => `${start + index + 1}│${line}`).join('\n');
+  }
+
+  /**
+   * Pass changes that failed to apply or were rejected to the next iteration
+   * @param {Array<string>} applyErrors - Errors from applying the response
+   * @param {number} filesModified - Files that were written anyway
+   */
+  reportApplyErrors(applyErrors, filesModified) {
+    const lines = applyErrors.map(error => `- ${error.replace(/\n/g, '\n  ')}`);
+    const outcome = filesModified > 0 ? 'The rest of your changes were applied.' : 'None of your changes were applied.';
+    this.pendingFeedback.push(
+      `Some of your changes in iteration ${this.iteration} could not be applied:\n${lines.join('\n')}\n` +
+      `${outcome} Re-read the affected files before trying again.`
+    );
+  }
+
+  /**
+   * Modification times of the files the claude-cli provider may have changed
+   * Git reports changed and untracked files but not ignored ones, so the files
+   * matching files.protected (.env, iteration logs) are looked at directly.
+   * @returns {Map<string, number>} File path -> mtime (0 if it can't be read)
+   */
+  snapshotCliFiles() {
+    const snapshot = GitHelper.getFileSnapshot();
+    const policy = this.workspaceManager.getWritePolicy({ path: process.cwd() });
+
+    for (const file of policy.listProtected()) {
+      if (snapshot.has(file)) {
+        continue;
+      }
+      try {
+        snapshot.set(file, fs.statSync(path.join(process.cwd(), file)).mtimeMs);
+      } catch {
+        snapshot.set(file, 0);
+      }
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Revert the files the claude-cli provider changed against the write policy
+   * Only files Git reports as changed and the protected files can be seen, and
+   * writes outside the workspace not at all.
+   * @param {Array<string>} files - Files the provider changed
+   * @param {IterationCheckpoint} checkpoint - Pre-iteration state to restore from
+   * @returns {Array} Violations: [{ file, action, reason, message, reverted }]
+   */
+  revertViolations(files, checkpoint) {
+    const policy = this.workspaceManager.getWritePolicy({ path: process.cwd() });
+    const violations = files
+      .map(file => policy.check(file, fs.existsSync(path.join(process.cwd(), file)) ? 'write' : 'delete'))
+      .filter(Boolean);
+
+    if (violations.length > 0 && checkpoint) {
+      const result = checkpoint.restore(violations.map(violation => violation.file));
+      for (const violation of violations) {
+        violation.reverted = result.restored.includes(violation.file);
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Tell the model which changes the write policy blocked
+   * @param {Array} violations - Violations from applyChanges or revertViolations
+   */
+  reportViolations(violations) {
+    for (const violation of violations) {
+      const outcome = violation.reverted === false ? ' (could not be reverted)' : '';
+      this.logError(chalk.yellow(`    ⊘ ${violation.message}${outcome}`));
+    }
+
+    this.emit('changes:blocked', { iteration: this.iteration, violations });
+    this.pendingFeedback.push(
+      `Some of your changes in iteration ${this.iteration} were blocked and not made:\n` +
+      violations.map(violation => `- ${violation.message}`).join('\n') + '\n' +
+      'Do not try to change these files again; find another way to reach the goal.'
+    );
+  }
+
+  /**
+   * Handle changes to files outside the prompt's scope, according to scope.onDrift
+   * Drifting changes are kept ('warn'), reverted ('revert') or whichever the user
+   * chooses ('ask'); either way they are reported to the user and the model.
+   * @param {Array<string>} files - Files the iteration changes
+   * @param {Function} revert - (files) => failures [{ file, error }]; undoes the changes to files
+   * @returns {Promise<Object|null>} Drift record { files, policy, action: 'kept' or 'reverted' }, or null if none
+   */
+  async handleScopeDrift(files, revert) {
+    const drift = this.scopeGuard.findDrift(files);
+    if (drift.length === 0) {
+      return null;
+    }
+
+    const policy = this.scopeGuard.onDrift;
+    const keep = policy === 'ask' ? await this.askAboutDrift(drift) : policy === 'warn';
+    const failed = keep ? [] : revert(drift);
+    const record = { files: drift, policy, action: keep ? 'kept' : 'reverted' };
+
+    if (keep) {
+      this.logError(chalk.yellow(`  ⚠ Changed outside the prompt's scope: ${drift.join(', ')}`));
+    } else {
+      this.log(chalk.yellow(`  ↺ Reverted changes outside the prompt's scope: ${drift.join(', ')}`));
+    }
+    for (const { file, error } of failed) {
+      this.logError(chalk.red(`    ✗ Could not revert ${file}: ${error}`));
+    }
+
+    this.scopeDrift.push({ iteration: this.iteration, ...record });
+    this.emit('scope:drift', { iteration: this.iteration, ...record });
+
+    const scope = this.scopeGuard.scope.join(', ');
+    this.pendingFeedback.push(keep
+      ? `In iteration ${this.iteration} you changed files outside the scope of this task (${scope}):\n` +
+        drift.map(file => `- ${file}`).join('\n') + '\nOnly change files outside the scope when the task cannot be done without it.'
+      : `Your changes in iteration ${this.iteration} to files outside the scope of this task (${scope}) were reverted:\n` +
+        drift.map(file => `- ${file}`).join('\n') + '\nOnly change files within the scope.');
+
+    return record;
+  }
+
+  /**
+   * Ask the user whether to keep changes outside the prompt's scope
+   * If no answer can be read, the changes are kept (as with 'warn').
+   * @param {Array<string>} drift - Files outside the scope
+   * @returns {Promise<boolean>} true to keep the changes
+   */
+  async askAboutDrift(drift) {
+    this.driftApprover.open();
+    try {
+      const answer = await this.driftApprover.ask(
+        `Iteration ${this.iteration} changes files outside the prompt's scope: ${drift.join(', ')}\n` +
+        `Keep these changes? ${chalk.bold('[y]')}es / ${chalk.bold('[n]')}o: `,
+        ['y', 'n']
+      );
+      return answer === 'y';
+    } catch {
+      return true;
+    } finally {
+      this.driftApprover.close();
+    }
+  }
+
+  /**
+   * Register a handler that runs before a response's diffs are applied
+   * Handlers run in order, each seeing the previous one's output, and may be async.
+   * Return nothing to keep the changes, { changes } to replace them, or
+   * { veto: true, reason } (or false) to apply nothing this iteration.
+   * Not called for the claude-cli provider, which edits files itself.
+   * @param {Function} handler - ({ iteration, changes, files }) => result
+   * @returns {RalphLoop} this
+   */
+  beforeApply(handler) {
+    this.beforeApplyHooks.push(handler);
+    return this;
+  }
+
+  /**
+   * Pass the changes through the beforeApply handlers
+   * A veto is reported to the next iteration as feedback
+   * @param {string} changes - Provider response text
+   * @returns {Promise<Object>} { changes, vetoed: reason or null }
+   */
+  async runBeforeApplyHooks(changes) {
+    const DiffApplier = require('./diff-applier');
+
+    for (const hook of this.beforeApplyHooks) {
+      const result = await hook({
+        iteration: this.iteration,
+        changes,
+        files: DiffApplier.getAffectedPaths(changes)
+      });
+
+      if (result === false || result?.veto) {
+        const reason = result?.reason || 'Rejected by a beforeApply hook';
+        this.log(chalk.yellow(`  ✗ Changes vetoed: ${reason}`));
+        this.emit('changes:vetoed', { iteration: this.iteration, reason });
+        this.pendingFeedback.push(
+          `Your changes in iteration ${this.iteration} were not applied: ${reason}\n` +
+          'Take this into account before trying again.'
+        );
+        return { changes: '', vetoed: reason };
+      }
+
+      if (typeof result?.changes === 'string') {
+        changes = result.changes;
+      }
+    }
+
+    return { changes, vetoed: null };
+  }
+
+  /**
+   * Review outcome for the iteration log
+   */
+  summarizeApproval(approval) {
+    return {
+      accepted: approval.accepted,
+      rejected: approval.rejected,
+      edited: approval.edited
+    };
+  }
+
+  /**
+   * Run the configured checks after an iteration and keep the results for the next one
+   * Reuses the run made for rollback when there was one
+   */
+  async runIterationValidation() {
+    const validation = this.iterationValidation || await this.validationRunner.runAll();
+    this.iterationValidation = validation;
+    this.testResults = this.validationRunner.formatFeedback(validation);
+
+    this.emit('validation', { iteration: this.iteration, ...IterationLogger.summarizeValidation(validation) });
+
+    const failed = validation.results.filter(result => !result.passed && !result.skipped);
+    if (failed.length === 0) {
+      this.log(chalk.green('  ✓ Checks passed'));
+    } else {
+      this.log(chalk.yellow(`  ✗ Checks failed: ${failed.map(result => result.name).join(', ')}`) + chalk.dim(' (sent to next iteration)'));
+    }
+  }
+
+  /**
+   * Take the feedback queued for the model, clearing the queue
+   * @returns {Array<string>} Feedback messages
+   */
+  consumeFeedback() {
+    const feedback = this.pendingFeedback;
+    this.pendingFeedback = [];
+    return feedback;
+  }
+
+  /**
+   * Capture a checkpoint of every workspace before an iteration
+   * @returns {Map<string, IterationCheckpoint>} Keyed by absolute workspace path
+   */
+  createCheckpoints() {
+    const checkpoints = new Map();
+
+    if (!this.rollback.enabled || this.dryRun) {
+      return checkpoints;
+    }
+
+    const workspacePaths = this.workspaceManager.isMultiRepo()
+      ? this.workspaceManager.getWorkspaces().map(ws => this.workspaceManager.resolvePath(ws.path))
+      : [process.cwd()];
+
+    for (const cwd of workspacePaths) {
+      checkpoints.set(cwd, IterationCheckpoint.capture({ cwd }));
+    }
+
+    return checkpoints;
+  }
+
+  /**
+   * Decide whether the iteration that was just applied should be reverted
+   * @param {Array<string>} applyErrors - Errors from applying the response's diffs
+   * @returns {Object|null} { reason, details } or null to keep the iteration
+   */
+  async checkRollback(applyErrors) {
+    if (this.rollback.onPartialApply && applyErrors.length > 0) {
+      return {
+        reason: 'Diffs only partly applied',
+        details: applyErrors
+      };
+    }
+
+    if (this.rollback.onValidationRegression && this.validationBaseline) {
+      const validation = await this.validationRunner.runAll();
+      this.iterationValidation = validation;
+      const regressions = this.validationRunner.findRegressions(this.validationBaseline, validation);
+
+      if (regressions.length > 0) {
+        return {
+          reason: `Required checks that passed before now fail: ${regressions.map(r => r.name).join(', ')}`,
+          details: regressions.map(r => this.validationRunner.summarizeFailure(r))
+        };
+      }
+
+      this.validationBaseline = validation;
+    }
+
+    return null;
+  }
+
+  /**
+   * Revert every file changed in the current iteration
+   * @param {Object} rollbackReason - From checkRollback()
+   * @returns {Object} Rollback record for the iteration log
+   */
+  rollbackIteration(rollbackReason) {
+    const restored = [];
+    const failed = [];
+    let method = null;
+
+    for (const [workspacePath, files] of this.appliedFiles) {
+      const checkpoint = this.checkpoints.get(workspacePath);
+      if (!checkpoint) {
+        failed.push(...files.map(file => ({ file, error: 'No checkpoint for workspace' })));
+        continue;
+      }
+
+      const result = checkpoint.restore(files);
+      restored.push(...result.restored);
+      failed.push(...result.failed);
+      method = result.method;
+    }
+
+    this.log(chalk.yellow(`  ↺ Rolled back iteration ${this.iteration}: ${rollbackReason.reason}`));
+    if (this.verbose) {
+      for (const detail of rollbackReason.details) {
+        this.log(chalk.dim(`    ${detail.split('\n')[0]}`));
+      }
+    }
+    for (const { file, error } of failed) {
+      this.logError(chalk.red(`    ✗ Could not restore ${file}: ${error}`));
+    }
+
+    // Tell the model what happened so it doesn't build on edits that no longer exist
+    let feedback = `Your changes in iteration ${this.iteration} were reverted because: ${rollbackReason.reason}.\n`;
+    if (restored.length > 0) {
+      feedback += `Files restored to their previous state: ${restored.join(', ')}\n`;
+    }
+    if (rollbackReason.details.length > 0) {
+      feedback += `Details:\n${rollbackReason.details.join('\n')}\n`;
+    }
+    feedback += 'Those edits no longer exist - re-read the files before changing them again.';
+    this.pendingFeedback.push(feedback);
+
+    this.emit('rollback', {
+      iteration: this.iteration,
+      reason: rollbackReason.reason,
+      files: restored,
+      failed
+    });
+
+    return {
+      reason: rollbackReason.reason,
+      details: rollbackReason.details,
+      files: restored,
+      failed,
+      method
+    };
+  }
+
+  /**
+   * Add an iteration's token usage to the session totals
+   * @param {Object|null} usage - Usage reported by the provider (see src/pricing.js)
+   * @param {Object} options - { quiet: don't print anything (when restoring a session) }
+   * @returns {Object|null} Usage record for the iteration log (with totalTokens and cost)
+   */
+  recordUsage(usage, options = {}) {
+    if (!usage) {
+      return null;
+    }
+
+    const totalTokens = getTotalTokens(usage);
+    const cost = calculateCost(usage, this.budget.prices);
+
+    this.usage.inputTokens += usage.inputTokens || 0;
+    this.usage.outputTokens += usage.outputTokens || 0;
+    this.usage.cacheCreationTokens += usage.cacheCreationTokens || 0;
+    this.usage.cacheReadTokens += usage.cacheReadTokens || 0;
+    this.usage.totalTokens += totalTokens;
+
+    if (cost !== null) {
+      this.usage.cost += cost;
+    } else if (!this.usage.unpricedModels.includes(usage.model)) {
+      this.usage.unpricedModels.push(usage.model);
+      if (this.budget.maxCost && !options.quiet) {
+        this.log(chalk.yellow(`  ⚠ No price known for model ${usage.model} - its cost is not counted against budget.maxCost`));
+        this.log(chalk.dim('    Add it under budget.prices in .wiggumizer.yml'));
+      }
+    }
+
+    if (this.verbose && !options.quiet) {
+      const costText = cost !== null ? `, ${formatCost(cost)}` : '';
+      this.log(chalk.dim(`  Tokens: ${totalTokens.toLocaleString()} (${usage.inputTokens || 0} in, ${usage.outputTokens || 0} out${costText})`));
+    }
+
+    return { ...usage, totalTokens, cost };
+  }
+
+  /**
+   * Show the provider's estimate of the request size, and warn when it may
+   * not fit the model's context window
+   * @param {Object} estimate - { inputTokens, contextWindow, maxTokens } (providers that send the files)
+   */
+  reportTokenEstimate(estimate) {
+    if (!estimate) {
+      return;
+    }
+
+    const { inputTokens, contextWindow, maxTokens } = estimate;
+    if (inputTokens + maxTokens > contextWindow) {
+      this.log(chalk.yellow(`  ⚠ Request of ~${inputTokens.toLocaleString()} tokens plus ${maxTokens.toLocaleString()} for the response may not fit the model's context window (${contextWindow.toLocaleString()})`));
+      this.log(chalk.dim('    Set contextWindow for the provider in .wiggumizer.yml if the model accepts more'));
+    } else if (this.verbose) {
+      this.log(chalk.dim(`  Request: ~${inputTokens.toLocaleString()} tokens of a ${contextWindow.toLocaleString()} token context window (${maxTokens.toLocaleString()} reserved for the response)`));
+    }
+  }
+
+
+  /**
+   * Check the session totals against the budget
+   * @returns {string|null} Description of the exhausted limit, or null if within budget
+   */
+  checkBudget() {
+    const { maxTokens, maxCost } = this.budget;
+
+    if (maxTokens && this.usage.totalTokens >= maxTokens) {
+      return `used ${this.usage.totalTokens.toLocaleString()} of ${maxTokens.toLocaleString()} tokens`;
+    }
+
+    if (maxCost && this.usage.cost >= maxCost) {
+      return `spent ${formatCost(this.usage.cost)} of ${formatCost(maxCost)}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Create the AI provider for a run
+   * @param {Object} options - Loop options: provider, providerConfig, verbose, fast, editFormat, retry, rateLimit, offline (no API client; claude only)
+   * @returns {Object} Provider instance
+   */
+  static createProvider(options) {
+    const providerName = options.provider || 'claude';
+
+    if (providerName === 'claude') {
+      const providerConfig = {
+        ...(options.providerConfig?.claude || {}),
+        verbose: options.verbose,
+        fast: options.fast,  // Pass fast mode flag for condensed prompts
+        editFormat: options.editFormat,
+        maxRetries: options.retry?.maxRetries,
+        baseDelay: options.retry?.baseDelay,
+        maxDelay: options.retry?.maxDelay,
+        requestsPerMinute: options.rateLimit?.requestsPerMinute,
+        requestsPerHour: options.rateLimit?.requestsPerHour,
+        offline: options.offline
+      };
+      return new ClaudeProvider(providerConfig);
+    } else if (providerName === 'claude-cli') {
+      const providerConfig = {
+        ...(options.providerConfig?.['claude-cli'] || {}),
+        verbose: options.verbose,
+        fast: options.fast  // Pass fast mode flag for condensed prompts
+      };
+      return new ClaudeCliProvider(providerConfig);
+    } else if (providerName === 'ai-sdk') {
+      // AI SDK provider - supports OpenAI, Anthropic, Google, Mistral, etc.
+      const providerConfig = {
+        ...(options.providerConfig?.['ai-sdk'] || {}),
+        verbose: options.verbose,
+        fast: options.fast,  // Pass fast mode flag for condensed prompts
+        editFormat: options.editFormat
+      };
+      return new AiSdkProvider(providerConfig);
+    }
+
+    throw new Error(`Provider ${providerName} not yet implemented. Coming soon!`);
+  }
+
+  /**
+   * Apply the prompt's frontmatter to the configured file patterns
+   * `include:` replaces files.include and `exclude:` adds to files.exclude,
+   * so prompts in one repository can each work on their own files.
+   * @param {Object} filePatterns - files from .wiggumizer.yml
+   * @param {Object} promptMetadata - From SummaryGenerator.parsePromptMetadata
+   * @param {boolean} usePrompt - false when --files was given, which takes precedence
+   * @returns {Object} File patterns for the context
+   */
+  static resolveFilePatterns(filePatterns, promptMetadata, usePrompt) {
+    const { include, exclude } = promptMetadata;
+    if (!usePrompt || (include.length === 0 && exclude.length === 0)) {
+      return filePatterns;
+    }
+
+    return {
+      ...filePatterns,
+      include: include.length > 0 ? include : filePatterns.include,
+      exclude: [...(filePatterns.exclude || []), ...exclude]
+    };
+  }
+
+  /**
+   * Gather the context for this iteration's request
+   * @param {Object} extra - Added to the context (feedback, testResults, requestedFiles); counted in the token budget
+   */
+  getCodebaseContext(extra = {}) {
+    // Providers that send the files themselves size them to the model's context window
+    const tokenBudget = typeof this.provider.getFileTokenBudget === 'function'
+      ? context => this.provider.getFileTokenBudget({ prompt: this.prompt, context: { ...context, ...extra }, iteration: this.iteration })
+      : null;
+
+    // Use WorkspaceManager to gather context from all workspaces, most relevant
+    // to the prompt's open tasks and the last failing checks first
+    const context = Object.assign(this.workspaceManager.getCodebaseContext({
+      relevance: {
+        prompt: this.promptUpdater.loaded ? this.promptUpdater.content : this.prompt,
+        failures: this.testResults,
+        requested: this.requestedFiles
+      },
+      tokenBudget
+    }), extra);
 
     if (this.verbose) {
       if (context.isMultiRepo) {
         const totalFiles = context.files.length;
         const totalSize = context.files.reduce((sum, f) => sum + f.content.length, 0);
-        console.log(chalk.dim(`  Selected ${totalFiles} files across ${context.workspaces.length} workspaces (${Math.round(totalSize / 1024)}KB)`));
+        this.log(chalk.dim(`  Selected ${totalFiles} files across ${context.workspaces.length} workspaces (${Math.round(totalSize / 1024)}KB)`));
       } else {
         const totalFiles = context.files.length;
         const totalSize = context.files.reduce((sum, f) => sum + f.content.length, 0);
-        console.log(chalk.dim(`  Selected ${totalFiles} files (${Math.round(totalSize / 1024)}KB)`));
+        const tokens = context.tokens ? `, ~${context.tokens.files.toLocaleString()} of ${context.tokens.budget.toLocaleString()} tokens` : '';
+        this.log(chalk.dim(`  Selected ${totalFiles} files (${Math.round(totalSize / 1024)}KB${tokens})`));
+        this.logRanking(context.ranking);
       }
     }
 
     return context;
   }
 
+  /**
+   * Show why the most relevant files were picked (verbose mode)
+   * @param {Array} ranking - [{ path, priority, relevance: { mentioned, keywords, failing, requested, total }, link }]
+   */
+  logRanking(ranking = []) {
+    const relevant = ranking.filter(file => file.relevance?.total > 0 || file.link).slice(0, 10);
+    for (const { path: file, priority, relevance, link } of relevant) {
+      const signals = ['mentioned', 'keywords', 'failing', 'requested']
+        .filter(signal => relevance[signal] > 0)
+        .map(signal => `${signal} ${relevance[signal]}`);
+      const reasons = [];
+      if (relevance.total > 0) {
+        reasons.push(`relevance +${Math.round(relevance.total)}: ${signals.join(', ')}`);
+      }
+      if (link?.seed) {
+        reasons.push('named in prompt');
+      } else if (link) {
+        reasons.push(`imports link to ${link.from}${link.distance > 1 ? ` (${link.distance} steps from the prompt)` : ''}`);
+      }
+      this.log(chalk.dim(`    ${file}: ${Math.round(priority)} (${reasons.join('; ')})`));
+    }
+  }
 
   applyChanges(changesText) {
     const DiffApplier = require('./diff-applier');
@@ -611,8 +1699,22 @@ class RalphLoop {
     const result = this.workspaceManager.applyChanges(changesText, (workspace, diffText) => {
       const workspacePath = this.workspaceManager.resolvePath(workspace.path);
 
+      // Snapshot the files about to change so the iteration can be reverted
+      const checkpoint = this.checkpoints.get(workspacePath);
+      if (checkpoint) {
+        checkpoint.track(DiffApplier.getAffectedPaths(diffText));
+      }
+
       // Apply diffs using the DiffApplier
-      const diffResult = DiffApplier.applyDiffs(diffText, workspacePath, this.verbose);
+      const diffResult = DiffApplier.applyDiffs(diffText, workspacePath, this.verbose, {
+        transactional: this.transactional,
+        validate: this.syntaxCheck,
+        backupDir: this.getBackupDir(workspace),
+        policy: this.workspaceManager.getWritePolicy(workspace),
+        checkChanges: files => this.checkChangeLimits(files, workspace)
+      });
+      const appliedBefore = this.appliedFiles.get(workspacePath) || [];
+      this.appliedFiles.set(workspacePath, [...new Set([...appliedBefore, ...diffResult.filesModified])]);
 
       // Create git backup if in a repo and files were modified (only if auto-commit is enabled)
       if (diffResult.filesModified.length > 0 && this.autoCommit && GitHelper.isGitRepo(workspacePath)) {
@@ -621,33 +1723,127 @@ class RalphLoop {
           const repoLabel = this.workspaceManager.isMultiRepo()
             ? `[${workspace.name}]`
             : 'Git:';
-          console.log(chalk.dim(`    ${repoLabel} Auto-committed iteration ${this.iteration}`));
+          this.log(chalk.dim(`    ${repoLabel} Auto-committed iteration ${this.iteration}`));
         }
       }
 
       // Report errors if any
       if (diffResult.errors.length > 0) {
-        console.error(chalk.red(`    ✗ Errors applying diffs:`));
+        this.logError(chalk.red(`    ✗ Errors applying diffs:`));
         for (const error of diffResult.errors) {
-          console.error(chalk.red(`      ${error}`));
+          this.logError(chalk.red(`      ${error}`));
         }
       }
 
       return {
         count: diffResult.filesModified.length,
-        files: diffResult.filesModified
+        files: diffResult.filesModified,
+        errors: diffResult.errors,
+        failures: (diffResult.failures || []).map(failure => ({
+          ...failure,
+          file: failure.file && this.workspaceManager.isMultiRepo() ? `[${workspace.name}]/${failure.file}` : failure.file,
+          fullPath: failure.file ? path.join(workspacePath, failure.file) : null
+        })),
+        placements: diffResult.placements || [],
+        violations: (diffResult.violations || []).map(violation => ({
+          ...violation,
+          file: this.workspaceManager.isMultiRepo() ? `[${workspace.name}]/${violation.file}` : violation.file
+        }))
       };
     });
 
     if (result.count === 0 && this.verbose) {
-      console.log(chalk.yellow('    ⚠ No file modifications detected in response'));
-      console.log(chalk.dim('\n  Raw response:'));
-      console.log(chalk.dim(changesText.substring(0, 500) + '...'));
+      this.log(chalk.yellow('    ⚠ No file modifications detected in response'));
+      this.log(chalk.dim('\n  Raw response:'));
+      this.log(chalk.dim(changesText.substring(0, 500) + '...'));
     }
 
     return result;
   }
 
+  /**
+   * Check changes about to be written against the change limits
+   * The changes are added to the iteration's total (several workspaces and
+   * repair attempts all count towards the same iteration) unless rejected.
+   * @param {Array} files - Changes from DiffApplier.computeChanges
+   * @param {Object} workspace - Workspace being changed
+   * @returns {Array<string>} Why the changes are over the limits (empty to write them)
+   */
+  checkChangeLimits(files, workspace) {
+    const prefix = this.workspaceManager.isMultiRepo() ? `[${workspace.name}]/` : '';
+    const stats = ChangeLimits.measure(files.map(file => ({
+      ...file,
+      filePath: prefix + file.filePath,
+      movedTo: file.movedTo && prefix + file.movedTo
+    })));
+    const combined = ChangeLimits.combine(this.iterationChanges, stats);
+
+    const exceeded = this.changeLimits.check(combined);
+    if (exceeded.length === 0) {
+      this.iterationChanges = combined;
+    }
+    return exceeded;
+  }
+
+  /**
+   * Revert everything the claude-cli provider changed if it is over the change limits
+   * @param {Array<string>} files - Files the provider changed
+   * @param {IterationCheckpoint} checkpoint - Pre-iteration state to measure against and restore from
+   * @returns {Array<string>} Errors for the model (empty if within the limits)
+   */
+  revertOversizedChanges(files, checkpoint) {
+    const changes = files.map(file => {
+      const original = checkpoint ? checkpoint.getOriginal(file) : { content: null };
+      const fullPath = path.join(process.cwd(), file);
+      return {
+        filePath: file,
+        oldContent: original.content === null ? null : original.content.toString('utf-8'),
+        newContent: fs.existsSync(fullPath) && fs.statSync(fullPath).isFile() ? fs.readFileSync(fullPath, 'utf-8') : null
+      };
+    });
+
+    const stats = ChangeLimits.measure(changes);
+    const exceeded = this.changeLimits.check(stats);
+    if (exceeded.length === 0) {
+      this.iterationChanges = stats;
+      return [];
+    }
+
+    const result = checkpoint ? checkpoint.restore(files) : { failed: files.map(file => ({ file })) };
+    const errors = exceeded.map(reason => `All files were reverted because the changes are too large: ${reason}`);
+    if (result.failed.length > 0) {
+      errors.push(`Could not revert: ${result.failed.map(failure => failure.file).join(', ')}`);
+    }
+    return errors;
+  }
+
+  /**
+   * Size of the current iteration's changes, for the iteration log
+   * @param {number} filesModified - Files the iteration changed
+   * @returns {Object|null} { files, linesAdded, linesRemoved, filesDeleted }
+   */
+  summarizeChanges(filesModified) {
+    if (filesModified === 0 || this.iterationChanges.files.length === 0) {
+      return null;
+    }
+    return {
+      files: this.iterationChanges.files.length,
+      linesAdded: this.iterationChanges.linesAdded,
+      linesRemoved: this.iterationChanges.linesRemoved,
+      filesDeleted: this.iterationChanges.filesDeleted.length
+    };
+  }
+
+  /**
+   * Directory for this iteration's copies of the files it changes
+   * @param {Object} workspace - Workspace being changed
+   * @returns {string}
+   */
+  getBackupDir(workspace) {
+    const backupDir = path.join(this.logger.sessionDir, 'backups', `iteration-${this.iteration}`);
+    return this.workspaceManager.isMultiRepo() ? path.join(backupDir, workspace.name || path.basename(workspace.path)) : backupDir;
+  }
+
   /**
    * Get git log for work plan tracking
    */
@@ -665,4 +1861,40 @@ class RalphLoop {
   }
 }
 
+/**
+ * Events emitted by RalphLoop, in the order they occur
+ *   session:start    { sessionId, sessionDir, provider, maxIterations, startIteration, resumed, dryRun }
+ *   iteration:start  { iteration, maxIterations }
+ *   output           { iteration, text } - streamed response text
+ *   response         { iteration, summary, hasChanges, usage }
+ *   apply:error      { iteration, errors }
+ *   repair           { iteration, attempt, files, errors } - a repair attempt for changes that failed to apply
+ *   changes:vetoed   { iteration, reason } - a beforeApply handler vetoed the changes
+ *   changes:blocked  { iteration, violations } - the write policy blocked some changes
+ *   scope:drift      { iteration, files, policy, action } - changes to files outside the prompt's scope
+ *   changes:applied  { iteration, filesModified, files }
+ *   rollback         { iteration, reason, files, failed }
+ *   validation       { iteration, passed, results }
+ *   convergence      { iteration, converged, reason, confidence, layer, warning, validation }
+ *   error            { iteration, message, category } - only emitted when there is a listener; run() still rejects
+ *   complete         { sessionId, totalIterations, filesModified, duration, converged, convergenceReason, convergenceSummary, usage, sessionDir }
+ */
+RalphLoop.EVENTS = [
+  'session:start',
+  'iteration:start',
+  'output',
+  'response',
+  'apply:error',
+  'repair',
+  'changes:vetoed',
+  'changes:blocked',
+  'scope:drift',
+  'changes:applied',
+  'rollback',
+  'validation',
+  'convergence',
+  'error',
+  'complete'
+];
+
 module.exports = RalphLoop;
@@ -0,0 +1,147 @@
+/**
+ * Token usage and model pricing
+ *
+ * Providers report usage as:
+ *   { model, inputTokens, outputTokens, cacheCreationTokens, cacheReadTokens, cost? }
+ * where inputTokens excludes cached tokens and cost (USD) is only set when the
+ * provider reports it directly (e.g. the Claude CLI).
+ */
+
+/**
+ * List prices in USD per million tokens
+ * Keys are matched against model names, longest key first, so dated
+ * model IDs (claude-sonnet-4-5-20250929) resolve to their family.
+ * cacheWrite/cacheRead fall back to the input price when not listed.
+ * Override or extend via `budget.prices` in .wiggumizer.yml.
+ */
+const MODEL_PRICES = {
+  // Anthropic
+  'claude-opus-4-5': { input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.5 },
+  'claude-opus-4': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  'claude-sonnet-4': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-3-7-sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-3-5-sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-haiku-4-5': { input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 },
+  'claude-3-5-haiku': { input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 },
+
+  // OpenAI
+  'gpt-5': { input: 1.25, output: 10, cacheRead: 0.125 },
+  'gpt-5-mini': { input: 0.25, output: 2, cacheRead: 0.025 },
+  'gpt-4.1': { input: 2, output: 8, cacheRead: 0.5 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6, cacheRead: 0.1 },
+  'gpt-4o': { input: 2.5, output: 10, cacheRead: 1.25 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6, cacheRead: 0.075 },
+
+  // Google
+  'gemini-2.5-pro': { input: 1.25, output: 10, cacheRead: 0.31 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5, cacheRead: 0.075 }
+};
+
+/**
+ * Find the price entry for a model
+ * @param {string} model - Model name (provider prefixes like "anthropic/" are ignored)
+ * @param {Object} overrides - Extra or replacement price entries
+ * @returns {Object|null} { input, output, cacheWrite?, cacheRead? } or null if unknown
+ */
+function getModelPrice(model, overrides = {}) {
+  if (!model) {
+    return null;
+  }
+
+  const prices = { ...MODEL_PRICES, ...overrides };
+  const name = String(model).toLowerCase().split('/').pop();
+
+  if (prices[name]) {
+    return prices[name];
+  }
+
+  const key = Object.keys(prices)
+    .sort((a, b) => b.length - a.length)
+    .find(candidate => name.includes(candidate.toLowerCase()));
+
+  return key ? prices[key] : null;
+}
+
+/**
+ * Total tokens in a usage record (input, output and cache)
+ * @param {Object} usage - Usage record
+ * @returns {number}
+ */
+function getTotalTokens(usage) {
+  if (!usage) {
+    return 0;
+  }
+
+  return (usage.inputTokens || 0) +
+         (usage.outputTokens || 0) +
+         (usage.cacheCreationTokens || 0) +
+         (usage.cacheReadTokens || 0);
+}
+
+/**
+ * Cost of a usage record in USD
+ * Uses the provider-reported cost when present, otherwise the price table
+ * @param {Object} usage - Usage record
+ * @param {Object} overrides - Extra or replacement price entries
+ * @returns {number|null} Cost, or null if the model has no known price
+ */
+function calculateCost(usage, overrides = {}) {
+  if (!usage) {
+    return null;
+  }
+
+  if (typeof usage.cost === 'number') {
+    return usage.cost;
+  }
+
+  const price = getModelPrice(usage.model, overrides);
+  if (!price) {
+    return null;
+  }
+
+  const cacheWrite = price.cacheWrite !== undefined ? price.cacheWrite : price.input;
+  const cacheRead = price.cacheRead !== undefined ? price.cacheRead : price.input;
+
+  return ((usage.inputTokens || 0) * price.input +
+          (usage.outputTokens || 0) * price.output +
+          (usage.cacheCreationTokens || 0) * cacheWrite +
+          (usage.cacheReadTokens || 0) * cacheRead) / 1000000;
+}
+
+/**
+ * Convert an Anthropic Messages API usage object to a usage record
+ * @param {Object} usage - { input_tokens, output_tokens, cache_creation_input_tokens, cache_read_input_tokens }
+ * @param {string} model - Model that produced it
+ * @returns {Object|null} Usage record
+ */
+function fromAnthropicUsage(usage, model) {
+  if (!usage) {
+    return null;
+  }
+
+  return {
+    model,
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheCreationTokens: usage.cache_creation_input_tokens || 0,
+    cacheReadTokens: usage.cache_read_input_tokens || 0
+  };
+}
+
+/**
+ * Format a cost for display
+ * @param {number} cost - Cost in USD
+ * @returns {string}
+ */
+function formatCost(cost) {
+  return `$${cost < 1 ? cost.toFixed(4) : cost.toFixed(2)}`;
+}
+
+module.exports = {
+  MODEL_PRICES,
+  getModelPrice,
+  getTotalTokens,
+  calculateCost,
+  fromAnthropicUsage,
+  formatCost
+};
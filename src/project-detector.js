@@ -15,7 +15,43 @@ class ProjectDetector {
    * @returns {Object} { type, testCommand, buildCommand, detected }
    */
   detect() {
-    const detectors = [
+    for (const detector of this.getDetectors()) {
+      const result = detector();
+      if (result.detected) {
+        return result;
+      }
+    }
+
+    // No specific type detected
+    return {
+      type: 'unknown',
+      testCommand: null,
+      buildCommand: null,
+      detected: false
+    };
+  }
+
+  /**
+   * Detect every project type the directory matches (polyglot projects)
+   * @returns {Array<Object>} Results of the matching detectors, in detect() order
+   */
+  detectAll() {
+    return this.getDetectors().map(detector => detector()).filter(result => result.detected);
+  }
+
+  /**
+   * Ecosystems of the directory (see ProjectDetector.ECOSYSTEMS)
+   * @returns {Array<string>}
+   */
+  detectEcosystems() {
+    return [...new Set(this.detectAll().map(result => ProjectDetector.getEcosystem(result.type)))];
+  }
+
+  /**
+   * Detectors in order of precedence
+   */
+  getDetectors() {
+    return [
       this.detectNodeJS.bind(this),
       this.detectPython.bind(this),
       this.detectJava.bind(this),
@@ -31,21 +67,6 @@ class ProjectDetector {
       this.detectElixir.bind(this),
       this.detectPerl.bind(this)
     ];
-
-    for (const detector of detectors) {
-      const result = detector();
-      if (result.detected) {
-        return result;
-      }
-    }
-
-    // No specific type detected
-    return {
-      type: 'unknown',
-      testCommand: null,
-      buildCommand: null,
-      detected: false
-    };
   }
 
   /**
@@ -428,6 +449,149 @@ class ProjectDetector {
 
     return descriptions[detection.type] || detection.type;
   }
+
+  /**
+   * Ecosystem of a project type ('java-maven' -> 'java')
+   */
+  static getEcosystem(type) {
+    return type.split('-')[0];
+  }
+
+  /**
+   * Ecosystems whose manifests are among some file names
+   * @param {Set<string>} names - File names (without directories)
+   * @returns {Array<string>}
+   */
+  static findManifestEcosystems(names) {
+    return Object.keys(ECOSYSTEMS).filter(ecosystem => ECOSYSTEMS[ecosystem].manifests.some(name => names.has(name)));
+  }
+
+  /**
+   * File kinds of a set of ecosystems, on top of DEFAULT_ECOSYSTEMS
+   * @param {Array<string>} ecosystems - Keys of ECOSYSTEMS
+   * @returns {Object} { source, config, docs: extensions, manifests: file names, tests: file name patterns }
+   */
+  static getFileKinds(ecosystems = []) {
+    const kinds = { source: [], config: [...COMMON_FILES.config], docs: [...COMMON_FILES.docs], manifests: [], tests: [] };
+
+    for (const ecosystem of new Set([...DEFAULT_ECOSYSTEMS, ...ecosystems])) {
+      const files = ECOSYSTEMS[ecosystem];
+      if (!files) {
+        continue;
+      }
+      for (const kind of ['source', 'config', 'manifests', 'tests']) {
+        kinds[kind].push(...files[kind].filter(item => !kinds[kind].includes(item)));
+      }
+    }
+
+    return kinds;
+  }
 }
 
+/**
+ * Files of each ecosystem, for picking the files to send to the AI
+ * - source: source code extensions
+ * - tests: test file names
+ * - config: config file extensions
+ * - manifests: project and build files (also used to find ecosystems in subdirectories)
+ */
+const ECOSYSTEMS = {
+  nodejs: {
+    source: ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.mts', '.cts', '.vue', '.svelte'],
+    tests: [/\.(test|spec)\.[cm]?[jt]sx?$/],
+    config: ['.json'],
+    manifests: ['package.json', 'tsconfig.json']
+  },
+  python: {
+    source: ['.py', '.pyi'],
+    tests: [/^test_.*\.py$/, /_test\.py$/],
+    config: ['.toml', '.cfg', '.ini'],
+    manifests: ['pyproject.toml', 'setup.py', 'setup.cfg', 'requirements.txt', 'Pipfile']
+  },
+  java: {
+    source: ['.java'],
+    tests: [/Tests?\.java$/],
+    config: ['.xml', '.gradle', '.properties'],
+    manifests: ['pom.xml', 'build.gradle', 'settings.gradle']
+  },
+  go: {
+    source: ['.go'],
+    tests: [/_test\.go$/],
+    config: [],
+    manifests: ['go.mod']
+  },
+  rust: {
+    source: ['.rs'],
+    tests: [],
+    config: ['.toml'],
+    manifests: ['Cargo.toml']
+  },
+  ruby: {
+    source: ['.rb', '.rake', '.gemspec'],
+    tests: [/_(spec|test)\.rb$/],
+    config: [],
+    manifests: ['Gemfile', 'Rakefile']
+  },
+  php: {
+    source: ['.php'],
+    tests: [/Test\.php$/],
+    config: ['.xml'],
+    manifests: ['composer.json', 'phpunit.xml', 'phpunit.xml.dist']
+  },
+  dotnet: {
+    source: ['.cs', '.fs', '.fsx'],
+    tests: [/Tests?\.(cs|fs)$/],
+    config: ['.csproj', '.fsproj', '.sln', '.props'],
+    manifests: []
+  },
+  c: {
+    source: ['.c', '.h'],
+    tests: [/_test\.c$/],
+    config: ['.cmake'],
+    manifests: ['CMakeLists.txt']
+  },
+  cpp: {
+    source: ['.cpp', '.cc', '.cxx', '.hpp', '.hxx', '.h'],
+    tests: [/_test\.(cpp|cc|cxx)$/],
+    config: ['.cmake'],
+    manifests: ['CMakeLists.txt']
+  },
+  swift: {
+    source: ['.swift'],
+    tests: [/Tests?\.swift$/],
+    config: [],
+    manifests: ['Package.swift']
+  },
+  kotlin: {
+    source: ['.kt', '.kts'],
+    tests: [/Tests?\.kt$/],
+    config: ['.gradle', '.properties'],
+    manifests: ['build.gradle.kts', 'settings.gradle.kts']
+  },
+  elixir: {
+    source: ['.ex', '.exs'],
+    tests: [/_test\.exs$/],
+    config: [],
+    manifests: ['mix.exs']
+  },
+  perl: {
+    source: ['.pl', '.pm', '.t'],
+    tests: [/\.t$/],
+    config: [],
+    manifests: ['Makefile.PL', 'Build.PL', 'cpanfile']
+  }
+};
+
+// Always included, so JavaScript/TypeScript and Python files are sent even when nothing is detected
+const DEFAULT_ECOSYSTEMS = ['nodejs', 'python'];
+
+// Config and docs of any project
+const COMMON_FILES = {
+  config: ['.json', '.yml', '.yaml'],
+  docs: ['.md']
+};
+
+ProjectDetector.ECOSYSTEMS = ECOSYSTEMS;
+ProjectDetector.DEFAULT_ECOSYSTEMS = DEFAULT_ECOSYSTEMS;
+
 module.exports = ProjectDetector;
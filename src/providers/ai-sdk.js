@@ -1,4 +1,7 @@
 const chalk = require('chalk');
+const { resolveEditFormat, getChangesInstructions, describeEditFormat, formatRepairRequest } = require('../edit-formats');
+const { getContextWindow, estimateTokens, fileTokenBudget } = require('../token-budget');
+const { outlineFile, mapFile, formatRepoMap } = require('../repo-map');
 
 /**
  * AI SDK Provider
@@ -17,14 +20,17 @@ const chalk = require('chalk');
  *       provider: openai           # or anthropic, google, mistral, etc.
  *       model: gpt-4o              # model name for the provider
  *       maxTokens: 16384
+ *       contextWindow: 128000      # optional; known models are looked up
  */
 class AiSdkProvider {
   constructor(config = {}) {
     this.providerName = config.provider || 'openai';
     this.modelName = config.model || 'gpt-4o';
     this.maxTokens = config.maxTokens || 16384;
+    this.contextWindow = config.contextWindow || getContextWindow(this.modelName);
     this.verbose = config.verbose || false;
     this.fast = config.fast || false;
+    this.editFormat = resolveEditFormat(config.editFormat);
 
     // Provider-specific options (passed to the provider factory)
     this.providerOptions = config.providerOptions || {};
@@ -187,11 +193,11 @@ class AiSdkProvider {
 
     try {
       // Use streaming if onOutput callback provided
-      if (onOutput) {
-        return await this.iterateWithStreaming(systemPrompt, userMessage, onOutput);
-      } else {
-        return await this.iterateWithoutStreaming(systemPrompt, userMessage);
-      }
+      const result = onOutput
+        ? await this.iterateWithStreaming(systemPrompt, userMessage, onOutput)
+        : await this.iterateWithoutStreaming(systemPrompt, userMessage);
+
+      return { ...result, tokenEstimate: this.estimateRequest(systemPrompt, userMessage) };
     } catch (error) {
       throw new Error(`AI SDK provider (${this.providerName}) failed: ${error.message}`);
     }
@@ -224,6 +230,9 @@ class AiSdkProvider {
       }
     }
 
+    // Usage resolves once the stream has finished
+    const usage = this.extractUsage(await result.usage, await result.providerMetadata);
+
     // Parse and return
     const hasChanges = !this.detectNoChanges(fullContent);
 
@@ -232,7 +241,8 @@ class AiSdkProvider {
       changes: fullContent,
       summary: this.extractSummary(fullContent),
       reasoning: this.extractReasoning(fullContent),
-      raw: fullContent
+      raw: fullContent,
+      usage
     };
   }
 
@@ -259,7 +269,60 @@ class AiSdkProvider {
       changes: content,
       summary: this.extractSummary(content),
       reasoning: this.extractReasoning(content),
-      raw: content
+      raw: content,
+      usage: this.extractUsage(result.usage, result.providerMetadata)
+    };
+  }
+
+  /**
+   * Convert AI SDK usage to a usage record (see src/pricing.js)
+   * Handles both the v4 (promptTokens/completionTokens) and v5+
+   * (inputTokens/outputTokens/cachedInputTokens) shapes.
+   * @param {Object} usage - Usage reported by generateText/streamText
+   * @param {Object} providerMetadata - Provider-specific metadata
+   * @returns {Object|null} Usage record
+   */
+  extractUsage(usage, providerMetadata) {
+    if (!usage) {
+      return null;
+    }
+
+    const anthropic = providerMetadata?.anthropic || {};
+    const input = usage.inputTokens ?? usage.promptTokens ?? 0;
+    const cacheReadTokens = usage.cachedInputTokens ?? anthropic.cacheReadInputTokens ?? 0;
+
+    return {
+      model: this.modelName,
+      // Anthropic reports cached tokens separately; other providers include them in the input count
+      inputTokens: this.providerName === 'anthropic' ? input : Math.max(0, input - cacheReadTokens),
+      outputTokens: usage.outputTokens ?? usage.completionTokens ?? 0,
+      cacheCreationTokens: anthropic.cacheCreationInputTokens ?? 0,
+      cacheReadTokens
+    };
+  }
+
+  /**
+   * Tokens left for file contents: the model's context window minus the
+   * system prompt, the rest of the message and the maxTokens reserved for the response
+   * @param {Object} params - { prompt, context, iteration }, as for iterate() (context.files is ignored)
+   * @returns {number}
+   */
+  getFileTokenBudget({ prompt, context, iteration }) {
+    const baseTokens = estimateTokens(this.buildSystemPrompt()) +
+      estimateTokens(this.buildUserMessage(prompt, { ...context, files: [] }, iteration));
+
+    return fileTokenBudget({ contextWindow: this.contextWindow, maxTokens: this.maxTokens, baseTokens });
+  }
+
+  /**
+   * Estimated size of a request, reported with the response
+   * @returns {Object} { inputTokens, contextWindow, maxTokens }
+   */
+  estimateRequest(systemPrompt, userMessage) {
+    return {
+      inputTokens: estimateTokens(systemPrompt) + estimateTokens(userMessage),
+      contextWindow: this.contextWindow,
+      maxTokens: this.maxTokens
     };
   }
 
@@ -281,22 +344,7 @@ OUTPUT FORMAT:
 ## Summary:
 [One line: what you're implementing/fixing]
 
-## Changes:
-\`\`\`diff
---- a/path/to/file.js
-+++ b/path/to/file.js
-@@ -10,7 +10,7 @@
- context
--old line
-+new line
- context
-\`\`\`
-
-RULES:
-- Use unified diff format (standard diff -u)
-- Include 3 lines context before/after changes
-- Output "NO CHANGES NEEDED" if goal achieved
-- Make substantial progress each iteration
+${getChangesInstructions(this.editFormat, { fast: true })}
 
 Read the codebase carefully. Build on your previous work.`;
     }
@@ -343,31 +391,7 @@ OUTPUT FORMAT (CRITICAL - follow exactly):
 ## Summary:
 [One line: what you're implementing/fixing]
 
-## Changes:
-\`\`\`diff
---- a/path/to/file.js
-+++ b/path/to/file.js
-@@ -10,7 +10,7 @@
- context line
- context line
--old line to remove
-+new line to add
- context line
- context line
-\`\`\`
-
-DIFF FORMAT RULES (CRITICAL):
-- Output unified diff format (standard diff -u format)
-- Start each file with: --- a/path/to/file.ext and +++ b/path/to/file.ext
-- Include @@ line numbers with context
-- Lines starting with - are removed
-- Lines starting with + are added
-- Include 3 lines of context before and after changes
-- For new files, use: --- /dev/null and +++ b/path/to/file.ext
-- For deleted files, use: --- a/path/to/file.ext and +++ /dev/null
-- If goal is fully achieved, respond with only: "NO CHANGES NEEDED"
-- NEVER output complete file contents - ONLY diffs
-- Make each iteration count - substantial progress, not trivial tweaks
+${getChangesInstructions(this.editFormat)}
 
 REMEMBER: You are building on your own work. The codebase is your memory. Read it carefully.`;
   }
@@ -404,7 +428,11 @@ REMEMBER: You are building on your own work. The codebase is your memory. Read i
       message += `**IMPORTANT**: When outputting diffs, include the workspace name in the path:\n`;
       message += `--- a/[workspace-name]/path/to/file.js\n`;
       message += `+++ b/[workspace-name]/path/to/file.js\n`;
-      message += `Example: --- a/[backend]/src/api/users.js\n\n`;
+      message += `Example: --- a/[backend]/src/api/users.js\n`;
+      if (this.editFormat === 'search-replace') {
+        message += `Write the file path above each SEARCH/REPLACE block the same way: [backend]/src/api/users.js\n`;
+      }
+      message += `\n`;
     } else {
       // Add breadcrumbs
       if (context.breadcrumbs) {
@@ -437,6 +465,17 @@ REMEMBER: You are building on your own work. The codebase is your memory. Read i
       message += `\`\`\`\n${context.testResults}\n\`\`\`\n\n`;
     }
 
+    // Loop feedback about the previous iteration
+    if (context.feedback && context.feedback.length > 0) {
+      message += `# Feedback on Your Previous Iteration:\n`;
+      message += context.feedback.map(item => `- ${item}`).join('\n') + `\n\n`;
+    }
+
+    // Changes from this iteration that failed to apply and need to be redone
+    if (context.repair) {
+      message += formatRepairRequest(context.repair, this.editFormat);
+    }
+
     message += `# Current Codebase:\n\n`;
 
     // File contents with line numbers
@@ -451,9 +490,12 @@ REMEMBER: You are building on your own work. The codebase is your memory. Read i
       }
     }
 
+    // Files that did not fit, by outline
+    message += formatRepoMap(context.repoMap);
+
     message += `\n---\n\n`;
     message += `Examine the codebase above. Make substantial progress toward the goal.\n`;
-    message += `Output your changes as unified diffs - only touch what needs changing.\n`;
+    message += `Output your changes as ${describeEditFormat(this.editFormat)} - only touch what needs changing.\n`;
     if (context.isMultiRepo) {
       message += `Remember: Changes may span multiple repositories. Include workspace name in diff paths.\n`;
     }
@@ -482,31 +524,53 @@ REMEMBER: You are building on your own work. The codebase is your memory. Read i
       message += `# Notes:\n${truncated}\n\n`;
     }
 
+    if (context.feedback && context.feedback.length > 0) {
+      message += `# Feedback:\n${context.feedback.map(item => `- ${item}`).join('\n')}\n\n`;
+    }
+
+    // Changes from this iteration that failed to apply and need to be redone
+    if (context.repair) {
+      message += formatRepairRequest(context.repair, this.editFormat);
+    }
+
     message += `# Codebase:\n\n`;
 
+    // Include fewer files in fast mode; long files are shown as an outline
+    // unless the model asked for them
+    const requested = new Set((context.requestedFiles || []).map(file => file.replace(/\\/g, '/')));
     const maxFiles = Math.min(context.files.length, 10);
     for (let i = 0; i < maxFiles; i++) {
       const file = context.files[i];
       const lines = file.content.split('\n');
-      const truncatedLines = lines.slice(0, 50);
-      const numberedContent = truncatedLines.map((line, idx) => `${idx + 1}│${line}`).join('\n');
+      const header = context.isMultiRepo ? `## File: [${file.workspace}] ${file.path}` : `## File: ${file.path}`;
+      const full = lines.length <= 50 || requested.has(file.path.replace(/\\/g, '/'));
+      const outline = full ? [] : outlineFile(file.content, file.path);
 
-      if (context.isMultiRepo) {
-        message += `## File: [${file.workspace}] ${file.path}\n\`\`\`\n${numberedContent}\n\`\`\`\n`;
+      if (outline.length > 0) {
+        const numberedOutline = outline.map(item => `${item.line}│${item.text}`).join('\n');
+        message += `${header} (${lines.length} lines, outline only - list it under "## Files Needed:" to see it in full)\n\`\`\`\n${numberedOutline}\n\`\`\`\n`;
       } else {
-        message += `## File: ${file.path}\n\`\`\`\n${numberedContent}\n\`\`\`\n`;
-      }
-      if (lines.length > 50) {
-        message += `[... ${lines.length - 50} more lines]\n`;
+        // Files without an outline are cut to their first 50 lines
+        const shown = full ? lines : lines.slice(0, 50);
+        const numberedContent = shown.map((line, idx) => `${idx + 1}│${line}`).join('\n');
+        message += `${header}\n\`\`\`\n${numberedContent}\n\`\`\`\n`;
+        if (shown.length < lines.length) {
+          message += `[... ${lines.length - shown.length} more lines]\n`;
+        }
       }
       message += `\n`;
     }
 
-    if (context.files.length > maxFiles) {
-      message += `[... ${context.files.length - maxFiles} more files not shown in fast mode]\n\n`;
-    }
+    // Files past the first ten are outlined like the ones that did not fit the context
+    message += formatRepoMap({
+      files: [
+        ...context.files.slice(maxFiles).map(file => mapFile(context.isMultiRepo ? `[${file.workspace}] ${file.path}` : file.path, file.content)),
+        ...(context.repoMap?.files || [])
+      ],
+      omitted: context.repoMap?.omitted || 0
+    });
 
-    message += `Examine the codebase. Make substantial progress. Output unified diffs only.`;
+    message += `Examine the codebase. Make substantial progress. Output ${describeEditFormat(this.editFormat)} only.`;
 
     return message;
   }
@@ -529,6 +593,11 @@ REMEMBER: You are building on your own work. The codebase is your memory. Read i
       return false;
     }
 
+    // SEARCH/REPLACE edit blocks are changes too
+    if (/^<{5,9} SEARCH\s*$/m.test(content)) {
+      return false;
+    }
+
     if (/##\s*File:/i.test(content)) {
       return false;
     }
@@ -1,5 +1,6 @@
 const { spawn, execSync } = require('child_process');
 const chalk = require('chalk');
+const { fromAnthropicUsage } = require('../pricing');
 
 /**
  * Claude CLI Provider
@@ -46,7 +47,7 @@ class ClaudeCliProvider {
    * @param {string} userMessage - The user message/prompt
    * @param {Object} options - Execution options
    * @param {Function} options.onOutput - Callback for streaming output
-   * @returns {Promise<string>} The CLI output (full text content)
+   * @returns {Promise<Object>} { text, usage } - The CLI output (full text content) and token usage
    */
   async executeClaudeCommand(systemPrompt, userMessage, options = {}) {
     const useStreaming = !!options.onOutput;
@@ -69,6 +70,9 @@ class ClaudeCliProvider {
       args.push('--output-format', 'stream-json');
       args.push('--include-partial-messages');
       args.push('--verbose');
+    } else {
+      // JSON output carries token usage and cost alongside the result text
+      args.push('--output-format', 'json');
     }
 
     // Don't pass user message as arg - use stdin instead to avoid command length limits
@@ -90,6 +94,7 @@ class ClaudeCliProvider {
       let stderr = '';
       let fullContent = '';
       let lineBuffer = '';
+      let usage = null;
 
       child.stdout.on('data', (data) => {
         const text = data.toString();
@@ -142,6 +147,10 @@ class ClaudeCliProvider {
                   }
                 }
               }
+              // Final result event carries usage for the whole run
+              else if (event.type === 'result') {
+                usage = this.extractUsage(event);
+              }
             } catch (parseError) {
               // Ignore JSON parse errors - might be partial line or non-JSON output
               if (this.verbose) {
@@ -187,8 +196,30 @@ class ClaudeCliProvider {
           console.warn(chalk.yellow(`Claude CLI stderr: ${stderr}`));
         }
 
-        // Return accumulated content if streaming, otherwise return stdout
-        resolve(useStreaming ? fullContent : stdout);
+        if (useStreaming) {
+          // The result event may be the last (unterminated) line
+          if (!usage && lineBuffer.trim()) {
+            try {
+              const event = JSON.parse(lineBuffer);
+              if (event.type === 'result') {
+                usage = this.extractUsage(event);
+              }
+            } catch {
+              // Not JSON - ignore
+            }
+          }
+
+          resolve({ text: fullContent, usage });
+          return;
+        }
+
+        // Non-streaming: JSON output, fall back to raw stdout if it isn't JSON
+        try {
+          const result = JSON.parse(stdout);
+          resolve({ text: result.result || '', usage: this.extractUsage(result) });
+        } catch {
+          resolve({ text: stdout, usage: null });
+        }
       });
 
       child.on('error', (error) => {
@@ -211,7 +242,7 @@ class ClaudeCliProvider {
    * @param {Object} params.context - Codebase context (files, git, etc.)
    * @param {number} params.iteration - Current iteration number
    * @param {Function} params.onOutput - Optional callback for streaming output
-   * @returns {Promise<Object>} Response with hasChanges, changes, summary, reasoning, raw
+   * @returns {Promise<Object>} Response with hasChanges, changes, summary, reasoning, raw, usage
    */
   async iterate({ prompt, context, iteration, onOutput }) {
     try {
@@ -226,7 +257,7 @@ class ClaudeCliProvider {
       const userMessage = this.buildUserMessage(prompt, context, iteration);
 
       // Execute CLI with streaming output
-      const response = await this.executeClaudeCommand(systemPrompt, userMessage, {
+      const { text: response, usage } = await this.executeClaudeCommand(systemPrompt, userMessage, {
         onOutput
       });
 
@@ -238,7 +269,8 @@ class ClaudeCliProvider {
         changes: response,
         summary: this.extractSummary(response),
         reasoning: this.extractReasoning(response),
-        raw: response
+        raw: response,
+        usage
       };
     } catch (error) {
       // Re-throw with context
@@ -246,6 +278,20 @@ class ClaudeCliProvider {
     }
   }
 
+  /**
+   * Extract token usage from a CLI result event
+   * The CLI reports its own cost, which also covers tool-use turns
+   * @param {Object} result - Result event ({ usage, total_cost_usd })
+   * @returns {Object|null} Usage record (see src/pricing.js)
+   */
+  extractUsage(result) {
+    const usage = fromAnthropicUsage(result?.usage, this.model);
+    if (usage && typeof result.total_cost_usd === 'number') {
+      usage.cost = result.total_cost_usd;
+    }
+    return usage;
+  }
+
   /**
    * Builds the system prompt for Claude
    * This contains the "Ralph Philosophy" instructions for autonomous iteration
@@ -425,6 +471,13 @@ REMEMBER: The codebase is NOT in this prompt. You MUST use your tools to discove
       message += `\`\`\`\n${context.testResults}\n\`\`\`\n\n`;
     }
 
+    // Add loop feedback about the previous iteration (reverted or rejected changes)
+    if (context.feedback && context.feedback.length > 0) {
+      message += `# Feedback on Your Previous Iteration:\n`;
+      message += `The loop could not keep some of your last changes. Take this into account:\n\n`;
+      message += context.feedback.map(item => `- ${item}`).join('\n') + `\n\n`;
+    }
+
     // Instructions for using local filesystem tools
     message += `# Codebase Access:\n`;
     message += `You have full access to the local filesystem via your built-in tools:\n`;
@@ -507,6 +560,10 @@ REMEMBER: The codebase is NOT in this prompt. You MUST use your tools to discove
       message += `# Notes:\n${truncatedBreadcrumbs}\n\n`;
     }
 
+    if (context.feedback && context.feedback.length > 0) {
+      message += `# Feedback:\n${context.feedback.map(item => `- ${item}`).join('\n')}\n\n`;
+    }
+
     // Working directory
     message += `# Working Directory:\n${process.cwd()}\n\n`;
 
@@ -1,22 +1,32 @@
 const Anthropic = require('@anthropic-ai/sdk');
 const chalk = require('chalk');
 const { ErrorHandler, RateLimiter } = require('../error-handler');
+const { fromAnthropicUsage } = require('../pricing');
+const { getContextWindow, estimateTokens, fileTokenBudget } = require('../token-budget');
+const { outlineFile, mapFile, formatRepoMap } = require('../repo-map');
+const { resolveEditFormat, getChangesInstructions, describeEditFormat, formatRepairRequest } = require('../edit-formats');
 
 class ClaudeProvider {
   constructor(config = {}) {
-    const apiKey = process.env.ANTHROPIC_API_KEY;
+    // Offline providers only build prompts and budgets (wiggumize context), so need no key
+    if (!config.offline) {
+      const apiKey = process.env.ANTHROPIC_API_KEY;
+
+      if (!apiKey) {
+        console.error(chalk.red('\n✗ ANTHROPIC_API_KEY environment variable not set'));
+        console.log(chalk.yellow('\nSet your API key:'));
+        console.log(chalk.dim('  export ANTHROPIC_API_KEY=your-key-here\n'));
+        process.exit(1);
+      }
 
-    if (!apiKey) {
-      console.error(chalk.red('\n✗ ANTHROPIC_API_KEY environment variable not set'));
-      console.log(chalk.yellow('\nSet your API key:'));
-      console.log(chalk.dim('  export ANTHROPIC_API_KEY=your-key-here\n'));
-      process.exit(1);
+      this.client = new Anthropic({ apiKey });
     }
 
-    this.client = new Anthropic({ apiKey });
     this.model = config.model || 'claude-opus-4-5-20251101';
     this.maxTokens = config.maxTokens || 16384; // Claude Opus 4.5 supports up to 32K
+    this.contextWindow = config.contextWindow || getContextWindow(this.model);
     this.fast = config.fast || false; // Fast mode for shorter prompts
+    this.editFormat = resolveEditFormat(config.editFormat); // How the model is asked to write changes
 
     // Initialize error handler
     this.errorHandler = new ErrorHandler({
@@ -38,6 +48,7 @@ class ClaudeProvider {
     // Build the message for Claude
     const systemPrompt = this.buildSystemPrompt();
     const userMessage = this.buildUserMessage(prompt, context, iteration);
+    const tokenEstimate = this.estimateRequest(systemPrompt, userMessage);
 
     // Apply rate limiting and retry logic
     return await this.errorHandler.executeWithRetry(async () => {
@@ -74,6 +85,9 @@ class ClaudeProvider {
           }
         }
 
+        // Token usage is only known once the stream has finished
+        const finalMessage = await stream.finalMessage();
+
         // Simple convergence detection
         const hasChanges = !this.detectNoChanges(fullContent);
 
@@ -82,7 +96,9 @@ class ClaudeProvider {
           changes: fullContent,
           summary: this.extractSummary(fullContent),
           reasoning: this.extractReasoning(fullContent),
-          raw: fullContent
+          raw: fullContent,
+          usage: fromAnthropicUsage(finalMessage?.usage, this.model),
+          tokenEstimate
         };
       } else {
         // Non-streaming API call (original behavior)
@@ -107,12 +123,39 @@ class ClaudeProvider {
           changes: content,
           summary: this.extractSummary(content),
           reasoning: this.extractReasoning(content),
-          raw: content
+          raw: content,
+          usage: fromAnthropicUsage(response.usage, this.model),
+          tokenEstimate
         };
       }
     }, `Claude API call (iteration ${iteration})`);
   }
 
+  /**
+   * Tokens left for file contents: the model's context window minus the
+   * system prompt, the rest of the message and the maxTokens reserved for the response
+   * @param {Object} params - { prompt, context, iteration }, as for iterate() (context.files is ignored)
+   * @returns {number}
+   */
+  getFileTokenBudget({ prompt, context, iteration }) {
+    const baseTokens = estimateTokens(this.buildSystemPrompt()) +
+      estimateTokens(this.buildUserMessage(prompt, { ...context, files: [] }, iteration));
+
+    return fileTokenBudget({ contextWindow: this.contextWindow, maxTokens: this.maxTokens, baseTokens });
+  }
+
+  /**
+   * Estimated size of a request, reported with the response
+   * @returns {Object} { inputTokens, contextWindow, maxTokens }
+   */
+  estimateRequest(systemPrompt, userMessage) {
+    return {
+      inputTokens: estimateTokens(systemPrompt) + estimateTokens(userMessage),
+      contextWindow: this.contextWindow,
+      maxTokens: this.maxTokens
+    };
+  }
+
   buildSystemPrompt() {
     if (this.fast) {
       return `You are an autonomous code improvement agent in a Ralph loop.
@@ -128,22 +171,7 @@ OUTPUT FORMAT:
 ## Summary:
 [One line: what you're implementing/fixing]
 
-## Changes:
-\`\`\`diff
---- a/path/to/file.js
-+++ b/path/to/file.js
-@@ -10,7 +10,7 @@
- context
--old line
-+new line
- context
-\`\`\`
-
-RULES:
-- Use unified diff format (standard diff -u)
-- Include 3 lines context before/after changes
-- Output "NO CHANGES NEEDED" if goal achieved
-- Make substantial progress each iteration
+${getChangesInstructions(this.editFormat, { fast: true })}
 
 Read the codebase carefully. Build on your previous work.`;
     }
@@ -202,36 +230,7 @@ OUTPUT FORMAT (CRITICAL - follow exactly):
 ## Summary:
 [One line: what you're implementing/fixing]
 
-## Changes:
-\`\`\`diff
---- a/path/to/file.js
-+++ b/path/to/file.js
-@@ -10,7 +10,7 @@
- context line
- context line
--old line to remove
-+new line to add
- context line
- context line
-\`\`\`
-
-DIFF FORMAT RULES (CRITICAL):
-- Output unified diff format (standard diff -u format)
-- Start each file with: --- a/path/to/file.ext and +++ b/path/to/file.ext
-- Include @@ line numbers with context
-- Lines starting with - are removed
-- Lines starting with + are added
-- Include 3 lines of context before and after changes
-- For new files, use: --- /dev/null and +++ b/path/to/file.ext
-- For deleted files, use: --- a/path/to/file.ext and +++ /dev/null
-- If goal is fully achieved, respond with only: "NO CHANGES NEEDED"
-- NEVER output complete file contents - ONLY diffs
-- Make each iteration count - substantial progress, not trivial tweaks
-
-WHY DIFFS:
-- Diffs only touch what needs changing - prevents accidental deletion of code
-- Can review exactly what's being changed
-- Safe even with large files or token limits
+${getChangesInstructions(this.editFormat)}
 
 REMEMBER: You are building on your own work. The codebase is your memory. Read it carefully.`;
   }
@@ -268,7 +267,11 @@ REMEMBER: You are building on your own work. The codebase is your memory. Read i
       message += `**IMPORTANT**: When outputting diffs, include the workspace name in the path:\n`;
       message += `--- a/[workspace-name]/path/to/file.js\n`;
       message += `+++ b/[workspace-name]/path/to/file.js\n`;
-      message += `Example: --- a/[backend]/src/api/users.js\n\n`;
+      message += `Example: --- a/[backend]/src/api/users.js\n`;
+      if (this.editFormat === 'search-replace') {
+        message += `Write the file path above each SEARCH/REPLACE block the same way: [backend]/src/api/users.js\n`;
+      }
+      message += `\n`;
     } else {
       // Single-repo mode - original behavior
 
@@ -310,6 +313,18 @@ REMEMBER: You are building on your own work. The codebase is your memory. Read i
       message += `\`\`\`\n${context.testResults}\n\`\`\`\n\n`;
     }
 
+    // Add loop feedback about the previous iteration (reverted or rejected changes)
+    if (context.feedback && context.feedback.length > 0) {
+      message += `# Feedback on Your Previous Iteration:\n`;
+      message += `The loop could not keep some of your last changes. Take this into account:\n\n`;
+      message += context.feedback.map(item => `- ${item}`).join('\n') + `\n\n`;
+    }
+
+    // Changes from this iteration that failed to apply and need to be redone
+    if (context.repair) {
+      message += formatRepairRequest(context.repair, this.editFormat);
+    }
+
     message += `# Current Codebase:\n\n`;
 
     // Add file contents with line numbers (for diff generation)
@@ -327,9 +342,12 @@ REMEMBER: You are building on your own work. The codebase is your memory. Read i
     }
 
     // Simple, constant instructions (no variation by iteration)
+    // Files that did not fit, by outline
+    message += formatRepoMap(context.repoMap);
+
     message += `\n---\n\n`;
     message += `Examine the codebase above (line numbers provided). Make substantial progress toward the goal.\n`;
-    message += `Output your changes as unified diffs - only touch what needs changing.\n`;
+    message += `Output your changes as ${describeEditFormat(this.editFormat)} - only touch what needs changing.\n`;
     if (context.isMultiRepo) {
       message += `Remember: Changes may span multiple repositories. Include workspace name in diff paths.\n`;
     }
@@ -360,37 +378,53 @@ REMEMBER: You are building on your own work. The codebase is your memory. Read i
       message += `# Notes:\n${truncatedBreadcrumbs}\n\n`;
     }
 
+    if (context.feedback && context.feedback.length > 0) {
+      message += `# Feedback:\n${context.feedback.map(item => `- ${item}`).join('\n')}\n\n`;
+    }
+
+    // Changes from this iteration that failed to apply and need to be redone
+    if (context.repair) {
+      message += formatRepairRequest(context.repair, this.editFormat);
+    }
+
     message += `# Codebase:\n\n`;
 
-    // Include fewer files and truncate content in fast mode
+    // Include fewer files in fast mode; long files are shown as an outline
+    // unless the model asked for them
+    const requested = new Set((context.requestedFiles || []).map(file => file.replace(/\\/g, '/')));
     const maxFiles = Math.min(context.files.length, 10);
     for (let i = 0; i < maxFiles; i++) {
       const file = context.files[i];
       const lines = file.content.split('\n');
+      const header = context.isMultiRepo ? `## File: [${file.workspace}] ${file.path}` : `## File: ${file.path}`;
+      const full = lines.length <= 50 || requested.has(file.path.replace(/\\/g, '/'));
+      const outline = full ? [] : outlineFile(file.content, file.path);
 
-      // Truncate large files to first 50 lines in fast mode
-      const truncatedLines = lines.slice(0, 50);
-      const numberedContent = truncatedLines.map((line, idx) => `${idx + 1}│${line}`).join('\n');
-
-      if (context.isMultiRepo) {
-        message += `## File: [${file.workspace}] ${file.path}\n\`\`\`\n${numberedContent}\n\`\`\`\n`;
-        if (lines.length > 50) {
-          message += `[... ${lines.length - 50} more lines]\n`;
-        }
+      if (outline.length > 0) {
+        const numberedOutline = outline.map(item => `${item.line}│${item.text}`).join('\n');
+        message += `${header} (${lines.length} lines, outline only - list it under "## Files Needed:" to see it in full)\n\`\`\`\n${numberedOutline}\n\`\`\`\n`;
       } else {
-        message += `## File: ${file.path}\n\`\`\`\n${numberedContent}\n\`\`\`\n`;
-        if (lines.length > 50) {
-          message += `[... ${lines.length - 50} more lines]\n`;
+        // Files without an outline are cut to their first 50 lines
+        const shown = full ? lines : lines.slice(0, 50);
+        const numberedContent = shown.map((line, idx) => `${idx + 1}│${line}`).join('\n');
+        message += `${header}\n\`\`\`\n${numberedContent}\n\`\`\`\n`;
+        if (shown.length < lines.length) {
+          message += `[... ${lines.length - shown.length} more lines]\n`;
         }
       }
       message += `\n`;
     }
 
-    if (context.files.length > maxFiles) {
-      message += `[... ${context.files.length - maxFiles} more files not shown in fast mode]\n\n`;
-    }
+    // Files past the first ten are outlined like the ones that did not fit the context
+    message += formatRepoMap({
+      files: [
+        ...context.files.slice(maxFiles).map(file => mapFile(context.isMultiRepo ? `[${file.workspace}] ${file.path}` : file.path, file.content)),
+        ...(context.repoMap?.files || [])
+      ],
+      omitted: context.repoMap?.omitted || 0
+    });
 
-    message += `Examine the codebase. Make substantial progress. Output unified diffs only.`;
+    message += `Examine the codebase. Make substantial progress. Output ${describeEditFormat(this.editFormat)} only.`;
 
     return message;
   }
@@ -415,6 +449,11 @@ REMEMBER: You are building on your own work. The codebase is your memory. Read i
       return false;
     }
 
+    // SEARCH/REPLACE edit blocks are changes too
+    if (/^<{5,9} SEARCH\s*$/m.test(content)) {
+      return false;
+    }
+
     // Check if response contains file changes (## File: pattern)
     // If it has file changes, it's definitely not "no changes"
     if (/##\s*File:/i.test(content)) {
@@ -0,0 +1,231 @@
+/**
+ * Relevance Ranker
+ *
+ * Scores files by how relevant they are to the prompt, so the files that
+ * matter survive when the codebase is bigger than the context limits:
+ *
+ * - mentioned: the prompt names the file (full path, or just its file name)
+ * - keywords: BM25 over file paths and contents, queried with the prompt's
+ *   words and identifiers (unchecked tasks count double, checked ones not at all)
+ * - failing: the output of the last failing checks names the file
+ * - requested: the model asked for the file under "## Files Needed:"
+ *
+ * FileSelector adds the total to its tier-based priority.
+ */
+
+const path = require('path');
+
+// Points for each signal; the tiers in FileSelector.calculatePriority span 80-300
+const WEIGHTS = {
+  mentioned: 100,
+  mentionedName: 50,
+  keywords: 60,   // For the best-matching file; the others get a share
+  failing: 60,
+  failingName: 30,
+  requested: 150  // Enough to get ahead of files that only match keywords
+};
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'that', 'this', 'with', 'from', 'are', 'was', 'were', 'will', 'would', 'should',
+  'can', 'could', 'not', 'but', 'all', 'any', 'each', 'into', 'when', 'then', 'than', 'them', 'they',
+  'their', 'there', 'have', 'has', 'had', 'its', 'our', 'you', 'your', 'use', 'using', 'used', 'make',
+  'sure', 'also', 'only', 'more', 'some', 'such', 'what', 'which', 'who', 'how', 'why', 'where', 'out',
+  'new', 'add', 'file', 'files', 'code', 'function', 'const', 'let', 'var', 'return', 'true', 'false',
+  'null', 'undefined', 'import', 'export', 'require', 'module', 'exports', 'class', 'def', 'self'
+]);
+
+class RelevanceRanker {
+  /**
+   * Create a new RelevanceRanker
+   * @param {Object} options - Configuration options
+   * @param {string} options.prompt - PROMPT.md text
+   * @param {string} options.failures - Output of the last failing checks (optional)
+   * @param {Array<string>} options.requested - Files the model asked for in its last response (optional)
+   */
+  constructor(options = {}) {
+    this.prompt = RelevanceRanker.stripCheckedTasks(options.prompt || '');
+    this.failures = options.failures || '';
+    this.requested = new Set((options.requested || []).map(file => file.split(path.sep).join('/').replace(/^\.\//, '')));
+    this.query = RelevanceRanker.buildQuery(this.prompt);
+    this.symbols = RelevanceRanker.extractSymbols(this.prompt);
+  }
+
+  /**
+   * Score files against the prompt
+   * @param {Array} files - [{ path, content }], paths relative to the workspace
+   * @returns {Map<string, Object>} path -> { mentioned, keywords, failing, requested, total }
+   */
+  rank(files) {
+    const keywordScores = this.scoreKeywords(files);
+    const best = Math.max(0, ...keywordScores.values());
+    const scores = new Map();
+
+    for (const file of files) {
+      const mentioned = RelevanceRanker.mentionScore(this.prompt, file.path, WEIGHTS.mentioned, WEIGHTS.mentionedName);
+      const failing = RelevanceRanker.mentionScore(this.failures, file.path, WEIGHTS.failing, WEIGHTS.failingName);
+      const keywords = best > 0 ? Math.round(WEIGHTS.keywords * keywordScores.get(file.path) / best * 10) / 10 : 0;
+      const requested = this.requested.has(file.path.split(path.sep).join('/')) ? WEIGHTS.requested : 0;
+
+      scores.set(file.path, { mentioned, keywords, failing, requested, total: mentioned + keywords + failing + requested });
+    }
+
+    return scores;
+  }
+
+  /**
+   * BM25 score of each file for the prompt's terms
+   * @returns {Map<string, number>}
+   */
+  scoreKeywords(files) {
+    const scores = new Map(files.map(file => [file.path, 0]));
+    if (this.query.size === 0 || files.length === 0) {
+      return scores;
+    }
+
+    const documents = files.map(file => {
+      const counts = new Map();
+      const terms = RelevanceRanker.tokenize(`${file.path} ${file.content || ''}`);
+      for (const term of terms) {
+        counts.set(term, (counts.get(term) || 0) + 1);
+      }
+      return { path: file.path, counts, length: terms.length };
+    });
+    const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / documents.length || 1;
+
+    for (const [term, weight] of this.query) {
+      const containing = documents.filter(doc => doc.counts.has(term)).length;
+      if (containing === 0) {
+        continue;
+      }
+      const idf = Math.log(1 + (documents.length - containing + 0.5) / (containing + 0.5));
+
+      for (const doc of documents) {
+        const frequency = doc.counts.get(term) || 0;
+        if (frequency > 0) {
+          const tf = (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * doc.length / averageLength));
+          scores.set(doc.path, scores.get(doc.path) + weight * idf * tf);
+        }
+      }
+    }
+
+    return scores;
+  }
+
+  /**
+   * Points for a file named in a text: full for its path, partial for its file name
+   */
+  static mentionScore(text, filePath, full, partial) {
+    if (!text) {
+      return 0;
+    }
+
+    const normalized = filePath.split(path.sep).join('/');
+    if (RelevanceRanker.containsWord(text, normalized)) {
+      return full;
+    }
+
+    // Bare names like "index.js" are too common to mean much at any depth
+    const name = path.posix.basename(normalized);
+    if (name !== normalized && name.includes('.') && !/^index\./.test(name) && RelevanceRanker.containsWord(text, name)) {
+      return partial;
+    }
+
+    return 0;
+  }
+
+  /**
+   * Whether text contains a path, not as part of a longer name
+   * It may end a longer path, as in stack traces with absolute paths.
+   */
+  static containsWord(text, word) {
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\w.-])${escaped}($|[^\\w./-]|\\.(?!\\w))`).test(text);
+  }
+
+  /**
+   * Weighted query terms from the prompt: unchecked tasks count double
+   * @returns {Map<string, number>} term -> weight
+   */
+  static buildQuery(prompt) {
+    const query = new Map();
+
+    for (const line of prompt.split('\n')) {
+      const weight = /^\s*[-*]\s*\[ \]/.test(line) ? 2 : 1;
+      for (const term of new Set(RelevanceRanker.tokenize(line))) {
+        query.set(term, Math.max(query.get(term) || 0, weight));
+      }
+    }
+
+    return query;
+  }
+
+  /**
+   * Code identifiers the prompt names: anything in backticks or followed by
+   * `(`, and words that can only be identifiers (camelCase, PascalCase with
+   * several parts, snake_case)
+   * @returns {Array<string>}
+   */
+  static extractSymbols(prompt) {
+    const symbols = new Set();
+    const add = word => {
+      if (word.length >= 3 && !STOPWORDS.has(word.toLowerCase())) {
+        symbols.add(word);
+      }
+    };
+
+    for (const match of prompt.matchAll(/`([A-Za-z_$][\w$]*)(?:\(\))?`/g)) {
+      add(match[1]);
+    }
+    for (const match of prompt.matchAll(/\b([A-Za-z_$][\w$]*)\(/g)) {
+      add(match[1]);
+    }
+    for (const word of prompt.match(/\b[A-Za-z_$][\w$]*\b/g) || []) {
+      if (/^[a-z]+[A-Z]/.test(word) || /^(?:[A-Z][a-z0-9]+){2,}$/.test(word) || /^[a-z]+_[a-z0-9_]+$/i.test(word)) {
+        add(word);
+      }
+    }
+
+    return [...symbols];
+  }
+
+  /**
+   * Leave out tasks that are already done
+   */
+  static stripCheckedTasks(prompt) {
+    return prompt.split('\n').filter(line => !/^\s*[-*]\s*\[[xX✓✅]\]/.test(line)).join('\n');
+  }
+
+  /**
+   * Split text into lowercase terms
+   * Identifiers are kept whole and also split into their camelCase and snake_case parts.
+   * @returns {Array<string>}
+   */
+  static tokenize(text) {
+    const terms = [];
+
+    for (const word of text.match(/[A-Za-z_][A-Za-z0-9_]*/g) || []) {
+      const parts = word
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+        .split(/[\s_]+/)
+        .map(part => part.toLowerCase());
+      const whole = word.toLowerCase().replace(/^_+|_+$/g, '');
+
+      for (const term of new Set([whole, ...parts])) {
+        if (term.length >= 3 && !STOPWORDS.has(term)) {
+          terms.push(term);
+        }
+      }
+    }
+
+    return terms;
+  }
+}
+
+RelevanceRanker.WEIGHTS = WEIGHTS;
+
+module.exports = RelevanceRanker;
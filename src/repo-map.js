@@ -0,0 +1,300 @@
+/**
+ * Repo map
+ *
+ * Outlines of the files that don't fit in a request: each file's path, line
+ * count and the symbols it defines (functions, classes, method signatures),
+ * with their line numbers. The model knows the files exist and can ask for
+ * them under "## Files Needed:"; the loop ranks the requested files first in
+ * the next iteration.
+ *
+ * JavaScript and TypeScript are outlined by a small scanner that skips
+ * strings, comments and regular expressions and tracks blocks; other
+ * languages by line patterns.
+ */
+
+const path = require('path');
+
+const JS_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs'];
+
+// Longest signature shown
+const MAX_SIGNATURE = 160;
+
+// Declarations at the top level of a JavaScript/TypeScript file
+const JS_DECLARATIONS = [
+  /^(?:export\s+)?(?:default\s+)?(?:async\s+)?function\b/,
+  /^(?:export\s+)?(?:default\s+)?(?:abstract\s+)?class\b/,
+  /^(?:export\s+)?(?:declare\s+)?(?:interface|enum|namespace)\s+[\w$]/,
+  /^(?:export\s+)?type\s+[\w$]+/,
+  /^(?:export\s+)?(?:const|let|var)\s+[\w$]+\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|class\b|\(|[\w$]+\s*=>)/,
+  /^export\s+(?:const|let|var)\b/,
+  /^export\s+(?:default\b|\{|\*)/,
+  /^(?:module\.)?exports(?:\.[\w$]+)?\s*=/
+];
+
+// Methods and function-valued fields in a class body
+const JS_MEMBER = /^(?:(?:static|async|get|set|public|private|protected|readonly|override|abstract)\s+)*\*?\s*([#\w$]+)\s*(?:<[^>]*>)?\s*(?:\(|=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*=>|[\w$]+\s*=>))/;
+const NOT_MEMBERS = new Set(['if', 'for', 'while', 'switch', 'catch', 'function', 'return', 'super']);
+
+// Line patterns for other languages
+const PATTERNS = {
+  '.py': [/^\s*(?:async\s+def|def|class)\s+\w+/],
+  '.go': [/^func\s/, /^type\s+\w+\s+(?:struct|interface)\b/],
+  '.rs': [/^\s*(?:pub(?:\([^)]*\))?\s+)?(?:async\s+)?(?:fn|struct|enum|trait|impl|mod)\b/],
+  '.rb': [/^\s*(?:def|class|module)\s/],
+  '.php': [/^\s*(?:abstract\s+|final\s+)?(?:class|interface|trait)\s/, /^\s*(?:(?:public|protected|private|static|abstract|final)\s+)*function\s+\w+/],
+  '.java': [/^\s*(?:(?:public|protected|private|static|abstract|final|sealed)\s+)*(?:class|interface|enum|record)\s+\w+/, /^\s*(?:public|protected|private)\s+[\w<>[\], ?]+\s+\w+\s*\(/],
+  '.md': [/^#{1,3}\s/],
+  '.yml': [/^[\w.-]+:/],
+  '.yaml': [/^[\w.-]+:/]
+};
+PATTERNS['.kt'] = [/^\s*(?:(?:public|private|internal|data|sealed|abstract|open)\s+)*(?:class|interface|object|fun)\s/];
+PATTERNS['.cs'] = PATTERNS['.java'];
+
+/**
+ * Outline a file
+ * @param {string} content - File content
+ * @param {string} filePath - Path (its extension selects the language)
+ * @returns {Array<Object>} [{ line, text }], members indented under their class
+ */
+function outlineFile(content, filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (JS_EXTENSIONS.includes(ext)) {
+    return outlineJavaScript(content);
+  }
+
+  const patterns = PATTERNS[ext];
+  return patterns ? outlineWithPatterns(content, patterns, ext === '.py') : [];
+}
+
+/**
+ * Outline JavaScript/TypeScript: top-level declarations and class members
+ */
+function outlineJavaScript(content) {
+  const code = blankStringsAndComments(content);
+  const codeLines = code.split('\n');
+  const lines = content.split('\n');
+  const outline = [];
+  const blocks = []; // 'class' or 'block' for each open brace
+
+  for (let i = 0; i < codeLines.length; i++) {
+    const statement = codeLines[i].trim();
+    const inClassBody = blocks.length > 0 && blocks[blocks.length - 1] === 'class' && !blocks.slice(0, -1).includes('class');
+
+    if (blocks.length === 0 && JS_DECLARATIONS.some(pattern => pattern.test(statement))) {
+      outline.push({ line: i + 1, text: signature(lines, codeLines, i) });
+    } else if (inClassBody) {
+      const member = statement.match(JS_MEMBER);
+      if (member && !NOT_MEMBERS.has(member[1])) {
+        outline.push({ line: i + 1, text: '  ' + signature(lines, codeLines, i) });
+      }
+    }
+
+    let first = true;
+    for (const char of codeLines[i]) {
+      if (char === '{') {
+        blocks.push(first && /\bclass\b/.test(statement) ? 'class' : 'block');
+        first = false;
+      } else if (char === '}') {
+        blocks.pop();
+      }
+    }
+  }
+
+  return outline;
+}
+
+/**
+ * The declaration starting at a line, up to its body
+ * Parameters spanning several lines are joined.
+ */
+function signature(lines, codeLines, start) {
+  let code = '';
+  let text = '';
+  let parens = 0;
+
+  for (let i = start; i < Math.min(codeLines.length, start + 8); i++) {
+    code += (i > start ? '\n' : '') + codeLines[i];
+    text += (i > start ? '\n' : '') + lines[i];
+    parens = (code.match(/\(/g) || []).length - (code.match(/\)/g) || []).length;
+    if (parens <= 0) {
+      break;
+    }
+  }
+
+  // Cut at the body's opening brace (outside parentheses)
+  let depth = 0;
+  let cut = code.length;
+  for (let i = 0; i < code.length; i++) {
+    const char = code[i];
+    if (char === '(') depth++;
+    else if (char === ')') depth--;
+    else if (char === '{' && depth === 0 && !/=\s*$/.test(code.slice(0, i))) {
+      cut = i;
+      break;
+    }
+  }
+
+  const result = text.slice(0, cut).replace(/\s+/g, ' ').replace(/[\s;]+$/, '').trim();
+  return result.length > MAX_SIGNATURE ? result.slice(0, MAX_SIGNATURE - 1) + '…' : result;
+}
+
+/**
+ * Replace the contents of strings, template literals, comments and regular
+ * expressions with spaces, keeping line breaks, so braces in them are not counted
+ */
+function blankStringsAndComments(content) {
+  const out = content.split('');
+  let i = 0;
+  let lastSignificant = '';
+
+  const blank = (from, to) => {
+    for (let j = from; j < to && j < out.length; j++) {
+      if (out[j] !== '\n') out[j] = ' ';
+    }
+  };
+
+  while (i < content.length) {
+    const char = content[i];
+    const next = content[i + 1];
+
+    if (char === '/' && next === '/') {
+      const end = content.indexOf('\n', i);
+      const stop = end === -1 ? content.length : end;
+      blank(i, stop);
+      i = stop;
+    } else if (char === '/' && next === '*') {
+      const end = content.indexOf('*/', i + 2);
+      const stop = end === -1 ? content.length : end + 2;
+      blank(i, stop);
+      i = stop;
+    } else if (char === '"' || char === "'" || char === '`') {
+      let j = i + 1;
+      while (j < content.length && content[j] !== char) {
+        if (content[j] === '\\') j++;
+        else if (content[j] === '\n' && char !== '`') break;
+        j++;
+      }
+      blank(i + 1, j);
+      i = j + 1;
+      lastSignificant = char;
+    } else if (char === '/' && (lastSignificant === '' || /[(,=:[!&|?{};+\-*%<>~^]/.test(lastSignificant))) {
+      // Regular expression literal
+      let j = i + 1;
+      let inClass = false;
+      while (j < content.length && content[j] !== '\n' && (inClass || content[j] !== '/')) {
+        if (content[j] === '\\') j++;
+        else if (content[j] === '[') inClass = true;
+        else if (content[j] === ']') inClass = false;
+        j++;
+      }
+      blank(i + 1, j);
+      i = j + 1;
+      lastSignificant = '/';
+    } else {
+      if (!/\s/.test(char)) {
+        lastSignificant = char;
+      }
+      i++;
+    }
+  }
+
+  return out.join('');
+}
+
+/**
+ * Outline by line patterns
+ * Python signatures spanning several lines are joined.
+ */
+function outlineWithPatterns(content, patterns, python) {
+  const lines = content.split('\n');
+  const outline = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    if (!patterns.some(pattern => pattern.test(lines[i]))) {
+      continue;
+    }
+
+    let text = lines[i];
+    if (python) {
+      for (let j = i + 1; j < Math.min(lines.length, i + 8) && !/:\s*(#.*)?$/.test(text); j++) {
+        text += ' ' + lines[j].trim();
+      }
+      text = text.replace(/:\s*(#.*)?$/, '');
+    }
+
+    const indent = text.match(/^\s*/)[0].replace(/\t/g, '    ').length > 0 ? '  ' : '';
+    const trimmed = indent + text.trim().replace(/\s*\{\s*$/, '').replace(/\s+/g, ' ');
+    outline.push({ line: i + 1, text: trimmed.length > MAX_SIGNATURE ? trimmed.slice(0, MAX_SIGNATURE - 1) + '…' : trimmed });
+  }
+
+  return outline;
+}
+
+/**
+ * Map entry for a file
+ * @returns {Object} { path, lines, outline }
+ */
+function mapFile(filePath, content) {
+  return {
+    path: filePath,
+    lines: content ? content.split('\n').length : null,
+    outline: content ? outlineFile(content, filePath) : []
+  };
+}
+
+/**
+ * Text of one file in the map
+ */
+function formatMapEntry(entry) {
+  const size = entry.lines !== null ? ` (${entry.lines} lines)` : '';
+  const outline = entry.outline.map(item => `    ${item.line}│${item.text}\n`).join('');
+  return `- ${entry.path}${size}\n${outline}`;
+}
+
+/**
+ * The user message section listing the files that were left out
+ * @param {Object} repoMap - { files: [{ path, lines, outline }], omitted }
+ * @returns {string} Empty when there is nothing to list
+ */
+function formatRepoMap(repoMap) {
+  if (!repoMap || (repoMap.files.length === 0 && !repoMap.omitted)) {
+    return '';
+  }
+
+  let message = `# Other Files (outline only):\n`;
+  message += `These files are in the project but did not fit in this request. Each shows its line count and the symbols it defines, with line numbers.\n`;
+  message += `To see files in full next iteration, list their paths under "## Files Needed:" in your response.\n\n`;
+  message += repoMap.files.map(formatMapEntry).join('');
+  if (repoMap.omitted > 0) {
+    message += `...and ${repoMap.omitted} more files\n`;
+  }
+
+  return message + `\n`;
+}
+
+/**
+ * Files the model asked for under "## Files Needed:"
+ * @param {string} text - Response text
+ * @returns {Array<string>} Paths
+ */
+function parseFileRequests(text) {
+  const match = (text || '').match(/^##\s*Files Needed:?[ \t]*\n((?:[ \t]*[-*][ \t]+\S.*\n?)+)/im);
+  if (!match) {
+    return [];
+  }
+
+  const files = match[1].split('\n')
+    .map(line => line.replace(/^\s*[-*]\s+/, '').trim().split(/\s+/)[0].replace(/^`(.*)`$/, '$1'))
+    .filter(file => file && /[\w.]/.test(file));
+
+  return [...new Set(files)].slice(0, 20);
+}
+
+module.exports = {
+  outlineFile,
+  mapFile,
+  formatMapEntry,
+  formatRepoMap,
+  parseFileRequests
+};
@@ -0,0 +1,77 @@
+/**
+ * Scope Guard
+ *
+ * Detects scope drift: changes to files outside the globs a prompt declares
+ * in its frontmatter (`scope:` in PROMPT.md). What happens to drifting
+ * changes is set by `scope.onDrift` in .wiggumizer.yml:
+ *
+ * - `warn` (default) - keep them, but report them to the user and the AI
+ * - `revert` - drop them (or restore the files, for the claude-cli provider)
+ * - `ask` - ask the user whether to keep them
+ */
+
+const micromatch = require('micromatch');
+
+const POLICIES = ['warn', 'revert', 'ask'];
+
+class ScopeGuard {
+  /**
+   * Create a new ScopeGuard
+   * @param {Object} options - Configuration options
+   * @param {Array<string>} options.scope - Globs of the files the prompt is about (empty: no scope)
+   * @param {string} options.onDrift - 'warn', 'revert' or 'ask' (default: 'warn')
+   */
+  constructor(options = {}) {
+    this.scope = (options.scope || []).map(pattern => pattern.endsWith('/') ? `${pattern}**` : pattern);
+    this.onDrift = POLICIES.includes(options.onDrift) ? options.onDrift : 'warn';
+  }
+
+  /**
+   * Whether the prompt declares a scope
+   */
+  isEnabled() {
+    return this.scope.length > 0;
+  }
+
+  /**
+   * Whether a file is inside the scope
+   * Patterns without a slash match the file name at any depth. In multi-repo
+   * mode files are named [workspace]/path: plain patterns match the path in
+   * any workspace, and patterns starting with [workspace]/ only in that one.
+   * @param {string} file - Path relative to the workspace, or [workspace]/path
+   */
+  inScope(file) {
+    const normalized = file.replace(/\\/g, '/').replace(/^\.\//, '');
+    const { workspace, path: filePath } = splitWorkspace(normalized);
+
+    return this.scope.some(scopePattern => {
+      const { workspace: patternWorkspace, path: pattern } = splitWorkspace(scopePattern);
+      if (patternWorkspace && patternWorkspace !== workspace) {
+        return false;
+      }
+      return micromatch.isMatch(filePath, pattern, { dot: true, basename: !pattern.includes('/') });
+    });
+  }
+
+  /**
+   * Find the files outside the scope
+   * @param {Array<string>} files - Changed files, relative to the workspace
+   * @returns {Array<string>} Files outside the scope (none when there is no scope)
+   */
+  findDrift(files) {
+    if (!this.isEnabled()) {
+      return [];
+    }
+    return [...new Set(files)].filter(file => !this.inScope(file));
+  }
+}
+
+// "[backend]/src/app.js" -> { workspace: 'backend', path: 'src/app.js' }
+function splitWorkspace(text) {
+  const match = text.match(/^\[([^\]]+)\]\/(.*)$/);
+  return match ? { workspace: match[1], path: match[2] } : { workspace: null, path: text };
+}
+
+ScopeGuard.POLICIES = POLICIES;
+
+module.exports = ScopeGuard;
@@ -17,14 +17,26 @@ class SummaryGenerator {
    * issue: PROJ-123
    * ticket: https://jira.company.com/browse/PROJ-123
    * type: refactor
+   * scope:
+   *   - src/auth/**
+   *   - test/auth/**
+   * include:
+   *   - src/auth/**
+   * exclude: src/auth/legacy/**
    * ---
+   *
+   * scope, include and exclude are lists of globs, which can also be written
+   * on one line: `scope: src/auth/**, test/auth/**`
    */
   static parsePromptMetadata(promptContent) {
     const metadata = {
       issue: null,
       ticket: null,
       type: null,
-      description: null
+      description: null,
+      scope: [],   // Files the prompt is about (see ScopeGuard)
+      include: [], // Files for the context, instead of files.include
+      exclude: []  // Files left out of the context, on top of files.exclude
     };
 
     // Try to extract YAML frontmatter
@@ -32,13 +44,25 @@ class SummaryGenerator {
     if (frontmatterMatch) {
       const frontmatter = frontmatterMatch[1];
       const lines = frontmatter.split('\n');
+      let listKey = null;
 
       lines.forEach(line => {
-        const match = line.match(/^\s*(\w+):\s*(.+)$/);
+        // "- glob" items under a list key
+        const item = line.match(/^\s*-\s*(.+)$/);
+        if (item && listKey) {
+          metadata[listKey].push(...this.parseList(item[1]));
+          return;
+        }
+        listKey = null;
+
+        const match = line.match(/^\s*(\w+):\s*(.*)$/);
         if (match) {
           const key = match[1].toLowerCase();
           const value = match[2].trim();
-          if (metadata.hasOwnProperty(key)) {
+          if (Array.isArray(metadata[key])) {
+            metadata[key] = this.parseList(value);
+            listKey = value ? null : key;
+          } else if (value && metadata.hasOwnProperty(key)) {
             metadata[key] = value;
           }
         }
@@ -62,6 +86,17 @@ class SummaryGenerator {
     return metadata;
   }
 
+  /**
+   * Parse a frontmatter list value: `a, b`, `[a, b]` or a single (optionally quoted) item
+   * @returns {Array<string>}
+   */
+  static parseList(value) {
+    return value.replace(/^\[|\]$/g, '')
+      .split(',')
+      .map(item => item.trim().replace(/^(['"])(.*)\1$/, '$2'))
+      .filter(Boolean);
+  }
+
   /**
    * Generate a comprehensive summary of changes
    */
@@ -89,6 +124,7 @@ class SummaryGenerator {
       overview: this.buildOverview(metadata, totalIterations, filesModified, duration, converged, convergenceReason),
       changes: this.buildChangesSection(iterationDetails),
       files: this.buildFilesSection(iterationDetails),
+      scopeDrift: this.buildScopeDriftSection(iterationDetails),
       convergence: convergenceSummary,
       commitMessage: this.buildCommitMessage(metadata, filesModified),
       prDescription: this.buildPRDescription(metadata, iterationDetails, filesModified, totalIterations)
@@ -137,6 +173,9 @@ class SummaryGenerator {
     if (metadata.type) {
       parts.push(`**Type**: ${metadata.type}`);
     }
+    if (metadata.scope.length > 0) {
+      parts.push(`**Scope**: ${metadata.scope.join(', ')}`);
+    }
 
     parts.push(`**Iterations**: ${totalIterations}`);
     parts.push(`**Files Modified**: ${filesModified}`);
@@ -193,6 +232,22 @@ class SummaryGenerator {
     return Array.from(uniqueFiles).sort();
   }
 
+  /**
+   * Build scope drift section - changes to files outside the prompt's scope
+   * @returns {string|null} null if every change stayed in scope
+   */
+  static buildScopeDriftSection(iterations) {
+    const lines = [];
+
+    iterations.forEach(iteration => {
+      if (iteration.scopeDrift) {
+        lines.push(`- **Iteration ${iteration.iteration}**: ${iteration.scopeDrift.files.join(', ')} (${iteration.scopeDrift.action})`);
+      }
+    });
+
+    return lines.length > 0 ? lines.join('\n') : null;
+  }
+
   /**
    * Build a git commit message
    */
@@ -326,6 +381,16 @@ class SummaryGenerator {
     lines.push(summary.changes);
     lines.push('');
 
+    // Scope drift
+    if (summary.scopeDrift) {
+      lines.push('## Scope Drift');
+      lines.push('');
+      lines.push('Files changed outside the scope declared in the prompt:');
+      lines.push('');
+      lines.push(summary.scopeDrift);
+      lines.push('');
+    }
+
     // Convergence info
     if (summary.convergence) {
       lines.push('## Convergence Analysis');
@@ -393,6 +458,13 @@ class SummaryGenerator {
     });
     console.log();
 
+    // Scope drift
+    if (summary.scopeDrift) {
+      console.log(chalk.yellow('Changes outside the prompt\'s scope:'));
+      summary.scopeDrift.split('\n').forEach(line => console.log(chalk.dim(line.replace(/\*\*/g, ''))));
+      console.log();
+    }
+
     // Commit message preview
     console.log(chalk.cyan('Suggested commit message:'));
     console.log(chalk.dim('─'.repeat(50)));
@@ -0,0 +1,114 @@
+/**
+ * Token budgets
+ *
+ * How much of a model's context window the codebase may use. The window
+ * comes from the table below (or `contextWindow` in the provider's config);
+ * the system prompt, the rest of the message and the `maxTokens` reserved for
+ * the response are taken out, and the files get what is left.
+ *
+ * Token counts are estimates (characters / CHARS_PER_TOKEN): close enough to
+ * fill the window without loading a tokenizer for every provider.
+ */
+
+/**
+ * Context windows in tokens
+ * Keys are matched against model names like the price table in src/pricing.js:
+ * longest key first, provider prefixes ignored.
+ */
+const MODEL_CONTEXT_WINDOWS = {
+  // Anthropic
+  'claude': 200000,
+
+  // OpenAI
+  'gpt-5': 400000,
+  'gpt-4.1': 1047576,
+  'gpt-4o': 128000,
+
+  // Google
+  'gemini-2.5': 1048576,
+  'gemini-2.0': 1048576,
+
+  // Others (hosted and local)
+  'mistral-large': 128000,
+  'codestral': 256000,
+  'deepseek': 64000,
+  'llama-3.1': 128000,
+  'llama3.1': 128000,
+  'llama3': 8192,
+  'qwen2.5-coder': 32768
+};
+
+// Models not in the table are assumed to be small
+const DEFAULT_CONTEXT_WINDOW = 32768;
+
+// Conservative for code, which has more tokens per character than prose
+const CHARS_PER_TOKEN = 3.5;
+
+// Share of the window kept free for estimation errors
+const SAFETY_MARGIN = 0.05;
+
+// "## File: " header and code fence around each file
+const FILE_OVERHEAD = 20;
+
+/**
+ * Find the context window of a model
+ * @param {string} model - Model name (provider prefixes like "anthropic/" are ignored)
+ * @returns {number} Tokens (DEFAULT_CONTEXT_WINDOW for unknown models)
+ */
+function getContextWindow(model) {
+  if (!model) {
+    return DEFAULT_CONTEXT_WINDOW;
+  }
+
+  const name = String(model).toLowerCase().split('/').pop();
+  const key = Object.keys(MODEL_CONTEXT_WINDOWS)
+    .sort((a, b) => b.length - a.length)
+    .find(candidate => name.includes(candidate));
+
+  return key ? MODEL_CONTEXT_WINDOWS[key] : DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Estimate the tokens in a text
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+}
+
+/**
+ * Estimate the tokens a file takes in a request: its header, and its
+ * content with every line prefixed by its number
+ * @param {string} filePath - Path shown in the header
+ * @param {string} content - File content
+ * @returns {number}
+ */
+function estimateFileTokens(filePath, content) {
+  const lines = content.split('\n').length;
+  const numbering = lines * (String(lines).length + 1);
+  return Math.ceil((FILE_OVERHEAD + filePath.length + content.length + numbering) / CHARS_PER_TOKEN);
+}
+
+/**
+ * Tokens left for file contents
+ * @param {Object} options
+ * @param {number} options.contextWindow - Model's context window
+ * @param {number} options.maxTokens - Tokens reserved for the response
+ * @param {number} options.baseTokens - Rest of the request (system prompt, goal, history, feedback)
+ * @returns {number}
+ */
+function fileTokenBudget({ contextWindow, maxTokens = 0, baseTokens = 0 }) {
+  const margin = Math.ceil(contextWindow * SAFETY_MARGIN);
+  return Math.max(0, contextWindow - margin - maxTokens - baseTokens);
+}
+
+module.exports = {
+  MODEL_CONTEXT_WINDOWS,
+  DEFAULT_CONTEXT_WINDOW,
+  CHARS_PER_TOKEN,
+  getContextWindow,
+  estimateTokens,
+  estimateFileTokens,
+  fileTokenBudget
+};
@@ -218,6 +218,166 @@ class ValidationRunner {
     }
   }
 
+  /**
+   * Find required checks that passed in a previous run but fail now
+   * @param {Object} baseline - Earlier result from runAll()
+   * @param {Object} current - Later result from runAll()
+   * @returns {Array} Results from current that regressed
+   */
+  findRegressions(baseline, current) {
+    if (!baseline || !current) {
+      return [];
+    }
+
+    const previouslyPassing = new Set(
+      (baseline.results || [])
+        .filter(result => result.passed && !result.skipped)
+        .map(result => result.name)
+    );
+
+    return (current.results || []).filter(result =>
+      result.required && !result.passed && previouslyPassing.has(result.name)
+    );
+  }
+
+  /**
+   * Summarize a failed check as plain text (for logs and model feedback)
+   * @param {Object} result - Result from runCommand()
+   * @param {number} maxLines - Maximum output lines to keep
+   * @returns {string}
+   */
+  summarizeFailure(result, maxLines = 20) {
+    let header = `${result.name} failed`;
+    if (result.command) {
+      const exitCode = result.exitCode !== undefined && result.exitCode !== null
+        ? `, exit code ${result.exitCode}`
+        : '';
+      header += ` (${result.command}${exitCode})`;
+    }
+
+    const output = [result.stderr, result.stdout]
+      .filter(text => text && text.trim())
+      .join('\n')
+      .trim();
+
+    if (!output) {
+      return header;
+    }
+
+    // The end of the output is where test runners and compilers put the failures
+    const lines = output.split('\n');
+    const kept = lines.slice(-maxLines);
+    const omitted = lines.length > maxLines ? `... (${lines.length - maxLines} earlier lines omitted)\n` : '';
+
+    return `${header}:\n${omitted}${kept.join('\n')}`;
+  }
+
+  /**
+   * Pull failing test names and compiler/lint errors out of command output
+   * Recognizes the usual formats of node:test/TAP, Jest, Mocha, pytest, Go,
+   * cargo, tsc and file:line:col style compilers.
+   * @param {string} output - Combined stdout/stderr
+   * @param {number} maxItems - Maximum entries per list
+   * @returns {Object} { tests: Array<string>, errors: Array<string> }
+   */
+  extractFailureDetails(output, maxItems = 10) {
+    const tests = [];
+    const errors = [];
+
+    const testPatterns = [
+      /^\s*not ok \d+ - (.+?)(?: # .*)?$/,        // TAP / node:test
+      /^\s*● (.+ › .+)$/,                          // Jest
+      /^\s*\d+\) (.+)$/,                           // Mocha
+      /^FAILED (\S+::\S+)/,                        // pytest
+      /^\s*--- FAIL: (\S+)/,                       // Go
+      /^test (\S+) \.\.\. FAILED$/                   // cargo
+    ];
+    const errorPatterns = [
+      /^\S+\(\d+,\d+\): error .+$/,                  // tsc
+      /^\S+:\d+(?::\d+)?:? (?:fatal )?error:? .+$/i,  // gcc, clang, eslint unix, go vet
+      /^error(?:\[E\d+\])?: .+$/,                    // rustc
+      /^\w*(?:Error|Exception): .+$/                // JS / Python exceptions
+    ];
+
+    for (const rawLine of (output || '').split('\n')) {
+      const line = rawLine.trimEnd();
+
+      for (const pattern of testPatterns) {
+        const match = line.match(pattern);
+        if (match && !tests.includes(match[1].trim())) {
+          tests.push(match[1].trim());
+          break;
+        }
+      }
+
+      const trimmed = line.trim();
+      if (errorPatterns.some(pattern => pattern.test(trimmed)) && !errors.includes(trimmed)) {
+        errors.push(trimmed);
+      }
+    }
+
+    return {
+      tests: tests.slice(0, maxItems),
+      errors: errors.slice(0, maxItems)
+    };
+  }
+
+  /**
+   * Format validation results as context for the next iteration
+   * Lists every check, and for failures the failing tests, errors, exit
+   * code and the tail of the output.
+   * @param {Object} validation - Result from runAll()
+   * @param {number} maxLines - Maximum output lines per failed check
+   * @returns {string|null} Plain text, or null if nothing ran
+   */
+  formatFeedback(validation, maxLines = 20) {
+    const results = (validation?.results || []).filter(result => !result.skipped);
+    if (results.length === 0) {
+      return null;
+    }
+
+    const failed = results.filter(result => !result.passed);
+    const lines = [
+      failed.length === 0
+        ? `All ${results.length} check(s) passed.`
+        : `${failed.length} of ${results.length} check(s) failed.`
+    ];
+
+    // Passing checks first, so each failure's details read as one block
+    for (const result of [...results.filter(result => result.passed), ...failed]) {
+      const optional = result.required ? '' : ' [optional]';
+      const command = result.command ? ` (${result.command})` : '';
+
+      if (result.passed) {
+        lines.push(`PASS ${result.name}${command}${optional}`);
+        continue;
+      }
+
+      const exitCode = result.exitCode !== undefined && result.exitCode !== null ? ` - exit code ${result.exitCode}` : '';
+      lines.push('', `FAIL ${result.name}${command}${optional}${exitCode}`);
+
+      const output = [result.stderr, result.stdout].filter(text => text && text.trim()).join('\n');
+      const details = this.extractFailureDetails(output);
+
+      if (details.tests.length > 0) {
+        lines.push('Failing tests:', ...details.tests.map(test => `  - ${test}`));
+      }
+      if (details.errors.length > 0) {
+        lines.push('Errors:', ...details.errors.map(error => `  - ${error}`));
+      }
+
+      const summary = this.summarizeFailure(result, maxLines);
+      const outputStart = summary.indexOf(':\n');
+      if (outputStart !== -1) {
+        lines.push(`Output (last ${maxLines} lines):`, summary.slice(outputStart + 2));
+      } else if (result.error) {
+        lines.push(result.error.split('\n')[0]);
+      }
+    }
+
+    return lines.join('\n');
+  }
+
   /**
    * Format validation results for display
    */
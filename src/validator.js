@@ -1,40 +1,243 @@
-const { execSync } = require('child_process');
+const { spawnSync } = require('child_process');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const yaml = require('yaml');
 
+// JSON files that allow comments (JSONC), so JSON.parse would reject valid content
+const JSONC_FILE = /(^|\/)(\.vscode\/.*|(ts|js)config(\.[^/]*)?|\.devcontainer(\/devcontainer)?|\.eslintrc)\.json$/;
+
+// Node's errors for module syntax in a CommonJS check
+const MODULE_SYNTAX_ERROR = /Cannot use import statement outside a module|Unexpected token 'export'|await is only valid/;
+
+/**
+ * Syntax checks for file content before it is written
+ *
+ * Every check returns { valid, error, details, line }. File types without a check,
+ * checks whose tool is not available (TypeScript, Python) and checks that time out
+ * or are killed count as valid.
+ */
 class FileValidator {
   /**
    * Validate JavaScript syntax without executing
+   * @param {string} filePath - Path used in messages; .mjs is checked as a module, .cjs as CommonJS
+   * @param {string} content - File content
+   * @param {Object} options - { cwd: directory to look for TypeScript in (for JSX) }
+   */
+  static validateJavaScript(filePath, content, options = {}) {
+    const ext = path.extname(filePath);
+    const check = inputType => FileValidator.runNodeCheck(filePath, content, inputType);
+
+    if (ext === '.mjs') {
+      return check('module');
+    }
+
+    const script = check('commonjs');
+    if (script.valid || ext === '.cjs') {
+      return script;
+    }
+
+    // .js may be an ES module
+    const module = check('module');
+    if (module.valid) {
+      return module;
+    }
+
+    // JSX can only be checked with TypeScript
+    if (/Unexpected token '<'/.test(script.details)) {
+      return FileValidator.validateTypeScript(filePath.replace(/\.js$/, '.jsx'), content, options);
+    }
+
+    return MODULE_SYNTAX_ERROR.test(script.details) ? module : script;
+  }
+
+  /**
+   * Run `node --check` on content
+   * @param {string} filePath - Path used in messages
+   * @param {string} content - File content
+   * @param {string} inputType - 'commonjs' or 'module'
    */
-  static validateJavaScript(filePath, content) {
+  static runNodeCheck(filePath, content, inputType) {
+    const result = spawnSync(process.execPath, ['--check', `--input-type=${inputType}`], {
+      input: content,
+      encoding: 'utf-8',
+      timeout: FileValidator.CHECK_TIMEOUT
+    });
+
+    // A check that did not finish says nothing about the content
+    if (result.status === 0 || result.status === null || result.error) {
+      return { valid: true };
+    }
+
+    // Keep the location, source line, caret and message; drop the stack trace
+    const location = (result.stderr || '').match(/\[stdin\]:(\d+)/);
+    const details = (result.stderr || '')
+      .split('\n')
+      .filter(line => line.trim() && !/^\s+at /.test(line) && !/^Node\.js v/.test(line) && !/Warning|--trace-warnings/.test(line))
+      .map(line => line.replace('[stdin]', filePath))
+      .join('\n');
+
+    return {
+      valid: false,
+      error: 'JavaScript syntax error',
+      details: details || 'Syntax error detected',
+      line: location ? Number(location[1]) : null
+    };
+  }
+
+  /**
+   * Validate TypeScript/TSX (and JSX) syntax with the project's own TypeScript
+   * Skipped when TypeScript is not installed in the project
+   * @param {string} filePath - Path used in messages; the extension decides whether JSX is allowed
+   * @param {string} content - File content
+   * @param {Object} options - { cwd: directory to look for TypeScript in }
+   */
+  static validateTypeScript(filePath, content, options = {}) {
+    const ts = FileValidator.loadTypeScript(options.cwd || process.cwd());
+    if (!ts) {
+      return { valid: true };
+    }
+
+    const result = ts.transpileModule(content, {
+      fileName: filePath,
+      reportDiagnostics: true,
+      compilerOptions: { jsx: ts.JsxEmit ? ts.JsxEmit.Preserve : 1 }
+    });
+    const diagnostics = (result.diagnostics || []).filter(d => d.category === undefined || d.category === 1);
+
+    if (diagnostics.length === 0) {
+      return { valid: true };
+    }
+
+    let firstLine = null;
+    const details = diagnostics.slice(0, 5).map(diagnostic => {
+      const message = typeof diagnostic.messageText === 'string'
+        ? diagnostic.messageText
+        : ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n');
+      if (diagnostic.file && diagnostic.start !== undefined) {
+        const { line, character } = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
+        firstLine = firstLine || line + 1;
+        return `${filePath}:${line + 1}:${character + 1} - ${message}`;
+      }
+      return `${filePath} - ${message}`;
+    });
+
+    return {
+      valid: false,
+      error: 'TypeScript syntax error',
+      details: details.join('\n'),
+      line: firstLine
+    };
+  }
+
+  /**
+   * Load TypeScript from a project's node_modules
+   * @param {string} cwd - Project directory
+   * @returns {Object|null} The typescript module, or null if not installed
+   */
+  static loadTypeScript(cwd) {
     try {
-      // Use Node.js to check syntax
-      execSync('node --check', {
-        input: content,
-        encoding: 'utf-8',
-        stdio: ['pipe', 'pipe', 'pipe']
-      });
+      return require(require.resolve('typescript', { paths: [cwd] }));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Validate YAML syntax (every document in the file)
+   */
+  static validateYaml(filePath, content) {
+    const errors = yaml.parseAllDocuments(content).flatMap(doc => doc.errors || []);
+
+    if (errors.length === 0) {
       return { valid: true };
-    } catch (error) {
+    }
+
+    return {
+      valid: false,
+      error: 'Invalid YAML',
+      details: errors.slice(0, 5).map(error => error.message).join('\n'),
+      line: errors[0].linePos ? errors[0].linePos[0].line : null
+    };
+  }
+
+  /**
+   * Validate Python syntax with `python -m py_compile`
+   * Skipped when Python is not installed
+   */
+  static validatePython(filePath, content) {
+    const python = FileValidator.findPython();
+    if (!python) {
+      return { valid: true };
+    }
+
+    // py_compile needs a real file; compile a copy in a temp directory
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wiggumizer-py-'));
+    const tempFile = path.join(tempDir, path.basename(filePath));
+
+    try {
+      fs.writeFileSync(tempFile, content, 'utf-8');
+      const result = spawnSync(python, ['-m', 'py_compile', tempFile], { encoding: 'utf-8', timeout: FileValidator.CHECK_TIMEOUT });
+
+      if (result.status === 0 || result.status === null || result.error) {
+        return { valid: true };
+      }
+
+      const details = (result.stderr || 'Syntax error detected').split(tempFile).join(filePath).trim();
+      const location = details.match(/line (\d+)/);
       return {
         valid: false,
-        error: error.message,
-        details: error.stderr?.toString() || 'Syntax error detected'
+        error: 'Python syntax error',
+        details,
+        line: location ? Number(location[1]) : null
       };
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
     }
   }
 
+  /**
+   * Find a Python interpreter (cached)
+   * @returns {string|null} Command name, or null if none works
+   */
+  static findPython() {
+    if (FileValidator.python === undefined) {
+      FileValidator.python = ['python3', 'python'].find(command => {
+        const result = spawnSync(command, ['--version'], { encoding: 'utf-8', timeout: 10000 });
+        return result.status === 0;
+      }) || null;
+    }
+
+    return FileValidator.python;
+  }
+
   /**
    * Validate file before writing
+   * @param {string} filePath - File path (the extension selects the check)
+   * @param {string} content - Proposed content
+   * @param {Object} options - { cwd: project directory, for TypeScript }
+   * @returns {Object} { valid, error, details, line } - line of the first error, if known
    */
-  static validate(filePath, content) {
-    const ext = path.extname(filePath);
+  static validate(filePath, content, options = {}) {
+    const ext = path.extname(filePath).toLowerCase();
 
     switch (ext) {
       case '.js':
-        return FileValidator.validateJavaScript(filePath, content);
+      case '.mjs':
+      case '.cjs':
+        return FileValidator.validateJavaScript(filePath, content, options);
+
+      case '.jsx':
+      case '.ts':
+      case '.tsx':
+      case '.mts':
+      case '.cts':
+        return FileValidator.validateTypeScript(filePath, content, options);
 
       case '.json':
+        if (JSONC_FILE.test(filePath.split(path.sep).join('/'))) {
+          return { valid: true };
+        }
         try {
           JSON.parse(content);
           return { valid: true };
@@ -46,15 +249,21 @@ class FileValidator {
           };
         }
 
+      case '.yml':
+      case '.yaml':
+        return FileValidator.validateYaml(filePath, content);
+
+      case '.py':
+        return FileValidator.validatePython(filePath, content);
+
       // Add more validators as needed
       default:
-        // For unknown file types, just check it's not empty
-        return {
-          valid: content.trim().length > 0,
-          error: content.trim().length === 0 ? 'Empty file' : null
-        };
+        return { valid: true };
     }
   }
 }
 
+// Milliseconds a syntax check may take before it is given up
+FileValidator.CHECK_TIMEOUT = 30000;
+
 module.exports = FileValidator;
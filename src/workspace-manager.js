@@ -3,6 +3,8 @@ const path = require('path');
 const chalk = require('chalk');
 const GitHelper = require('./git-helper');
 const IterationJournal = require('./iteration-journal');
+const WritePolicy = require('./write-policy');
+const FileCache = require('./file-cache');
 
 /**
  * Manages multi-repository workspaces
@@ -12,7 +14,10 @@ class WorkspaceManager {
   constructor(options = {}) {
     this.workspaces = options.workspaces || [];
     this.baseDir = options.baseDir || process.cwd();
+    this.files = options.files || {}; // File patterns, including the write policy (protected, allowDeletes)
+    this.context = options.context || {}; // Context limits (maxSize, maxFiles, importDepth, repoMapShare)
     this.verbose = options.verbose || false;
+    this.fileCache = new FileCache(); // Listings and contents kept across iterations, for all workspaces
   }
 
   /**
@@ -26,6 +31,8 @@ class WorkspaceManager {
     return new WorkspaceManager({
       workspaces: config.workspaces,
       baseDir: process.cwd(),
+      files: config.files,
+      context: config.context,
       verbose: config.verbose
     });
   }
@@ -105,7 +112,8 @@ class WorkspaceManager {
         const selector = new FileSelector({
           cwd: workspacePath,
           include: workspace.include,
-          exclude: workspace.exclude
+          exclude: workspace.exclude,
+          cache: this.fileCache
         });
         const files = selector.getFiles();
 
@@ -152,8 +160,10 @@ class WorkspaceManager {
 
   /**
    * Get files from all workspaces combined
+   * @param {Object} options - { relevance: { prompt, failures } to rank each workspace's files by,
+   *   candidates: an array to collect each workspace's explained selection into, paths prefixed with [workspace]/ }
    */
-  getAllFiles() {
+  getAllFiles(options = {}) {
     const FileSelector = require('./file-selector');
     const allFiles = [];
 
@@ -168,15 +178,26 @@ class WorkspaceManager {
         const selector = new FileSelector({
           cwd: workspacePath,
           include: workspace.include,
-          exclude: workspace.exclude
+          exclude: workspace.exclude,
+          relevance: options.relevance,
+          repoMapShare: 0, // Multi-repo requests send no outline of the files left out
+          cache: this.fileCache,
+          explain: Boolean(options.candidates)
         });
 
         const files = selector.getFilesWithContent();
+        const name = workspace.name || workspace.path;
+
+        if (options.candidates) {
+          for (const candidate of selector.candidates) {
+            options.candidates.push({ ...candidate, workspace: name, path: `[${name}]/${candidate.path}` });
+          }
+        }
 
         // Add workspace prefix to file paths
         for (const file of files) {
           allFiles.push({
-            workspace: workspace.name || workspace.path,
+            workspace: name,
             workspacePath,
             path: file.path,
             fullPath: path.join(workspacePath, file.path),
@@ -196,13 +217,18 @@ class WorkspaceManager {
   /**
    * Get codebase context (files and metadata) for all workspaces
    * This is used to build the context sent to the AI provider
+   * @param {Object} options - Options
+   * @param {Object} options.relevance - { prompt, failures }: rank files by relevance to the prompt (see RelevanceRanker)
+   * @param {Function} options.tokenBudget - Given the context without files, returns the tokens left for files (single repo)
+   * @param {boolean} options.explain - Add `candidates`: every file considered, with why it was included or left out
    */
-  getCodebaseContext() {
+  getCodebaseContext(options = {}) {
     const isMultiRepo = this.isMultiRepo();
 
     if (isMultiRepo) {
       // Multi-repo mode: gather files from all workspaces
-      const files = this.getAllFiles();
+      const candidates = options.explain ? [] : null;
+      const files = this.getAllFiles({ relevance: options.relevance, candidates });
       const workspaces = this.workspaces.map(w => ({
         name: w.name || w.path,
         path: this.resolvePath(w.path)
@@ -213,27 +239,19 @@ class WorkspaceManager {
         files,
         workspaces,
         cwd: this.baseDir,
-        breadcrumbs: this.readBreadcrumbs()
+        breadcrumbs: this.readBreadcrumbs(),
+        candidates
       };
     } else {
       // Single repo mode: use FileSelector directly
       const FileSelector = require('./file-selector');
       const cwd = process.cwd();
 
-      const selector = new FileSelector({
-        cwd,
-        respectGitignore: true,
-        verbose: this.verbose
-      });
-
-      const files = selector.getFilesWithContent();
-
       // Get iteration history (Git or journal-based)
       const iterationContext = this.getIterationContext();
 
-      return {
+      const context = {
         isMultiRepo: false,
-        files,
         cwd,
         breadcrumbs: this.readBreadcrumbs(),
         // Unified iteration context
@@ -242,6 +260,34 @@ class WorkspaceManager {
         iterationHistory: iterationContext.iterationHistory,
         isGitRepo: iterationContext.isGitRepo
       };
+
+      // The files get what the rest of the request leaves of the model's context window
+      const tokenBudget = options.tokenBudget ? options.tokenBudget(context) : null;
+
+      const selector = new FileSelector({
+        cwd,
+        include: this.files.include,
+        exclude: this.files.exclude,
+        maxContextSize: this.context.maxSize,
+        maxFiles: this.context.maxFiles,
+        maxTokens: tokenBudget,
+        relevance: options.relevance,
+        importDepth: this.context.importDepth,
+        repoMapShare: this.context.repoMapShare,
+        respectGitignore: true,
+        cache: this.fileCache,
+        explain: options.explain,
+        verbose: this.verbose
+      });
+
+      return {
+        ...context,
+        files: selector.getFilesWithContent(),
+        ranking: selector.ranking,
+        repoMap: selector.repoMap,
+        candidates: selector.candidates,
+        tokens: tokenBudget !== null ? { budget: tokenBudget, files: selector.tokensUsed } : null
+      };
     }
   }
 
@@ -395,65 +441,68 @@ class WorkspaceManager {
 
   /**
    * Apply changes from AI response
-   * Parses the changes text (unified diff format) and applies them to the appropriate workspace(s)
+   * Parses the changes text (unified diffs and SEARCH/REPLACE blocks) and applies them to the appropriate workspace(s)
    *
    * @param {string} changesText - The raw text from AI containing diffs
    * @param {function} applyCallback - Function(workspace, diffResults) to apply changes to a workspace
-   * @returns {object} - { count: number, files: string[] }
+   * @returns {object} - { count: number, files: string[], errors: string[], failures: object[], placements: object[], violations: object[] }
    */
   applyChanges(changesText, applyCallback) {
     const DiffApplier = require('./diff-applier');
 
     const isMultiRepo = this.isMultiRepo();
     const changesByWorkspace = new Map();
+    const parseErrors = []; // Changes that can't be given to any workspace
 
     if (isMultiRepo) {
-      // Multi-repo mode: parse workspace prefix from diff paths
-      // Expected format: --- a/[workspace-name]/path/to/file
-      const fileDiffs = DiffApplier.parseDiff(changesText);
+      // Multi-repo mode: parse workspace prefix from diff and SEARCH/REPLACE paths
+      // Expected format: --- a/[workspace-name]/path/to/file, or [workspace-name]/path/to/file above a SEARCH block
+      const diffText = DiffApplier.extractDiffText(changesText);
+      const fileDiffs = diffText.trim() ? DiffApplier.parseDiff(diffText) : [];
+      const { edits, errors: editErrors } = DiffApplier.parseEditBlocks(changesText);
+      const byWorkspace = new Map();
+      const workspaceChanges = workspace => {
+        const workspaceKey = workspace.name || workspace.path;
+        if (!byWorkspace.has(workspaceKey)) {
+          byWorkspace.set(workspaceKey, { workspace, fileDiffs: [], edits: [] });
+        }
+        return byWorkspace.get(workspaceKey);
+      };
+      parseErrors.push(...editErrors);
 
       for (const fileDiff of fileDiffs) {
-        const filePath = fileDiff.newPath || fileDiff.oldPath;
-        if (!filePath) continue;
-
-        // Extract workspace name from path like [workspace-name]/path/to/file
-        const workspaceMatch = filePath.match(/^\[([^\]]+)\]\/(.+)$/);
-
-        if (!workspaceMatch) {
-          console.warn(chalk.yellow(`Warning: File ${filePath} has no workspace prefix in multi-repo mode, skipping`));
+        const oldTarget = fileDiff.oldPath ? this.findPathWorkspace(fileDiff.oldPath) : null;
+        const newTarget = fileDiff.newPath === fileDiff.oldPath
+          ? oldTarget
+          : (fileDiff.newPath ? this.findPathWorkspace(fileDiff.newPath) : null);
+        if ((fileDiff.oldPath && !oldTarget) || (fileDiff.newPath && !newTarget)) {
           continue;
         }
-
-        const workspaceName = workspaceMatch[1];
-        const relativeFilePath = workspaceMatch[2];
-
-        const targetWorkspace = this.workspaces.find(w =>
-          (w.name || w.path) === workspaceName
-        );
-
-        if (!targetWorkspace) {
-          console.warn(chalk.yellow(`Warning: Unknown workspace ${workspaceName}, skipping ${filePath}`));
+        if (oldTarget && newTarget && oldTarget.workspace !== newTarget.workspace) {
+          console.warn(chalk.yellow(`Warning: ${fileDiff.oldPath} and ${fileDiff.newPath} are in different workspaces, skipping`));
           continue;
         }
+        const target = newTarget || oldTarget;
 
-        const workspaceKey = targetWorkspace.name || targetWorkspace.path;
-
-        if (!changesByWorkspace.has(workspaceKey)) {
-          changesByWorkspace.set(workspaceKey, {
-            workspace: targetWorkspace,
-            diffText: ''
-          });
-        }
+        // Keep everything the diff says (renames, modes, new/deleted files, "\ No newline") and only drop the prefix
+        workspaceChanges(target.workspace).fileDiffs.push({
+          ...fileDiff,
+          oldPath: oldTarget ? oldTarget.filePath : null,
+          newPath: newTarget ? newTarget.filePath : null
+        });
+      }
 
-        // Reconstruct diff for this workspace with corrected paths
-        let workspaceDiff = `--- a/${relativeFilePath}\n`;
-        workspaceDiff += `+++ b/${relativeFilePath}\n`;
-        for (const hunk of fileDiff.hunks) {
-          workspaceDiff += `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@\n`;
-          workspaceDiff += hunk.lines.join('\n') + '\n';
+      for (const edit of edits) {
+        const target = this.findPathWorkspace(edit.filePath);
+        if (target) {
+          workspaceChanges(target.workspace).edits.push({ ...edit, filePath: target.filePath });
         }
+      }
 
-        changesByWorkspace.get(workspaceKey).diffText += workspaceDiff;
+      for (const [workspaceKey, { workspace, fileDiffs: workspaceDiffs, edits: workspaceEdits }] of byWorkspace) {
+        const parts = workspaceDiffs.length > 0 ? ['```diff\n' + DiffApplier.formatDiff(workspaceDiffs) + '```'] : [];
+        parts.push(...workspaceEdits.map(edit => DiffApplier.formatEdit(edit)));
+        changesByWorkspace.set(workspaceKey, { workspace, diffText: parts.join('\n\n') });
       }
     } else {
       // Single-repo mode: apply diffs directly
@@ -466,6 +515,10 @@ class WorkspaceManager {
     // Apply changes to each workspace
     let totalFilesModified = 0;
     const allModifiedFiles = [];
+    const allErrors = [...parseErrors];
+    const allFailures = [];
+    const allPlacements = [];
+    const allViolations = [];
 
     for (const { workspace, diffText } of changesByWorkspace.values()) {
       const result = applyCallback(workspace, diffText);
@@ -474,16 +527,70 @@ class WorkspaceManager {
         totalFilesModified += result.count;
         allModifiedFiles.push(...result.files);
       }
+      if (result && result.errors) {
+        allErrors.push(...result.errors);
+      }
+      if (result && result.failures) {
+        allFailures.push(...result.failures);
+      }
+      if (result && result.placements) {
+        allPlacements.push(...result.placements);
+      }
+      if (result && result.violations) {
+        allViolations.push(...result.violations);
+      }
     }
 
     return {
       count: totalFilesModified,
-      files: allModifiedFiles
+      files: allModifiedFiles,
+      errors: allErrors,
+      failures: allFailures,
+      placements: allPlacements,
+      violations: allViolations
     };
   }
 
+  /**
+   * Find the workspace a multi-repo path like [workspace-name]/path/to/file belongs to
+   * Warns and returns null when the prefix is missing or names no workspace.
+   * @param {string} filePath - Path from the AI response
+   * @returns {Object|null} { workspace, filePath } with the path relative to the workspace
+   */
+  findPathWorkspace(filePath) {
+    const workspaceMatch = filePath.match(/^\[([^\]]+)\]\/(.+)$/);
+
+    if (!workspaceMatch) {
+      console.warn(chalk.yellow(`Warning: File ${filePath} has no workspace prefix in multi-repo mode, skipping`));
+      return null;
+    }
+
+    const workspace = this.workspaces.find(w => (w.name || w.path) === workspaceMatch[1]);
+
+    if (!workspace) {
+      console.warn(chalk.yellow(`Warning: Unknown workspace ${workspaceMatch[1]}, skipping ${filePath}`));
+      return null;
+    }
+
+    return { workspace, filePath: workspaceMatch[2] };
+  }
+
+  /**
+   * Write policy for a workspace (see WritePolicy)
+   * @param {Object} workspace - Workspace config
+   * @returns {WritePolicy}
+   */
+  getWritePolicy(workspace) {
+    return new WritePolicy({
+      cwd: this.resolvePath(workspace.path),
+      protected: this.files.protected,
+      allowDeletes: this.files.allowDeletes
+    });
+  }
+
   /**
    * Write a file to a specific workspace
+   * Throws if the write policy does not allow it
    */
   writeFile(workspaceName, filePath, content) {
     const workspace = this.workspaces.find(w =>
@@ -494,6 +601,11 @@ class WorkspaceManager {
       throw new Error(`Workspace not found: ${workspaceName}`);
     }
 
+    const violation = this.getWritePolicy(workspace).check(filePath);
+    if (violation) {
+      throw new Error(violation.message);
+    }
+
     const workspacePath = this.resolvePath(workspace.path);
     const fullPath = path.join(workspacePath, filePath);
 
@@ -0,0 +1,147 @@
+/**
+ * Write Policy
+ *
+ * Decides which files the AI may change in a workspace. Every change - from
+ * diffs, SEARCH/REPLACE blocks, WorkspaceManager.writeFile or the claude-cli
+ * provider's own tools - is checked against it:
+ *
+ * - paths must stay inside the workspace (no `..`, absolute paths or symlinks out of it)
+ * - `.git` internals and files matching `files.protected` can be read but not written
+ * - files can only be deleted when `files.allowDeletes` is on
+ */
+
+const fs = require('fs');
+const path = require('path');
+const micromatch = require('micromatch');
+const { globSync } = require('glob');
+
+class WritePolicy {
+  /**
+   * Create a new WritePolicy
+   * @param {Object} options - Configuration options
+   * @param {string} options.cwd - Workspace directory (default: process.cwd())
+   * @param {Array<string>} options.protected - Globs of files that must not be written
+   * @param {boolean} options.allowDeletes - Allow deleting files (default: false)
+   */
+  constructor(options = {}) {
+    this.cwd = path.resolve(options.cwd || process.cwd());
+    this.protected = options.protected || [];
+    this.allowDeletes = options.allowDeletes === true;
+  }
+
+  /**
+   * Check a change against the policy
+   * @param {string} filePath - Path relative to the workspace, as given by the AI
+   * @param {string} action - 'write', 'delete' or 'read' (containment only)
+   * @returns {Object|null} Violation { file, action, reason, message }, or null if allowed
+   */
+  check(filePath, action = 'write') {
+    const violation = (reason, why) => ({
+      file: filePath,
+      action,
+      reason,
+      message: `Blocked ${action === 'delete' ? 'deletion of' : 'change to'} ${filePath}: ${why}`
+    });
+
+    const relativePath = this.relativePath(filePath);
+    if (relativePath === null) {
+      return violation('outside-workspace', 'the path is outside the workspace');
+    }
+    if (action === 'read') {
+      return null;
+    }
+
+    if (relativePath.split('/').includes('.git')) {
+      return violation('protected', '.git internals cannot be changed');
+    }
+    if (this.isProtected(relativePath)) {
+      return violation('protected', 'the file is protected (files.protected)');
+    }
+    if (action === 'delete' && !this.allowDeletes) {
+      return violation('delete', 'deleting files is not allowed (files.allowDeletes)');
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a workspace-relative path matches files.protected
+   * Patterns without a slash match the file name at any depth.
+   * @param {string} relativePath - Path relative to the workspace, with forward slashes
+   */
+  isProtected(relativePath) {
+    return this.protected.some(pattern => micromatch.isMatch(relativePath, pattern, { dot: true, basename: !pattern.includes('/') }));
+  }
+
+  /**
+   * List the existing files that match files.protected
+   * Used to notice changes Git can't report (protected files are often
+   * gitignored, like .env). node_modules is not searched.
+   * @returns {Array<string>} Paths relative to the workspace, with forward slashes
+   */
+  listProtected() {
+    if (this.protected.length === 0) {
+      return [];
+    }
+
+    return globSync(this.protected, { cwd: this.cwd, dot: true, nodir: true, matchBase: true, ignore: ['node_modules/**', '.git/**'] })
+      .map(file => file.split(path.sep).join('/'))
+      .filter(file => this.isProtected(file))
+      .sort();
+  }
+
+  /**
+   * Resolve a path inside the workspace
+   * Symlinks are followed, so a link pointing out of the workspace counts as outside.
+   * @param {string} filePath - Path as given by the AI
+   * @returns {string|null} Normalized relative path with forward slashes, or null if outside
+   */
+  relativePath(filePath) {
+    if (!filePath || path.isAbsolute(filePath) || /^[a-zA-Z]:/.test(filePath)) {
+      return null;
+    }
+
+    const fullPath = path.resolve(this.cwd, filePath);
+    if (!WritePolicy.isInside(this.cwd, fullPath) || fullPath === this.cwd) {
+      return null;
+    }
+
+    // The deepest part of the path that exists decides where it really points
+    let existing = fullPath;
+    while (existing !== this.cwd && !WritePolicy.lexists(existing)) {
+      existing = path.dirname(existing);
+    }
+    try {
+      if (!WritePolicy.isInside(fs.realpathSync(this.cwd), fs.realpathSync(existing))) {
+        return null;
+      }
+    } catch {
+      // A dangling symlink can't be resolved; don't write through it
+      return null;
+    }
+
+    return path.relative(this.cwd, fullPath).split(path.sep).join('/');
+  }
+
+  /**
+   * Whether target is dir or inside it
+   */
+  static isInside(dir, target) {
+    const relative = path.relative(dir, target);
+    return relative === '' || (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+  }
+
+  /**
+   * Whether a path exists, without following a symlink at the end of it
+   */
+  static lexists(filePath) {
+    try {
+      fs.lstatSync(filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+module.exports = WritePolicy;
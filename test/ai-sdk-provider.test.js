@@ -146,6 +146,22 @@ describe('AiSdkProvider', () => {
       assert.ok(prompt.includes('THE RALPH PHILOSOPHY'));
       assert.ok(prompt.includes('SELF-DISCOVERY PROTOCOL'));
     });
+
+    it('should ask for unified diffs by default', () => {
+      const provider = new AiSdkProvider({});
+      const prompt = provider.buildSystemPrompt();
+      assert.ok(prompt.includes('DIFF FORMAT RULES'));
+      assert.ok(!prompt.includes('<<<<<<< SEARCH'));
+    });
+
+    it('should ask for SEARCH/REPLACE blocks when editFormat is search-replace', () => {
+      for (const fast of [false, true]) {
+        const provider = new AiSdkProvider({ editFormat: 'search-replace', fast });
+        const prompt = provider.buildSystemPrompt();
+        assert.ok(prompt.includes('<<<<<<< SEARCH'));
+        assert.ok(!prompt.includes('```diff'));
+      }
+    });
   });
 
   describe('buildUserMessage', () => {
@@ -187,6 +203,114 @@ describe('AiSdkProvider', () => {
       const message = provider.buildUserMessage('Fix bug', context, 1);
       assert.ok(message.includes('[... 50 more lines]'));
     });
+
+    it('should outline long files in fast mode unless the model asked for them', () => {
+      const provider = new AiSdkProvider({ fast: true });
+      const content = 'function run() {\n' + Array(100).fill('  step();').join('\n') + '\n}';
+      const context = { files: [{ path: 'long.js', content }] };
+
+      const outlined = provider.buildUserMessage('Fix bug', context, 1);
+      assert.ok(outlined.includes('## File: long.js (102 lines, outline only'));
+      assert.ok(outlined.includes('1│function run()'));
+      assert.ok(!outlined.includes('step();'));
+
+      const full = provider.buildUserMessage('Fix bug', { ...context, requestedFiles: ['long.js'] }, 1);
+      assert.ok(full.includes('101│  step();'));
+    });
+
+    it('should list the files that did not fit by outline', () => {
+      const provider = new AiSdkProvider({});
+      const context = {
+        ...mockContext,
+        repoMap: { files: [{ path: 'src/other.js', lines: 80, outline: [{ line: 3, text: 'function other()' }] }], omitted: 0 }
+      };
+      const message = provider.buildUserMessage('Fix bug', context, 1);
+
+      assert.ok(message.includes('# Other Files (outline only):'));
+      assert.ok(message.includes('- src/other.js (80 lines)\n    3│function other()'));
+    });
+
+    it('should ask to redo failed changes in a repair request', () => {
+      const provider = new AiSdkProvider({ editFormat: 'search-replace' });
+      const context = {
+        ...mockContext,
+        repair: {
+          attempt: 1,
+          maxAttempts: 2,
+          applied: ['other.js'],
+          failures: [{ file: 'test.js', message: 'Failed to apply edit to test.js: SEARCH text not found', excerpt: '1│console.log("test");' }]
+        }
+      };
+
+      const message = provider.buildUserMessage('Fix bug', context, 1);
+      assert.ok(message.includes('# Repair Request (attempt 1 of 2):'));
+      assert.ok(message.includes('These files were changed successfully: other.js'));
+      assert.ok(message.includes('Re-emit ONLY the failed changes below as SEARCH/REPLACE blocks'));
+      assert.ok(message.includes('## Failed: test.js\nFailed to apply edit to test.js: SEARCH text not found'));
+      assert.ok(message.indexOf('# Repair Request') < message.indexOf('## File: test.js'));
+    });
+  });
+
+  describe('token budget', () => {
+    it('should look up the context window of the model, unless configured', () => {
+      assert.strictEqual(new AiSdkProvider({ model: 'gpt-4o' }).contextWindow, 128000);
+      assert.strictEqual(new AiSdkProvider({ model: 'my-local-model', contextWindow: 65536 }).contextWindow, 65536);
+    });
+
+    it('should leave the files what the rest of the request does not use', () => {
+      const provider = new AiSdkProvider({ model: 'my-local-model', contextWindow: 32000, maxTokens: 4000 });
+      const budget = provider.getFileTokenBudget({ prompt: 'Add a feature', context: { files: [] }, iteration: 1 });
+      const longHistory = provider.getFileTokenBudget({
+        prompt: 'Add a feature',
+        context: { files: [], gitLog: 'commit\n'.repeat(1000) },
+        iteration: 1
+      });
+
+      assert.ok(budget > 20000 && budget < 28000, `budget ${budget}`);
+      assert.ok(longHistory < budget - 1500);
+    });
+
+    it('should report the estimated request size with the response', async () => {
+      const provider = new AiSdkProvider({ model: 'gpt-4o' });
+      const result = await provider.iterate({ prompt: 'Add a feature', context: { files: [] }, iteration: 1 });
+
+      assert.strictEqual(result.tokenEstimate.contextWindow, 128000);
+      assert.strictEqual(result.tokenEstimate.maxTokens, 16384);
+      assert.ok(result.tokenEstimate.inputTokens > 0);
+    });
+  });
+
+  describe('extractUsage', () => {
+    it('should handle v5 usage and exclude cached tokens from input for OpenAI', () => {
+      const provider = new AiSdkProvider({ provider: 'openai', model: 'gpt-4o' });
+      const usage = provider.extractUsage({ inputTokens: 1000, outputTokens: 200, cachedInputTokens: 400 });
+
+      assert.deepStrictEqual(usage, {
+        model: 'gpt-4o',
+        inputTokens: 600,
+        outputTokens: 200,
+        cacheCreationTokens: 0,
+        cacheReadTokens: 400
+      });
+    });
+
+    it('should handle v4 usage with Anthropic cache metadata', () => {
+      const provider = new AiSdkProvider({ provider: 'anthropic', model: 'claude-sonnet-4-5' });
+      const usage = provider.extractUsage(
+        { promptTokens: 1000, completionTokens: 200 },
+        { anthropic: { cacheCreationInputTokens: 300, cacheReadInputTokens: 50 } }
+      );
+
+      assert.strictEqual(usage.inputTokens, 1000);
+      assert.strictEqual(usage.outputTokens, 200);
+      assert.strictEqual(usage.cacheCreationTokens, 300);
+      assert.strictEqual(usage.cacheReadTokens, 50);
+    });
+
+    it('should return null without usage', () => {
+      const provider = new AiSdkProvider();
+      assert.strictEqual(provider.extractUsage(undefined), null);
+    });
   });
 
   describe('supported providers', () => {
@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const ChangeLimits = require('../src/change-limits');
+
+const lines = (count, prefix = 'line') => Array.from({ length: count }, (_, i) => `${prefix} ${i + 1}`).join('\n') + '\n';
+
+describe('ChangeLimits', () => {
+  describe('countLineChanges', () => {
+    it('should count added and removed lines', () => {
+      assert.deepStrictEqual(ChangeLimits.countLineChanges('a\nb\nc\n', 'a\nB\nc\nd\n'), { added: 2, removed: 1 });
+    });
+
+    it('should treat missing files as empty', () => {
+      assert.deepStrictEqual(ChangeLimits.countLineChanges(null, 'a\nb\n'), { added: 2, removed: 0 });
+      assert.deepStrictEqual(ChangeLimits.countLineChanges('a\nb\n', null), { added: 0, removed: 2 });
+    });
+
+    it('should not count moved lines or line ending changes', () => {
+      assert.deepStrictEqual(ChangeLimits.countLineChanges('a\nb\nc\n', 'c\na\nb\n'), { added: 0, removed: 0 });
+      assert.deepStrictEqual(ChangeLimits.countLineChanges('a\r\nb\r\n', 'a\nb\n'), { added: 0, removed: 0 });
+    });
+  });
+
+  describe('measure', () => {
+    it('should add up the changes to each file', () => {
+      const stats = ChangeLimits.measure([
+        { filePath: 'a.js', oldContent: 'a\nb\n', newContent: 'a\nc\n' },
+        { filePath: 'new.js', oldContent: null, newContent: 'x\ny\n' },
+        { filePath: 'old.js', oldContent: 'z\n', newContent: null }
+      ]);
+
+      assert.deepStrictEqual(stats.files, ['a.js', 'new.js', 'old.js']);
+      assert.deepStrictEqual(stats.filesDeleted, ['old.js']);
+      assert.strictEqual(stats.linesAdded, 3);
+      assert.strictEqual(stats.linesRemoved, 2);
+      assert.deepStrictEqual(stats.rewrites, [{ file: 'a.js', oldLines: 2, removed: 1, ratio: 0.5 }]);
+    });
+
+    it('should count a renamed file once, against its source', () => {
+      const stats = ChangeLimits.measure([
+        { filePath: 'src/util.js', oldContent: 'a\nb\n', newContent: null, movedTo: 'lib/util.js' },
+        { filePath: 'lib/util.js', oldContent: null, newContent: 'a\nB\n' }
+      ]);
+
+      assert.deepStrictEqual(stats.files, ['lib/util.js']);
+      assert.deepStrictEqual(stats.filesDeleted, []);
+      assert.strictEqual(stats.linesAdded, 1);
+      assert.strictEqual(stats.linesRemoved, 1);
+    });
+  });
+
+  describe('check', () => {
+    const stats = ChangeLimits.measure([
+      { filePath: 'big.js', oldContent: lines(2000), newContent: lines(40) },
+      { filePath: 'gone.js', oldContent: 'x\n', newContent: null }
+    ]);
+
+    it('should be disabled without limits', () => {
+      const limits = new ChangeLimits({});
+
+      assert.strictEqual(limits.isEnabled(), false);
+      assert.deepStrictEqual(limits.check(stats), []);
+    });
+
+    it('should report every limit that is exceeded', () => {
+      const limits = new ChangeLimits({ maxFiles: 1, maxLinesAdded: 10, maxLinesRemoved: 500, maxFilesDeleted: 0 });
+
+      assert.deepStrictEqual(limits.check(stats), [
+        '2 files changed, more than the limit of 1 (limits.maxFiles)',
+        '1961 lines removed, more than the limit of 500 (limits.maxLinesRemoved)',
+        '1 files deleted, more than the limit of 0 (limits.maxFilesDeleted)'
+      ]);
+    });
+
+    it('should reject rewriting too much of a file', () => {
+      const limits = new ChangeLimits({ maxRewriteRatio: 0.5 });
+
+      assert.deepStrictEqual(limits.check(stats), [
+        'big.js rewritten: 1960 of its 2000 lines replaced (98%), more than the limit of 50% (limits.maxRewriteRatio)'
+      ]);
+    });
+
+    it('should allow small files to be rewritten completely', () => {
+      const limits = new ChangeLimits({ maxRewriteRatio: 0.5 });
+      const small = ChangeLimits.measure([{ filePath: 'small.js', oldContent: lines(10), newContent: lines(10, 'new') }]);
+
+      assert.deepStrictEqual(limits.check(small), []);
+    });
+  });
+});
@@ -134,6 +134,19 @@ describe('ClaudeCliProvider', () => {
       assert.ok(message.includes('FAIL: 3 tests failed'));
     });
 
+    it('should include feedback about the previous iteration', () => {
+      const context = {
+        files: [],
+        feedback: ['Your changes in iteration 2 were reverted because: Tests failed.'],
+        cwd: '/test'
+      };
+
+      const message = provider.buildUserMessage('Task', context, 3);
+
+      assert.ok(message.includes('Feedback on Your Previous Iteration'));
+      assert.ok(message.includes('were reverted because: Tests failed'));
+    });
+
     it('should return condensed message in fast mode', () => {
       const fastProvider = new ClaudeCliProvider({ fast: true });
       const context = {
@@ -154,6 +167,27 @@ describe('ClaudeCliProvider', () => {
     });
   });
 
+  describe('extractUsage', () => {
+    it('should read usage and reported cost from a result event', () => {
+      const usage = provider.extractUsage({
+        type: 'result',
+        total_cost_usd: 0.1234,
+        usage: { input_tokens: 12, output_tokens: 340, cache_creation_input_tokens: 5000, cache_read_input_tokens: 20000 }
+      });
+
+      assert.strictEqual(usage.model, provider.model);
+      assert.strictEqual(usage.inputTokens, 12);
+      assert.strictEqual(usage.outputTokens, 340);
+      assert.strictEqual(usage.cacheCreationTokens, 5000);
+      assert.strictEqual(usage.cacheReadTokens, 20000);
+      assert.strictEqual(usage.cost, 0.1234);
+    });
+
+    it('should return null when the event has no usage', () => {
+      assert.strictEqual(provider.extractUsage({ type: 'result' }), null);
+    });
+  });
+
   describe('detectNoChanges', () => {
     it('should detect explicit "NO CHANGES NEEDED" response', () => {
       const response = 'NO CHANGES NEEDED';
@@ -93,6 +93,32 @@ Analysis complete`;
 
       assert.strictEqual(provider.detectNoChanges(response), false);
     });
+
+    it('should NOT detect no changes when the response has SEARCH/REPLACE blocks', () => {
+      const response = `Work is complete apart from this.
+a.js
+<<<<<<< SEARCH
+x
+=======
+y
+>>>>>>> REPLACE`;
+      assert.strictEqual(provider.detectNoChanges(response), false);
+    });
+  });
+
+  describe('buildSystemPrompt', () => {
+    it('should follow the configured edit format', () => {
+      const diffPrompt = new ClaudeProvider().buildSystemPrompt();
+      const searchReplacePrompt = new ClaudeProvider({ editFormat: 'search-replace' }).buildSystemPrompt();
+
+      assert.ok(diffPrompt.includes('DIFF FORMAT RULES'));
+      assert.ok(searchReplacePrompt.includes('SEARCH/REPLACE FORMAT RULES'));
+      assert.ok(!searchReplacePrompt.includes('```diff\n--- a/path/to/file.js'));
+    });
+
+    it('should fall back to diffs for an unknown edit format', () => {
+      assert.strictEqual(new ClaudeProvider({ editFormat: 'whole-file' }).editFormat, 'diff');
+    });
   });
 
   describe('extractSummary', () => {
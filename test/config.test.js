@@ -44,7 +44,7 @@ describe('ConfigLoader', () => {
     it('should have correct default context limits', () => {
       const config = ConfigLoader.load();
 
-      assert.strictEqual(config.context.maxSize, 100000);
+      assert.strictEqual(config.context.maxSize, null);
       assert.strictEqual(config.context.maxFiles, 50);
     });
 
@@ -215,6 +215,26 @@ maxIterations: 10
     });
   });
 
+  describe('loadWithFiles()', () => {
+    it('should replace files.include with the --files patterns and keep the rest of the files section', () => {
+      fs.writeFileSync('.wiggumizer.yml', 'files:\n  include:\n    - "**/*"\n  exclude:\n    - "dist/**"\n');
+
+      const config = ConfigLoader.loadWithFiles({ files: 'src/**, test/** ,', provider: 'ai-sdk' });
+
+      assert.deepStrictEqual(config.files.include, ['src/**', 'test/**']);
+      assert.ok(config.files.exclude.includes('dist/**'));
+      assert.strictEqual(config.filesFromCli, true);
+      assert.strictEqual(config.provider, 'ai-sdk');
+    });
+
+    it('should leave the files section alone without --files', () => {
+      const config = ConfigLoader.loadWithFiles({});
+
+      assert.deepStrictEqual(config.files, ConfigLoader.load().files);
+      assert.strictEqual(config.filesFromCli, undefined);
+    });
+  });
+
   describe('mergeConfigs()', () => {
     it('should merge multiple config objects', () => {
       const config1 = { a: 1, b: 2 };
@@ -0,0 +1,79 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const contextCommand = require('../src/commands/context');
+
+describe('wiggumize context', () => {
+  let tempDir;
+  let originalCwd;
+  let originalKey;
+  let originalLog;
+  let printed;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wiggumizer-context-test-'));
+    originalCwd = process.cwd();
+    process.chdir(tempDir);
+
+    fs.mkdirSync('src');
+    fs.writeFileSync('src/main.js', "const helper = require('./helper');\nhelper();\n");
+    fs.writeFileSync('src/helper.js', 'module.exports = () => {};\n');
+    fs.writeFileSync('PROMPT.md', '# Task\n\nFix the startup in src/main.js\n');
+
+    // No request is made, so no key is needed
+    originalKey = process.env.ANTHROPIC_API_KEY;
+    delete process.env.ANTHROPIC_API_KEY;
+
+    originalLog = console.log;
+    printed = [];
+    console.log = (...args) => printed.push(args.join(' '));
+  });
+
+  afterEach(() => {
+    console.log = originalLog;
+    if (originalKey !== undefined) {
+      process.env.ANTHROPIC_API_KEY = originalKey;
+    }
+    process.chdir(originalCwd);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const output = () => printed.join('\n').replace(/\x1b\[[0-9;]*m/g, '');
+
+  it('should say why each file was linked to the prompt', async () => {
+    await contextCommand({ provider: 'claude' });
+
+    const text = output();
+    assert.match(text, /src\/main\.js[^\n]*\n[^\n]*named in prompt/);
+    assert.match(text, /src\/helper\.js[^\n]*\n[^\n]*imports link to src\/main\.js/);
+    assert.match(text, /tokens, 0 left out/);
+    assert.doesNotMatch(text, /\[object Object\]/);
+  });
+
+  it('should print the selection as JSON without an API key', async () => {
+    await contextCommand({ provider: 'claude', json: true });
+
+    const result = JSON.parse(printed.join('\n'));
+    assert.strictEqual(result.provider, 'claude');
+    assert.ok(result.tokens.budget > 0);
+    assert.strictEqual(result.workspaces, null);
+    const main = result.candidates.find(c => c.path === 'src/main.js');
+    assert.deepStrictEqual(main.link, { seed: true });
+  });
+
+  it('should explain each workspace\'s selection in multi-repo mode', async () => {
+    fs.mkdirSync('api/lib', { recursive: true });
+    fs.writeFileSync('api/lib/server.js', 'module.exports = {};\n');
+    fs.writeFileSync('.wiggumizer.yml', 'workspaces:\n  - name: api\n    path: api\n  - name: app\n    path: src\n');
+
+    await contextCommand({ provider: 'claude' });
+
+    const text = output();
+    assert.match(text, /Workspaces: api, app/);
+    assert.match(text, /no token budget in multi-repo mode/);
+    assert.match(text, /\[api\]\/lib\/server\.js/);
+    assert.match(text, /\[app\]\/main\.js/);
+  });
+});
@@ -153,6 +153,47 @@ describe('ConvergenceAnalyzer', () => {
     });
   });
 
+  describe('restoreHistory', () => {
+    it('should rebuild iteration and hash history from logged iterations', () => {
+      const hashA = analyzer.hashString('state A');
+      const hashB = analyzer.hashString('state B');
+      const logged = [1, 2, 3, 4].map(iteration => ({
+        iteration,
+        timestamp: new Date().toISOString(),
+        response: { raw: `response ${iteration}` },
+        filesModified: 1,
+        files: ['a.js'],
+        fileHashes: { 'a.js': iteration % 2 ? hashA : hashB }
+      }));
+
+      analyzer.restoreHistory(logged);
+
+      assert.strictEqual(analyzer.iterationHistory.length, 4);
+      assert.strictEqual(analyzer.iterationHistory[3].iteration, 4);
+      assert.deepStrictEqual(analyzer.iterationHistory[0].filesList, ['a.js']);
+      assert.strictEqual(analyzer.iterationHistory[0].responseHash, analyzer.hashString('response 1'));
+      assert.strictEqual(analyzer.fileHashes.get('a.js'), hashB);
+
+      // Oscillation detection carries over from the previous run
+      assert.strictEqual(analyzer.checkOscillation().detected, true);
+    });
+
+    it('should skip failed iterations and keep only recent history', () => {
+      const logged = Array.from({ length: 12 }, (_, i) => ({
+        iteration: i + 1,
+        response: { raw: 'r' },
+        filesModified: 0
+      }));
+      logged.push({ iteration: 13, response: null, error: 'API error' });
+
+      analyzer.restoreHistory(logged);
+
+      assert.strictEqual(analyzer.iterationHistory.length, 10);
+      assert.strictEqual(analyzer.iterationHistory[9].iteration, 12);
+      assert.strictEqual(analyzer.hashHistory.length, 0);
+    });
+  });
+
   describe('checkOscillation', () => {
     it('should detect alternating state oscillation', () => {
       // Set up oscillating hash states: A -> B -> A -> B
@@ -1,6 +1,7 @@
 const { describe, it, beforeEach, afterEach } = require('node:test');
 const assert = require('assert');
 const DiffApplier = require('../src/diff-applier');
+const WritePolicy = require('../src/write-policy');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
@@ -187,4 +188,647 @@ describe('DiffApplier', () => {
       assert.ok(result.errors[0].includes('nonexistent.js'));
     });
   });
+
+  describe('SEARCH/REPLACE edits', () => {
+    it('should parse blocks with their file paths', () => {
+      const response = `## Changes:
+src/a.js
+\`\`\`js
+<<<<<<< SEARCH
+const a = 1;
+=======
+const a = 2;
+>>>>>>> REPLACE
+\`\`\`
+
+**src/b.js**
+\`\`\`
+<<<<<<< SEARCH
+old
+=======
+new
+>>>>>>> REPLACE
+<<<<<<< SEARCH
+second
+=======
+>>>>>>> REPLACE
+\`\`\``;
+
+      const { edits, errors } = DiffApplier.parseEditBlocks(response);
+
+      assert.deepStrictEqual(errors, []);
+      assert.deepStrictEqual(edits, [
+        { filePath: 'src/a.js', search: 'const a = 1;', replace: 'const a = 2;' },
+        { filePath: 'src/b.js', search: 'old', replace: 'new' },
+        { filePath: 'src/b.js', search: 'second', replace: '' }
+      ]);
+    });
+
+    it('should not take a heading as the file path', () => {
+      const response = `## Changes:
+\`\`\`
+<<<<<<< SEARCH
+a
+=======
+b
+>>>>>>> REPLACE
+\`\`\``;
+
+      const { edits, errors } = DiffApplier.parseEditBlocks(response);
+
+      assert.deepStrictEqual(edits, []);
+      assert.deepStrictEqual(errors, ['SEARCH/REPLACE block is missing its file path']);
+    });
+
+    it('should report unterminated blocks', () => {
+      const { errors } = DiffApplier.parseEditBlocks('a.js\n<<<<<<< SEARCH\nx\n=======\ny\n');
+      assert.deepStrictEqual(errors, ['Unterminated SEARCH/REPLACE block for a.js']);
+    });
+
+    it('should replace text wherever it is in the file, ignoring line numbers', () => {
+      const lines = Array.from({ length: 200 }, (_, i) => `line ${i + 1}`);
+      fs.writeFileSync(path.join(testDir, 'big.txt'), lines.join('\n') + '\n');
+
+      const response = `big.txt
+\`\`\`
+<<<<<<< SEARCH
+line 150
+line 151
+=======
+line 150
+inserted
+line 151
+>>>>>>> REPLACE
+\`\`\``;
+
+      const result = DiffApplier.applyDiffs(response, testDir, false);
+
+      assert.deepStrictEqual(result, { filesModified: ['big.txt'], errors: [], failures: [], placements: [], violations: [] });
+      const updated = fs.readFileSync(path.join(testDir, 'big.txt'), 'utf-8').split('\n');
+      assert.deepStrictEqual(updated.slice(149, 152), ['line 150', 'inserted', 'line 151']);
+      assert.strictEqual(updated.length, 202);
+    });
+
+    it('should create a new file from an empty SEARCH', () => {
+      const response = `src/new.js
+<<<<<<< SEARCH
+=======
+module.exports = 1;
+>>>>>>> REPLACE`;
+
+      const result = DiffApplier.applyDiffs(response, testDir, false);
+
+      assert.deepStrictEqual(result.filesModified, ['src/new.js']);
+      assert.strictEqual(fs.readFileSync(path.join(testDir, 'src/new.js'), 'utf-8'), 'module.exports = 1;\n');
+    });
+
+    it('should reject SEARCH text that matches more than once', () => {
+      fs.writeFileSync(path.join(testDir, 'dup.js'), 'x();\ny();\nx();\n');
+
+      const result = DiffApplier.applyDiffs('dup.js\n<<<<<<< SEARCH\nx();\n=======\nz();\n>>>>>>> REPLACE', testDir, false);
+
+      assert.deepStrictEqual(result.filesModified, []);
+      assert.ok(result.errors[0].includes('matches 2 places'));
+      assert.strictEqual(fs.readFileSync(path.join(testDir, 'dup.js'), 'utf-8'), 'x();\ny();\nx();\n');
+    });
+
+    it('should only match whole lines', () => {
+      assert.throws(
+        () => DiffApplier.applyEdit('const value = 1;\n', { filePath: 'a.js', search: 'value = 1;', replace: 'value = 2;' }),
+        /SEARCH text not found/
+      );
+    });
+
+    it('should hint when the SEARCH text only differs in whitespace', () => {
+      assert.throws(
+        () => DiffApplier.applyEdit('  indented();\n', { filePath: 'a.js', search: 'indented();', replace: 'x();' }),
+        /matches if whitespace is ignored/
+      );
+    });
+
+    it('should leave a file unchanged if any of its blocks fails', () => {
+      fs.writeFileSync(path.join(testDir, 'a.js'), 'one\ntwo\n');
+
+      const response = `a.js
+<<<<<<< SEARCH
+one
+=======
+1
+>>>>>>> REPLACE
+<<<<<<< SEARCH
+three
+=======
+3
+>>>>>>> REPLACE`;
+
+      const result = DiffApplier.applyDiffs(response, testDir, false);
+
+      assert.deepStrictEqual(result.filesModified, []);
+      assert.ok(result.errors[0].startsWith('Failed to apply edit to a.js: block 2:'));
+      assert.strictEqual(fs.readFileSync(path.join(testDir, 'a.js'), 'utf-8'), 'one\ntwo\n');
+    });
+
+    it('should apply diffs and SEARCH/REPLACE blocks in the same response', () => {
+      fs.writeFileSync(path.join(testDir, 'a.txt'), 'a\n');
+      fs.writeFileSync(path.join(testDir, 'b.txt'), 'b\n');
+
+      const response = `\`\`\`diff
+--- a/a.txt
++++ b/a.txt
+@@ -1,1 +1,1 @@
+-a
++A
+\`\`\`
+b.txt
+<<<<<<< SEARCH
+b
+=======
+B
+>>>>>>> REPLACE`;
+
+      const result = DiffApplier.applyDiffs(response, testDir, false);
+
+      assert.deepStrictEqual(result.filesModified, ['a.txt', 'b.txt']);
+      assert.deepStrictEqual(DiffApplier.getAffectedPaths(response), ['a.txt', 'b.txt']);
+    });
+
+    it('should convert edits to diffs that apply to the same result', () => {
+      const original = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'].join('\n') + '\n';
+      fs.writeFileSync(path.join(testDir, 'f.txt'), original);
+
+      const response = 'f.txt\n<<<<<<< SEARCH\nd\ne\n=======\nD\n>>>>>>> REPLACE';
+      const { fileDiffs, errors } = DiffApplier.editsToFileDiffs(response, testDir);
+
+      assert.deepStrictEqual(errors, []);
+      assert.strictEqual(fileDiffs.length, 1);
+      assert.deepStrictEqual(fileDiffs[0].hunks[0].lines, [' a', ' b', ' c', '-d', '-e', '+D', ' f', ' g', ' h']);
+
+      const diffResponse = '```diff\n' + DiffApplier.formatDiff(fileDiffs) + '```';
+      DiffApplier.applyDiffs(diffResponse, testDir, false);
+      assert.strictEqual(fs.readFileSync(path.join(testDir, 'f.txt'), 'utf-8'), 'a\nb\nc\nD\nf\ng\nh\n');
+    });
+  });
+
+  describe('hunk placement', () => {
+    const numbered = count => Array.from({ length: count }, (_, i) => `line ${i + 1}`);
+
+    it('should apply a hunk at its line numbers with full confidence', () => {
+      const { lines, placement } = DiffApplier.placeHunk(numbered(10), {
+        oldStart: 4,
+        lines: [' line 4', '-line 5', '+LINE 5', ' line 6']
+      });
+
+      assert.strictEqual(lines[4], 'LINE 5');
+      assert.deepStrictEqual(placement, { expectedLine: 4, line: 4, confidence: 1, relocated: false });
+    });
+
+    it('should find the hunk anywhere in the file when its line numbers are wrong', () => {
+      fs.writeFileSync(path.join(testDir, 'big.txt'), numbered(200).join('\n') + '\n');
+
+      const response = '```diff\n--- a/big.txt\n+++ b/big.txt\n@@ -10,3 +10,3 @@\n line 149\n-line 150\n+LINE 150\n line 151\n```';
+      const result = DiffApplier.applyDiffs(response, testDir, false);
+
+      assert.deepStrictEqual(result.errors, []);
+      const updated = fs.readFileSync(path.join(testDir, 'big.txt'), 'utf-8').split('\n');
+      assert.strictEqual(updated[149], 'LINE 150');
+      assert.strictEqual(updated.length, 201);
+      assert.deepStrictEqual(result.placements, [
+        { file: 'big.txt', hunk: 1, expectedLine: 10, line: 149, confidence: 0.9, relocated: true }
+      ]);
+    });
+
+    it('should tolerate whitespace differences and keep the file\'s context lines', () => {
+      const fileLines = ['function a() {', '  return 1;  ', '}'];
+      const { lines, placement } = DiffApplier.placeHunk(fileLines, {
+        oldStart: 1,
+        lines: [' function a()  {', '-  return 1;', '+  return 2;', ' }']
+      });
+
+      assert.deepStrictEqual(lines, ['function a() {', '  return 2;', '}']);
+      assert.ok(placement.confidence < 1 && placement.confidence > 0.9);
+      assert.strictEqual(placement.relocated, false);
+    });
+
+    it('should reject a hunk whose context matches several places', () => {
+      const fileLines = ['start', 'x = 1;', 'y = 2;', 'middle', 'x = 1;', 'y = 2;', 'end'];
+
+      assert.throws(
+        () => DiffApplier.placeHunk(fileLines, { oldStart: 40, lines: [' x = 1;', '-y = 2;', '+y = 3;'] }),
+        /Ambiguous hunk.*2 places \(lines 2, 5\)/
+      );
+    });
+
+    it('should prefer an exact match over a whitespace-only one', () => {
+      const fileLines = ['  value();', 'other', 'value();'];
+      const { lines, placement } = DiffApplier.placeHunk(fileLines, { oldStart: 20, lines: ['-value();', '+done();'] });
+
+      assert.deepStrictEqual(lines, ['  value();', 'other', 'done();']);
+      assert.strictEqual(placement.line, 3);
+    });
+
+    it('should place later hunks after earlier ones', () => {
+      fs.writeFileSync(path.join(testDir, 'twice.txt'), 'a\nsame\nb\nsame\nc\n');
+
+      const response = '```diff\n--- a/twice.txt\n+++ b/twice.txt\n@@ -1,2 +1,2 @@\n a\n-same\n+first\n@@ -1,1 +1,1 @@\n-same\n+second\n```';
+      const result = DiffApplier.applyDiffs(response, testDir, false);
+
+      assert.deepStrictEqual(result.errors, []);
+      assert.strictEqual(fs.readFileSync(path.join(testDir, 'twice.txt'), 'utf-8'), 'a\nfirst\nb\nsecond\nc\n');
+    });
+
+    it('should report a hunk whose context is not in the file', () => {
+      fs.writeFileSync(path.join(testDir, 'f.txt'), 'a\nb\nc\n');
+
+      const response = '```diff\n--- a/f.txt\n+++ b/f.txt\n@@ -1,2 +1,2 @@\n a\n-missing\n+found\n```';
+      const result = DiffApplier.applyDiffs(response, testDir, false);
+
+      assert.strictEqual(result.errors.length, 1);
+      assert.match(result.errors[0], /Could not find hunk context/);
+      assert.strictEqual(fs.readFileSync(path.join(testDir, 'f.txt'), 'utf-8'), 'a\nb\nc\n');
+    });
+
+    it('should honor "No newline at end of file" markers', () => {
+      fs.writeFileSync(path.join(testDir, 'add.txt'), 'a\nb');
+      fs.writeFileSync(path.join(testDir, 'strip.txt'), 'a\nb\n');
+
+      const response = '```diff\n' +
+        '--- a/add.txt\n+++ b/add.txt\n@@ -1,2 +1,2 @@\n a\n-b\n\\ No newline at end of file\n+B\n' +
+        '--- a/strip.txt\n+++ b/strip.txt\n@@ -1,2 +1,2 @@\n a\n-b\n+B\n\\ No newline at end of file\n' +
+        '```';
+      const result = DiffApplier.applyDiffs(response, testDir, false);
+
+      assert.deepStrictEqual(result.errors, []);
+      assert.strictEqual(fs.readFileSync(path.join(testDir, 'add.txt'), 'utf-8'), 'a\nB\n');
+      assert.strictEqual(fs.readFileSync(path.join(testDir, 'strip.txt'), 'utf-8'), 'a\nB');
+    });
+  });
+
+  describe('transactional apply', () => {
+    const response = '```diff\n' +
+      '--- a/a.txt\n+++ b/a.txt\n@@ -1,1 +1,1 @@\n-a\n+A\n' +
+      '--- a/b.txt\n+++ b/b.txt\n@@ -1,1 +1,1 @@\n-missing\n+B\n' +
+      '```';
+
+    beforeEach(() => {
+      fs.writeFileSync(path.join(testDir, 'a.txt'), 'a\n');
+      fs.writeFileSync(path.join(testDir, 'b.txt'), 'b\n');
+    });
+
+    it('should write nothing if any change fails', () => {
+      const result = DiffApplier.applyDiffs(response, testDir, false, { transactional: true });
+
+      assert.deepStrictEqual(result.filesModified, []);
+      assert.strictEqual(result.errors.length, 2);
+      assert.match(result.errors[0], /b\.txt/);
+      assert.match(result.errors[1], /No files were changed/);
+      assert.strictEqual(fs.readFileSync(path.join(testDir, 'a.txt'), 'utf-8'), 'a\n');
+    });
+
+    it('should write the changes that apply when not transactional', () => {
+      const result = DiffApplier.applyDiffs(response, testDir, false);
+
+      assert.deepStrictEqual(result.filesModified, ['a.txt']);
+      assert.strictEqual(result.errors.length, 1);
+      assert.strictEqual(fs.readFileSync(path.join(testDir, 'a.txt'), 'utf-8'), 'A\n');
+    });
+
+    it('should copy the original files into the backup directory', () => {
+      const backupDir = path.join(testDir, 'backup');
+      const fine = '```diff\n--- a/a.txt\n+++ b/a.txt\n@@ -1,1 +1,1 @@\n-a\n+A\n--- /dev/null\n+++ b/new.txt\n@@ -0,0 +1,1 @@\n+new\n```';
+
+      const result = DiffApplier.applyDiffs(fine, testDir, false, { transactional: true, backupDir });
+
+      assert.deepStrictEqual(result.filesModified, ['a.txt', 'new.txt']);
+      assert.strictEqual(fs.readFileSync(path.join(backupDir, 'a.txt'), 'utf-8'), 'a\n');
+      assert.strictEqual(fs.existsSync(path.join(backupDir, 'new.txt')), false);
+      assert.deepStrictEqual(fs.readdirSync(testDir).sort(), ['a.txt', 'b.txt', 'backup', 'new.txt']);
+    });
+
+    it('should compute diffs and SEARCH/REPLACE blocks for the same file in order', () => {
+      const mixed = '```diff\n--- a/a.txt\n+++ b/a.txt\n@@ -1,1 +1,1 @@\n-a\n+A\n```\n\na.txt\n<<<<<<< SEARCH\nA\n=======\nAA\n>>>>>>> REPLACE\n';
+
+      const { files, errors } = DiffApplier.computeChanges(mixed, testDir);
+
+      assert.deepStrictEqual(errors, []);
+      assert.strictEqual(files.length, 1);
+      assert.strictEqual(files[0].oldContent, 'a\n');
+      assert.strictEqual(files[0].newContent, 'AA\n');
+      assert.strictEqual(fs.readFileSync(path.join(testDir, 'a.txt'), 'utf-8'), 'a\n');
+    });
+
+    it('should restore files already written when a later write fails', () => {
+      fs.mkdirSync(path.join(testDir, 'dir'));
+      fs.writeFileSync(path.join(testDir, 'dir', 'inside.txt'), 'x');
+      const files = [
+        { filePath: 'a.txt', fullPath: path.join(testDir, 'a.txt'), oldContent: 'a\n', newContent: 'A\n' },
+        { filePath: 'dir', fullPath: path.join(testDir, 'dir'), oldContent: '', newContent: 'not a directory' }
+      ];
+
+      assert.throws(() => DiffApplier.writeChanges(files));
+
+      assert.strictEqual(fs.readFileSync(path.join(testDir, 'a.txt'), 'utf-8'), 'a\n');
+      assert.deepStrictEqual(fs.readdirSync(testDir).sort(), ['a.txt', 'b.txt', 'dir']);
+    });
+
+    it('should back up and restore files as bytes', () => {
+      const bytes = Buffer.from([0x00, 0xff, 0xfe, 0x80, 0x0a]);
+      fs.writeFileSync(path.join(testDir, 'data.bin'), bytes);
+      fs.mkdirSync(path.join(testDir, 'dir'));
+      fs.writeFileSync(path.join(testDir, 'dir', 'inside.txt'), 'x');
+      const backupDir = path.join(testDir, 'backup');
+      const data = { filePath: 'data.bin', fullPath: path.join(testDir, 'data.bin'), oldContent: bytes.toString('utf-8'), newContent: 'text\n' };
+      const dir = { filePath: 'dir', fullPath: path.join(testDir, 'dir'), oldContent: '', newContent: 'not a directory' };
+
+      assert.throws(() => DiffApplier.writeChanges([data, dir]));
+      assert.deepStrictEqual(fs.readFileSync(path.join(testDir, 'data.bin')), bytes);
+
+      DiffApplier.writeChanges([data], { backupDir });
+      assert.deepStrictEqual(fs.readFileSync(path.join(backupDir, 'data.bin')), bytes);
+      assert.strictEqual(fs.readFileSync(path.join(testDir, 'data.bin'), 'utf-8'), 'text\n');
+    });
+  });
+
+  describe('checkChanges', () => {
+    it('should write nothing when the check rejects the changes', () => {
+      fs.writeFileSync(path.join(testDir, 'a.txt'), 'a\n');
+      const seen = [];
+
+      const result = DiffApplier.applyDiffs('```diff\n--- a/a.txt\n+++ b/a.txt\n@@ -1,1 +1,1 @@\n-a\n+b\n```', testDir, false, {
+        checkChanges: files => {
+          seen.push(...files.map(file => [file.filePath, file.oldContent, file.newContent]));
+          return ['1 files changed, more than the limit of 0 (limits.maxFiles)'];
+        }
+      });
+
+      assert.deepStrictEqual(seen, [['a.txt', 'a\n', 'b\n']]);
+      assert.strictEqual(fs.readFileSync(path.join(testDir, 'a.txt'), 'utf-8'), 'a\n');
+      assert.deepStrictEqual(result.filesModified, []);
+      assert.deepStrictEqual(result.errors, ['No files were changed because the changes are too large: 1 files changed, more than the limit of 0 (limits.maxFiles)']);
+    });
+  });
+
+  describe('syntax validation', () => {
+    it('should reject changes that introduce a syntax error', () => {
+      fs.writeFileSync(path.join(testDir, 'a.js'), 'const a = 1;\n');
+      fs.writeFileSync(path.join(testDir, 'b.json'), '{"b": 1}\n');
+
+      const response = '```diff\n' +
+        '--- a/a.js\n+++ b/a.js\n@@ -1,1 +1,1 @@\n-const a = 1;\n+const a = (1;\n' +
+        '--- a/b.json\n+++ b/b.json\n@@ -1,1 +1,1 @@\n-{"b": 1}\n+{"b": 2}\n' +
+        '```';
+      const result = DiffApplier.applyDiffs(response, testDir, false, { validate: true });
+
+      assert.deepStrictEqual(result.filesModified, ['b.json']);
+      assert.strictEqual(result.errors.length, 1);
+      assert.match(result.errors[0], /^Rejected a\.js: JavaScript syntax error\na\.js:1/);
+      assert.strictEqual(fs.readFileSync(path.join(testDir, 'a.js'), 'utf-8'), 'const a = 1;\n');
+    });
+
+    it('should allow changes to a file that was already broken', () => {
+      fs.writeFileSync(path.join(testDir, 'c.json'), '{ broken\n');
+
+      const response = '```diff\n--- a/c.json\n+++ b/c.json\n@@ -1,1 +1,1 @@\n-{ broken\n+{ still broken\n```';
+      const result = DiffApplier.applyDiffs(response, testDir, false, { validate: true });
+
+      assert.deepStrictEqual(result.filesModified, ['c.json']);
+      assert.deepStrictEqual(result.errors, []);
+    });
+  });
+
+  describe('withoutFiles', () => {
+    it('should keep only the diffs and blocks for other files', () => {
+      const response = 'Some reasoning\n\n```diff\n' +
+        '--- a/a.txt\n+++ b/a.txt\n@@ -1,1 +1,1 @@\n-a\n+A\n' +
+        '--- a/b.txt\n+++ b/b.txt\n@@ -1,1 +1,1 @@\n-b\n+B\n' +
+        '```\n\nc.txt\n<<<<<<< SEARCH\nc\n=======\nC\n>>>>>>> REPLACE\n\nd.txt\n<<<<<<< SEARCH\n=======\nnew\n>>>>>>> REPLACE\n';
+
+      const kept = DiffApplier.withoutFiles(response, ['a.txt', 'c.txt']);
+
+      assert.strictEqual(kept, '```diff\n--- a/b.txt\n+++ b/b.txt\n@@ -1,1 +1,1 @@\n-b\n+B\n```\n\nd.txt\n<<<<<<< SEARCH\n=======\nnew\n>>>>>>> REPLACE');
+      assert.deepStrictEqual(DiffApplier.parseEditBlocks(kept).edits, [{ filePath: 'd.txt', search: '', replace: 'new' }]);
+    });
+
+    it('should keep "No newline at end of file" markers', () => {
+      const diff = '--- a/a.txt\n+++ b/a.txt\n@@ -1,2 +1,2 @@\n a\n-b\n\\ No newline at end of file\n+B\n\\ No newline at end of file\n';
+      const fileDiffs = DiffApplier.parseDiff(diff);
+
+      assert.strictEqual(DiffApplier.formatDiff(fileDiffs), diff);
+    });
+  });
+
+  describe('failures', () => {
+    it('should report the file and line of each failed change', () => {
+      fs.writeFileSync(path.join(testDir, 'a.txt'), 'one\ntwo\nthree\n');
+
+      const response = '```diff\n--- a/a.txt\n+++ b/a.txt\n@@ -1,2 +1,2 @@\n one\n-too\n+TWO\n```\n\nb.txt\n<<<<<<< SEARCH\nx\n=======\ny\n>>>>>>> REPLACE';
+      const result = DiffApplier.applyDiffs(response, testDir, false);
+
+      assert.deepStrictEqual(result.failures, [
+        { file: 'a.txt', message: result.errors[0], line: 2 },
+        { file: 'b.txt', message: result.errors[1], line: null }
+      ]);
+      assert.match(result.errors[0], /Expected "too" at line 2, but line 2 is "two"/);
+    });
+  });
+
+  describe('git patches', () => {
+    const apply = diff => DiffApplier.applyDiffs('```diff\n' + diff + '```', testDir, false);
+
+    it('should parse git extended headers', () => {
+      const fileDiffs = DiffApplier.parseDiff(
+        'diff --git a/src/old.js b/lib/new.js\nsimilarity index 90%\nrename from src/old.js\nrename to lib/new.js\n' +
+        'diff --git a/run.sh b/run.sh\nold mode 100644\nnew mode 100755\n'
+      );
+
+      assert.strictEqual(fileDiffs.length, 2);
+      assert.strictEqual(fileDiffs[0].oldPath, 'src/old.js');
+      assert.strictEqual(fileDiffs[0].newPath, 'lib/new.js');
+      assert.strictEqual(fileDiffs[0].isRename, true);
+      assert.strictEqual(fileDiffs[0].similarity, 90);
+      assert.strictEqual(fileDiffs[1].oldMode, '100644');
+      assert.strictEqual(fileDiffs[1].newMode, '100755');
+    });
+
+    it('should rename a file without leaving the original behind', () => {
+      fs.mkdirSync(path.join(testDir, 'src'));
+      fs.writeFileSync(path.join(testDir, 'src', 'util.js'), 'module.exports = 1;\n');
+
+      const result = apply('diff --git a/src/util.js b/lib/util.js\nsimilarity index 100%\nrename from src/util.js\nrename to lib/util.js\n');
+
+      assert.deepStrictEqual(result.errors, []);
+      assert.strictEqual(fs.existsSync(path.join(testDir, 'src', 'util.js')), false);
+      assert.strictEqual(fs.readFileSync(path.join(testDir, 'lib', 'util.js'), 'utf-8'), 'module.exports = 1;\n');
+    });
+
+    it('should rename and edit a file in one patch', () => {
+      fs.writeFileSync(path.join(testDir, 'old.js'), 'const a = 1;\nmodule.exports = a;\n');
+
+      const result = apply(
+        'diff --git a/old.js b/new.js\nsimilarity index 60%\nrename from old.js\nrename to new.js\nindex 1234567..89abcde 100644\n' +
+        '--- a/old.js\n+++ b/new.js\n@@ -1,2 +1,2 @@\n-const a = 1;\n+const a = 2;\n module.exports = a;\n'
+      );
+
+      assert.deepStrictEqual(result.errors, []);
+      assert.strictEqual(fs.existsSync(path.join(testDir, 'old.js')), false);
+      assert.strictEqual(fs.readFileSync(path.join(testDir, 'new.js'), 'utf-8'), 'const a = 2;\nmodule.exports = a;\n');
+    });
+
+    it('should keep the original when a rename fails', () => {
+      fs.writeFileSync(path.join(testDir, 'old.js'), 'const a = 1;\n');
+
+      const result = apply(
+        'diff --git a/old.js b/new.js\nrename from old.js\nrename to new.js\n' +
+        '--- a/old.js\n+++ b/new.js\n@@ -1,1 +1,1 @@\n-const b = 1;\n+const b = 2;\n'
+      );
+
+      assert.strictEqual(result.failures.length, 1);
+      assert.strictEqual(result.failures[0].file, 'new.js');
+      assert.strictEqual(fs.existsSync(path.join(testDir, 'old.js')), true);
+      assert.strictEqual(fs.existsSync(path.join(testDir, 'new.js')), false);
+    });
+
+    it('should not rename onto an existing file', () => {
+      fs.writeFileSync(path.join(testDir, 'a.txt'), 'a\n');
+      fs.writeFileSync(path.join(testDir, 'b.txt'), 'b\n');
+
+      const result = apply('diff --git a/a.txt b/b.txt\nrename from a.txt\nrename to b.txt\n');
+
+      assert.match(result.errors[0], /b\.txt already exists/);
+      assert.strictEqual(fs.readFileSync(path.join(testDir, 'b.txt'), 'utf-8'), 'b\n');
+    });
+
+    it('should move a binary file byte for byte', () => {
+      const bytes = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0xff, 0xfe, 0x00, 0x80]);
+      fs.writeFileSync(path.join(testDir, 'logo.png'), bytes);
+
+      const result = apply('diff --git a/logo.png b/assets/logo.png\nsimilarity index 100%\nrename from logo.png\nrename to assets/logo.png\n');
+
+      assert.deepStrictEqual(result.errors, []);
+      assert.strictEqual(fs.existsSync(path.join(testDir, 'logo.png')), false);
+      assert.deepStrictEqual(fs.readFileSync(path.join(testDir, 'assets', 'logo.png')), bytes);
+    });
+
+    it('should copy a file', () => {
+      fs.writeFileSync(path.join(testDir, 'a.txt'), 'a\n');
+
+      const result = apply('diff --git a/a.txt b/c.txt\nsimilarity index 100%\ncopy from a.txt\ncopy to c.txt\n');
+
+      assert.deepStrictEqual(result.errors, []);
+      assert.strictEqual(fs.readFileSync(path.join(testDir, 'a.txt'), 'utf-8'), 'a\n');
+      assert.strictEqual(fs.readFileSync(path.join(testDir, 'c.txt'), 'utf-8'), 'a\n');
+    });
+
+    it('should create empty files and delete files from git headers', () => {
+      fs.writeFileSync(path.join(testDir, 'gone.txt'), 'bye\n');
+
+      const result = apply(
+        'diff --git a/.gitkeep b/.gitkeep\nnew file mode 100644\nindex 0000000..e69de29\n' +
+        'diff --git a/gone.txt b/gone.txt\ndeleted file mode 100644\nindex 1234567..0000000\n--- a/gone.txt\n+++ /dev/null\n@@ -1 +0,0 @@\n-bye\n'
+      );
+
+      assert.deepStrictEqual(result.errors, []);
+      assert.strictEqual(fs.readFileSync(path.join(testDir, '.gitkeep'), 'utf-8'), '');
+      assert.strictEqual(fs.existsSync(path.join(testDir, 'gone.txt')), false);
+    });
+
+    it('should end new files with a newline unless marked otherwise', () => {
+      apply('--- /dev/null\n+++ b/a.txt\n@@ -0,0 +1,2 @@\n+one\n+two\n');
+      apply('--- /dev/null\n+++ b/b.txt\n@@ -0,0 +1,1 @@\n+one\n\\ No newline at end of file\n');
+
+      assert.strictEqual(fs.readFileSync(path.join(testDir, 'a.txt'), 'utf-8'), 'one\ntwo\n');
+      assert.strictEqual(fs.readFileSync(path.join(testDir, 'b.txt'), 'utf-8'), 'one');
+    });
+
+    it('should change file modes and keep them on edits', { skip: process.platform === 'win32' && 'No POSIX modes' }, () => {
+      const script = path.join(testDir, 'run.sh');
+      fs.writeFileSync(script, 'echo hi\n');
+      fs.chmodSync(script, 0o644);
+
+      let result = apply('diff --git a/run.sh b/run.sh\nold mode 100644\nnew mode 100755\n');
+      assert.deepStrictEqual(result.filesModified, ['run.sh']);
+      assert.strictEqual(fs.statSync(script).mode & 0o777, 0o755);
+
+      result = apply('--- a/run.sh\n+++ b/run.sh\n@@ -1,1 +1,1 @@\n-echo hi\n+echo hello\n');
+      assert.deepStrictEqual(result.errors, []);
+      assert.strictEqual(fs.readFileSync(script, 'utf-8'), 'echo hello\n');
+      assert.strictEqual(fs.statSync(script).mode & 0o777, 0o755);
+    });
+
+    it('should keep CRLF line endings', () => {
+      const file = path.join(testDir, 'win.txt');
+      fs.writeFileSync(file, 'one\r\ntwo\r\nthree\r\n');
+
+      let result = apply('--- a/win.txt\n+++ b/win.txt\n@@ -1,3 +1,3 @@\n one\n-two\n+TWO\n three\n');
+      assert.deepStrictEqual(result.errors, []);
+      assert.strictEqual(fs.readFileSync(file, 'utf-8'), 'one\r\nTWO\r\nthree\r\n');
+
+      result = DiffApplier.applyDiffs('win.txt\n<<<<<<< SEARCH\nthree\n=======\nTHREE\n>>>>>>> REPLACE', testDir, false);
+      assert.deepStrictEqual(result.errors, []);
+      assert.strictEqual(fs.readFileSync(file, 'utf-8'), 'one\r\nTWO\r\nTHREE\r\n');
+    });
+
+    it('should reject binary patches', () => {
+      const result = apply('diff --git a/logo.png b/logo.png\nindex 1234567..89abcde 100644\nBinary files a/logo.png and b/logo.png differ\n');
+
+      assert.match(result.errors[0], /Binary patches are not supported/);
+    });
+
+    it('should format git headers back into diff text', () => {
+      const diff = 'diff --git a/old.js b/new.js\nsimilarity index 60%\nrename from old.js\nrename to new.js\n' +
+        '--- a/old.js\n+++ b/new.js\n@@ -1,1 +1,1 @@\n-a\n+b\n' +
+        'diff --git a/run.sh b/run.sh\nold mode 100644\nnew mode 100755\n';
+
+      assert.strictEqual(DiffApplier.formatDiff(DiffApplier.parseDiff(diff)), diff);
+    });
+  });
+
+  describe('write policy', () => {
+    it('should never write outside the workspace or into .git', () => {
+      const outside = path.join(path.dirname(testDir), `${path.basename(testDir)}-outside.txt`);
+      const response = '```diff\n' +
+        `--- /dev/null\n+++ b/../${path.basename(outside)}\n@@ -0,0 +1,1 @@\n+escaped\n` +
+        '--- /dev/null\n+++ b/.git/hooks/pre-commit\n@@ -0,0 +1,1 @@\n+evil\n' +
+        '--- /dev/null\n+++ b/ok.txt\n@@ -0,0 +1,1 @@\n+ok\n```\n\n' +
+        '/etc/hosts\n<<<<<<< SEARCH\n=======\nevil\n>>>>>>> REPLACE';
+
+      const result = DiffApplier.applyDiffs(response, testDir, false, { transactional: true });
+
+      assert.strictEqual(fs.existsSync(outside), false);
+      assert.strictEqual(fs.existsSync(path.join(testDir, '.git')), false);
+      assert.deepStrictEqual(result.filesModified, ['ok.txt']);
+      assert.deepStrictEqual(result.errors, []);
+      assert.deepStrictEqual(result.violations.map(v => v.reason), ['outside-workspace', 'protected', 'outside-workspace']);
+    });
+
+    it('should apply the policy passed in', () => {
+      fs.writeFileSync(path.join(testDir, '.wiggumizer.yml'), 'a: 1\n');
+      fs.writeFileSync(path.join(testDir, 'old.txt'), 'old\n');
+      const policy = new WritePolicy({ cwd: testDir, protected: ['.wiggumizer.yml'] });
+      const response = '```diff\n' +
+        '--- a/.wiggumizer.yml\n+++ b/.wiggumizer.yml\n@@ -1,1 +1,1 @@\n-a: 1\n+a: 2\n' +
+        '--- a/old.txt\n+++ /dev/null\n@@ -1,1 +0,0 @@\n-old\n```';
+
+      const result = DiffApplier.applyDiffs(response, testDir, false, { policy });
+
+      assert.strictEqual(fs.readFileSync(path.join(testDir, '.wiggumizer.yml'), 'utf-8'), 'a: 1\n');
+      assert.strictEqual(fs.existsSync(path.join(testDir, 'old.txt')), true);
+      assert.deepStrictEqual(result.violations.map(v => [v.file, v.reason]), [['.wiggumizer.yml', 'protected'], ['old.txt', 'delete']]);
+    });
+
+    it('should allow renames, but not of protected files', () => {
+      fs.writeFileSync(path.join(testDir, 'a.txt'), 'a\n');
+      fs.writeFileSync(path.join(testDir, '.env'), 'KEY=1\n');
+      const policy = new WritePolicy({ cwd: testDir, protected: ['.env'] });
+      const response = '```diff\n' +
+        'diff --git a/a.txt b/b.txt\nrename from a.txt\nrename to b.txt\n' +
+        'diff --git a/.env b/env.txt\nrename from .env\nrename to env.txt\n```';
+
+      const result = DiffApplier.applyDiffs(response, testDir, false, { policy });
+
+      assert.deepStrictEqual(result.filesModified.sort(), ['a.txt', 'b.txt']);
+      assert.strictEqual(fs.existsSync(path.join(testDir, '.env')), true);
+      assert.strictEqual(fs.existsSync(path.join(testDir, 'env.txt')), false);
+      assert.deepStrictEqual(result.violations.map(v => v.file), ['.env']);
+    });
+  });
 });
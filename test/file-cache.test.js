@@ -0,0 +1,153 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const FileCache = require('../src/file-cache');
+const FileSelector = require('../src/file-selector');
+
+// Move a file's mtime so the change is seen however coarse the file system's timestamps are
+function touch(file, seconds) {
+  const time = new Date(Date.now() + seconds * 1000);
+  fs.utimesSync(file, time, time);
+}
+
+describe('FileCache', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wiggumizer-cache-'));
+    fs.mkdirSync(path.join(tempDir, 'src'));
+    fs.writeFileSync(path.join(tempDir, 'src', 'a.js'), 'a();\n');
+    fs.writeFileSync(path.join(tempDir, 'src', 'b.js'), 'b();\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should list a directory again only when it changed', () => {
+    const cache = new FileCache();
+    const dir = path.join(tempDir, 'src');
+
+    const first = cache.list(dir);
+    assert.deepStrictEqual(first.map(entry => entry.name).sort(), ['a.js', 'b.js']);
+    assert.strictEqual(cache.list(dir), first);
+
+    fs.writeFileSync(path.join(dir, 'c.js'), 'c();\n');
+    touch(dir, 10);
+    assert.deepStrictEqual(cache.list(dir).map(entry => entry.name).sort(), ['a.js', 'b.js', 'c.js']);
+  });
+
+  it('should read a file again only when its size or mtime changed', () => {
+    const cache = new FileCache();
+    const file = path.join(tempDir, 'src', 'a.js');
+
+    cache.stat(file);
+    assert.strictEqual(cache.read(file), 'a();\n');
+    cache.stat(file);
+    assert.strictEqual(cache.read(file), 'a();\n');
+    assert.strictEqual(cache.reads, 1);
+
+    fs.writeFileSync(file, 'changed();\n');
+    cache.stat(file);
+    assert.strictEqual(cache.read(file), 'changed();\n');
+    assert.strictEqual(cache.reads, 2);
+  });
+
+  it('should forget files that were removed', () => {
+    const cache = new FileCache();
+    const file = path.join(tempDir, 'src', 'a.js');
+
+    cache.read(file);
+    fs.unlinkSync(file);
+
+    assert.throws(() => cache.stat(file), { code: 'ENOENT' });
+    assert.ok(!cache.files.has(file));
+  });
+
+  it('should drop the least recently read contents past maxContentSize', () => {
+    const cache = new FileCache({ maxContentSize: 12 });
+    const [a, b] = ['a.js', 'b.js'].map(name => path.join(tempDir, 'src', name));
+    fs.writeFileSync(path.join(tempDir, 'src', 'c.js'), 'c();\n');
+    const c = path.join(tempDir, 'src', 'c.js');
+
+    cache.read(a);
+    cache.read(b);
+    cache.read(a);
+    cache.read(c);
+
+    assert.strictEqual(cache.contentSize, 10);
+    assert.deepStrictEqual([...cache.contents.keys()], [a, c]);
+    assert.strictEqual(cache.files.get(b).content, null);
+    assert.ok(cache.files.has(b));
+
+    assert.strictEqual(cache.read(b), 'b();\n');
+    assert.strictEqual(cache.reads, 4);
+  });
+
+  it('should forget everything under a removed directory', () => {
+    fs.mkdirSync(path.join(tempDir, 'src', 'lib'));
+    fs.writeFileSync(path.join(tempDir, 'src', 'lib', 'util.js'), 'util();\n');
+    const cache = new FileCache();
+    cache.list(tempDir);
+    cache.list(path.join(tempDir, 'src'));
+    cache.list(path.join(tempDir, 'src', 'lib'));
+    cache.read(path.join(tempDir, 'src', 'a.js'));
+    cache.read(path.join(tempDir, 'src', 'lib', 'util.js'));
+
+    fs.rmSync(path.join(tempDir, 'src'), { recursive: true });
+    touch(tempDir, 10);
+    cache.list(tempDir);
+
+    assert.deepStrictEqual([...cache.files.keys()], []);
+    assert.deepStrictEqual([...cache.directories.keys()], [tempDir]);
+    assert.strictEqual(cache.contentSize, 0);
+  });
+
+  describe('FileSelector', () => {
+    it('should re-read only the files that changed since the last iteration', () => {
+      const cache = new FileCache();
+      const read = () => new FileSelector({ cwd: tempDir, cache }).getFilesWithContent();
+
+      read();
+      assert.strictEqual(cache.reads, 2);
+
+      read();
+      assert.strictEqual(cache.reads, 2);
+
+      fs.writeFileSync(path.join(tempDir, 'src', 'b.js'), 'b(1);\n');
+      touch(path.join(tempDir, 'src', 'b.js'), 10);
+      const files = read();
+      assert.strictEqual(cache.reads, 3);
+      assert.strictEqual(files.find(file => file.path.endsWith('b.js')).content, 'b(1);\n');
+    });
+
+    it('should not walk excluded or gitignored directories', () => {
+      fs.mkdirSync(path.join(tempDir, 'node_modules', 'pkg'), { recursive: true });
+      fs.writeFileSync(path.join(tempDir, 'node_modules', 'pkg', 'index.js'), '');
+      fs.mkdirSync(path.join(tempDir, 'out'));
+      fs.writeFileSync(path.join(tempDir, 'out', 'bundle.js'), '');
+      fs.writeFileSync(path.join(tempDir, '.gitignore'), 'out/\n');
+
+      const cache = new FileCache();
+      const selector = new FileSelector({ cwd: tempDir, exclude: ['node_modules/**'], cache });
+      const files = selector.getFiles().map(file => file.split(path.sep).join('/')).sort();
+
+      assert.deepStrictEqual(files, ['src/a.js', 'src/b.js']);
+      assert.ok(!cache.directories.has(path.join(tempDir, 'node_modules')));
+      assert.ok(!cache.directories.has(path.join(tempDir, 'out')));
+    });
+
+    it('should still walk directories an exclude pattern only partly covers', () => {
+      fs.mkdirSync(path.join(tempDir, 'lib'));
+      fs.writeFileSync(path.join(tempDir, 'lib', 'util.js'), '');
+      fs.writeFileSync(path.join(tempDir, 'lib', 'util.min.js'), '');
+
+      const selector = new FileSelector({ cwd: tempDir, exclude: ['*.min.js', 'lib/*.test.js'] });
+      const files = selector.getFiles().map(file => file.split(path.sep).join('/')).sort();
+
+      assert.deepStrictEqual(files, ['lib/util.js', 'src/a.js', 'src/b.js']);
+    });
+  });
+});
@@ -0,0 +1,205 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const FileSelector = require('../src/file-selector');
+
+describe('FileSelector', () => {
+  describe('ignore files', () => {
+    let tempDir;
+
+    const write = (file, content = '') => {
+      fs.mkdirSync(path.dirname(path.join(tempDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(tempDir, file), content);
+    };
+    const select = (options = {}) => new FileSelector({ cwd: tempDir, ...options })
+      .getFiles()
+      .map(file => file.split(path.sep).join('/'))
+      .sort();
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wiggumizer-ignore-'));
+      write('src/app.js');
+      write('src/generated/schema.js');
+      write('packages/api/index.js');
+      write('packages/api/fixtures/big.json');
+      write('packages/api/fixtures/keep.json');
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should apply nested .gitignore files relative to their directory', () => {
+      write('packages/api/.gitignore', 'fixtures/\n/index.js\n');
+      write('packages/api/lib/index.js');
+
+      assert.deepStrictEqual(select(), ['packages/api/lib/index.js', 'src/app.js', 'src/generated/schema.js']);
+    });
+
+    it('should let a nested .gitignore re-include what a parent ignores', () => {
+      write('.gitignore', '*.json\n');
+      write('packages/api/fixtures/.gitignore', '!keep.json\n');
+
+      assert.deepStrictEqual(select(), [
+        'packages/api/fixtures/keep.json', 'packages/api/index.js', 'src/app.js', 'src/generated/schema.js'
+      ]);
+    });
+
+    it('should apply .git/info/exclude', () => {
+      write('.git/info/exclude', 'src/generated/\n');
+
+      assert.deepStrictEqual(select(), [
+        'packages/api/fixtures/big.json', 'packages/api/fixtures/keep.json', 'packages/api/index.js', 'src/app.js'
+      ]);
+    });
+
+    it('should hide paths listed in .wiggumizerignore at any level', () => {
+      write('.wiggumizerignore', 'generated/\n');
+      write('packages/api/.wiggumizerignore', 'fixtures/big.json\n');
+
+      assert.deepStrictEqual(select(), ['packages/api/fixtures/keep.json', 'packages/api/index.js', 'src/app.js']);
+    });
+
+    it('should let .wiggumizerignore re-include gitignored files', () => {
+      write('.gitignore', 'fixtures/\n*.json\n');
+      write('.wiggumizerignore', '!keep.json\n');
+      write('packages/api/keep.json');
+
+      assert.deepStrictEqual(select(), ['packages/api/index.js', 'packages/api/keep.json', 'src/app.js', 'src/generated/schema.js']);
+    });
+
+    it('should apply .wiggumizerignore but not .gitignore when respectGitignore is off', () => {
+      write('.gitignore', 'src/\n');
+      write('.wiggumizerignore', 'packages/api/fixtures/\n');
+
+      assert.deepStrictEqual(select({ respectGitignore: false }), ['packages/api/index.js', 'src/app.js', 'src/generated/schema.js']);
+    });
+  });
+
+  describe('ecosystems', () => {
+    let tempDir;
+
+    const write = (file, content = '') => {
+      fs.mkdirSync(path.dirname(path.join(tempDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(tempDir, file), content);
+    };
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wiggumizer-ecosystems-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should send the source files of the detected ecosystem', () => {
+      write('go.mod', 'module example.com/app\n');
+      write('cmd/server/main.go');
+      write('internal/store/store.go');
+      write('internal/store/store_test.go');
+      write('notes.txt');
+
+      const selector = new FileSelector({ cwd: tempDir });
+      const files = selector.getFiles().map(file => file.split(path.sep).join('/'));
+
+      assert.deepStrictEqual([...files].sort(), ['cmd/server/main.go', 'go.mod', 'internal/store/store.go', 'internal/store/store_test.go']);
+      assert.ok(files.indexOf('internal/store/store.go') < files.indexOf('internal/store/store_test.go'));
+    });
+
+    it('should find ecosystems in subdirectories of polyglot repositories', () => {
+      write('package.json', '{}');
+      write('web/app.ts');
+      write('services/engine/Cargo.toml', '[package]\n');
+      write('services/engine/src/lib.rs');
+      write('services/billing/src/Main.java');
+
+      const files = new FileSelector({ cwd: tempDir }).getFiles().map(file => file.split(path.sep).join('/')).sort();
+
+      assert.deepStrictEqual(files, ['package.json', 'services/engine/Cargo.toml', 'services/engine/src/lib.rs', 'web/app.ts']);
+    });
+
+    it('should rank source code above config and docs of any ecosystem', () => {
+      write('Cargo.toml', '[package]\n');
+      write('src/main.rs');
+      write('README.md');
+
+      const selector = new FileSelector({ cwd: tempDir });
+      selector.getFiles();
+      const stats = { size: 100, mtime: new Date() };
+
+      assert.ok(selector.calculatePriority('src/main.rs', stats) > selector.calculatePriority('Cargo.toml', stats));
+      assert.ok(selector.calculatePriority('Cargo.toml', stats) > selector.calculatePriority('README.md', stats));
+    });
+
+    it('should use the given ecosystems instead of detecting them', () => {
+      write('go.mod', 'module example.com/app\n');
+      write('main.go');
+      write('lib.rb');
+
+      const files = new FileSelector({ cwd: tempDir, ecosystems: ['ruby'] }).getFiles().map(file => path.basename(file)).sort();
+
+      assert.deepStrictEqual(files, ['lib.rb']);
+    });
+  });
+
+  describe('explain', () => {
+    let tempDir;
+
+    const write = (file, content = '') => {
+      fs.mkdirSync(path.dirname(path.join(tempDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(tempDir, file), content);
+    };
+    const explain = (options = {}) => {
+      const selector = new FileSelector({ cwd: tempDir, explain: true, repoMapShare: 0, ...options });
+      selector.getFiles();
+      return new Map(selector.candidates.map(c => [c.path.split(path.sep).join('/'), c]));
+    };
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wiggumizer-explain-'));
+      write('package.json', '{}');
+      write('src/app.js', 'run();\n');
+      write('src/big.js', '// filler\n'.repeat(500));
+      write('dist/bundle.js');
+      write('notes.txt');
+      write('.gitignore', 'build/\n');
+      write('build/out.js');
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should give the reason each file was left out', () => {
+      const candidates = explain({ exclude: ['dist/**'], maxTokens: 500 });
+
+      assert.strictEqual(candidates.get('src/app.js').included, true);
+      assert.strictEqual(candidates.get('src/app.js').reason, null);
+      assert.strictEqual(candidates.get('src/big.js').reason, 'budget');
+      assert.strictEqual(candidates.get('dist/').reason, 'exclude');
+      assert.strictEqual(candidates.get('notes.txt').reason, 'extension');
+      assert.strictEqual(candidates.get('build/').reason, 'gitignore');
+    });
+
+    it('should report the file-count cap and a breakdown that adds up to the priority', () => {
+      const candidates = [...explain({ maxFiles: 1 }).values()].filter(c => c.priority !== null);
+
+      assert.deepStrictEqual(candidates.map(c => c.included), [true, false, false, false]);
+      assert.ok(candidates.slice(1).every(c => c.reason === 'max-files'));
+      for (const candidate of candidates) {
+        const points = Object.values(candidate.breakdown).reduce((sum, value) => sum + value, 0);
+        assert.strictEqual(Math.round(points * 10), Math.round(candidate.priority * 10));
+        assert.ok(candidate.tokens > 0);
+      }
+    });
+
+    it('should not record candidates unless asked', () => {
+      const selector = new FileSelector({ cwd: tempDir });
+      selector.getFiles();
+
+      assert.strictEqual(selector.candidates, null);
+    });
+  });
+});
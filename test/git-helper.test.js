@@ -46,6 +46,14 @@ describe('GitHelper', () => {
       assert.deepStrictEqual(files, ['initial.txt']);
     });
 
+    it('should detect modified tracked files (unstaged)', () => {
+      // git status shows ' M' - the leading space must not be lost
+      fs.writeFileSync(path.join(testDir, 'initial.txt'), 'modified content', 'utf-8');
+
+      const files = GitHelper.getModifiedFiles(testDir);
+      assert.deepStrictEqual(files, ['initial.txt']);
+    });
+
     it('should detect new untracked files', () => {
       // Create a new file
       fs.writeFileSync(path.join(testDir, 'newfile.txt'), 'new content', 'utf-8');
@@ -0,0 +1,128 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const ImportGraph = require('../src/import-graph');
+const FileSelector = require('../src/file-selector');
+
+describe('ImportGraph', () => {
+  describe('parseImports', () => {
+    it('should find require, import, export-from and dynamic imports', () => {
+      const content = [
+        "const a = require('./a');",
+        "import b, { c } from '../lib/b.js';",
+        "import './polyfill';",
+        "export * from './d';",
+        "const e = await import('./e');",
+        "const fs = require('fs');"
+      ].join('\n');
+
+      assert.deepStrictEqual(ImportGraph.parseImports(content, 'src/x.js').sort(), ['../lib/b.js', './a', './d', './e', './polyfill', 'fs']);
+    });
+
+    it('should find Python imports, including submodules imported from a package', () => {
+      const content = 'import os, app.models\nfrom . import utils\nfrom ..core.db import connect\n';
+
+      assert.deepStrictEqual(ImportGraph.parseImports(content, 'app/api/views.py').sort(), [
+        '.', '..core.db', '..core.db.connect', '.utils', 'app.models', 'os'
+      ]);
+    });
+  });
+
+  describe('resolve', () => {
+    const graph = new ImportGraph([
+      { path: 'src/app.ts', content: '' },
+      { path: 'src/lib/index.js', content: '' },
+      { path: 'app/models.py', content: '' },
+      { path: 'app/core/__init__.py', content: '' },
+      { path: 'app/api/views.py', content: '' }
+    ]);
+
+    it('should resolve relative JavaScript imports with extensions and index files', () => {
+      assert.strictEqual(graph.resolve('./lib', 'src/app.ts'), 'src/lib/index.js');
+      assert.strictEqual(graph.resolve('../app.js', 'src/lib/index.js'), 'src/app.ts');
+      assert.strictEqual(graph.resolve('lodash', 'src/app.ts'), null);
+    });
+
+    it('should resolve absolute and relative Python modules', () => {
+      assert.strictEqual(graph.resolve('app.models', 'app/api/views.py'), 'app/models.py');
+      assert.strictEqual(graph.resolve('..models', 'app/api/views.py'), 'app/models.py');
+      assert.strictEqual(graph.resolve('..core', 'app/api/views.py'), 'app/core/__init__.py');
+      assert.strictEqual(graph.resolve('os', 'app/api/views.py'), null);
+    });
+  });
+
+  describe('expand', () => {
+    const graph = new ImportGraph([
+      { path: 'src/cli.js', content: "require('./app');" },
+      { path: 'src/app.js', content: "require('./billing');" },
+      { path: 'src/billing.js', content: "require('./money');" },
+      { path: 'src/money.js', content: '' },
+      { path: 'src/other.js', content: '' }
+    ]);
+
+    it('should follow dependencies and dependents up to the depth', () => {
+      const reached = graph.expand(['src/billing.js'], 1);
+
+      assert.deepStrictEqual([...reached.keys()].sort(), ['src/app.js', 'src/money.js']);
+      assert.deepStrictEqual(reached.get('src/app.js'), { distance: 1, from: 'src/billing.js' });
+    });
+
+    it('should go further with a larger depth', () => {
+      const reached = graph.expand(['src/billing.js'], 2);
+
+      assert.deepStrictEqual(reached.get('src/cli.js'), { distance: 2, from: 'src/app.js' });
+      assert.strictEqual(reached.has('src/other.js'), false);
+    });
+  });
+
+  describe('definesAny', () => {
+    it('should find function, class, variable and Python definitions', () => {
+      assert.strictEqual(ImportGraph.definesAny('function chargeInvoice() {}', ['chargeInvoice']), true);
+      assert.strictEqual(ImportGraph.definesAny('class InvoiceStore {}', ['InvoiceStore']), true);
+      assert.strictEqual(ImportGraph.definesAny('def parse_args():\n', ['parse_args']), true);
+      assert.strictEqual(ImportGraph.definesAny('exports.total = 1;', ['total']), true);
+      assert.strictEqual(ImportGraph.definesAny('chargeInvoice(invoice);', ['chargeInvoice']), false);
+    });
+  });
+
+  describe('FileSelector following imports', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wiggumizer-imports-'));
+      fs.mkdirSync(path.join(tempDir, 'src'));
+      fs.writeFileSync(path.join(tempDir, 'src', 'billing.js'), "const money = require('./money');\nfunction chargeInvoice(invoice) {}\n");
+      fs.writeFileSync(path.join(tempDir, 'src', 'money.js'), 'module.exports = {};\n');
+      fs.writeFileSync(path.join(tempDir, 'src', 'checkout.js'), "const billing = require('./billing');\n");
+      for (const name of ['a', 'b', 'c', 'd']) {
+        fs.writeFileSync(path.join(tempDir, 'src', `${name}.js`), 'start();\n');
+      }
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    const select = options => new FileSelector({ cwd: tempDir, maxFiles: 3, ...options })
+      .getFiles()
+      .map(file => file.split(path.sep).join('/'));
+
+    it('should send the dependencies and dependents of the file defining a named symbol', () => {
+      const selector = new FileSelector({ cwd: tempDir, maxFiles: 3, relevance: { prompt: 'Round amounts in `chargeInvoice`' } });
+      const files = selector.getFiles().map(file => file.split(path.sep).join('/'));
+
+      assert.strictEqual(files[0], 'src/billing.js');
+      assert.deepStrictEqual(files.slice(1).sort(), ['src/checkout.js', 'src/money.js']);
+      assert.deepStrictEqual(selector.ranking[0].link, { seed: true });
+      assert.deepStrictEqual(selector.ranking[1].link, { distance: 1, from: 'src/billing.js' });
+    });
+
+    it('should not follow imports with importDepth 0', () => {
+      const files = select({ importDepth: 0, relevance: { prompt: 'Round amounts in `chargeInvoice`' } });
+
+      assert.ok(!files.includes('src/checkout.js'));
+    });
+  });
+});
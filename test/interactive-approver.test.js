@@ -0,0 +1,135 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const InteractiveApprover = require('../src/interactive-approver');
+
+const response = `## Changes:
+\`\`\`diff
+--- a/a.js
++++ b/a.js
+@@ -1,1 +1,1 @@
+-old
++new
+--- a/b.js
++++ b/b.js
+@@ -1,1 +1,1 @@
+-one
++two
+\`\`\``;
+
+function createApprover(answers, options = {}) {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  let written = '';
+  output.on('data', chunk => { written += chunk; });
+
+  input.write(answers.map(answer => `${answer}\n`).join(''));
+
+  const approver = new InteractiveApprover({ input, output, ...options });
+  return { approver, getOutput: () => written };
+}
+
+describe('InteractiveApprover', () => {
+  it('should accept all changes', async () => {
+    const { approver, getOutput } = createApprover(['a']);
+
+    const result = await approver.review(response, { iteration: 1 });
+
+    assert.deepStrictEqual(result.accepted, ['a.js', 'b.js']);
+    assert.deepStrictEqual(result.rejected, []);
+    assert.ok(result.changes.includes('+new'));
+    assert.ok(result.changes.includes('+two'));
+    assert.ok(getOutput().includes('Proposed changes (iteration 1): 2 file(s)'));
+  });
+
+  it('should reject all changes with a reason', async () => {
+    const { approver } = createApprover(['r', 'touches the public API']);
+
+    const result = await approver.review(response);
+
+    assert.deepStrictEqual(result.accepted, []);
+    assert.strictEqual(result.changes, '');
+    assert.deepStrictEqual(result.rejected, [
+      { file: 'a.js', reason: 'touches the public API' },
+      { file: 'b.js', reason: 'touches the public API' }
+    ]);
+  });
+
+  it('should accept and reject file by file', async () => {
+    const { approver } = createApprover(['f', 'y', 'n', '']);
+
+    const result = await approver.review(response);
+
+    assert.deepStrictEqual(result.accepted, ['a.js']);
+    assert.deepStrictEqual(result.rejected, [{ file: 'b.js', reason: null }]);
+    assert.ok(result.changes.includes('+new'));
+    assert.ok(!result.changes.includes('+two'));
+  });
+
+  it('should repeat the question on an invalid answer', async () => {
+    const { approver, getOutput } = createApprover(['x', 'a']);
+
+    const result = await approver.review(response);
+
+    assert.strictEqual(result.accepted.length, 2);
+    assert.strictEqual(getOutput().split('Apply these changes?').length, 3);
+  });
+
+  it('should apply edits made in the editor', async () => {
+    const { approver } = createApprover(['e', 'a'], { editor: "sed -i 's/^+new$/+edited/'" });
+
+    const result = await approver.review(response);
+
+    assert.ok(result.changes.includes('+edited'));
+    assert.ok(!result.changes.includes('+new'));
+    assert.deepStrictEqual(result.edited, ['a.js', 'b.js']);
+  });
+
+  it('should keep the original patch when the editor fails', async () => {
+    const { approver } = createApprover(['e', 'a'], { editor: 'false' });
+
+    const result = await approver.review(response);
+
+    assert.ok(result.changes.includes('+new'));
+    assert.deepStrictEqual(result.edited, []);
+  });
+
+  it('should pass responses without diffs through', async () => {
+    const { approver } = createApprover([]);
+
+    const result = await approver.review('NO CHANGES NEEDED');
+
+    assert.strictEqual(result.changes, 'NO CHANGES NEEDED');
+  });
+
+  it('should fail instead of hanging when input ends', async () => {
+    const input = new PassThrough();
+    input.end();
+    const approver = new InteractiveApprover({ input, output: new PassThrough() });
+
+    await assert.rejects(approver.review(response), /Input closed/);
+  });
+
+  it('should review SEARCH/REPLACE blocks as diffs', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wiggumizer-approver-test-'));
+    const originalCwd = process.cwd();
+    fs.writeFileSync(path.join(tempDir, 'c.js'), 'keep\nold\n');
+    process.chdir(tempDir);
+
+    try {
+      const { approver, getOutput } = createApprover(['a']);
+      const result = await approver.review('c.js\n<<<<<<< SEARCH\nold\n=======\nnew\n>>>>>>> REPLACE\nmissing.js\n<<<<<<< SEARCH\nx\n=======\ny\n>>>>>>> REPLACE');
+
+      assert.deepStrictEqual(result.accepted, ['c.js']);
+      assert.ok(result.changes.startsWith('```diff\n--- a/c.js'));
+      assert.ok(result.changes.includes('-old\n+new'));
+      assert.ok(getOutput().includes('Failed to apply edit to missing.js'));
+    } finally {
+      process.chdir(originalCwd);
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execSync } = require('child_process');
+const IterationCheckpoint = require('../src/iteration-checkpoint');
+const GitHelper = require('../src/git-helper');
+
+describe('IterationCheckpoint', () => {
+  let testDir;
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wiggumizer-checkpoint-test-'));
+    fs.writeFileSync(path.join(testDir, 'app.js'), 'const a = 1;\n');
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(testDir)) {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  describe('without git', () => {
+    it('should restore tracked files and remove created ones', () => {
+      const checkpoint = IterationCheckpoint.capture({ cwd: testDir, useGit: false });
+      checkpoint.track(['app.js', 'new.js']);
+
+      fs.writeFileSync(path.join(testDir, 'app.js'), 'broken(');
+      fs.writeFileSync(path.join(testDir, 'new.js'), 'created');
+
+      const result = checkpoint.restore(['app.js', 'new.js']);
+
+      assert.strictEqual(result.method, 'snapshot');
+      assert.deepStrictEqual(result.restored, ['app.js', 'new.js']);
+      assert.strictEqual(fs.readFileSync(path.join(testDir, 'app.js'), 'utf-8'), 'const a = 1;\n');
+      assert.strictEqual(fs.existsSync(path.join(testDir, 'new.js')), false);
+    });
+
+    it('should keep the first snapshot of a file', () => {
+      const checkpoint = IterationCheckpoint.capture({ cwd: testDir, useGit: false });
+      checkpoint.track(['app.js']);
+      fs.writeFileSync(path.join(testDir, 'app.js'), 'changed');
+      checkpoint.track(['app.js']);
+
+      checkpoint.restore(['app.js']);
+      assert.strictEqual(fs.readFileSync(path.join(testDir, 'app.js'), 'utf-8'), 'const a = 1;\n');
+    });
+
+    it('should report files it never saw', () => {
+      const checkpoint = IterationCheckpoint.capture({ cwd: testDir, useGit: false });
+      const result = checkpoint.restore(['app.js']);
+
+      assert.deepStrictEqual(result.restored, []);
+      assert.strictEqual(result.failed.length, 1);
+      assert.strictEqual(result.failed[0].file, 'app.js');
+    });
+  });
+
+  describe('with git', () => {
+    beforeEach(() => {
+      execSync('git init', { cwd: testDir, stdio: 'pipe' });
+      execSync('git config user.email "test@test.com"', { cwd: testDir, stdio: 'pipe' });
+      execSync('git config user.name "Test User"', { cwd: testDir, stdio: 'pipe' });
+      execSync('git add . && git commit -m "Initial commit"', { cwd: testDir, stdio: 'pipe' });
+    });
+
+    it('should restore uncommitted work from before the iteration', () => {
+      fs.writeFileSync(path.join(testDir, 'app.js'), 'const a = 2; // user edit\n');
+
+      const checkpoint = IterationCheckpoint.capture({ cwd: testDir });
+      fs.writeFileSync(path.join(testDir, 'app.js'), 'broken(');
+
+      const result = checkpoint.restore(['app.js']);
+
+      assert.strictEqual(result.method, 'git');
+      assert.strictEqual(fs.readFileSync(path.join(testDir, 'app.js'), 'utf-8'), 'const a = 2; // user edit\n');
+    });
+
+    it('should undo auto-commits and delete created files', () => {
+      const checkpoint = IterationCheckpoint.capture({ cwd: testDir });
+      const before = GitHelper.getCurrentCommit(testDir);
+
+      fs.writeFileSync(path.join(testDir, 'app.js'), 'broken(');
+      fs.writeFileSync(path.join(testDir, 'new.js'), 'created');
+      execSync('git add . && git commit -m "Iteration 1"', { cwd: testDir, stdio: 'pipe' });
+
+      const result = checkpoint.restore(['app.js', 'new.js']);
+
+      assert.deepStrictEqual(result.failed, []);
+      assert.strictEqual(GitHelper.getCurrentCommit(testDir), before);
+      assert.strictEqual(fs.readFileSync(path.join(testDir, 'app.js'), 'utf-8'), 'const a = 1;\n');
+      assert.strictEqual(fs.existsSync(path.join(testDir, 'new.js')), false);
+    });
+
+    it('should not delete untracked files it has no copy of', () => {
+      fs.writeFileSync(path.join(testDir, 'notes.txt'), 'user notes');
+
+      const checkpoint = IterationCheckpoint.capture({ cwd: testDir });
+      const result = checkpoint.restore(['notes.txt']);
+
+      assert.strictEqual(result.failed.length, 1);
+      assert.strictEqual(fs.readFileSync(path.join(testDir, 'notes.txt'), 'utf-8'), 'user notes');
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+const JsonReporter = require('../src/json-reporter');
+
+function readEvents(output) {
+  const data = output.read();
+  return data ? data.toString().trim().split('\n').map(line => JSON.parse(line)) : [];
+}
+
+describe('JsonReporter', () => {
+  it('should write an event as a single JSON line with type and timestamp', () => {
+    const output = new PassThrough();
+    const reporter = new JsonReporter({ output });
+
+    reporter.write('iteration:start', { iteration: 3, maxIterations: 20 });
+
+    const events = readEvents(output);
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].type, 'iteration:start');
+    assert.strictEqual(events[0].iteration, 3);
+    assert.ok(!Number.isNaN(Date.parse(events[0].timestamp)));
+  });
+
+  it('should keep multi-line text on one line', () => {
+    const output = new PassThrough();
+    new JsonReporter({ output }).write('output', { iteration: 1, text: 'first\nsecond\n' });
+
+    const raw = output.read().toString();
+    assert.strictEqual(raw.split('\n').length, 2);
+    assert.strictEqual(JSON.parse(raw).text, 'first\nsecond\n');
+  });
+
+  it('should forward loop events and ignore unknown ones', () => {
+    const output = new PassThrough();
+    const loop = new EventEmitter();
+    new JsonReporter({ output }).attach(loop);
+
+    loop.emit('session:start', { sessionId: 'abc' });
+    loop.emit('something-else', { ignored: true });
+    loop.emit('complete', { totalIterations: 1 });
+
+    const events = readEvents(output);
+    assert.deepStrictEqual(events.map(event => event.type), ['session:start', 'complete']);
+    assert.strictEqual(events[0].sessionId, 'abc');
+  });
+});
@@ -7,6 +7,10 @@ const os = require('os');
 // Import modules
 const RalphLoop = require('../src/loop');
 const WorkspaceManager = require('../src/workspace-manager');
+const InteractiveApprover = require('../src/interactive-approver');
+const SummaryGenerator = require('../src/summary-generator');
+const JsonReporter = require('../src/json-reporter');
+const { PassThrough } = require('stream');
 
 describe('RalphLoop Integration with WorkspaceManager', () => {
   let tempDir;
@@ -226,4 +230,1004 @@ describe('RalphLoop Integration with WorkspaceManager', () => {
       assert.ok(Array.isArray(result.files));
     });
   });
+
+  describe('Automatic rollback', () => {
+    const breakingDiff = `## Summary:
+Break the status file
+
+## Changes:
+\`\`\`diff
+--- a/status.txt
++++ b/status.txt
+@@ -1,1 +1,1 @@
+-ok
++broken
+\`\`\``;
+
+    function createLoop(rollback) {
+      fs.writeFileSync(path.join(tempDir, 'status.txt'), 'ok\n');
+      fs.writeFileSync(path.join(tempDir, 'PROMPT.md'), '# Task\nKeep status ok');
+
+      const loop = new RalphLoop({
+        prompt: 'Keep status ok',
+        provider: 'claude',
+        maxIterations: 2,
+        validation: {
+          autoDetect: false,
+          customChecks: [{ name: 'Status', command: 'grep -qx ok status.txt', required: true }]
+        },
+        rollback
+      });
+
+      const contexts = [];
+      loop.provider = {
+        iterate: async ({ context }) => {
+          contexts.push(context);
+          return { hasChanges: true, changes: breakingDiff, summary: 'Break the status file', raw: breakingDiff };
+        }
+      };
+
+      return { loop, contexts };
+    }
+
+    it('should revert an iteration that breaks a passing check and report it next iteration', async () => {
+      const { loop, contexts } = createLoop({ enabled: true });
+
+      const result = await loop.run();
+
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, 'status.txt'), 'utf-8'), 'ok\n');
+      assert.strictEqual(result.filesModified, 0);
+      assert.deepStrictEqual(contexts[0].feedback, []);
+      assert.strictEqual(contexts[1].feedback.length, 1);
+      assert.ok(contexts[1].feedback[0].includes('Status'));
+      assert.ok(contexts[1].feedback[0].includes('status.txt'));
+
+      const logged = JSON.parse(fs.readFileSync(path.join(result.sessionDir, 'iteration-1.json'), 'utf-8'));
+      assert.ok(logged.rollback.reason.includes('Status'));
+      assert.deepStrictEqual(logged.rollback.files, ['status.txt']);
+    });
+
+    it('should keep changes when rollback is disabled', async () => {
+      const { loop } = createLoop({ enabled: false });
+
+      await loop.run();
+
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, 'status.txt'), 'utf-8'), 'broken\n');
+    });
+  });
+
+  describe('Transactional apply', () => {
+    function createLoop(changes, options = {}) {
+      fs.writeFileSync(path.join(tempDir, 'status.txt'), 'ok\n');
+      fs.writeFileSync(path.join(tempDir, 'PROMPT.md'), '# Task\nUpdate status');
+
+      const loop = new RalphLoop({
+        prompt: 'Update status',
+        provider: 'claude',
+        maxIterations: 1,
+        silent: true,
+        ...options
+      });
+
+      loop.provider = {
+        iterate: async () => ({ hasChanges: true, changes, summary: 'Update status', raw: changes })
+      };
+
+      return loop;
+    }
+
+    const statusDiff = '--- a/status.txt\n+++ b/status.txt\n@@ -1,1 +1,1 @@\n-ok\n+done\n';
+    const missingDiff = '--- a/missing.txt\n+++ b/missing.txt\n@@ -1,1 +1,1 @@\n-a\n+b\n';
+
+    it('should write nothing when one of the response\'s changes fails', async () => {
+      const loop = createLoop('```diff\n' + statusDiff + missingDiff + '```');
+      const applyErrors = [];
+      loop.on('apply:error', ({ errors }) => applyErrors.push(...errors));
+
+      const result = await loop.run();
+
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, 'status.txt'), 'utf-8'), 'ok\n');
+      assert.strictEqual(result.filesModified, 0);
+      assert.ok(applyErrors.some(error => error.includes('missing.txt')));
+      assert.ok(applyErrors.some(error => error.includes('No files were changed')));
+    });
+
+    it('should reject syntax errors and report them to the next iteration', async () => {
+      fs.writeFileSync(path.join(tempDir, 'config.json'), '{"status": "ok"}\n');
+      const broken = '```diff\n--- a/config.json\n+++ b/config.json\n@@ -1,1 +1,1 @@\n-{"status": "ok"}\n+{"status": "done",}\n```';
+      const loop = createLoop(broken, { maxIterations: 2, repairAttempts: 0 });
+      const contexts = [];
+      loop.provider.iterate = async ({ context }) => {
+        contexts.push(context);
+        return { hasChanges: true, changes: broken, summary: 'Break config', raw: broken };
+      };
+
+      const result = await loop.run();
+
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, 'config.json'), 'utf-8'), '{"status": "ok"}\n');
+      assert.strictEqual(contexts[1].feedback.length, 1);
+      assert.match(contexts[1].feedback[0], /Rejected config\.json: Invalid JSON/);
+      assert.match(contexts[1].feedback[0], /None of your changes were applied/);
+
+      const logged = JSON.parse(fs.readFileSync(path.join(result.sessionDir, 'iteration-1.json'), 'utf-8'));
+      assert.match(logged.applyErrors[0], /Rejected config\.json/);
+    });
+
+    it('should apply the changes that work when transactional is off', async () => {
+      const loop = createLoop('```diff\n' + statusDiff + missingDiff + '```', { transactional: false });
+
+      await loop.run();
+
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, 'status.txt'), 'utf-8'), 'done\n');
+    });
+
+    it('should keep copies of the original files in the session log', async () => {
+      const loop = createLoop('```diff\n' + statusDiff + '```');
+
+      const result = await loop.run();
+
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, 'status.txt'), 'utf-8'), 'done\n');
+      const backup = path.join(result.sessionDir, 'backups', 'iteration-1', 'status.txt');
+      assert.strictEqual(fs.readFileSync(backup, 'utf-8'), 'ok\n');
+    });
+  });
+
+  describe('Write policy', () => {
+    function createLoop(changes, options = {}) {
+      fs.writeFileSync(path.join(tempDir, 'status.txt'), 'ok\n');
+      fs.writeFileSync(path.join(tempDir, '.wiggumizer.yml'), 'provider: claude\n');
+
+      const loop = new RalphLoop({
+        prompt: 'Update status',
+        provider: 'claude',
+        maxIterations: 2,
+        repairAttempts: 0,
+        filePatterns: { protected: ['.wiggumizer.yml'] },
+        silent: true,
+        ...options
+      });
+
+      loop.contexts = [];
+      loop.provider = {
+        iterate: async ({ context }) => {
+          loop.contexts.push(context);
+          return loop.contexts.length === 1
+            ? { hasChanges: true, changes, summary: 'Update status', raw: changes }
+            : { hasChanges: false, changes: '', summary: 'Done', raw: 'NO CHANGES NEEDED' };
+        }
+      };
+
+      return loop;
+    }
+
+    const statusDiff = '--- a/status.txt\n+++ b/status.txt\n@@ -1,1 +1,1 @@\n-ok\n+done\n';
+
+    it('should block writes outside the workspace and to protected files, and apply the rest', async () => {
+      const loop = createLoop('```diff\n' + statusDiff +
+        '--- /dev/null\n+++ b/../escaped.txt\n@@ -0,0 +1,1 @@\n+escaped\n' +
+        '--- a/.wiggumizer.yml\n+++ b/.wiggumizer.yml\n@@ -1,1 +1,1 @@\n-provider: claude\n+provider: other\n```');
+      const blocked = [];
+      loop.on('changes:blocked', event => blocked.push(event));
+
+      const result = await loop.run();
+
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, 'status.txt'), 'utf-8'), 'done\n');
+      assert.strictEqual(fs.existsSync(path.join(tempDir, '..', 'escaped.txt')), false);
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, '.wiggumizer.yml'), 'utf-8'), 'provider: claude\n');
+
+      assert.deepStrictEqual(blocked[0].violations.map(v => [v.file, v.reason]), [
+        ['../escaped.txt', 'outside-workspace'],
+        ['.wiggumizer.yml', 'protected']
+      ]);
+      assert.match(loop.contexts[1].feedback[0], /Blocked change to \.wiggumizer\.yml/);
+
+      const logged = JSON.parse(fs.readFileSync(path.join(result.sessionDir, 'iteration-1.json'), 'utf-8'));
+      assert.strictEqual(logged.violations.length, 2);
+      assert.strictEqual(logged.applyErrors, null);
+    });
+
+    it('should block deletions unless allowDeletes is on', async () => {
+      const deletion = '```diff\n--- a/status.txt\n+++ /dev/null\n@@ -1,1 +0,0 @@\n-ok\n```';
+
+      await createLoop(deletion).run();
+      assert.strictEqual(fs.existsSync(path.join(tempDir, 'status.txt')), true);
+
+      await createLoop(deletion, { filePatterns: { allowDeletes: true } }).run();
+      assert.strictEqual(fs.existsSync(path.join(tempDir, 'status.txt')), false);
+    });
+
+    it('should revert files the claude-cli provider changed against the policy', async () => {
+      const { execSync } = require('child_process');
+      fs.writeFileSync(path.join(tempDir, 'status.txt'), 'ok\n');
+      for (const command of ['git init', 'git config user.email "test@test.com"', 'git config user.name "Test User"', 'git add .', 'git commit -m "Initial commit"']) {
+        execSync(command, { cwd: tempDir, stdio: 'pipe' });
+      }
+
+      const loop = createLoop('', { autoCommit: false, maxIterations: 1 });
+      // The loop recognizes the CLI provider by its class name
+      class ClaudeCliProvider {
+        async iterate() {
+          fs.writeFileSync(path.join(tempDir, 'status.txt'), 'done\n');
+          fs.writeFileSync(path.join(tempDir, '.wiggumizer.yml'), 'provider: other\n');
+          fs.unlinkSync(path.join(tempDir, 'test.js'));
+          return { hasChanges: true, changes: 'Edited files', summary: 'Edited files' };
+        }
+      }
+      loop.provider = new ClaudeCliProvider();
+      const blocked = [];
+      loop.on('changes:blocked', event => blocked.push(event));
+
+      const result = await loop.run();
+
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, 'status.txt'), 'utf-8'), 'done\n');
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, '.wiggumizer.yml'), 'utf-8'), 'provider: claude\n');
+      assert.strictEqual(fs.existsSync(path.join(tempDir, 'test.js')), true);
+      assert.deepStrictEqual(blocked[0].violations.map(v => [v.file, v.reason, v.reverted]).sort(), [
+        ['.wiggumizer.yml', 'protected', true],
+        ['test.js', 'delete', true]
+      ]);
+      assert.strictEqual(result.filesModified, 1);
+    });
+
+    it('should revert gitignored protected files the claude-cli provider changed', async () => {
+      const { execSync } = require('child_process');
+      fs.writeFileSync(path.join(tempDir, '.gitignore'), '.env\n.wiggumizer/\n');
+      fs.writeFileSync(path.join(tempDir, '.env'), 'SECRET=1\n');
+      for (const command of ['git init', 'git config user.email "test@test.com"', 'git config user.name "Test User"', 'git add .', 'git commit -m "Initial commit"']) {
+        execSync(command, { cwd: tempDir, stdio: 'pipe' });
+      }
+
+      const loop = createLoop('', {
+        autoCommit: false,
+        maxIterations: 1,
+        filePatterns: { protected: ['.env', '.wiggumizer/iterations/**'] }
+      });
+      class ClaudeCliProvider {
+        async iterate() {
+          fs.writeFileSync(path.join(tempDir, '.env'), 'SECRET=2\n');
+          fs.mkdirSync(path.join(tempDir, '.wiggumizer', 'iterations'), { recursive: true });
+          fs.writeFileSync(path.join(tempDir, '.wiggumizer', 'iterations', 'forged.json'), '{}');
+          fs.writeFileSync(path.join(tempDir, 'status.txt'), 'done\n');
+          return { hasChanges: true, changes: 'Edited files', summary: 'Edited files' };
+        }
+      }
+      loop.provider = new ClaudeCliProvider();
+      const blocked = [];
+      loop.on('changes:blocked', event => blocked.push(event));
+
+      const result = await loop.run();
+
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, '.env'), 'utf-8'), 'SECRET=1\n');
+      assert.strictEqual(fs.existsSync(path.join(tempDir, '.wiggumizer', 'iterations', 'forged.json')), false);
+      assert.deepStrictEqual(blocked[0].violations.map(v => [v.file, v.reason, v.reverted]).sort(), [
+        ['.env', 'protected', true],
+        ['.wiggumizer/iterations/forged.json', 'protected', true]
+      ]);
+      assert.strictEqual(result.filesModified, 1);
+    });
+  });
+
+  describe('File selection', () => {
+    async function selectedFiles(prompt, filePatterns, options = {}) {
+      fs.mkdirSync(path.join(tempDir, 'src'), { recursive: true });
+      fs.mkdirSync(path.join(tempDir, 'docs'), { recursive: true });
+      fs.writeFileSync(path.join(tempDir, 'src', 'app.js'), 'app();\n');
+      fs.writeFileSync(path.join(tempDir, 'src', 'legacy.js'), 'legacy();\n');
+      fs.writeFileSync(path.join(tempDir, 'docs', 'guide.md'), '# Guide\n');
+
+      const loop = new RalphLoop({ prompt, provider: 'claude', maxIterations: 1, silent: true, filePatterns, ...options });
+      let files = null;
+      loop.provider = {
+        iterate: async ({ context }) => {
+          files = context.files.map(file => file.path.split(path.sep).join('/')).sort();
+          return { hasChanges: false, changes: '', summary: 'Done', raw: 'NO CHANGES NEEDED' };
+        }
+      };
+      await loop.run();
+      return files;
+    }
+
+    it('should use files.include and files.exclude from the config', async () => {
+      const files = await selectedFiles('Work on the app', { include: ['src/**', 'docs/**'], exclude: ['docs/**'] });
+
+      assert.deepStrictEqual(files, ['src/app.js', 'src/legacy.js']);
+    });
+
+    it('should let the prompt frontmatter replace include and add to exclude', async () => {
+      const prompt = '---\ninclude:\n  - src/**\n  - docs/**\nexclude: src/legacy.js\n---\n# Work on the app\n';
+
+      const files = await selectedFiles(prompt, { include: ['docs/**'], exclude: ['docs/**'] });
+
+      assert.deepStrictEqual(files, ['src/app.js']);
+    });
+
+    it('should ignore the prompt frontmatter when --files was given', async () => {
+      const prompt = '---\ninclude: docs/**\n---\n# Work on the app\n';
+
+      const files = await selectedFiles(prompt, { include: ['src/app.js'] }, { promptFilePatterns: false });
+
+      assert.deepStrictEqual(files, ['src/app.js']);
+    });
+
+    it('should size the files to the token budget the provider leaves', async () => {
+      fs.mkdirSync(path.join(tempDir, 'src'), { recursive: true });
+      fs.writeFileSync(path.join(tempDir, 'src', 'app.js'), 'app();\n');
+      fs.writeFileSync(path.join(tempDir, 'src', 'big.js'), 'big();\n'.repeat(1000));
+      const loop = new RalphLoop({ prompt: 'Work on the app', provider: 'claude', maxIterations: 1, silent: true });
+      loop.pendingFeedback.push('Your last change was reverted');
+      let budgetContext = null;
+      let context = null;
+      loop.provider = {
+        getFileTokenBudget: ({ context: withoutFiles }) => {
+          budgetContext = withoutFiles;
+          return 500;
+        },
+        iterate: async (request) => {
+          context = request.context;
+          return { hasChanges: false, changes: '', summary: 'Done', raw: 'NO CHANGES NEEDED', tokenEstimate: { inputTokens: 900, contextWindow: 2000, maxTokens: 500 } };
+        }
+      };
+      const responses = [];
+      loop.on('response', event => responses.push(event));
+
+      await loop.run();
+
+      assert.deepStrictEqual(budgetContext.feedback, ['Your last change was reverted']);
+      assert.ok(!context.files.some(file => file.path.endsWith('big.js')));
+      assert.ok(context.files.length > 0);
+      assert.strictEqual(context.tokens.budget, 500);
+      assert.deepStrictEqual(responses[0].tokenEstimate, { inputTokens: 900, contextWindow: 2000, maxTokens: 500 });
+    });
+  });
+
+  describe('Scope drift', () => {
+    const prompt = '---\nscope:\n  - src/auth/**\n---\n# Fix the auth module\n';
+    const changes = '```diff\n--- a/src/auth/login.js\n+++ b/src/auth/login.js\n@@ -1,1 +1,1 @@\n-login();\n+login(true);\n' +
+      '--- a/src/app.js\n+++ b/src/app.js\n@@ -1,1 +1,1 @@\n-app();\n+app(true);\n```';
+
+    function createLoop(options = {}) {
+      fs.mkdirSync(path.join(tempDir, 'src', 'auth'), { recursive: true });
+      fs.writeFileSync(path.join(tempDir, 'src', 'auth', 'login.js'), 'login();\n');
+      fs.writeFileSync(path.join(tempDir, 'src', 'app.js'), 'app();\n');
+
+      const loop = new RalphLoop({ prompt, provider: 'claude', maxIterations: 2, silent: true, ...options });
+      loop.contexts = [];
+      loop.provider = {
+        iterate: async ({ context }) => {
+          loop.contexts.push(context);
+          return loop.contexts.length === 1
+            ? { hasChanges: true, changes, summary: 'Fix login', raw: changes }
+            : { hasChanges: false, changes: '', summary: 'Done', raw: 'NO CHANGES NEEDED' };
+        }
+      };
+      return loop;
+    }
+
+    it('should keep changes outside the scope by default but report them', async () => {
+      const loop = createLoop();
+      const events = [];
+      loop.on('scope:drift', event => events.push(event));
+
+      const result = await loop.run();
+
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, 'src', 'app.js'), 'utf-8'), 'app(true);\n');
+      assert.deepStrictEqual(events, [{ iteration: 1, files: ['src/app.js'], policy: 'warn', action: 'kept' }]);
+      assert.match(loop.contexts[1].feedback[0], /you changed files outside the scope of this task \(src\/auth\/\*\*\):\n- src\/app\.js/);
+      assert.deepStrictEqual(result.scopeDrift, [{ iteration: 1, files: ['src/app.js'], policy: 'warn', action: 'kept' }]);
+
+      const logged = JSON.parse(fs.readFileSync(path.join(result.sessionDir, 'iteration-1.json'), 'utf-8'));
+      assert.deepStrictEqual(logged.scopeDrift, { files: ['src/app.js'], policy: 'warn', action: 'kept' });
+
+      const summary = SummaryGenerator.generateSummary({ promptContent: prompt, sessionDir: result.sessionDir, totalIterations: result.totalIterations, filesModified: result.filesModified, duration: 0 });
+      assert.strictEqual(summary.scopeDrift, '- **Iteration 1**: src/app.js (kept)');
+    });
+
+    it('should drop changes outside the scope with onDrift: revert', async () => {
+      const loop = createLoop({ scope: { onDrift: 'revert' } });
+
+      const result = await loop.run();
+
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, 'src', 'auth', 'login.js'), 'utf-8'), 'login(true);\n');
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, 'src', 'app.js'), 'utf-8'), 'app();\n');
+      assert.strictEqual(result.filesModified, 1);
+      assert.match(loop.contexts[1].feedback[0], /to files outside the scope of this task \(src\/auth\/\*\*\) were reverted/);
+    });
+
+    it('should ask whether to keep changes outside the scope with onDrift: ask', async () => {
+      // A stub answers instead of readline: opening an approver here shifted the test runner's
+      // report messages into the loop's output, which Node 20's runner then failed to parse
+      const questions = [];
+      const approver = { open() {}, close() {}, ask: async question => { questions.push(question); return 'n'; } };
+      const loop = createLoop({ scope: { onDrift: 'ask' }, approver });
+
+      const result = await loop.run();
+
+      assert.strictEqual(questions.length, 1);
+      assert.match(questions[0], /changes files outside the prompt's scope: src\/app\.js/);
+
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, 'src', 'app.js'), 'utf-8'), 'app();\n');
+      assert.deepStrictEqual(result.scopeDrift, [{ iteration: 1, files: ['src/app.js'], policy: 'ask', action: 'reverted' }]);
+    });
+
+    it('should drop changes outside the scope that arrive in a repair', async () => {
+      const loop = createLoop({ scope: { onDrift: 'revert' }, maxIterations: 1 });
+      const broken = '```diff\n--- a/src/auth/login.js\n+++ b/src/auth/login.js\n@@ -1,1 +1,1 @@\n-logon();\n+login(true);\n```';
+      const responses = [broken, changes];
+      loop.provider = {
+        iterate: async () => {
+          const text = responses.shift();
+          return { hasChanges: true, changes: text, summary: 'Fix login', raw: text };
+        }
+      };
+
+      const result = await loop.run();
+
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, 'src', 'auth', 'login.js'), 'utf-8'), 'login(true);\n');
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, 'src', 'app.js'), 'utf-8'), 'app();\n');
+      assert.deepStrictEqual(result.scopeDrift, [{ iteration: 1, files: ['src/app.js'], policy: 'revert', action: 'reverted' }]);
+
+      const logged = JSON.parse(fs.readFileSync(path.join(result.sessionDir, 'iteration-1.json'), 'utf-8'));
+      assert.deepStrictEqual(logged.repairs[0].scopeDrift, { files: ['src/app.js'], policy: 'revert', action: 'reverted' });
+    });
+
+    it('should restore files the claude-cli provider changed outside the scope', async () => {
+      const { execSync } = require('child_process');
+      const loop = createLoop({ scope: { onDrift: 'revert' }, maxIterations: 1 });
+      for (const command of ['git init', 'git config user.email "test@test.com"', 'git config user.name "Test User"', 'git add .', 'git commit -m "Initial commit"']) {
+        execSync(command, { cwd: tempDir, stdio: 'pipe' });
+      }
+
+      // The loop recognizes the CLI provider by its class name
+      class ClaudeCliProvider {
+        async iterate() {
+          fs.writeFileSync(path.join(tempDir, 'src', 'auth', 'login.js'), 'login(true);\n');
+          fs.writeFileSync(path.join(tempDir, 'src', 'app.js'), 'app(true);\n');
+          return { hasChanges: true, changes: 'Edited files', summary: 'Edited files' };
+        }
+      }
+      loop.provider = new ClaudeCliProvider();
+
+      const result = await loop.run();
+
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, 'src', 'auth', 'login.js'), 'utf-8'), 'login(true);\n');
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, 'src', 'app.js'), 'utf-8'), 'app();\n');
+      assert.strictEqual(result.filesModified, 1);
+    });
+  });
+
+  describe('Change limits', () => {
+    const lines = (count) => Array.from({ length: count }, (_, i) => `line ${i + 1}`).join('\n') + '\n';
+
+    function createLoop(changes, options = {}) {
+      fs.writeFileSync(path.join(tempDir, 'big.txt'), lines(100));
+
+      const loop = new RalphLoop({
+        prompt: 'Simplify',
+        provider: 'claude',
+        maxIterations: 2,
+        limits: { maxRewriteRatio: 0.5 },
+        silent: true,
+        ...options
+      });
+
+      loop.contexts = [];
+      loop.provider = {
+        iterate: async ({ context }) => {
+          loop.contexts.push(context);
+          return loop.contexts.length === 1
+            ? { hasChanges: true, changes, summary: 'Simplify', raw: changes }
+            : { hasChanges: false, changes: '', summary: 'Done', raw: 'NO CHANGES NEEDED' };
+        }
+      };
+
+      return loop;
+    }
+
+    // Replaces lines 3-100 of big.txt
+    const rewrite = '```diff\n--- a/big.txt\n+++ b/big.txt\n@@ -1,100 +1,3 @@\n line 1\n line 2\n' +
+      lines(100).split('\n').slice(2, 100).map(line => `-${line}`).join('\n') + '\n+simplified\n```';
+
+    it('should reject an iteration that rewrites too much of a file and tell the model why', async () => {
+      const loop = createLoop(rewrite);
+
+      const result = await loop.run();
+
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, 'big.txt'), 'utf-8'), lines(100));
+      assert.strictEqual(result.filesModified, 0);
+      assert.match(loop.contexts[1].feedback[0], /big\.txt rewritten: 98 of its 100 lines replaced \(98%\), more than the limit of 50%/);
+    });
+
+    it('should record the size of the changes in the iteration log', async () => {
+      const loop = createLoop(rewrite, { limits: { maxLinesRemoved: 500 } });
+
+      const result = await loop.run();
+
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, 'big.txt'), 'utf-8'), 'line 1\nline 2\nsimplified\n');
+      const logged = JSON.parse(fs.readFileSync(path.join(result.sessionDir, 'iteration-1.json'), 'utf-8'));
+      assert.deepStrictEqual(logged.changeStats, { files: 1, linesAdded: 1, linesRemoved: 98, filesDeleted: 0 });
+    });
+
+    it('should revert claude-cli iterations over the limits', async () => {
+      const { execSync } = require('child_process');
+      fs.writeFileSync(path.join(tempDir, 'big.txt'), lines(100));
+      for (const command of ['git init', 'git config user.email "test@test.com"', 'git config user.name "Test User"', 'git add .', 'git commit -m "Initial commit"']) {
+        execSync(command, { cwd: tempDir, stdio: 'pipe' });
+      }
+
+      const loop = createLoop('', { autoCommit: false, maxIterations: 1 });
+      // The loop recognizes the CLI provider by its class name
+      class ClaudeCliProvider {
+        async iterate() {
+          fs.writeFileSync(path.join(tempDir, 'big.txt'), 'simplified\n');
+          fs.writeFileSync(path.join(tempDir, 'new.txt'), 'new\n');
+          return { hasChanges: true, changes: 'Edited files', summary: 'Edited files' };
+        }
+      }
+      loop.provider = new ClaudeCliProvider();
+      const errors = [];
+      loop.on('apply:error', event => errors.push(...event.errors));
+
+      const result = await loop.run();
+
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, 'big.txt'), 'utf-8'), lines(100));
+      assert.strictEqual(fs.existsSync(path.join(tempDir, 'new.txt')), false);
+      assert.strictEqual(result.filesModified, 0);
+      assert.match(errors[0], /All files were reverted because the changes are too large: big\.txt rewritten/);
+    });
+  });
+
+  describe('Repairing failed changes', () => {
+    function createLoop(responses, options = {}) {
+      fs.writeFileSync(path.join(tempDir, 'a.txt'), 'one\ntwo\nthree\n');
+      fs.writeFileSync(path.join(tempDir, 'b.txt'), 'b\n');
+      fs.writeFileSync(path.join(tempDir, 'PROMPT.md'), '# Task\nUpdate files');
+
+      const loop = new RalphLoop({
+        prompt: 'Update files',
+        provider: 'claude',
+        maxIterations: 1,
+        silent: true,
+        ...options
+      });
+
+      const contexts = [];
+      loop.contexts = contexts;
+      loop.provider = {
+        iterate: async ({ context }) => {
+          contexts.push(context);
+          const changes = responses.shift() || 'NO CHANGES NEEDED';
+          return { hasChanges: changes !== 'NO CHANGES NEEDED', changes, summary: 'Update files', raw: changes };
+        }
+      };
+
+      return loop;
+    }
+
+    const goodB = '--- a/b.txt\n+++ b/b.txt\n@@ -1,1 +1,1 @@\n-b\n+B\n';
+    const badA = '--- a/a.txt\n+++ b/a.txt\n@@ -1,2 +1,2 @@\n one\n-too\n+TWO\n';
+    const fixedA = '```diff\n--- a/a.txt\n+++ b/a.txt\n@@ -1,2 +1,2 @@\n one\n-two\n+TWO\n```';
+
+    it('should ask for the failed edits again and apply them with the rest', async () => {
+      const loop = createLoop(['```diff\n' + badA + goodB + '```', fixedA]);
+      const repairEvents = [];
+      loop.on('repair', event => repairEvents.push(event));
+
+      const result = await loop.run();
+
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, 'a.txt'), 'utf-8'), 'one\nTWO\nthree\n');
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, 'b.txt'), 'utf-8'), 'B\n');
+      assert.strictEqual(result.filesModified, 2);
+
+      const repair = loop.contexts[1].repair;
+      assert.strictEqual(repair.attempt, 1);
+      assert.deepStrictEqual(repair.applied, []);
+      assert.strictEqual(repair.failures[0].file, 'a.txt');
+      assert.match(repair.failures[0].message, /Expected "too" at line 2, but line 2 is "two"/);
+      assert.match(repair.failures[0].excerpt, /^1│one\n2│two\n3│three/);
+      assert.deepStrictEqual(loop.contexts[1].files.map(file => file.path), ['a.txt']);
+      assert.deepStrictEqual(repairEvents.map(event => event.files), [['b.txt', 'a.txt']]);
+
+      const logged = JSON.parse(fs.readFileSync(path.join(result.sessionDir, 'iteration-1.json'), 'utf-8'));
+      assert.strictEqual(logged.repairs.length, 1);
+      assert.strictEqual(logged.repairs[0].response, fixedA);
+      assert.deepStrictEqual(logged.repairs[0].errors, []);
+      assert.strictEqual(logged.applyErrors, null);
+    });
+
+    it('should report files already written when not transactional', async () => {
+      const loop = createLoop(['```diff\n' + badA + goodB + '```', fixedA], { transactional: false });
+
+      await loop.run();
+
+      assert.deepStrictEqual(loop.contexts[1].repair.applied, ['b.txt']);
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, 'a.txt'), 'utf-8'), 'one\nTWO\nthree\n');
+    });
+
+    it('should stop after the configured number of attempts', async () => {
+      const bad = '```diff\n' + badA + '```';
+      const loop = createLoop([bad, bad, bad, bad], { repairAttempts: 2 });
+
+      const result = await loop.run();
+
+      assert.strictEqual(loop.contexts.length, 3);
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, 'a.txt'), 'utf-8'), 'one\ntwo\nthree\n');
+      const logged = JSON.parse(fs.readFileSync(path.join(result.sessionDir, 'iteration-1.json'), 'utf-8'));
+      assert.deepStrictEqual(logged.repairs.map(repair => repair.attempt), [1, 2]);
+      assert.match(logged.applyErrors[0], /a\.txt/);
+    });
+  });
+
+  describe('Budget', () => {
+    function createLoop(budget) {
+      fs.writeFileSync(path.join(tempDir, 'PROMPT.md'), '# Task\nImprove test.js');
+
+      const loop = new RalphLoop({
+        prompt: 'Improve test.js',
+        provider: 'claude',
+        maxIterations: 5,
+        budget
+      });
+
+      let calls = 0;
+      loop.provider = {
+        iterate: async () => {
+          calls++;
+          // A new file each iteration keeps the loop from converging
+          const changes = `\`\`\`diff
+--- /dev/null
++++ b/note-${calls}.txt
+@@ -0,0 +1,1 @@
++note ${calls}
+\`\`\``;
+          return {
+            hasChanges: true,
+            changes,
+            summary: `Iteration ${calls}`,
+            raw: changes,
+            usage: { model: 'claude-sonnet-4-5', inputTokens: 100000, outputTokens: 10000, cacheCreationTokens: 0, cacheReadTokens: 0 }
+          };
+        }
+      };
+
+      return { loop, getCalls: () => calls };
+    }
+
+    it('should stop with "budget exhausted" when the token limit is reached', async () => {
+      const { loop, getCalls } = createLoop({ maxTokens: 200000 });
+
+      const result = await loop.run();
+
+      assert.strictEqual(getCalls(), 2);
+      assert.strictEqual(result.converged, false);
+      assert.strictEqual(result.convergenceReason, 'budget exhausted');
+      assert.strictEqual(result.usage.totalTokens, 220000);
+    });
+
+    it('should stop when the cost limit is reached', async () => {
+      // $0.45 per iteration at Sonnet prices
+      const { loop, getCalls } = createLoop({ maxCost: 1 });
+
+      const result = await loop.run();
+
+      assert.strictEqual(getCalls(), 3);
+      assert.strictEqual(result.convergenceReason, 'budget exhausted');
+      assert.ok(Math.abs(result.usage.cost - 1.35) < 1e-9);
+    });
+
+    it('should log usage per iteration', async () => {
+      const { loop } = createLoop({ maxTokens: 100000 });
+
+      const result = await loop.run();
+
+      const logged = JSON.parse(fs.readFileSync(path.join(result.sessionDir, 'iteration-1.json'), 'utf-8'));
+      assert.strictEqual(logged.usage.inputTokens, 100000);
+      assert.strictEqual(logged.usage.totalTokens, 110000);
+      assert.ok(logged.usage.cost > 0);
+    });
+  });
+
+  describe('Resuming a session', () => {
+    function createLoop(options = {}) {
+      fs.writeFileSync(path.join(tempDir, 'PROMPT.md'), '# Task\n- [ ] Write notes');
+
+      const loop = new RalphLoop({
+        prompt: 'Write notes',
+        provider: 'claude',
+        maxIterations: 4,
+        ...options
+      });
+
+      let calls = 0;
+      loop.provider = {
+        iterate: async ({ iteration }) => {
+          calls++;
+          const changes = `\`\`\`diff
+--- /dev/null
++++ b/note-${iteration}.txt
+@@ -0,0 +1,1 @@
++note ${iteration}
+\`\`\``;
+          return {
+            hasChanges: true,
+            changes,
+            summary: `Note ${iteration}`,
+            raw: changes,
+            usage: { model: 'claude-sonnet-4-5', inputTokens: 1000, outputTokens: 100, cacheCreationTokens: 0, cacheReadTokens: 0 }
+          };
+        }
+      };
+
+      return { loop, getCalls: () => calls };
+    }
+
+    it('should append to the same session and continue numbering', async () => {
+      const first = createLoop({ maxIterations: 2 });
+      const firstResult = await first.loop.run();
+      const sessionId = path.basename(firstResult.sessionDir);
+
+      const second = createLoop({ resumeSession: sessionId });
+      assert.strictEqual(second.loop.iteration, 2);
+      assert.strictEqual(second.loop.filesModifiedTotal, 2);
+      assert.strictEqual(second.loop.convergence.iterationHistory.length, 2);
+      assert.strictEqual(second.loop.convergence.hashHistory.length, 2);
+      assert.strictEqual(second.loop.usage.totalTokens, 2200);
+
+      const result = await second.loop.run();
+
+      assert.strictEqual(result.sessionDir, firstResult.sessionDir);
+      assert.strictEqual(second.getCalls(), 2);
+      assert.strictEqual(result.totalIterations, 4);
+      assert.strictEqual(result.filesModified, 4);
+      assert.ok(fs.existsSync(path.join(result.sessionDir, 'iteration-3.json')));
+      assert.ok(fs.existsSync(path.join(tempDir, 'note-4.txt')));
+      assert.strictEqual(fs.readdirSync(path.join(tempDir, '.wiggumizer', 'iterations')).length, 1);
+    });
+
+    it('should not start iterations when the resumed session is over budget', async () => {
+      const first = createLoop({ maxIterations: 1 });
+      const firstResult = await first.loop.run();
+
+      const second = createLoop({ resumeSession: path.basename(firstResult.sessionDir), budget: { maxTokens: 1000 } });
+      const result = await second.loop.run();
+
+      assert.strictEqual(second.getCalls(), 0);
+      assert.strictEqual(result.convergenceReason, 'budget exhausted');
+    });
+  });
+
+  describe('Per-iteration validation feedback', () => {
+    it('should pass check results to the next iteration', async () => {
+      fs.writeFileSync(path.join(tempDir, 'PROMPT.md'), '# Task\n- [ ] Write notes');
+
+      const loop = new RalphLoop({
+        prompt: 'Write notes',
+        provider: 'claude',
+        maxIterations: 2,
+        validation: {
+          autoDetect: false,
+          runEachIteration: true,
+          customChecks: [{ name: 'Notes', command: 'test -f note-2.txt', required: true }]
+        }
+      });
+
+      const contexts = [];
+      loop.provider = {
+        iterate: async ({ context, iteration }) => {
+          contexts.push({ ...context });
+          const changes = `\`\`\`diff
+--- /dev/null
++++ b/note-${iteration}.txt
+@@ -0,0 +1,1 @@
++note ${iteration}
+\`\`\``;
+          return { hasChanges: true, changes, summary: `Note ${iteration}`, raw: changes };
+        }
+      };
+
+      const result = await loop.run();
+
+      assert.strictEqual(contexts[0].testResults, null);
+      assert.ok(contexts[1].testResults.includes('FAIL Notes (test -f note-2.txt) - exit code 1'));
+
+      const logged = JSON.parse(fs.readFileSync(path.join(result.sessionDir, 'iteration-2.json'), 'utf-8'));
+      assert.strictEqual(logged.validation.passed, true);
+      assert.strictEqual(logged.validation.results[0].name, 'Notes');
+    });
+  });
+
+  describe('Interactive approval', () => {
+    it('should only write approved files and report rejections to the next iteration', async () => {
+      fs.writeFileSync(path.join(tempDir, 'PROMPT.md'), '# Task\n- [ ] Update files');
+      fs.writeFileSync(path.join(tempDir, 'a.txt'), 'old\n');
+      fs.writeFileSync(path.join(tempDir, 'b.txt'), 'one\n');
+
+      const input = new PassThrough();
+      input.write('f\ny\nn\nkeep b as is\na\n');
+
+      const loop = new RalphLoop({
+        prompt: 'Update files',
+        provider: 'claude',
+        maxIterations: 2,
+        interactive: true,
+        approver: new InteractiveApprover({ input, output: new PassThrough() })
+      });
+
+      const contexts = [];
+      loop.provider = {
+        iterate: async ({ context, iteration }) => {
+          contexts.push(context);
+          const changes = iteration === 1
+            ? `\`\`\`diff
+--- a/a.txt
++++ b/a.txt
+@@ -1,1 +1,1 @@
+-old
++new
+--- a/b.txt
++++ b/b.txt
+@@ -1,1 +1,1 @@
+-one
++two
+\`\`\``
+            : `\`\`\`diff
+--- /dev/null
++++ b/c.txt
+@@ -0,0 +1,1 @@
++three
+\`\`\``;
+          return { hasChanges: true, changes, summary: 'Update', raw: changes };
+        }
+      };
+
+      const result = await loop.run();
+
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, 'a.txt'), 'utf-8'), 'new\n');
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, 'b.txt'), 'utf-8'), 'one\n');
+      assert.ok(contexts[1].feedback[0].includes('- b.txt: keep b as is'));
+
+      const logged = JSON.parse(fs.readFileSync(path.join(result.sessionDir, 'iteration-1.json'), 'utf-8'));
+      assert.deepStrictEqual(logged.approval.accepted, ['a.txt']);
+      assert.deepStrictEqual(logged.approval.rejected, [{ file: 'b.txt', reason: 'keep b as is' }]);
+    });
+  });
+
+  describe('Events', () => {
+    function createLoop(options = {}) {
+      fs.writeFileSync(path.join(tempDir, 'PROMPT.md'), '# Task\nAdd notes');
+
+      const loop = new RalphLoop({
+        prompt: 'Add notes',
+        provider: 'claude',
+        maxIterations: 2,
+        silent: true,
+        ...options
+      });
+
+      const contexts = [];
+      loop.contexts = contexts;
+      loop.provider = {
+        iterate: async ({ iteration, context, onOutput }) => {
+          contexts.push(context);
+          onOutput('Adding a note.\n');
+          const changes = `\`\`\`diff
+--- /dev/null
++++ b/note-${iteration}.txt
+@@ -0,0 +1,1 @@
++note ${iteration}
+\`\`\``;
+          return { hasChanges: true, changes, summary: `Note ${iteration}`, raw: changes };
+        }
+      };
+
+      return loop;
+    }
+
+    it('should emit session, iteration and apply events in order', async () => {
+      const loop = createLoop();
+      const events = [];
+      for (const type of RalphLoop.EVENTS) {
+        loop.on(type, payload => events.push({ type, ...payload }));
+      }
+
+      await loop.run();
+
+      const types = events.map(event => event.type);
+      assert.strictEqual(types[0], 'session:start');
+      assert.strictEqual(types[types.length - 1], 'complete');
+      assert.deepStrictEqual(types.slice(1, 6), ['iteration:start', 'output', 'response', 'changes:applied', 'convergence']);
+      assert.strictEqual(types.filter(type => type === 'iteration:start').length, 2);
+
+      const applied = events.find(event => event.type === 'changes:applied' && event.iteration === 2);
+      assert.deepStrictEqual(applied.files, ['note-2.txt']);
+      assert.strictEqual(events.find(event => event.type === 'output').text, 'Adding a note.\n');
+      assert.strictEqual(events[events.length - 1].totalIterations, 2);
+    });
+
+    it('should not print to the console when silent', async () => {
+      const loop = createLoop();
+      const originalLog = console.log;
+      const printed = [];
+      console.log = (...args) => printed.push(args.join(' '));
+
+      try {
+        await loop.run();
+      } finally {
+        console.log = originalLog;
+      }
+
+      assert.deepStrictEqual(printed, []);
+    });
+
+    it('should write one JSON object per line through JsonReporter', async () => {
+      const loop = createLoop();
+      const output = new PassThrough();
+      new JsonReporter({ output }).attach(loop);
+
+      await loop.run();
+
+      const lines = output.read().toString().trim().split('\n');
+      const events = lines.map(line => JSON.parse(line));
+      assert.strictEqual(events[0].type, 'session:start');
+      assert.strictEqual(events[events.length - 1].type, 'complete');
+      assert.ok(events.every(event => event.timestamp));
+    });
+    it('should emit complete with the run result', async () => {
+      const loop = createLoop();
+      let completed = null;
+      loop.on('complete', result => { completed = result; });
+
+      const result = await loop.run();
+
+      assert.strictEqual(completed.totalIterations, result.totalIterations);
+      assert.strictEqual(completed.sessionDir, result.sessionDir);
+      assert.ok(completed.sessionId);
+    });
+
+    it('should emit error to listeners and still reject', async () => {
+      const loop = createLoop();
+      loop.provider = { iterate: async () => { throw new Error('rate limit exceeded'); } };
+      const errors = [];
+      loop.on('error', event => errors.push(event));
+
+      await assert.rejects(() => loop.run(), /rate limit exceeded/);
+
+      assert.deepStrictEqual(errors, [{ iteration: 1, message: 'rate limit exceeded', category: 'Rate limit hit' }]);
+    });
+
+    it('should not apply changes vetoed by a beforeApply handler', async () => {
+      const proposals = [];
+      const loop = createLoop({
+        beforeApply: proposal => {
+          proposals.push(proposal);
+          return proposal.iteration === 1 ? { veto: true, reason: 'No notes on the first pass' } : undefined;
+        }
+      });
+      const vetoes = [];
+      loop.on('changes:vetoed', event => vetoes.push(event));
+
+      const result = await loop.run();
+
+      assert.strictEqual(fs.existsSync(path.join(tempDir, 'note-1.txt')), false);
+      assert.strictEqual(fs.existsSync(path.join(tempDir, 'note-2.txt')), true);
+      assert.deepStrictEqual(proposals[0].files, ['note-1.txt']);
+      assert.deepStrictEqual(vetoes, [{ iteration: 1, reason: 'No notes on the first pass' }]);
+      assert.ok(loop.contexts[1].feedback[0].includes('No notes on the first pass'));
+
+      const logged = JSON.parse(fs.readFileSync(path.join(result.sessionDir, 'iteration-1.json'), 'utf-8'));
+      assert.strictEqual(logged.vetoed, 'No notes on the first pass');
+    });
+
+    it('should apply changes rewritten by beforeApply handlers in order', async () => {
+      const loop = createLoop({ maxIterations: 1 });
+      loop.beforeApply(async ({ changes }) => ({ changes: changes.replace(/note-1/g, 'renamed') }));
+      loop.beforeApply(({ files }) => {
+        assert.deepStrictEqual(files, ['renamed.txt']);
+      });
+
+      await loop.run();
+
+      assert.strictEqual(fs.readFileSync(path.join(tempDir, 'renamed.txt'), 'utf-8'), 'note 1\n');
+      assert.strictEqual(fs.existsSync(path.join(tempDir, 'note-1.txt')), false);
+    });
+  });
 });
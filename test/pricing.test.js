@@ -0,0 +1,107 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  getModelPrice,
+  getTotalTokens,
+  calculateCost,
+  fromAnthropicUsage,
+  formatCost
+} = require('../src/pricing');
+
+describe('pricing', () => {
+  describe('getModelPrice', () => {
+    it('should resolve dated model IDs to their family', () => {
+      assert.deepStrictEqual(getModelPrice('claude-opus-4-5-20251101'), getModelPrice('claude-opus-4-5'));
+      assert.strictEqual(getModelPrice('claude-opus-4-1-20250805').input, 15);
+      assert.strictEqual(getModelPrice('claude-sonnet-4-5-20250929').input, 3);
+    });
+
+    it('should prefer the most specific entry', () => {
+      assert.strictEqual(getModelPrice('gpt-4o-mini').input, 0.15);
+      assert.strictEqual(getModelPrice('gpt-4o').input, 2.5);
+    });
+
+    it('should ignore provider prefixes', () => {
+      assert.strictEqual(getModelPrice('anthropic/claude-haiku-4-5').input, 1);
+    });
+
+    it('should return null for unknown models', () => {
+      assert.strictEqual(getModelPrice('my-local-model'), null);
+      assert.strictEqual(getModelPrice(null), null);
+    });
+
+    it('should use overrides', () => {
+      const price = getModelPrice('my-local-model', { 'my-local-model': { input: 0, output: 0 } });
+      assert.deepStrictEqual(price, { input: 0, output: 0 });
+    });
+  });
+
+  describe('calculateCost', () => {
+    it('should price input, output and cache tokens', () => {
+      const cost = calculateCost({
+        model: 'claude-sonnet-4-5-20250929',
+        inputTokens: 1000000,
+        outputTokens: 100000,
+        cacheCreationTokens: 100000,
+        cacheReadTokens: 1000000
+      });
+
+      // 3 + 1.5 + 0.375 + 0.3
+      assert.strictEqual(Number(cost.toFixed(6)), 5.175);
+    });
+
+    it('should fall back to the input price for cache tokens', () => {
+      const cost = calculateCost(
+        { model: 'custom', inputTokens: 0, outputTokens: 0, cacheCreationTokens: 1000000 },
+        { custom: { input: 2, output: 4 } }
+      );
+      assert.strictEqual(cost, 2);
+    });
+
+    it('should prefer a provider-reported cost', () => {
+      assert.strictEqual(calculateCost({ model: 'claude-opus-4-5', inputTokens: 1000, cost: 0.42 }), 0.42);
+    });
+
+    it('should return null for unknown models', () => {
+      assert.strictEqual(calculateCost({ model: 'unknown', inputTokens: 10 }), null);
+      assert.strictEqual(calculateCost(null), null);
+    });
+  });
+
+  describe('getTotalTokens', () => {
+    it('should add up all token types', () => {
+      assert.strictEqual(getTotalTokens({ inputTokens: 1, outputTokens: 2, cacheCreationTokens: 3, cacheReadTokens: 4 }), 10);
+      assert.strictEqual(getTotalTokens(null), 0);
+    });
+  });
+
+  describe('fromAnthropicUsage', () => {
+    it('should convert Messages API usage', () => {
+      const usage = fromAnthropicUsage({
+        input_tokens: 10,
+        output_tokens: 20,
+        cache_creation_input_tokens: 30,
+        cache_read_input_tokens: null
+      }, 'claude-opus-4-5');
+
+      assert.deepStrictEqual(usage, {
+        model: 'claude-opus-4-5',
+        inputTokens: 10,
+        outputTokens: 20,
+        cacheCreationTokens: 30,
+        cacheReadTokens: 0
+      });
+    });
+
+    it('should return null without usage', () => {
+      assert.strictEqual(fromAnthropicUsage(undefined, 'claude-opus-4-5'), null);
+    });
+  });
+
+  describe('formatCost', () => {
+    it('should show more precision for small amounts', () => {
+      assert.strictEqual(formatCost(0.01234), '$0.0123');
+      assert.strictEqual(formatCost(12.5), '$12.50');
+    });
+  });
+});
@@ -246,6 +246,42 @@ describe('ProjectDetector', () => {
     });
   });
 
+  describe('detectAll', () => {
+    it('should return every matching detector for polyglot projects', () => {
+      fs.writeFileSync(path.join(tempDir, 'package.json'), '{}');
+      fs.writeFileSync(path.join(tempDir, 'go.mod'), 'module example.com/app');
+      fs.writeFileSync(path.join(tempDir, 'pom.xml'), '<project/>');
+
+      assert.deepStrictEqual(detector.detectAll().map(result => result.type), ['nodejs', 'java-maven', 'go']);
+      assert.deepStrictEqual(detector.detectEcosystems(), ['nodejs', 'java', 'go']);
+    });
+  });
+
+  describe('ecosystems', () => {
+    it('should cover every project type', () => {
+      const types = ['nodejs', 'python', 'java-maven', 'go', 'rust', 'ruby', 'php', 'dotnet', 'c-cmake', 'cpp', 'swift', 'kotlin-gradle', 'elixir', 'perl'];
+
+      for (const type of types) {
+        assert.ok(ProjectDetector.ECOSYSTEMS[ProjectDetector.getEcosystem(type)], type);
+      }
+    });
+
+    it('should add the file kinds of the given ecosystems to the defaults', () => {
+      const kinds = ProjectDetector.getFileKinds(['go', 'rust']);
+
+      assert.ok(kinds.source.includes('.go') && kinds.source.includes('.rs'));
+      assert.ok(kinds.source.includes('.js') && kinds.source.includes('.py'));
+      assert.ok(!kinds.source.includes('.java'));
+      assert.ok(kinds.manifests.includes('go.mod') && kinds.manifests.includes('Cargo.toml'));
+      assert.ok(kinds.tests.some(pattern => pattern.test('server_test.go')));
+      assert.ok(kinds.docs.includes('.md'));
+    });
+
+    it('should find ecosystems by their manifests', () => {
+      assert.deepStrictEqual(ProjectDetector.findManifestEcosystems(new Set(['Cargo.toml', 'README.md', 'CMakeLists.txt'])), ['rust', 'c', 'cpp']);
+    });
+  });
+
   describe('getDescription', () => {
     it('should return readable descriptions', () => {
       assert.strictEqual(detector.getDescription({ type: 'nodejs' }), 'Node.js project');
@@ -0,0 +1,109 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const RelevanceRanker = require('../src/relevance-ranker');
+const FileSelector = require('../src/file-selector');
+
+describe('RelevanceRanker', () => {
+  describe('tokenize', () => {
+    it('should split identifiers into their parts and drop stopwords', () => {
+      assert.deepStrictEqual(
+        RelevanceRanker.tokenize('Fix the getUserById refresh_token in HTTPServer'),
+        ['fix', 'getuserbyid', 'get', 'user', 'refresh_token', 'refresh', 'token', 'httpserver', 'http', 'server']
+      );
+    });
+  });
+
+  describe('extractSymbols', () => {
+    it('should find identifiers written like code', () => {
+      const symbols = RelevanceRanker.extractSymbols('Fix `total` in calculateTotal and parse_args, call save() from the InvoiceStore. The Store is fine.');
+
+      assert.deepStrictEqual(symbols.sort(), ['InvoiceStore', 'calculateTotal', 'parse_args', 'save', 'total']);
+    });
+  });
+
+  describe('rank', () => {
+    const files = [
+      { path: 'src/auth/session.js', content: 'function refreshToken(session) { return session.token; }' },
+      { path: 'src/cart.js', content: 'function addItem(cart, item) { cart.items.push(item); }' },
+      { path: 'src/util.js', content: 'module.exports = {};' },
+      { path: 'test/cart.test.js', content: 'addItem()' }
+    ];
+
+    it('should score files named in the prompt', () => {
+      const scores = new RelevanceRanker({ prompt: 'Clean up src/util.js and cart.test.js' }).rank(files);
+
+      assert.strictEqual(scores.get('src/util.js').mentioned, 100);
+      assert.strictEqual(scores.get('test/cart.test.js').mentioned, 50);
+      assert.strictEqual(scores.get('src/cart.js').mentioned, 0);
+    });
+
+    it('should score keyword overlap, with the best match getting the full weight', () => {
+      const scores = new RelevanceRanker({ prompt: '# Auth\n- [ ] Refresh the session token before it expires' }).rank(files);
+
+      assert.strictEqual(scores.get('src/auth/session.js').keywords, RelevanceRanker.WEIGHTS.keywords);
+      assert.strictEqual(scores.get('src/cart.js').keywords, 0);
+    });
+
+    it('should ignore checked tasks', () => {
+      const scores = new RelevanceRanker({ prompt: '- [x] Refresh the session token\n- [ ] Add items to the cart' }).rank(files);
+
+      assert.strictEqual(scores.get('src/auth/session.js').keywords, 0);
+      assert.ok(scores.get('src/cart.js').keywords > 0);
+    });
+
+    it('should score files named in failing check output', () => {
+      const failures = 'FAIL Tests (npm test) - exit code 1\n    at Object.<anonymous> (/home/me/project/test/cart.test.js:12:5)';
+
+      const scores = new RelevanceRanker({ prompt: 'Fix the tests', failures }).rank(files);
+
+      assert.strictEqual(scores.get('test/cart.test.js').failing, 60);
+      assert.strictEqual(scores.get('src/cart.js').failing, 0);
+      assert.strictEqual(scores.get('test/cart.test.js').total, 60 + scores.get('test/cart.test.js').keywords);
+    });
+
+    it('should score files the model asked for', () => {
+      const scores = new RelevanceRanker({ prompt: 'Fix the tests', requested: ['./src/util.js'] }).rank(files);
+
+      assert.strictEqual(scores.get('src/util.js').requested, 150);
+      assert.strictEqual(scores.get('src/cart.js').requested, 0);
+    });
+  });
+
+  describe('FileSelector with relevance', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wiggumizer-relevance-'));
+      fs.mkdirSync(path.join(tempDir, 'src'));
+      fs.mkdirSync(path.join(tempDir, 'docs'));
+      fs.writeFileSync(path.join(tempDir, 'src', 'app.js'), 'start();\n');
+      fs.writeFileSync(path.join(tempDir, 'src', 'billing.js'), 'function chargeInvoice(invoice) {}\n');
+      fs.writeFileSync(path.join(tempDir, 'docs', 'invoices.md'), '# Invoices\n');
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should keep the files relevant to the prompt when the limits cut files', () => {
+      const selector = new FileSelector({
+        cwd: tempDir,
+        maxFiles: 2,
+        relevance: { prompt: 'Update docs/invoices.md to describe how chargeInvoice works' }
+      });
+
+      assert.deepStrictEqual(selector.getFiles().map(file => file.split(path.sep).join('/')).sort(), ['docs/invoices.md', 'src/billing.js']);
+      assert.strictEqual(selector.ranking.find(file => file.path.endsWith('invoices.md')).relevance.mentioned, 100);
+    });
+
+    it('should rank by tiers alone without a prompt', () => {
+      const selector = new FileSelector({ cwd: tempDir, maxFiles: 2 });
+
+      assert.ok(selector.getFiles().every(file => file.endsWith('.js')));
+      assert.strictEqual(selector.ranking[0].relevance, null);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { outlineFile, mapFile, formatRepoMap, parseFileRequests } = require('../src/repo-map');
+const FileSelector = require('../src/file-selector');
+
+describe('repo map', () => {
+  describe('outlineFile', () => {
+    it('should outline JavaScript declarations and class members', () => {
+      const content = [
+        "const path = require('path');",
+        '',
+        'class Store {',
+        '  constructor(options = {}) {',
+        "    this.name = options.name || 'store';",
+        '    if (this.name) {',
+        '      this.load();',
+        '    }',
+        '  }',
+        '',
+        '  static open(file,',
+        '    mode) {',
+        "    const braces = '{{{';",
+        '    return new Store({ file, mode });',
+        '  }',
+        '}',
+        '',
+        'async function save(store) {',
+        '  // } not the end',
+        '  return /[}]/.test(store.name);',
+        '}',
+        '',
+        'const helper = (a, b) => a + b;',
+        '',
+        'module.exports = { Store, save };'
+      ].join('\n');
+
+      assert.deepStrictEqual(outlineFile(content, 'src/store.js'), [
+        { line: 3, text: 'class Store' },
+        { line: 4, text: '  constructor(options = {})' },
+        { line: 11, text: '  static open(file, mode)' },
+        { line: 18, text: 'async function save(store)' },
+        { line: 23, text: 'const helper = (a, b) => a + b' },
+        { line: 25, text: 'module.exports = { Store, save }' }
+      ]);
+    });
+
+    it('should outline Python by line patterns', () => {
+      const content = 'import os\n\nclass Job:\n    def run(self,\n            force=False):\n        pass\n\ndef main():\n    pass\n';
+
+      assert.deepStrictEqual(outlineFile(content, 'app/jobs.py'), [
+        { line: 3, text: 'class Job' },
+        { line: 4, text: '  def run(self, force=False)' },
+        { line: 8, text: 'def main()' }
+      ]);
+    });
+
+    it('should return nothing for languages it does not know', () => {
+      assert.deepStrictEqual(outlineFile('a,b\n1,2\n', 'data.csv'), []);
+    });
+  });
+
+  describe('formatRepoMap', () => {
+    it('should list each file with its line count and outline', () => {
+      const message = formatRepoMap({
+        files: [mapFile('src/a.js', 'function a() {\n  return 1;\n}\n'), { path: 'src/b.js', lines: 40, outline: [] }],
+        omitted: 3
+      });
+
+      assert.ok(message.startsWith('# Other Files (outline only):'));
+      assert.ok(message.includes('"## Files Needed:"'));
+      assert.ok(message.includes('- src/a.js (4 lines)\n    1│function a()\n'));
+      assert.ok(message.includes('- src/b.js (40 lines)\n'));
+      assert.ok(message.includes('...and 3 more files'));
+    });
+
+    it('should be empty when no files were left out', () => {
+      assert.strictEqual(formatRepoMap(null), '');
+      assert.strictEqual(formatRepoMap({ files: [], omitted: 0 }), '');
+    });
+  });
+
+  describe('parseFileRequests', () => {
+    it('should read the paths listed under "## Files Needed:"', () => {
+      const response = '## Summary\nNeed more context.\n\n## Files Needed:\n- src/store.js\n- `lib/util.js` (for the helpers)\n* src/store.js\n\n## Changes\nNone yet.';
+
+      assert.deepStrictEqual(parseFileRequests(response), ['src/store.js', 'lib/util.js']);
+    });
+
+    it('should return nothing without the section', () => {
+      assert.deepStrictEqual(parseFileRequests('## Summary\nDone.'), []);
+      assert.deepStrictEqual(parseFileRequests(undefined), []);
+    });
+  });
+
+  describe('FileSelector', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wiggumizer-repomap-'));
+      fs.mkdirSync(path.join(tempDir, 'src'));
+      fs.writeFileSync(path.join(tempDir, 'src', 'index.js'), 'start();\n'.repeat(100));
+      fs.writeFileSync(path.join(tempDir, 'src', 'big.js'), 'function run() {\n  return 1;\n}\n' + '// filler\n'.repeat(500));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should outline the files the limits leave out', () => {
+      const selector = new FileSelector({ cwd: tempDir, maxTokens: 1000 });
+      const files = selector.getFiles();
+
+      assert.deepStrictEqual(files.map(file => path.basename(file)), ['index.js']);
+      assert.strictEqual(selector.repoMap.files.length, 1);
+      assert.strictEqual(selector.repoMap.files[0].path.split(path.sep).join('/'), 'src/big.js');
+      assert.deepStrictEqual(selector.repoMap.files[0].outline, [{ line: 1, text: 'function run()' }]);
+    });
+
+    it('should not build a map when every file fits or the share is 0', () => {
+      const all = new FileSelector({ cwd: tempDir, maxTokens: 100000 });
+      all.getFiles();
+      assert.strictEqual(all.repoMap, null);
+
+      const off = new FileSelector({ cwd: tempDir, maxTokens: 1000, repoMapShare: 0 });
+      off.getFiles();
+      assert.strictEqual(off.repoMap, null);
+    });
+
+    it('should rank the files the model asked for first', () => {
+      const selector = new FileSelector({
+        cwd: tempDir,
+        maxFiles: 1,
+        relevance: { prompt: 'Make start faster', requested: ['src/big.js'] }
+      });
+
+      assert.deepStrictEqual(selector.getFiles().map(file => path.basename(file)), ['big.js']);
+    });
+  });
+});
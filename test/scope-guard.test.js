@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const ScopeGuard = require('../src/scope-guard');
+const SummaryGenerator = require('../src/summary-generator');
+
+describe('ScopeGuard', () => {
+  describe('findDrift', () => {
+    it('should find files outside the scope', () => {
+      const guard = new ScopeGuard({ scope: ['src/auth/**', 'test/auth/**'] });
+
+      assert.deepStrictEqual(guard.findDrift(['src/auth/login.js', 'test/auth/login.test.js', 'src/app.js', 'README.md']), ['src/app.js', 'README.md']);
+    });
+
+    it('should match patterns without a slash at any depth and directories ending in a slash', () => {
+      const guard = new ScopeGuard({ scope: ['*.md', 'lib/'] });
+
+      assert.strictEqual(guard.inScope('docs/guide.md'), true);
+      assert.strictEqual(guard.inScope('lib/deep/util.js'), true);
+      assert.strictEqual(guard.inScope('./lib/util.js'), true);
+      assert.strictEqual(guard.inScope('src/util.js'), false);
+    });
+
+    it('should match multi-repo paths by their path in the workspace, or by workspace-qualified patterns', () => {
+      const guard = new ScopeGuard({ scope: ['src/**', '[docs]/guides/'] });
+
+      assert.deepStrictEqual(guard.findDrift(['[api]/src/x.js', '[web]/src/y.js', '[api]/test/x.test.js', '[docs]/guides/setup.md', '[api]/guides/a.md']),
+        ['[api]/test/x.test.js', '[api]/guides/a.md']);
+    });
+
+    it('should report nothing when the prompt declares no scope', () => {
+      const guard = new ScopeGuard({});
+
+      assert.strictEqual(guard.isEnabled(), false);
+      assert.deepStrictEqual(guard.findDrift(['anything.js']), []);
+    });
+  });
+
+  it('should default to warning on drift', () => {
+    assert.strictEqual(new ScopeGuard({}).onDrift, 'warn');
+    assert.strictEqual(new ScopeGuard({ onDrift: 'nonsense' }).onDrift, 'warn');
+    assert.strictEqual(new ScopeGuard({ onDrift: 'revert' }).onDrift, 'revert');
+  });
+
+  describe('prompt frontmatter', () => {
+    it('should read scope as a list', () => {
+      const metadata = SummaryGenerator.parsePromptMetadata('---\nissue: AUTH-1\nscope:\n  - src/auth/**\n  - "test/auth/**"\ntype: fix\n---\n# Fix the auth module\n');
+
+      assert.deepStrictEqual(metadata.scope, ['src/auth/**', 'test/auth/**']);
+      assert.strictEqual(metadata.issue, 'AUTH-1');
+      assert.strictEqual(metadata.type, 'fix');
+    });
+
+    it('should read scope on one line', () => {
+      assert.deepStrictEqual(SummaryGenerator.parsePromptMetadata('---\nscope: src/auth/**, test/auth/**\n---\nFix').scope, ['src/auth/**', 'test/auth/**']);
+      assert.deepStrictEqual(SummaryGenerator.parsePromptMetadata('---\nscope: [src/auth/**]\n---\nFix').scope, ['src/auth/**']);
+      assert.deepStrictEqual(SummaryGenerator.parsePromptMetadata('# Fix').scope, []);
+    });
+
+    it('should read include and exclude lists', () => {
+      const metadata = SummaryGenerator.parsePromptMetadata('---\ninclude:\n  - src/**\nexclude: src/legacy/**, "*.snap"\n---\nFix');
+
+      assert.deepStrictEqual(metadata.include, ['src/**']);
+      assert.deepStrictEqual(metadata.exclude, ['src/legacy/**', '*.snap']);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  DEFAULT_CONTEXT_WINDOW,
+  getContextWindow,
+  estimateTokens,
+  estimateFileTokens,
+  fileTokenBudget
+} = require('../src/token-budget');
+const FileSelector = require('../src/file-selector');
+
+describe('token-budget', () => {
+  describe('getContextWindow', () => {
+    it('should resolve model families, preferring the most specific entry', () => {
+      assert.strictEqual(getContextWindow('claude-opus-4-5-20251101'), 200000);
+      assert.strictEqual(getContextWindow('gpt-4o-mini'), 128000);
+      assert.strictEqual(getContextWindow('gpt-4.1'), 1047576);
+      assert.strictEqual(getContextWindow('llama3.1:8b'), 128000);
+      assert.strictEqual(getContextWindow('llama3:8b'), 8192);
+    });
+
+    it('should ignore provider prefixes', () => {
+      assert.strictEqual(getContextWindow('anthropic/claude-sonnet-4-5'), 200000);
+    });
+
+    it('should assume a small window for unknown models', () => {
+      assert.strictEqual(getContextWindow('my-local-model'), DEFAULT_CONTEXT_WINDOW);
+      assert.strictEqual(getContextWindow(null), DEFAULT_CONTEXT_WINDOW);
+    });
+  });
+
+  describe('estimateTokens', () => {
+    it('should estimate from the text length', () => {
+      assert.strictEqual(estimateTokens(''), 0);
+      assert.strictEqual(estimateTokens('x'.repeat(700)), 200);
+    });
+
+    it('should count the header and line numbers of a file', () => {
+      const content = 'a\n'.repeat(99);
+
+      assert.ok(estimateFileTokens('src/a.js', content) > estimateTokens(content));
+    });
+  });
+
+  describe('fileTokenBudget', () => {
+    it('should leave what the rest of the request and the response do not use', () => {
+      assert.strictEqual(fileTokenBudget({ contextWindow: 200000, maxTokens: 16384, baseTokens: 3616 }), 170000);
+    });
+
+    it('should never be negative', () => {
+      assert.strictEqual(fileTokenBudget({ contextWindow: 8192, maxTokens: 8192, baseTokens: 1000 }), 0);
+    });
+  });
+
+  describe('FileSelector with a token budget', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wiggumizer-tokens-'));
+      fs.mkdirSync(path.join(tempDir, 'src'));
+      fs.writeFileSync(path.join(tempDir, 'src', 'index.js'), 'start();\n'.repeat(100));
+      fs.writeFileSync(path.join(tempDir, 'src', 'big.js'), 'run();\n'.repeat(2000));
+      fs.writeFileSync(path.join(tempDir, 'src', 'small.js'), 'stop();\n');
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    const names = files => files.map(file => path.basename(file)).sort();
+
+    it('should skip files that do not fit and fill the rest with smaller ones', () => {
+      const selector = new FileSelector({ cwd: tempDir, maxTokens: 1000 });
+      const files = selector.getFiles();
+
+      assert.deepStrictEqual(names(files), ['index.js', 'small.js']);
+      assert.ok(selector.tokensUsed > 0 && selector.tokensUsed <= 1000);
+    });
+
+    it('should not apply the default byte limit when there is a token budget', () => {
+      fs.writeFileSync(path.join(tempDir, 'src', 'big.js'), 'run();\n'.repeat(20000));
+      const selector = new FileSelector({ cwd: tempDir, maxTokens: 100000 });
+
+      assert.deepStrictEqual(names(selector.getFiles()), ['big.js', 'index.js', 'small.js']);
+    });
+
+    it('should back-fill under a byte limit too', () => {
+      const selector = new FileSelector({ cwd: tempDir, maxContextSize: 1000, repoMapShare: 0 });
+
+      assert.deepStrictEqual(names(selector.getFiles()), ['index.js', 'small.js']);
+    });
+  });
+});
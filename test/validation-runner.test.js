@@ -229,6 +229,129 @@ describe('ValidationRunner', () => {
     });
   });
 
+  describe('findRegressions', () => {
+    it('should report required checks that passed before and fail now', () => {
+      const baseline = { results: [
+        { name: 'Tests', passed: true, required: true },
+        { name: 'Build', passed: false, required: true }
+      ] };
+      const current = { results: [
+        { name: 'Tests', passed: false, required: true },
+        { name: 'Build', passed: false, required: true }
+      ] };
+
+      const regressions = runner.findRegressions(baseline, current);
+      assert.deepStrictEqual(regressions.map(r => r.name), ['Tests']);
+    });
+
+    it('should ignore optional and previously skipped checks', () => {
+      const baseline = { results: [
+        { name: 'Lint', passed: true, required: false },
+        { name: 'Tests', passed: true, skipped: true, required: true }
+      ] };
+      const current = { results: [
+        { name: 'Lint', passed: false, required: false },
+        { name: 'Tests', passed: false, required: true }
+      ] };
+
+      assert.deepStrictEqual(runner.findRegressions(baseline, current), []);
+    });
+
+    it('should return empty array without a baseline', () => {
+      assert.deepStrictEqual(runner.findRegressions(null, { results: [] }), []);
+    });
+  });
+
+  describe('summarizeFailure', () => {
+    it('should include command, exit code and output', () => {
+      const summary = runner.summarizeFailure({
+        name: 'Tests', command: 'npm test', exitCode: 1, stderr: 'AssertionError: boom', stdout: ''
+      });
+
+      assert.ok(summary.startsWith('Tests failed (npm test, exit code 1):'));
+      assert.ok(summary.includes('AssertionError: boom'));
+    });
+
+    it('should keep only the last lines of long output', () => {
+      const stdout = Array.from({ length: 30 }, (_, i) => `line ${i + 1}`).join('\n');
+      const summary = runner.summarizeFailure({ name: 'Tests', stdout }, 5);
+
+      assert.ok(summary.includes('25 earlier lines omitted'));
+      assert.ok(summary.includes('line 30'));
+      assert.ok(!summary.includes('line 25\n'));
+    });
+  });
+
+  describe('extractFailureDetails', () => {
+    it('should find failing test names across runners', () => {
+      const output = [
+        'not ok 2 - adds numbers',
+        '  ● Math › subtracts',
+        'FAILED tests/test_api.py::test_login - AssertionError',
+        '--- FAIL: TestParse (0.00s)',
+        'test config::loads ... FAILED'
+      ].join('\n');
+
+      const { tests } = runner.extractFailureDetails(output);
+      assert.deepStrictEqual(tests, [
+        'adds numbers',
+        'Math › subtracts',
+        'tests/test_api.py::test_login',
+        'TestParse',
+        'config::loads'
+      ]);
+    });
+
+    it('should find compiler errors and exceptions', () => {
+      const output = [
+        'src/app.ts(3,5): error TS2322: Type \'string\' is not assignable to type \'number\'.',
+        'main.c:10:5: error: expected \';\'',
+        'error[E0308]: mismatched types',
+        'TypeError: add is not a function',
+        'some unrelated log line'
+      ].join('\n');
+
+      const { errors } = runner.extractFailureDetails(output);
+      assert.strictEqual(errors.length, 4);
+      assert.ok(errors[0].startsWith('src/app.ts(3,5)'));
+    });
+
+    it('should cap and de-duplicate entries', () => {
+      const output = Array.from({ length: 20 }, (_, i) => `not ok ${i} - test ${i % 15}`).join('\n');
+      const { tests } = runner.extractFailureDetails(output, 10);
+      assert.strictEqual(tests.length, 10);
+      assert.strictEqual(new Set(tests).size, 10);
+    });
+  });
+
+  describe('formatFeedback', () => {
+    it('should list passing checks and details of failing ones', () => {
+      const feedback = runner.formatFeedback({
+        results: [
+          { name: 'Tests', command: 'npm test', passed: false, exitCode: 1, stdout: 'not ok 1 - adds numbers\nAssertionError: 2 !== 3', required: true },
+          { name: 'Build', command: 'npm run build', passed: true, required: true }
+        ]
+      });
+
+      assert.ok(feedback.startsWith('1 of 2 check(s) failed.'));
+      assert.ok(feedback.includes('PASS Build (npm run build)'));
+      assert.ok(feedback.includes('FAIL Tests (npm test) - exit code 1'));
+      assert.ok(feedback.includes('  - adds numbers'));
+      assert.ok(feedback.includes('  - AssertionError: 2 !== 3'));
+      assert.ok(feedback.indexOf('PASS Build') < feedback.indexOf('FAIL Tests'));
+    });
+
+    it('should report when everything passed', () => {
+      const feedback = runner.formatFeedback({ results: [{ name: 'Tests', passed: true, required: true }] });
+      assert.strictEqual(feedback.split('\n')[0], 'All 1 check(s) passed.');
+    });
+
+    it('should return null when nothing ran', () => {
+      assert.strictEqual(runner.formatFeedback({ results: [{ name: 'Tests', skipped: true, passed: true }] }), null);
+      assert.strictEqual(runner.formatFeedback(null), null);
+    });
+  });
+
   describe('formatResults', () => {
     it('should return empty string for no results', () => {
       const output = runner.formatResults([]);
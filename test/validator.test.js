@@ -0,0 +1,124 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const FileValidator = require('../src/validator');
+
+describe('FileValidator', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wiggumizer-validator-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('JavaScript', () => {
+    it('should accept CommonJS and ES modules in .js files', () => {
+      assert.strictEqual(FileValidator.validate('a.js', 'const x = require("x");\nmodule.exports = x;\n').valid, true);
+      assert.strictEqual(FileValidator.validate('b.js', 'import x from "x";\nexport default x;\n').valid, true);
+    });
+
+    it('should report syntax errors with the file name and line', () => {
+      const result = FileValidator.validate('src/broken.js', 'function a() {\n  return (;\n}\n');
+
+      assert.strictEqual(result.valid, false);
+      assert.strictEqual(result.error, 'JavaScript syntax error');
+      assert.match(result.details, /src\/broken\.js:2/);
+      assert.match(result.details, /SyntaxError/);
+      assert.doesNotMatch(result.details, /\n\s+at /);
+    });
+
+    it('should check .mjs as a module and .cjs as CommonJS', () => {
+      assert.strictEqual(FileValidator.validate('a.mjs', 'export const a = 1;\n').valid, true);
+      assert.strictEqual(FileValidator.validate('a.cjs', 'export const a = 1;\n').valid, false);
+    });
+
+    it('should not reject content when the check does not finish', () => {
+      const timeout = FileValidator.CHECK_TIMEOUT;
+      FileValidator.CHECK_TIMEOUT = 1;
+
+      try {
+        const result = FileValidator.validate('a.js', 'module.exports = 1;\n');
+        assert.deepStrictEqual(result, { valid: true });
+      } finally {
+        FileValidator.CHECK_TIMEOUT = timeout;
+      }
+    });
+
+    it('should not reject JSX when TypeScript is not installed', () => {
+      const result = FileValidator.validate('app.js', 'const App = () => <div />;\n', { cwd: tempDir });
+      assert.strictEqual(result.valid, true);
+    });
+  });
+
+  describe('TypeScript', () => {
+    it('should skip the check when the project has no TypeScript', () => {
+      assert.strictEqual(FileValidator.validate('a.ts', 'const a: = ;', { cwd: tempDir }).valid, true);
+    });
+
+    it('should use the project\'s TypeScript and report its diagnostics', () => {
+      const tsDir = path.join(tempDir, 'node_modules', 'typescript');
+      fs.mkdirSync(tsDir, { recursive: true });
+      fs.writeFileSync(path.join(tsDir, 'package.json'), '{"name":"typescript","main":"index.js"}');
+      fs.writeFileSync(path.join(tsDir, 'index.js'), `
+        exports.JsxEmit = { Preserve: 1 };
+        exports.transpileModule = (content, options) => ({
+          diagnostics: content.includes('oops') ? [{
+            category: 1,
+            messageText: 'Expression expected.',
+            start: 10,
+            file: { getLineAndCharacterOfPosition: () => ({ line: 1, character: 4 }) }
+          }] : []
+        });
+      `);
+
+      assert.strictEqual(FileValidator.validate('a.ts', 'const a = 1;', { cwd: tempDir }).valid, true);
+
+      const result = FileValidator.validate('src/a.tsx', 'const a = oops;', { cwd: tempDir });
+      assert.strictEqual(result.valid, false);
+      assert.strictEqual(result.details, 'src/a.tsx:2:5 - Expression expected.');
+    });
+  });
+
+  describe('Data files', () => {
+    it('should reject invalid JSON', () => {
+      const result = FileValidator.validate('package.json', '{ "name": "x", }');
+      assert.strictEqual(result.valid, false);
+      assert.strictEqual(result.error, 'Invalid JSON');
+    });
+
+    it('should accept comments in JSONC files like tsconfig.json', () => {
+      assert.strictEqual(FileValidator.validate('tsconfig.json', '{\n  // strict mode\n  "strict": true\n}').valid, true);
+      assert.strictEqual(FileValidator.validate('.vscode/settings.json', '{ /* x */ }').valid, true);
+    });
+
+    it('should validate every YAML document', () => {
+      assert.strictEqual(FileValidator.validate('a.yml', 'a: 1\n---\nb: [1, 2]\n').valid, true);
+
+      const result = FileValidator.validate('b.yaml', 'a: 1\n---\nb: [1, 2\n');
+      assert.strictEqual(result.valid, false);
+      assert.strictEqual(result.error, 'Invalid YAML');
+    });
+  });
+
+  describe('Python', () => {
+    it('should report syntax errors from py_compile', { skip: !FileValidator.findPython() && 'Python not installed' }, () => {
+      assert.strictEqual(FileValidator.validate('ok.py', 'def f():\n    return 1\n').valid, true);
+
+      const result = FileValidator.validate('pkg/bad.py', 'def f(:\n    pass\n');
+      assert.strictEqual(result.valid, false);
+      assert.strictEqual(result.error, 'Python syntax error');
+      assert.match(result.details, /pkg\/bad\.py/);
+      assert.match(result.details, /SyntaxError/);
+    });
+  });
+
+  it('should accept file types it cannot check, even when empty', () => {
+    assert.strictEqual(FileValidator.validate('.gitkeep', '').valid, true);
+    assert.strictEqual(FileValidator.validate('notes.md', '# Notes').valid, true);
+  });
+});
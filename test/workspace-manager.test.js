@@ -279,6 +279,36 @@ describe('WorkspaceManager', () => {
       // Should only have .js files from src
       assert.ok(files.every(f => f.path.endsWith('.js') && f.path.startsWith('src')));
     });
+
+    it('should apply each workspace\'s .wiggumizerignore', () => {
+      fs.writeFileSync(path.join(workspace1Dir, '.wiggumizerignore'), 'src/\n');
+      fs.writeFileSync(path.join(workspace2Dir, '.wiggumizerignore'), 'package.json\n');
+
+      const manager = new WorkspaceManager({
+        baseDir: tempDir,
+        workspaces: [
+          { name: 'ws1', path: 'workspace1' },
+          { name: 'ws2', path: 'workspace2' }
+        ]
+      });
+
+      const files = manager.getAllFiles().map(f => `${f.workspace}:${f.path.split(path.sep).join('/')}`).sort();
+      assert.deepStrictEqual(files, ['ws1:README.md', 'ws1:package.json', 'ws2:lib/main.js']);
+    });
+
+    it('should give a workspace that overflows its whole size limit, with no outline', () => {
+      // Five 24KB files: four fit the 100KB default, three would with 10% kept for an outline
+      for (let i = 0; i < 5; i++) {
+        fs.writeFileSync(path.join(workspace2Dir, 'lib', `big${i}.js`), `// ${i}\n`.padEnd(24000, 'x') + '\n');
+      }
+
+      const manager = new WorkspaceManager({
+        baseDir: tempDir,
+        workspaces: [{ name: 'ws2', path: 'workspace2', include: ['lib/big*.js'] }]
+      });
+
+      assert.strictEqual(manager.getAllFiles().length, 4);
+    });
   });
 
   describe('writeFile', () => {
@@ -324,6 +354,21 @@ describe('WorkspaceManager', () => {
         manager.writeFile('nonexistent', 'file.js', 'content');
       }, /Workspace not found: nonexistent/);
     });
+
+    it('should refuse writes the write policy blocks', () => {
+      const manager = new WorkspaceManager({
+        baseDir: tempDir,
+        files: { protected: ['.wiggumizer.yml'] },
+        workspaces: [
+          { name: 'ws1', path: 'workspace1' }
+        ]
+      });
+
+      assert.throws(() => manager.writeFile('ws1', '../workspace2/file.js', 'x'), /outside the workspace/);
+      assert.throws(() => manager.writeFile('ws1', '.git/config', 'x'), /\.git internals/);
+      assert.throws(() => manager.writeFile('ws1', '.wiggumizer.yml', 'x'), /protected/);
+      assert.strictEqual(fs.existsSync(path.join(tempDir, 'workspace2', 'file.js')), false);
+    });
   });
 
   describe('readBreadcrumbs', () => {
@@ -450,6 +495,21 @@ describe('WorkspaceManager', () => {
       assert.ok('breadcrumbs' in context || 'files' in context);
     });
 
+    it('should apply files.include/exclude and context limits in single repo mode', () => {
+      const originalCwd = process.cwd();
+      process.chdir(workspace1Dir);
+      try {
+        const paths = (options) => new WorkspaceManager(options).getCodebaseContext().files.map(file => file.path).sort();
+
+        assert.deepStrictEqual(paths({ files: { include: ['src/**'] } }), [path.join('src', 'index.js')]);
+        assert.deepStrictEqual(paths({ files: { exclude: ['README.md', 'src/**'] } }), ['package.json']);
+        assert.strictEqual(paths({ context: { maxFiles: 1 } }).length, 1);
+        assert.deepStrictEqual(paths({ context: { maxSize: 30 } }), [path.join('src', 'index.js')]);
+      } finally {
+        process.chdir(originalCwd);
+      }
+    });
+
     it('should include breadcrumbs in multi-repo context', () => {
       const manager = new WorkspaceManager({
         baseDir: tempDir,
@@ -470,6 +530,25 @@ describe('WorkspaceManager', () => {
       // In multi-repo mode, breadcrumbs are read from baseDir
       assert.ok(context.breadcrumbs === null || context.breadcrumbs.includes('Multi-repo notes'));
     });
+
+    it('should explain each workspace\'s selection with workspace-prefixed paths', () => {
+      const manager = new WorkspaceManager({
+        baseDir: tempDir,
+        workspaces: [
+          { name: 'ws1', path: 'workspace1', exclude: ['README.md'] },
+          { name: 'ws2', path: 'workspace2' }
+        ]
+      });
+
+      const context = manager.getCodebaseContext({ explain: true });
+      const byPath = new Map(context.candidates.map(c => [c.path.split(path.sep).join('/'), c]));
+
+      assert.strictEqual(byPath.get('[ws1]/src/index.js').included, true);
+      assert.strictEqual(byPath.get('[ws1]/src/index.js').workspace, 'ws1');
+      assert.strictEqual(byPath.get('[ws1]/README.md').reason, 'exclude');
+      assert.strictEqual(byPath.get('[ws2]/lib/main.js').included, true);
+      assert.strictEqual(manager.getCodebaseContext().candidates, null);
+    });
   });
 
   describe('getCombinedContext', () => {
@@ -523,4 +602,84 @@ describe('WorkspaceManager', () => {
       assert.ok(ws2Index >= 0);
     });
   });
+
+  describe('applyChanges', () => {
+    const DiffApplier = require('../src/diff-applier');
+
+    const apply = (manager, response) => manager.applyChanges(response, (workspace, diffText) => {
+      const result = DiffApplier.applyDiffs(diffText, manager.resolvePath(workspace.path));
+      return { count: result.filesModified.length, files: result.filesModified, errors: result.errors };
+    });
+
+    it('should apply renames, new files and missing final newlines in multi-repo mode', () => {
+      const manager = new WorkspaceManager({
+        baseDir: tempDir,
+        workspaces: [
+          { name: 'ws1', path: 'workspace1' },
+          { name: 'ws2', path: 'workspace2' }
+        ]
+      });
+
+      const response = [
+        '```diff',
+        '--- a/[ws2]/lib/main.js',
+        '+++ b/[ws2]/lib/main.js',
+        '@@ -1 +1 @@',
+        '-console.log("hello");',
+        '\\ No newline at end of file',
+        '+console.log("bye");',
+        '\\ No newline at end of file',
+        '--- /dev/null',
+        '+++ b/[ws2]/lib/util.js',
+        '@@ -0,0 +1 @@',
+        '+module.exports = 1;',
+        'diff --git a/[ws1]/README.md b/[ws1]/docs/README.md',
+        'similarity index 100%',
+        'rename from [ws1]/README.md',
+        'rename to [ws1]/docs/README.md',
+        '```'
+      ].join('\n');
+
+      const result = apply(manager, response);
+
+      assert.deepStrictEqual(result.errors, []);
+      assert.strictEqual(result.count, 4);
+      assert.ok(!fs.existsSync(path.join(workspace1Dir, 'README.md')));
+      assert.strictEqual(fs.readFileSync(path.join(workspace1Dir, 'docs', 'README.md'), 'utf-8'), '# Workspace 1');
+      assert.strictEqual(fs.readFileSync(path.join(workspace2Dir, 'lib', 'main.js'), 'utf-8'), 'console.log("bye");');
+      assert.strictEqual(fs.readFileSync(path.join(workspace2Dir, 'lib', 'util.js'), 'utf-8'), 'module.exports = 1;\n');
+    });
+
+    it('should apply SEARCH/REPLACE blocks to the workspace named in their path', () => {
+      const manager = new WorkspaceManager({
+        baseDir: tempDir,
+        workspaces: [
+          { name: 'ws1', path: 'workspace1' },
+          { name: 'ws2', path: 'workspace2' }
+        ]
+      });
+
+      const response = [
+        '[ws2]/lib/main.js',
+        '<<<<<<< SEARCH',
+        'console.log("hello");',
+        '=======',
+        'console.log("bye");',
+        '>>>>>>> REPLACE',
+        '',
+        '[ws1]/src/index.js',
+        '<<<<<<< SEARCH',
+        'module.exports = {};',
+        '=======',
+        'module.exports = { ready: true };',
+        '>>>>>>> REPLACE'
+      ].join('\n');
+
+      const result = apply(manager, response);
+
+      assert.deepStrictEqual(result.files.sort(), ['lib/main.js', 'src/index.js']);
+      assert.strictEqual(fs.readFileSync(path.join(workspace2Dir, 'lib', 'main.js'), 'utf-8'), 'console.log("bye");');
+      assert.strictEqual(fs.readFileSync(path.join(workspace1Dir, 'src', 'index.js'), 'utf-8'), 'module.exports = { ready: true };');
+    });
+  });
 });
@@ -0,0 +1,109 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const WritePolicy = require('../src/write-policy');
+
+describe('WritePolicy', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wiggumizer-policy-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('containment', () => {
+    it('should allow paths inside the workspace', () => {
+      const policy = new WritePolicy({ cwd: tempDir });
+
+      assert.strictEqual(policy.check('src/app.js'), null);
+      assert.strictEqual(policy.check('src/../lib/app.js'), null);
+    });
+
+    it('should block paths that leave the workspace', () => {
+      const policy = new WritePolicy({ cwd: tempDir });
+
+      for (const filePath of ['../outside.txt', 'src/../../outside.txt', '/etc/passwd', '']) {
+        assert.strictEqual(policy.check(filePath).reason, 'outside-workspace', filePath);
+      }
+      assert.strictEqual(policy.check('../outside.txt', 'read').reason, 'outside-workspace');
+    });
+
+    it('should block writes through symlinks that point outside', { skip: process.platform === 'win32' && 'Symlinks need privileges' }, () => {
+      const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'wiggumizer-outside-'));
+      try {
+        fs.symlinkSync(outside, path.join(tempDir, 'link'));
+        const policy = new WritePolicy({ cwd: tempDir });
+
+        assert.strictEqual(policy.check('link/file.txt').reason, 'outside-workspace');
+      } finally {
+        fs.rmSync(outside, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('protected files', () => {
+    it('should always protect .git internals', () => {
+      const policy = new WritePolicy({ cwd: tempDir });
+
+      assert.strictEqual(policy.check('.git/config').reason, 'protected');
+      assert.strictEqual(policy.check('vendor/lib/.git/HEAD').reason, 'protected');
+      assert.strictEqual(policy.check('.gitignore'), null);
+    });
+
+    it('should protect files matching files.protected but allow reading them', () => {
+      const policy = new WritePolicy({ cwd: tempDir, protected: ['.wiggumizer.yml', 'secrets/**', '*.pem'] });
+
+      assert.strictEqual(policy.check('.wiggumizer.yml').reason, 'protected');
+      assert.strictEqual(policy.check('secrets/api.txt').reason, 'protected');
+      assert.strictEqual(policy.check('config/server.pem').reason, 'protected');
+      assert.strictEqual(policy.check('src/secrets/api.txt'), null);
+      assert.strictEqual(policy.check('.wiggumizer.yml', 'read'), null);
+    });
+
+    it('should describe the violation', () => {
+      const policy = new WritePolicy({ cwd: tempDir, protected: ['.env'] });
+
+      assert.deepStrictEqual(policy.check('.env'), {
+        file: '.env',
+        action: 'write',
+        reason: 'protected',
+        message: 'Blocked change to .env: the file is protected (files.protected)'
+      });
+    });
+  });
+
+  describe('listProtected', () => {
+    it('should list the existing protected files at any depth, skipping node_modules', () => {
+      for (const file of ['.env', 'api/.env', 'node_modules/pkg/.env', '.wiggumizer/iterations/s1/iteration-1.json', 'src/app.js']) {
+        fs.mkdirSync(path.dirname(path.join(tempDir, file)), { recursive: true });
+        fs.writeFileSync(path.join(tempDir, file), '');
+      }
+
+      const policy = new WritePolicy({ cwd: tempDir, protected: ['.env', '.wiggumizer/iterations/**'] });
+
+      assert.deepStrictEqual(policy.listProtected(), ['.env', '.wiggumizer/iterations/s1/iteration-1.json', 'api/.env']);
+      assert.deepStrictEqual(new WritePolicy({ cwd: tempDir }).listProtected(), []);
+    });
+  });
+
+  describe('deletions', () => {
+    it('should block deletions by default', () => {
+      const violation = new WritePolicy({ cwd: tempDir }).check('old.js', 'delete');
+
+      assert.strictEqual(violation.reason, 'delete');
+      assert.strictEqual(violation.message, 'Blocked deletion of old.js: deleting files is not allowed (files.allowDeletes)');
+    });
+
+    it('should allow deletions when allowDeletes is on, except of protected files', () => {
+      const policy = new WritePolicy({ cwd: tempDir, allowDeletes: true, protected: ['.env'] });
+
+      assert.strictEqual(policy.check('old.js', 'delete'), null);
+      assert.strictEqual(policy.check('.env', 'delete').reason, 'protected');
+    });
+  });
+});